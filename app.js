@@ -1,384 +1,3585 @@
-/*
-    ============================================================
-    app.js
-    Smart Music Playlist Manager
-    ============================================================
-
-    ROLE:
-    This is the UI wiring layer.
-
-    It:
-        - Instantiates PlaylistController
-        - Handles DOM interactions
-        - Updates UI
-        - Syncs <audio> with controller state
-
-    IMPORTANT RULE:
-        app.js NEVER interacts directly with:
-            - DoublyLinkedList
-            - Stack
-
-        It ONLY talks to PlaylistController.
-
-    FLOW RULE:
-        1. Call controller method
-        2. Re-render playlist
-        3. Update Now Playing section
-        4. Sync audio source
-*/
-
-
-/* ============================================================
-   Controller Initialization
-============================================================ */
-
-const controller = new PlaylistController(DoublyLinkedList, Stack);
-
-
-/* ============================================================
-   DOM References
-============================================================ */
-
-const playlistUI = document.getElementById("playlist");
-const currentTitle = document.getElementById("current-title");
-const currentArtist = document.getElementById("current-artist");
-const audioPlayer = document.getElementById("audio-player");
-const albumArtContainer = document.querySelector(".album-art-container");
-const albumArtImage = albumArtContainer ? albumArtContainer.querySelector("img") : null;
-
-const addSongForm = document.getElementById("add-song-form");
-const removeBtn = document.getElementById("remove-btn");
-
-const playBtn = document.getElementById("play-btn");
-const pauseBtn = document.getElementById("pause-btn");
-const nextBtn = document.getElementById("next-btn");
-const prevBtn = document.getElementById("prev-btn");
-const undoBtn = document.getElementById("undo-btn");
-const redoBtn = document.getElementById("redo-btn");
-
-
-/* ============================================================
-   Default Album Art Configuration
-============================================================ */
-
-const DEFAULT_ALBUM_ART_URL = "data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 200 200'%3E%3Crect width='200' height='200' fill='%23667eea'/%3E%3Ctext x='100' y='100' font-size='60' fill='white' text-anchor='middle' dominant-baseline='middle'%3E♪%3C/text%3E%3C/svg%3E";
-
-
-/* ============================================================
-   Royalty-Free Preloaded Songs
-   (Public domain / free music sample sources)
-============================================================ */
-
-const initialSongs = [
-    {
-        title: "SoundHelix Song 1",
-        artist: "SoundHelix",
-        url: "https://www.soundhelix.com/examples/mp3/SoundHelix-Song-1.mp3",
-        cover: "./assets/cover/cover.jpeg"
-    },
-    {
-        title: "SoundHelix Song 2",
-        artist: "SoundHelix",
-        url: "https://www.soundhelix.com/examples/mp3/SoundHelix-Song-2.mp3",
-        cover: "https://i.pinimg.com/originals/20/d8/4d/20d84d6d218c5963f36ac880fd329723.png"
-    },
-    {
-        title: "SoundHelix Song 3",
-        artist: "SoundHelix",
-        url: "https://www.soundhelix.com/examples/mp3/SoundHelix-Song-3.mp3",
-        cover: "https://i.pinimg.com/1200x/e6/0c/ea/e60cea3fd7eb0872f479ec65b47055eb.jpg"
-    },
-    {
-        title: "SoundHelix Song 4",
-        artist: "SoundHelix",
-        url: "https://www.soundhelix.com/examples/mp3/SoundHelix-Song-4.mp3",
-        cover: "https://i.pinimg.com/736x/a8/fc/fe/a8fcfed28db21e54c795737afbbbeff2.jpg"
-    },
-    {
-        title: "SoundHelix Song 5",
-        artist: "SoundHelix",
-        url: "https://www.soundhelix.com/examples/mp3/SoundHelix-Song-5.mp3",
-        cover: "https://i.pinimg.com/736x/89/d8/04/89d804b5aac2690755030c98ac03fb6e.jpg"
-    },
-    {
-        title: "Robots Vs. Music Song 6",
-        artist: "Nigel Stanford",
-        url: "./assets/mp3/AUTOMATICA - Robots Vs. Music - Nigel Stanford [bAdqazixuRY].mp3",
-        cover: "https://i.pinimg.com/originals/52/84/a5/5284a541f87e2e89b5dc9816f1741145.png"
-    }
-];
-
-
-/* ============================================================
-   Initialization
-============================================================ */
-
-function initializePlaylist() {
-    // Use the new initializePlaylist method to load songs
-    // without adding them to the undo stack
-    controller.initializePlaylist(initialSongs);
-
-    renderPlaylist();
-    updateNowPlaying();
-}
-
-
-/* ============================================================
-   Rendering Functions
-============================================================ */
-
-function renderPlaylist() {
-    playlistUI.innerHTML = "";
-
-    const currentSong = controller.getCurrentSong();
-
-    controller.getAllSongs(song => {
-        const li = document.createElement("li");
-
-        // Create album art thumbnail container
-        const albumArtDiv = document.createElement("div");
-        albumArtDiv.className = "playlist-album-art";
-
-        const img = document.createElement("img");
-        img.alt = "cover";
-
-        // Always load album art with fallback to default image
-        loadAlbumArtImage(img, song.cover || "", albumArtDiv);
-
-        albumArtDiv.appendChild(img);
-
-        // Create playlist item info container
-        const infoDiv = document.createElement("div");
-        infoDiv.className = "playlist-item-info";
-
-        const titleDiv = document.createElement("div");
-        titleDiv.className = "playlist-item-title";
-        titleDiv.textContent = song.title;
-
-        const artistDiv = document.createElement("div");
-        artistDiv.className = "playlist-item-artist";
-        artistDiv.textContent = song.artist;
-
-        infoDiv.appendChild(titleDiv);
-        infoDiv.appendChild(artistDiv);
-
-        li.appendChild(albumArtDiv);
-        li.appendChild(infoDiv);
-
-        // Highlight currently playing song
-        if (currentSong && song.title === currentSong.title && song.artist === currentSong.artist) {
-            li.classList.add("current");
-        }
-
-        playlistUI.appendChild(li);
-    });
-}
-
-
-
-function updateNowPlaying() {
-    const currentSong = controller.getCurrentSong();
-
-    if (!currentSong) {
-        currentTitle.textContent = "No song selected";
-        currentArtist.textContent = "";
-        audioPlayer.pause();
-        audioPlayer.src = "";
-
-        if (albumArtImage) {
-            albumArtImage.style.display = "none";
-            albumArtImage.src = "";
-        }
-
-        if (albumArtContainer) {
-            albumArtContainer.classList.remove("has-image");
-        }
-
-        return;
-    }
-
-    currentTitle.textContent = currentSong.title;
-    currentArtist.textContent = currentSong.artist;
-
-    // Load album art for now playing (always attempt, with fallback to default image)
-    if (albumArtImage) {
-        loadAlbumArtImage(albumArtImage, currentSong.cover || "", albumArtContainer);
-    }
-
-    syncAudioSource(currentSong);
-}
-
-
-function syncAudioSource(song) {
-    if (!song) return;
-
-    if (audioPlayer.src !== song.url) {
-        audioPlayer.src = song.url;
-    }
-}
-
-
-/* ============================================================
-   Album Art Loading & Validation
-============================================================ */
-
-/**
- * Load and validate album art image from URL
- * @param {HTMLImageElement} imgElement - The image element to update
- * @param {string} imageUrl - The URL of the album art image
- * @param {HTMLElement} container - Optional container element to update classes
- */
-function loadAlbumArtImage(imgElement, imageUrl, container) {
-    if (!imgElement) return;
-
-    // If no URL provided, use default album art
-    const urlToLoad = (imageUrl && imageUrl.trim()) ? imageUrl : DEFAULT_ALBUM_ART_URL;
-
-    // Add loading state
-    imgElement.classList.add("loading");
-    imgElement.style.display = "block";
-
-    // Create a temporary image to validate the URL
-    const tempImg = new Image();
-
-    tempImg.onload = function () {
-        // Image loaded successfully
-        imgElement.src = urlToLoad;
-        imgElement.classList.remove("loading");
-        imgElement.classList.add("loaded");
-        imgElement.style.display = "block";
-        imgElement.alt = "Album Art";
-
-        if (container) {
-            container.classList.add("has-image");
-        }
-    };
-
-    tempImg.onerror = function () {
-        // Image failed to load - use default fallback only if the failed URL wasn't already the default
-        if (urlToLoad === DEFAULT_ALBUM_ART_URL) {
-            // Default image failed, just hide the image
-            imgElement.classList.remove("loading");
-            imgElement.classList.add("error");
-            imgElement.style.display = "none";
-            if (container) {
-                container.classList.remove("has-image");
-            }
-            console.warn(`Failed to load album art from URL: ${imageUrl}`);
-        } else {
-            // Custom URL failed, try the default
-            console.warn(`Failed to load album art from URL: ${imageUrl}, using default image.`);
-            loadAlbumArtImage(imgElement, DEFAULT_ALBUM_ART_URL, container);
-        }
-    };
-
-    // Attempt to load the image
-    tempImg.src = urlToLoad;
-}
-
-
-
-function setupEventListeners() {
-
-    /* ---------- Play ---------- */
-    playBtn.addEventListener("click", () => {
-        const currentSong = controller.getCurrentSong();
-        if (!currentSong) return;
-
-        audioPlayer.play();
-    });
-
-    /* ---------- Pause ---------- */
-    pauseBtn.addEventListener("click", () => {
-        audioPlayer.pause();
-    });
-
-    /* ---------- Next ---------- */
-    nextBtn.addEventListener("click", () => {
-        controller.playNext();
-        renderPlaylist();
-        updateNowPlaying();
-        audioPlayer.play();
-    });
-
-    /* ---------- Previous ---------- */
-    prevBtn.addEventListener("click", () => {
-        controller.playPrevious();
-        renderPlaylist();
-        updateNowPlaying();
-        audioPlayer.play();
-    });
-
-    /* ---------- Add Song ---------- */
-    addSongForm.addEventListener("submit", (e) => {
-        e.preventDefault();
-
-        const title = document.getElementById("song-title").value.trim();
-        const artist = document.getElementById("song-artist").value.trim();
-        const url = document.getElementById("song-url").value.trim();
-        const cover = document.getElementById("song-cover").value.trim();
-
-        if (!title || !artist || !url) return;
-
-        // Create song object with optional cover URL
-        const songData = { title, artist, url };
-        if (cover) {
-            songData.cover = cover;
-        }
-
-        controller.addSong(songData);
-
-        renderPlaylist();
-        updateNowPlaying();
-
-        addSongForm.reset();
-    });
-
-    /* ---------- Remove Song ---------- */
-    removeBtn.addEventListener("click", () => {
-        const title = document.getElementById("remove-title").value.trim();
-        if (!title) return;
-
-        controller.removeSong(title);
-
-        renderPlaylist();
-        updateNowPlaying();
-
-        document.getElementById("remove-title").value = "";
-    });
-
-    /* ---------- Undo ---------- */
-    undoBtn.addEventListener("click", () => {
-        controller.undo();
-
-        renderPlaylist();
-        updateNowPlaying();
-    });
-
-    /* ---------- Redo ---------- */
-    redoBtn.addEventListener("click", () => {
-        controller.redo();
-
-        renderPlaylist();
-        updateNowPlaying();
-    });
-
-    /* ---------- Auto Play Next When Song Ends ---------- */
-    audioPlayer.addEventListener("ended", () => {
-        controller.playNext();
-        renderPlaylist();
-        updateNowPlaying();
-
-        if (!controller.isEmpty()) {
-            audioPlayer.play();
-        }
-    });
-}
-
-
-/* ============================================================
-   Start Application
-============================================================ */
-
-initializePlaylist();
-setupEventListeners();
+/*
+    ============================================================
+    app.js
+    Smart Music Playlist Manager
+    ============================================================
+
+    ROLE:
+    This is the UI wiring layer.
+
+    It:
+        - Instantiates LibraryController (one PlaylistController per playlist)
+        - Handles DOM interactions
+        - Updates UI
+        - Drives the AudioEngine from controller state
+        - Persists controller state through PlaylistStorage
+
+    IMPORTANT RULE:
+        app.js NEVER interacts directly with:
+            - DoublyLinkedList
+            - Stack
+            - Queue
+
+        It ONLY talks to LibraryController and PlaylistController.
+
+    ACTIVE vs PLAYING:
+        The active playlist is the one shown in the playlist, queue
+        and edit sections. The playing playlist drives Now Playing and
+        the transport controls. Browsing the library only changes the
+        active playlist; pressing Play starts the active playlist.
+
+    FLOW RULE:
+        1. Call controller method
+        2. Re-render playlist
+        3. Update Now Playing section
+        4. Load the current song and preload the next one in the AudioEngine
+        5. Persist state
+*/
+
+
+/* ============================================================
+   Controller Initialization
+============================================================ */
+
+const library = new LibraryController(() => new PlaylistController(DoublyLinkedList, Stack, Queue), SmartPlaylist);
+const playlistStorage = new PlaylistStorage({ key: "sonic.playlist" });
+const localFileStore = new LocalFileStore();
+
+const PERSIST_DELAY_MS = 300;   // Debounce window for saving state
+let persistTimer = null;
+
+// IDs of playlist rows ticked for "Remove selected" (UI state, not persisted)
+const selectedSongIds = new Set();
+
+// Search results highlighted by the arrow keys (UI state, not persisted)
+let searchCursorId = null;
+
+/**
+ * Controller of the playlist shown in the UI
+ * @returns {PlaylistController}
+ */
+function activeController() {
+    return library.getActiveController();
+}
+
+/**
+ * Controller of the playlist the audio is playing from
+ * @returns {PlaylistController}
+ */
+function playingController() {
+    return library.getPlayingController();
+}
+
+
+/* ============================================================
+   DOM References
+============================================================ */
+
+const libraryUI = document.getElementById("library-list");
+const newPlaylistBtn = document.getElementById("new-playlist-btn");
+const newSmartPlaylistBtn = document.getElementById("new-smart-playlist-btn");
+const playlistHeading = document.getElementById("playlist-heading");
+const playlistUI = document.getElementById("playlist");
+const searchInput = document.getElementById("playlist-search");
+const searchEmptyMessage = document.getElementById("search-empty");
+const filterFavoritesBtn = document.getElementById("filter-favorites-btn");
+const filterRatingSelect = document.getElementById("filter-rating");
+const filterTagSelect = document.getElementById("filter-tag");
+const clearFiltersBtn = document.getElementById("clear-filters-btn");
+const queueUI = document.getElementById("queue");
+const queueEmptyMessage = document.getElementById("queue-empty");
+const clearQueueBtn = document.getElementById("clear-queue-btn");
+const historyUI = document.getElementById("history-list");
+const historyViewButtons = document.querySelectorAll("#history-views [data-view]");
+const historySummary = document.getElementById("history-summary");
+const historyEmptyMessage = document.getElementById("history-empty");
+const clearHistoryBtn = document.getElementById("clear-history-btn");
+const currentTitle = document.getElementById("current-title");
+const currentArtist = document.getElementById("current-artist");
+const fallbackAudio = document.getElementById("audio-player");
+const seekBar = document.getElementById("seek-bar");
+const timeCurrent = document.getElementById("time-current");
+const timeTotal = document.getElementById("time-total");
+const volumeSlider = document.getElementById("volume-slider");
+const crossfadeSelect = document.getElementById("crossfade-select");
+const normalizeSelect = document.getElementById("normalize-select");
+const visualizerSelect = document.getElementById("visualizer-select");
+const visualizerCanvas = document.getElementById("visualizer-canvas");
+const eqPresetSelect = document.getElementById("eq-preset");
+const eqSaveBtn = document.getElementById("eq-save-btn");
+const eqDeleteBtn = document.getElementById("eq-delete-btn");
+const eqSongBtn = document.getElementById("eq-song-btn");
+const eqSongNote = document.getElementById("eq-song-note");
+const eqBandsContainer = document.getElementById("eq-bands");
+const albumArtContainer = document.querySelector(".album-art-container");
+const albumArtImage = albumArtContainer ? albumArtContainer.querySelector("img") : null;
+
+const importFileInput = document.getElementById("import-file");
+const importBtn = document.getElementById("import-btn");
+const exportFormatSelect = document.getElementById("export-format");
+const exportBtn = document.getElementById("export-btn");
+const removeSelectedBtn = document.getElementById("remove-selected-btn");
+const sortSelect = document.getElementById("sort-select");
+const clearPlaylistBtn = document.getElementById("clear-playlist-btn");
+const smartPlaylistNote = document.getElementById("smart-playlist-note");
+const editRulesBtn = document.getElementById("edit-rules-btn");
+const smartDialog = document.getElementById("smart-dialog");
+const smartForm = document.getElementById("smart-form");
+const smartNameInput = document.getElementById("smart-name");
+const smartRulesContainer = document.getElementById("smart-rules");
+const smartSortSelect = document.getElementById("smart-sort");
+const smartLimitInput = document.getElementById("smart-limit");
+const smartPreview = document.getElementById("smart-preview");
+const smartSaveBtn = document.getElementById("smart-save-btn");
+const smartCancelBtn = document.getElementById("smart-cancel-btn");
+const smartImportBtn = document.getElementById("smart-import-btn");
+const smartImportInput = document.getElementById("smart-import-file");
+const smartExportBtn = document.getElementById("smart-export-btn");
+const songDialog = document.getElementById("song-dialog");
+const songEditForm = document.getElementById("song-edit-form");
+const editTitleInput = document.getElementById("edit-title");
+const editArtistInput = document.getElementById("edit-artist");
+const editUrlInput = document.getElementById("edit-url");
+const editAlbumInput = document.getElementById("edit-album");
+const editCoverInput = document.getElementById("edit-cover");
+const editYearInput = document.getElementById("edit-year");
+const editTrackInput = document.getElementById("edit-track");
+const songEditError = document.getElementById("song-edit-error");
+const songCancelBtn = document.getElementById("song-cancel-btn");
+
+const toastRegion = document.getElementById("toast-region");
+
+const addSongSection = document.getElementById("add-song-section");
+const removeSongSection = document.getElementById("remove-song-section");
+const addSongForm = document.getElementById("add-song-form");
+const songFileInput = document.getElementById("song-file");
+const songTitleInput = document.getElementById("song-title");
+const songArtistInput = document.getElementById("song-artist");
+const songUrlInput = document.getElementById("song-url");
+const songAlbumInput = document.getElementById("song-album");
+const songCoverInput = document.getElementById("song-cover");
+const songTagsStatus = document.getElementById("song-tags-status");
+const addFilesBtn = document.getElementById("add-files-btn");
+const addFolderBtn = document.getElementById("add-folder-btn");
+const addFilesInput = document.getElementById("add-files-input");
+const addFolderInput = document.getElementById("add-folder-input");
+const removeBtn = document.getElementById("remove-btn");
+
+const playBtn = document.getElementById("play-btn");
+const pauseBtn = document.getElementById("pause-btn");
+const nextBtn = document.getElementById("next-btn");
+const prevBtn = document.getElementById("prev-btn");
+const shuffleBtn = document.getElementById("shuffle-btn");
+const repeatBtn = document.getElementById("repeat-btn");
+const shuffleIndicator = document.getElementById("shuffle-indicator");
+const repeatIndicator = document.getElementById("repeat-indicator");
+const shortcutsBtn = document.getElementById("shortcuts-btn");
+const shortcutsDialog = document.getElementById("shortcuts-dialog");
+const undoBtn = document.getElementById("undo-btn");
+const redoBtn = document.getElementById("redo-btn");
+
+
+const SEEK_STEP_SECONDS = 5;   // Arrow keys and media-key seek distance
+const AUDIO_SETTINGS_KEY = "sonic.audio";   // localStorage key for volume and crossfade
+const EQUALIZER_KEY = "sonic.eq";           // localStorage key for the equalizer and user presets
+
+const audioSettings = loadAudioSettings();
+
+// Loudness normalization: "off", "track" or "album" (see LoudnessAnalyzer)
+let normalizationMode = LoudnessAnalyzer.MODES.includes(audioSettings.normalization)
+    ? audioSettings.normalization
+    : "track";
+
+// IDs of songs whose loudness is being analyzed
+const loudnessJobs = new Set();
+
+const audioEngine = new AudioEngine({
+    fallbackElement: fallbackAudio,
+    crossfade: audioSettings.crossfade,
+    onTransition: handleEngineTransition,
+    onEnded: handleEngineEnded,
+    onStateChange: updatePlayPauseState,
+    onTimeUpdate: handleEngineTimeUpdate,
+    onBufferReady: analyzeSongLoudness,
+    onError: (song, error) => playbackSupervisor.handleError(song, error),
+    trackGain: getTrackGain,
+    resolveUrl: url => localFileStore.resolveUrl(url)
+});
+audioEngine.volume = audioSettings.volume;
+volumeSlider.value = String(audioEngine.volume);
+crossfadeSelect.value = String(audioEngine.crossfade);
+normalizeSelect.value = normalizationMode;
+
+// The visualizer listens after the equalizer; without Web Audio it stays off
+const visualizerAnalyser = audioEngine.createAnalyser();
+const visualizer = visualizerAnalyser && albumArtContainer
+    ? new Visualizer(visualizerCanvas, visualizerAnalyser, {
+        colors: [getThemeColor("--color-cyan"), getThemeColor("--color-pink")],
+        onRunningChange: running => albumArtContainer.classList.toggle("visualizing", running)
+    })
+    : null;
+
+if (visualizer) {
+    visualizer.setMode(Visualizer.MODES.includes(audioSettings.visualizer) ? audioSettings.visualizer : "off");
+    visualizerSelect.value = visualizer.mode;
+} else {
+    visualizerSelect.value = "off";
+    visualizerSelect.disabled = true;
+}
+
+// Retries failed songs, spots stalls and skips songs that cannot play
+const playbackSupervisor = new PlaybackSupervisor({
+    getPosition: () => audioEngine.currentTime,
+    isPlaying: () => !audioEngine.paused,
+    isBlocked: () => audioEngine.blocked,
+    onRetryScheduled: handleRetryScheduled,
+    onRetry: handlePlaybackRetry,
+    onGiveUp: handlePlaybackGiveUp,
+    onBlocked: handlePlaybackBlocked
+});
+playbackSupervisor.start();
+
+// Play counts, skips and listening time (see "Listening History" below)
+const listeningHistory = new ListeningHistory();
+
+// The equalizer sits between the songs and the volume control
+const equalizer = new Equalizer(audioEngine.context);
+if (equalizer.input) {
+    audioEngine.setProcessor(equalizer);
+}
+
+// Settings used by songs without their own EQ (song.eq overrides them)
+let globalEqualizer = { settings: Equalizer.flatSettings(), presetName: "Flat" };
+
+const REPEAT_LABELS = {
+    off: "Repeat: Off",
+    all: "Repeat: All",
+    one: "Repeat: One"
+};
+
+
+/* ============================================================
+   Row Action Icons (SVG path data)
+============================================================ */
+
+const ROW_ACTION_ICONS = {
+    queue: "M14 10H2v2h12v-2zm0-4H2v2h12V6zm4 8v-4h-2v4h-4v2h4v4h2v-4h4v-2h-4zM2 16h8v-2H2v2z",
+    playNext: "M3 10h11v2H3v-2zm0-4h11v2H3V6zm0 8h7v2H3v-2zm13-1v8l6-4-6-4z",
+    up: "M7 14l5-5 5 5z",
+    down: "M7 10l5 5 5-5z",
+    remove: "M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12 19 6.41z",
+    rename: "M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04a1 1 0 0 0 0-1.41l-2.34-2.34a1 1 0 0 0-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z",
+    edit: "M3 10h11v2H3v-2zm0-4h11v2H3V6zm0 8h7v2H3v-2zm17.71-1.37l-1.34-1.34a1 1 0 0 0-1.41 0L17 12.26 19.74 15l.97-.97a1 1 0 0 0 0-1.4zM12 18.26V21h2.74l5-5L17 13.26l-5 5z",
+    rules: "M10 18h4v-2h-4v2zM3 6v2h18V6H3zm3 7h12v-2H6v2z",
+    favorite: "M12 21.35l-1.45-1.32C5.4 15.36 2 12.28 2 8.5 2 5.42 4.42 3 7.5 3c1.74 0 3.41.81 4.5 2.09C13.09 3.81 14.76 3 16.5 3 19.58 3 22 5.42 22 8.5c0 3.78-3.4 6.86-8.55 11.54L12 21.35z",
+    tags: "M21.41 11.58l-9-9C12.05 2.22 11.55 2 11 2H4c-1.1 0-2 .9-2 2v7c0 .55.22 1.05.59 1.42l9 9c.36.36.86.58 1.41.58.55 0 1.05-.22 1.41-.59l7-7c.37-.36.59-.86.59-1.41 0-.55-.23-1.06-.59-1.42zM5.5 7C4.67 7 4 6.33 4 5.5S4.67 4 5.5 4 7 4.67 7 5.5 6.33 7 5.5 7z",
+    duplicate: "M16 1H4c-1.1 0-2 .9-2 2v14h2V3h12V1zm3 4H8c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h11c1.1 0 2-.9 2-2V7c0-1.1-.9-2-2-2zm0 16H8V7h11v14z"
+};
+
+
+/* ============================================================
+   Default Album Art Configuration
+============================================================ */
+
+const DEFAULT_ALBUM_ART_URL = "data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 200 200'%3E%3Crect width='200' height='200' fill='%23667eea'/%3E%3Ctext x='100' y='100' font-size='60' fill='white' text-anchor='middle' dominant-baseline='middle'%3E♪%3C/text%3E%3C/svg%3E";
+
+
+/* ============================================================
+   Royalty-Free Preloaded Songs
+   (Public domain / free music sample sources)
+============================================================ */
+
+const initialSongs = [
+    {
+        title: "SoundHelix Song 1",
+        artist: "SoundHelix",
+        url: "https://www.soundhelix.com/examples/mp3/SoundHelix-Song-1.mp3",
+        cover: "./assets/cover/cover.jpeg"
+    },
+    {
+        title: "SoundHelix Song 2",
+        artist: "SoundHelix",
+        url: "https://www.soundhelix.com/examples/mp3/SoundHelix-Song-2.mp3",
+        cover: "https://i.pinimg.com/originals/20/d8/4d/20d84d6d218c5963f36ac880fd329723.png"
+    },
+    {
+        title: "SoundHelix Song 3",
+        artist: "SoundHelix",
+        url: "https://www.soundhelix.com/examples/mp3/SoundHelix-Song-3.mp3",
+        cover: "https://i.pinimg.com/1200x/e6/0c/ea/e60cea3fd7eb0872f479ec65b47055eb.jpg"
+    },
+    {
+        title: "SoundHelix Song 4",
+        artist: "SoundHelix",
+        url: "https://www.soundhelix.com/examples/mp3/SoundHelix-Song-4.mp3",
+        cover: "https://i.pinimg.com/736x/a8/fc/fe/a8fcfed28db21e54c795737afbbbeff2.jpg"
+    },
+    {
+        title: "SoundHelix Song 5",
+        artist: "SoundHelix",
+        url: "https://www.soundhelix.com/examples/mp3/SoundHelix-Song-5.mp3",
+        cover: "https://i.pinimg.com/736x/89/d8/04/89d804b5aac2690755030c98ac03fb6e.jpg"
+    },
+    {
+        title: "Robots Vs. Music Song 6",
+        artist: "Nigel Stanford",
+        url: "./assets/mp3/AUTOMATICA - Robots Vs. Music - Nigel Stanford [bAdqazixuRY].mp3",
+        cover: "https://i.pinimg.com/originals/52/84/a5/5284a541f87e2e89b5dc9816f1741145.png"
+    }
+];
+
+
+/* ============================================================
+   Initialization
+============================================================ */
+
+async function initializePlaylist() {
+    let restored = false;
+
+    try {
+        const snapshot = await playlistStorage.load();
+        restored = snapshot ? library.restoreSnapshot(snapshot) : false;
+    } catch (error) {
+        console.error("Failed to restore saved library:", error);
+    }
+
+    if (!restored) {
+        library.createPlaylist("My Playlist");
+
+        // Use the new initializePlaylist method to load songs
+        // without adding them to the undo stack
+        activeController().initializePlaylist(initialSongs);
+    }
+
+    // Smart playlists were saved with the songs they had; the rules may pick others now
+    library.refreshSmartPlaylists();
+
+    renderPlaylist();
+    updateNowPlaying();
+    updatePlaybackModes();
+
+    // Only prune against a library that was actually restored: an unreadable
+    // snapshot may still refer to stored files
+    if (restored) {
+        pruneLocalFiles();
+    }
+}
+
+
+/* ============================================================
+   Persistence
+============================================================ */
+
+/**
+ * Schedule a save of the library state.
+ * Rapid consecutive changes are coalesced into a single write.
+ */
+function persistState() {
+    clearTimeout(persistTimer);
+    persistTimer = setTimeout(flushState, PERSIST_DELAY_MS);
+}
+
+/**
+ * Save the library state immediately, cancelling any pending save.
+ * Every change passes through here, so smart playlists are brought
+ * up to date first.
+ */
+function flushState() {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+
+    refreshSmartPlaylists();
+
+    playlistStorage.save(library.getSnapshot()).catch(error => {
+        console.error("Failed to save playlist:", error);
+    });
+}
+
+
+/* ============================================================
+   Rendering Functions
+============================================================ */
+
+function renderPlaylist() {
+    playlistUI.innerHTML = "";
+
+    const controller = activeController();
+    const currentSong = controller.getCurrentSong();
+    const readOnly = controller.isReadOnly();
+    let index = 0;
+
+    // Forget selections of songs that are no longer in the shown playlist
+    selectedSongIds.forEach(id => {
+        if (!controller.getSongById(id)) selectedSongIds.delete(id);
+    });
+
+    controller.getAllSongs(song => {
+        const li = document.createElement("li");
+        li.dataset.index = String(index++);
+        li.dataset.songId = song.id;
+        li.draggable = !readOnly;
+        li.tabIndex = 0;
+
+        // Selection checkbox for batch removal
+        const selectBox = document.createElement("input");
+        selectBox.type = "checkbox";
+        selectBox.className = "row-select";
+        selectBox.checked = selectedSongIds.has(song.id);
+        selectBox.setAttribute("aria-label", `Select ${song.title}`);
+        li.classList.toggle("selected", selectBox.checked);
+
+        // Create album art thumbnail container
+        const albumArtDiv = document.createElement("div");
+        albumArtDiv.className = "playlist-album-art";
+
+        const img = document.createElement("img");
+        img.alt = "cover";
+
+        // Always load album art with fallback to default image
+        loadAlbumArtImage(img, song.cover || "", albumArtDiv);
+
+        albumArtDiv.appendChild(img);
+
+        // Create playlist item info container
+        const infoDiv = document.createElement("div");
+        infoDiv.className = "playlist-item-info";
+
+        const titleDiv = document.createElement("div");
+        titleDiv.className = "playlist-item-title";
+        titleDiv.textContent = song.title;
+
+        const artistDiv = document.createElement("div");
+        artistDiv.className = "playlist-item-artist";
+        artistDiv.textContent = song.artist;
+
+        infoDiv.appendChild(titleDiv);
+        infoDiv.appendChild(artistDiv);
+
+        // Rating stars and tag chips
+        const detailsDiv = document.createElement("div");
+        detailsDiv.className = "playlist-item-details";
+        detailsDiv.appendChild(createRatingStars(song, readOnly));
+        const tagChips = createTagChips(song);
+        if (tagChips) detailsDiv.appendChild(tagChips);
+        infoDiv.appendChild(detailsDiv);
+
+        // Per-row actions
+        const actionsDiv = document.createElement("div");
+        actionsDiv.className = "playlist-item-actions";
+        const rowIndex = Number(li.dataset.index);
+        const upBtn = createRowAction("up", "Move up");
+        upBtn.disabled = rowIndex === 0;
+        const downBtn = createRowAction("down", "Move down");
+        downBtn.disabled = rowIndex === controller.getSize() - 1;
+
+        const favoriteBtn = createRowAction("favorite", song.favorite ? "Remove from favorites" : "Add to favorites");
+        favoriteBtn.classList.toggle("is-on", song.favorite === true);
+        favoriteBtn.setAttribute("aria-pressed", String(song.favorite === true));
+        favoriteBtn.disabled = readOnly;
+
+        actionsDiv.appendChild(favoriteBtn);
+        actionsDiv.appendChild(createRowAction("playNext", "Play next"));
+        actionsDiv.appendChild(createRowAction("queue", "Add to queue"));
+
+        // Smart playlists pick and order their own songs
+        if (!readOnly) {
+            actionsDiv.appendChild(createRowAction("edit", "Edit song"));
+            actionsDiv.appendChild(createRowAction("tags", "Edit tags"));
+            actionsDiv.appendChild(upBtn);
+            actionsDiv.appendChild(downBtn);
+            actionsDiv.appendChild(createRowAction("remove", "Remove from playlist"));
+            li.appendChild(selectBox);
+        }
+
+        li.appendChild(albumArtDiv);
+        li.appendChild(infoDiv);
+        li.appendChild(actionsDiv);
+
+        // Highlight currently playing song
+        if (currentSong && song.id === currentSong.id) {
+            li.classList.add("current");
+        }
+
+        // Songs that failed to play this session
+        if (playbackSupervisor.isBroken(song.id)) {
+            li.classList.add("broken");
+            li.title = "This song could not be played";
+        }
+
+        playlistUI.appendChild(li);
+    });
+
+    updateSelectionControls();
+    updateEditingControls();
+    updateFilterBar();
+
+    // Re-apply the search and filter bar to the fresh rows
+    applySearch();
+
+    // The Up Next panel lists playlist songs, so it re-renders alongside
+    renderQueue();
+
+    // Song counts in the sidebar follow playlist edits
+    renderLibrary();
+}
+
+
+/* ============================================================
+   Song Editor
+============================================================ */
+
+let songEditorId = null;   // Song open in the editor dialog
+
+/**
+ * Open the editor dialog for a song of the shown playlist
+ * @param {string} songId - Song ID
+ */
+function openSongEditor(songId) {
+    const song = activeController().getSongById(songId);
+    if (!song) return;
+
+    songEditorId = songId;
+    editTitleInput.value = song.title;
+    editArtistInput.value = song.artist;
+    editUrlInput.value = song.url;
+    editAlbumInput.value = song.album || "";
+    editCoverInput.value = song.cover || "";
+    editYearInput.value = song.year || "";
+    editTrackInput.value = song.trackNumber || "";
+    songEditError.hidden = true;
+
+    songDialog.showModal();
+    editTitleInput.focus();
+}
+
+/**
+ * Read the editor dialog as a patch for PlaylistController.updateSong()
+ * @returns {Object} { title, artist, url, album, cover, year, trackNumber }
+ */
+function readSongEditor() {
+    const number = input => (input.value.trim() === "" ? null : Number(input.value));
+
+    return {
+        title: editTitleInput.value,
+        artist: editArtistInput.value,
+        url: editUrlInput.value,
+        album: editAlbumInput.value,
+        cover: editCoverInput.value,
+        year: number(editYearInput),
+        trackNumber: number(editTrackInput)
+    };
+}
+
+/**
+ * Apply the editor dialog to its song as one undoable edit
+ * The song keeps its place; if it is playing, Now Playing follows the
+ * new details and the audio only reloads when the URL changed
+ * @returns {boolean} True if the dialog may close
+ */
+function saveSongEditor() {
+    const controller = activeController();
+    const song = controller.getSongById(songEditorId);
+    if (!song) return true;
+
+    const patch = readSongEditor();
+    const errors = PlaylistController.validateSongPatch(patch);
+    if (errors.length > 0) {
+        songEditError.textContent = errors[0];
+        songEditError.hidden = false;
+        return false;
+    }
+
+    const previousUrl = song.url;
+    if (!controller.updateSong(songEditorId, patch)) {
+        songEditError.textContent = "The song could not be saved.";
+        songEditError.hidden = false;
+        return false;
+    }
+
+    // A new address deserves a fresh chance to play
+    if (song.url !== previousUrl) {
+        playbackSupervisor.clearBroken(song.id);
+    }
+
+    renderPlaylist();
+    updateNowPlaying();
+    persistState();
+    return true;
+}
+
+
+/* ============================================================
+   Sorting
+============================================================ */
+
+/**
+ * Sort the shown playlist by a choice of the sort menu
+ * @param {string} value - Option value: comma-separated "field:order" keys
+ */
+function sortPlaylist(value) {
+    const keys = value.split(",").map(key => {
+        const [field, order] = key.split(":");
+        return { field: field, order: order };
+    });
+
+    if (!activeController().sortBy(keys)) {
+        showToast("The playlist is already in that order.", { key: "sort" });
+        return;
+    }
+
+    renderPlaylist();
+    persistState();
+}
+
+
+/* ============================================================
+   Ratings, Favorites & Tags
+============================================================ */
+
+// Filter bar state (UI state, not persisted)
+const playlistFilter = { favorites: false, minRating: 0, tag: "" };
+
+/**
+ * Create the star buttons of a playlist row
+ * @param {Object} song - Song object
+ * @param {boolean} readOnly - Show the rating without letting it change
+ * @returns {HTMLDivElement}
+ */
+function createRatingStars(song, readOnly) {
+    const rating = song.rating || 0;
+    const stars = document.createElement("div");
+    stars.className = "rating-stars";
+    stars.setAttribute("role", "group");
+    stars.setAttribute("aria-label", rating > 0 ? `Rated ${rating} of ${PlaylistController.MAX_RATING}` : "Not rated");
+
+    for (let value = 1; value <= PlaylistController.MAX_RATING; value++) {
+        const star = document.createElement("button");
+        star.type = "button";
+        star.className = "rating-star";
+        star.dataset.rating = String(value);
+        star.textContent = "★";
+        star.disabled = readOnly;
+        star.classList.toggle("is-on", value <= rating);
+        star.title = value === rating ? "Clear rating" : `Rate ${value} of ${PlaylistController.MAX_RATING}`;
+        star.setAttribute("aria-label", star.title);
+        stars.appendChild(star);
+    }
+
+    return stars;
+}
+
+/**
+ * Create the tag chips of a playlist row; clicking one filters by it
+ * @param {Object} song - Song object
+ * @returns {HTMLDivElement|null} Null if the song has no tags
+ */
+function createTagChips(song) {
+    if (!Array.isArray(song.tags) || song.tags.length === 0) return null;
+
+    const chips = document.createElement("div");
+    chips.className = "song-tags";
+
+    song.tags.forEach(tag => {
+        const chip = document.createElement("button");
+        chip.type = "button";
+        chip.className = "song-tag";
+        chip.dataset.tag = tag;
+        chip.textContent = tag;
+        chip.title = `Show songs tagged "${tag}"`;
+        chips.appendChild(chip);
+    });
+
+    return chips;
+}
+
+/**
+ * Rate a song of the shown playlist; picking its current rating clears it
+ * @param {string} songId - Song ID
+ * @param {number} rating - Stars picked
+ */
+function rateSong(songId, rating) {
+    const controller = activeController();
+    const song = controller.getSongById(songId);
+    if (!song) return;
+
+    controller.setRating(songId, song.rating === rating ? 0 : rating);
+    renderPlaylist();
+    persistState();
+}
+
+/**
+ * Ask for a song's tags, as a comma-separated list
+ * @param {string} songId - Song ID
+ */
+function editSongTags(songId) {
+    const controller = activeController();
+    const song = controller.getSongById(songId);
+    if (!song) return;
+
+    const input = window.prompt(`Tags for "${song.title}" (separated by commas)`, (song.tags || []).join(", "));
+    if (input === null) return;
+
+    controller.setTags(songId, input);
+    renderPlaylist();
+    persistState();
+}
+
+/**
+ * Check a song against the filter bar
+ * @param {Object} song - Song object
+ * @returns {boolean}
+ */
+function matchesPlaylistFilter(song) {
+    if (playlistFilter.favorites && song.favorite !== true) return false;
+    if ((song.rating || 0) < playlistFilter.minRating) return false;
+
+    if (playlistFilter.tag) {
+        const wanted = playlistFilter.tag.toLowerCase();
+        if (!(song.tags || []).some(tag => tag.toLowerCase() === wanted)) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Check whether the filter bar narrows the playlist at all
+ * @returns {boolean}
+ */
+function isPlaylistFiltered() {
+    return playlistFilter.favorites || playlistFilter.minRating > 0 || playlistFilter.tag !== "";
+}
+
+/**
+ * Fill the tag filter with the tags used in the shown playlist
+ * and reflect the filter state on the filter bar
+ */
+function updateFilterBar() {
+    const tags = new Map();   // Lower-cased tag -> first spelling seen
+    activeController().getAllSongs(song => {
+        (song.tags || []).forEach(tag => {
+            if (!tags.has(tag.toLowerCase())) tags.set(tag.toLowerCase(), tag);
+        });
+    });
+
+    // A tag chosen in another playlist stays listed so the choice is visible
+    if (playlistFilter.tag && !tags.has(playlistFilter.tag.toLowerCase())) {
+        tags.set(playlistFilter.tag.toLowerCase(), playlistFilter.tag);
+    }
+
+    filterTagSelect.innerHTML = "";
+    filterTagSelect.appendChild(new Option("All tags", ""));
+    Array.from(tags.values())
+        .sort((a, b) => a.localeCompare(b, undefined, { sensitivity: "base" }))
+        .forEach(tag => filterTagSelect.appendChild(new Option(tag, tag)));
+
+    filterTagSelect.value = playlistFilter.tag;
+    filterTagSelect.disabled = tags.size === 0;
+    filterRatingSelect.value = String(playlistFilter.minRating);
+    filterFavoritesBtn.setAttribute("aria-pressed", String(playlistFilter.favorites));
+    clearFiltersBtn.hidden = !isPlaylistFiltered();
+}
+
+/**
+ * Change the filter bar and re-filter the rows
+ * @param {Object} changes - Fields of playlistFilter to set
+ */
+function setPlaylistFilter(changes) {
+    Object.assign(playlistFilter, changes);
+    searchCursorId = null;
+    updateFilterBar();
+    applySearch();
+}
+
+
+/* ============================================================
+   Playlist Search
+============================================================ */
+
+/**
+ * Filter and highlight the rendered playlist rows for the search box query
+ * and the filter bar. Only rows are hidden; the playlist order itself is never changed.
+ */
+function applySearch() {
+    const query = searchInput.value;
+    const controller = activeController();
+    let visible = 0;
+
+    playlistUI.querySelectorAll("li").forEach(li => {
+        const song = controller.getSongById(li.dataset.songId);
+        const match = song && matchesPlaylistFilter(song) ? SongSearch.matchSong(query, song) : null;
+
+        li.hidden = !match;
+        if (!match) return;
+
+        visible++;
+        renderHighlighted(li.querySelector(".playlist-item-title"), song.title, match.ranges.title);
+        renderHighlighted(li.querySelector(".playlist-item-artist"), song.artist, match.ranges.artist);
+    });
+
+    searchEmptyMessage.hidden = visible > 0 || (query.trim() === "" && !isPlaylistFiltered());
+
+    // Keep the keyboard cursor on a visible row
+    const rows = getSearchResultRows();
+    if (!rows.some(li => li.dataset.songId === searchCursorId)) {
+        searchCursorId = null;
+    }
+    updateSearchCursor();
+}
+
+/**
+ * Replace an element's content with text whose matched ranges are wrapped in <mark>
+ * @param {HTMLElement} element - Element to fill
+ * @param {string} text - Field text
+ * @param {Array<Array<number>>} ranges - [start, end) ranges to highlight
+ */
+function renderHighlighted(element, text, ranges) {
+    element.textContent = "";
+
+    SongSearch.segments(text, ranges).forEach(segment => {
+        if (segment.match) {
+            const mark = document.createElement("mark");
+            mark.textContent = segment.text;
+            element.appendChild(mark);
+        } else {
+            element.appendChild(document.createTextNode(segment.text));
+        }
+    });
+}
+
+/**
+ * Playlist rows that are currently visible, in playlist order
+ * @returns {Array<HTMLElement>}
+ */
+function getSearchResultRows() {
+    return Array.from(playlistUI.querySelectorAll("li:not([hidden])"));
+}
+
+/**
+ * Mark the row under the keyboard cursor and keep it in view
+ */
+function updateSearchCursor() {
+    playlistUI.querySelectorAll(".search-cursor").forEach(li => li.classList.remove("search-cursor"));
+    if (searchCursorId === null) return;
+
+    const li = playlistUI.querySelector(`li[data-song-id="${CSS.escape(searchCursorId)}"]`);
+    if (li) {
+        li.classList.add("search-cursor");
+        li.scrollIntoView({ block: "nearest" });
+    }
+}
+
+/**
+ * Move the keyboard cursor through the visible results
+ * @param {number} step - +1 for the next result, -1 for the previous one
+ */
+function moveSearchCursor(step) {
+    const rows = getSearchResultRows();
+    if (rows.length === 0) return;
+
+    const index = rows.findIndex(li => li.dataset.songId === searchCursorId);
+    const nextIndex = index === -1
+        ? (step > 0 ? 0 : rows.length - 1)
+        : Math.max(0, Math.min(rows.length - 1, index + step));
+
+    searchCursorId = rows[nextIndex].dataset.songId;
+    updateSearchCursor();
+}
+
+
+/**
+ * Enable the batch buttons to match the selection and playlist size
+ */
+function updateSelectionControls() {
+    removeSelectedBtn.disabled = selectedSongIds.size === 0;
+    removeSelectedBtn.querySelector("span").textContent = selectedSongIds.size > 0
+        ? `Remove selected (${selectedSongIds.size})`
+        : "Remove selected";
+    clearPlaylistBtn.disabled = activeController().isEmpty();
+}
+
+/**
+ * Hide the editing controls while a read-only (smart) playlist is shown
+ */
+function updateEditingControls() {
+    const readOnly = activeController().isReadOnly();
+
+    smartPlaylistNote.hidden = !readOnly;
+    importBtn.hidden = readOnly;
+    sortSelect.hidden = readOnly;
+    removeSelectedBtn.hidden = readOnly;
+    clearPlaylistBtn.hidden = readOnly;
+    addSongSection.hidden = readOnly;
+    removeSongSection.hidden = readOnly;
+}
+
+
+function renderLibrary() {
+    libraryUI.innerHTML = "";
+
+    const playlists = library.listPlaylists();
+    const regularCount = playlists.filter(playlist => !playlist.isSmart).length;
+
+    playlists.forEach(playlist => {
+        const li = document.createElement("li");
+        li.dataset.playlistId = playlist.id;
+        li.tabIndex = 0;
+
+        if (playlist.isActive) {
+            li.classList.add("active");
+            li.setAttribute("aria-current", "true");
+            playlistHeading.textContent = playlist.name;
+        }
+        if (playlist.isPlaying) {
+            li.classList.add("playing");
+        }
+        if (playlist.isSmart) {
+            li.classList.add("smart");
+        }
+
+        const infoDiv = document.createElement("div");
+        infoDiv.className = "playlist-item-info";
+
+        const nameDiv = document.createElement("div");
+        nameDiv.className = "playlist-item-title";
+        nameDiv.textContent = playlist.name;
+
+        const countDiv = document.createElement("div");
+        countDiv.className = "playlist-item-artist";
+        countDiv.textContent = `${playlist.size} ${playlist.size === 1 ? "song" : "songs"}` +
+            (playlist.isSmart ? " · Smart" : "");
+
+        infoDiv.appendChild(nameDiv);
+        infoDiv.appendChild(countDiv);
+
+        const actionsDiv = document.createElement("div");
+        actionsDiv.className = "playlist-item-actions";
+        if (playlist.isSmart) {
+            actionsDiv.appendChild(createRowAction("rules", "Edit rules"));
+        }
+        actionsDiv.appendChild(createRowAction("rename", "Rename playlist"));
+        actionsDiv.appendChild(createRowAction("duplicate", "Duplicate playlist"));
+
+        // At least one regular playlist must remain to add songs to
+        const deleteBtn = createRowAction("remove", "Delete playlist");
+        deleteBtn.disabled = playlists.length === 1 || (!playlist.isSmart && regularCount === 1);
+        actionsDiv.appendChild(deleteBtn);
+
+        li.appendChild(infoDiv);
+        li.appendChild(actionsDiv);
+
+        libraryUI.appendChild(li);
+    });
+}
+
+
+function renderQueue() {
+    queueUI.innerHTML = "";
+
+    const queued = activeController().getQueue();
+    queueEmptyMessage.hidden = queued.length > 0;
+    clearQueueBtn.disabled = queued.length === 0;
+
+    queued.forEach((song, index) => {
+        const li = document.createElement("li");
+        li.dataset.index = String(index);
+
+        const infoDiv = document.createElement("div");
+        infoDiv.className = "playlist-item-info";
+
+        const titleDiv = document.createElement("div");
+        titleDiv.className = "playlist-item-title";
+        titleDiv.textContent = song.title;
+
+        const artistDiv = document.createElement("div");
+        artistDiv.className = "playlist-item-artist";
+        artistDiv.textContent = song.artist;
+
+        infoDiv.appendChild(titleDiv);
+        infoDiv.appendChild(artistDiv);
+
+        const actionsDiv = document.createElement("div");
+        actionsDiv.className = "playlist-item-actions";
+
+        const upBtn = createRowAction("up", "Move up");
+        upBtn.disabled = index === 0;
+        const downBtn = createRowAction("down", "Move down");
+        downBtn.disabled = index === queued.length - 1;
+
+        actionsDiv.appendChild(upBtn);
+        actionsDiv.appendChild(downBtn);
+        actionsDiv.appendChild(createRowAction("remove", "Remove from queue"));
+
+        li.appendChild(infoDiv);
+        li.appendChild(actionsDiv);
+
+        queueUI.appendChild(li);
+    });
+
+    // Every playlist and queue change re-renders the queue
+    preloadNextSong();
+}
+
+
+/**
+ * Create an icon button for a playlist or queue row
+ * @param {string} action - Key in ROW_ACTION_ICONS, stored as data-action
+ * @param {string} label - Accessible label and tooltip
+ * @returns {HTMLButtonElement} The button
+ */
+function createRowAction(action, label) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "row-action";
+    button.dataset.action = action;
+    button.title = label;
+    button.setAttribute("aria-label", label);
+
+    const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+    svg.setAttribute("viewBox", "0 0 24 24");
+    const path = document.createElementNS("http://www.w3.org/2000/svg", "path");
+    path.setAttribute("d", ROW_ACTION_ICONS[action]);
+    svg.appendChild(path);
+    button.appendChild(svg);
+
+    return button;
+}
+
+
+/* ============================================================
+   Playlist Import / Export
+============================================================ */
+
+/**
+ * Read a playlist file and add its songs to the end of the playlist
+ * @param {File} file - M3U, M3U8, PLS or XSPF file chosen by the user
+ */
+async function importPlaylistFile(file) {
+    if (activeController().isReadOnly()) return;
+
+    let songs;
+    try {
+        songs = PlaylistFormats.parse(await file.text(), file.name);
+    } catch (error) {
+        console.warn(`Failed to read playlist "${file.name}":`, error);
+        showToast(`"${file.name}" could not be read as a playlist.`, { type: "error" });
+        return;
+    }
+
+    if (songs.length === 0) {
+        showToast(`No songs found in "${file.name}".`, { type: "error" });
+        return;
+    }
+
+    // One undo step for the whole import
+    activeController().addSongs(songs, `Import "${file.name}"`);
+
+    renderPlaylist();
+    updateNowPlaying();
+    persistState();
+}
+
+/**
+ * Download the playlist, in traversal order, in the chosen format
+ * @param {string} format - Key of PlaylistFormats.FORMATS
+ */
+function exportPlaylist(format) {
+    const songs = [];
+    activeController().getAllSongs(song => songs.push(song));
+
+    const content = PlaylistFormats.generate(songs, format);
+    if (content === null) return;
+
+    downloadText(content, PlaylistFormats.FORMATS[format].mimeType, `playlist.${format}`);
+}
+
+/**
+ * Offer text as a file download
+ * @param {string} content - File content
+ * @param {string} mimeType - MIME type of the file
+ * @param {string} fileName - Suggested file name
+ */
+function downloadText(content, mimeType, fileName) {
+    const blob = new Blob([content], { type: mimeType });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the download a moment to start before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+
+/* ============================================================
+   Smart Playlists (refresh and rule editor)
+============================================================ */
+
+// Units the rule editor shows for values stored in other units
+const RULE_VALUE_UNITS = {
+    duration: { label: "min", scale: 60 },   // Stored in seconds
+    date: { label: "days", scale: 1 }
+};
+
+let smartDraft = null;        // Definition being edited in the dialog
+let smartEditingId = null;    // Smart playlist being edited, or null for a new one
+
+/**
+ * Re-run the rules of every smart playlist and redraw the ones that changed
+ */
+function refreshSmartPlaylists() {
+    const previousPlayingId = playingController().getCurrentId();
+    showSmartPlaylistChanges(library.refreshSmartPlaylists(), previousPlayingId);
+}
+
+/**
+ * Redraw after smart playlists received new songs
+ * @param {Array<string>} changedIds - IDs of the smart playlists that changed
+ * @param {string|null} previousPlayingId - Current song of the playing playlist before the change
+ */
+function showSmartPlaylistChanges(changedIds, previousPlayingId) {
+    if (changedIds.length === 0) return;
+
+    if (changedIds.includes(library.activeId)) {
+        renderPlaylist();
+    } else {
+        renderLibrary();
+    }
+
+    // The playing song is kept through a refresh, unless nothing was loaded yet
+    if (changedIds.includes(library.playingId)) {
+        if (playingController().getCurrentId() !== previousPlayingId) {
+            updateNowPlaying();
+        } else {
+            preloadNextSong();
+        }
+    }
+}
+
+/**
+ * Open the rule editor
+ * @param {string|null} playlistId - Smart playlist to edit, or null to create one
+ */
+function openSmartEditor(playlistId) {
+    smartEditingId = playlistId || null;
+    smartDraft = smartEditingId ? library.getSmartQuery(smartEditingId) : SmartPlaylist.createDefault();
+    smartNameInput.value = smartEditingId ? library.getPlaylist(smartEditingId).name : "";
+
+    setSmartOptions();
+    renderSmartEditor();
+    smartDialog.showModal();
+}
+
+/**
+ * Show the draft's order and limit in their controls
+ * An imported order the menu does not offer is added to it
+ */
+function setSmartOptions() {
+    const sortBy = smartDraft.sortBy;
+    const value = sortBy ? `${sortBy.field}:${sortBy.order || "asc"}` : "";
+
+    if (value && !Array.from(smartSortSelect.options).some(option => option.value === value)) {
+        const field = SmartPlaylist.FIELDS[sortBy.field];
+        smartSortSelect.add(new Option(`${field ? field.label : sortBy.field} (${sortBy.order || "asc"})`, value));
+    }
+
+    smartSortSelect.value = value;
+    smartLimitInput.value = smartDraft.limit || "";
+}
+
+/**
+ * Copy the order and limit controls into the draft
+ */
+function readSmartOptions() {
+    const [field, order] = smartSortSelect.value.split(":");
+    if (field) {
+        smartDraft.sortBy = { field: field, order: order };
+    } else {
+        delete smartDraft.sortBy;
+    }
+
+    if (smartLimitInput.value.trim() !== "") {
+        smartDraft.limit = Number(smartLimitInput.value);
+    } else {
+        delete smartDraft.limit;
+    }
+}
+
+/**
+ * Redraw every rule of the draft
+ */
+function renderSmartEditor() {
+    smartRulesContainer.innerHTML = "";
+    smartRulesContainer.appendChild(renderRuleGroup(smartDraft, null, 1));
+    updateSmartPreview();
+}
+
+/**
+ * Build a <select> for the rule editor
+ * @param {Array<Array<string>>} options - [value, label] pairs
+ * @param {string} value - Selected value
+ * @param {string} label - Accessible label
+ * @returns {HTMLSelectElement}
+ */
+function createRuleSelect(options, value, label) {
+    const select = document.createElement("select");
+    select.className = "select-small";
+    select.setAttribute("aria-label", label);
+    options.forEach(([optionValue, optionLabel]) => select.add(new Option(optionLabel, optionValue)));
+    select.value = value;
+    return select;
+}
+
+/**
+ * Build the editor for a rule group and, recursively, its rules
+ * @param {Object} group - Group of the draft { match, rules }
+ * @param {Object|null} parent - Group holding it, or null for the top group
+ * @param {number} depth - Nesting level, 1 for the top group
+ * @returns {HTMLElement}
+ */
+function renderRuleGroup(group, parent, depth) {
+    const container = document.createElement("div");
+    container.className = "rule-group";
+
+    const header = document.createElement("div");
+    header.className = "rule-group-header";
+
+    const matchSelect = createRuleSelect([["all", "all"], ["any", "any"]], group.match, "Match");
+    matchSelect.addEventListener("change", () => {
+        group.match = matchSelect.value;
+        updateSmartPreview();
+    });
+
+    header.append("Match ", matchSelect, " of these rules");
+
+    if (parent) {
+        const removeGroupBtn = createRowAction("remove", "Remove group");
+        removeGroupBtn.addEventListener("click", () => {
+            parent.rules.splice(parent.rules.indexOf(group), 1);
+            renderSmartEditor();
+        });
+        header.appendChild(removeGroupBtn);
+    }
+
+    const list = document.createElement("div");
+    list.className = "rule-list";
+    group.rules.forEach(rule => {
+        list.appendChild(rule.match !== undefined
+            ? renderRuleGroup(rule, group, depth + 1)
+            : renderRule(rule, group));
+    });
+
+    const footer = document.createElement("div");
+    footer.className = "rule-group-actions";
+
+    const addRuleBtn = document.createElement("button");
+    addRuleBtn.type = "button";
+    addRuleBtn.className = "btn btn-control btn-small";
+    addRuleBtn.textContent = "Add rule";
+    addRuleBtn.addEventListener("click", () => {
+        group.rules.push({ field: "artist", operator: "is", value: "" });
+        renderSmartEditor();
+    });
+    footer.appendChild(addRuleBtn);
+
+    if (depth < SmartPlaylist.MAX_DEPTH) {
+        const addGroupBtn = document.createElement("button");
+        addGroupBtn.type = "button";
+        addGroupBtn.className = "btn btn-control btn-small";
+        addGroupBtn.textContent = "Add group";
+        addGroupBtn.addEventListener("click", () => {
+            group.rules.push({
+                match: group.match === "all" ? "any" : "all",
+                rules: [{ field: "artist", operator: "is", value: "" }]
+            });
+            renderSmartEditor();
+        });
+        footer.appendChild(addGroupBtn);
+    }
+
+    container.append(header, list, footer);
+    return container;
+}
+
+/**
+ * Build the editor row for a single rule
+ * @param {Object} rule - Rule of the draft { field, operator, value }
+ * @param {Object} group - Group holding it
+ * @returns {HTMLElement}
+ */
+function renderRule(rule, group) {
+    const row = document.createElement("div");
+    row.className = "rule-row";
+
+    const type = SmartPlaylist.FIELDS[rule.field] ? SmartPlaylist.FIELDS[rule.field].type : "text";
+    const unit = RULE_VALUE_UNITS[type];
+
+    const fieldSelect = createRuleSelect(
+        Object.keys(SmartPlaylist.FIELDS).map(field => [field, SmartPlaylist.FIELDS[field].label]),
+        rule.field,
+        "Field"
+    );
+    fieldSelect.addEventListener("change", () => {
+        const newType = SmartPlaylist.FIELDS[fieldSelect.value].type;
+        rule.field = fieldSelect.value;
+
+        // Operators and values of another type do not carry over
+        if (newType !== type) {
+            rule.operator = SmartPlaylist.TYPE_OPERATORS[newType][0];
+            rule.value = newType === "text" || newType === "tags" ? "" : null;
+        }
+        renderSmartEditor();
+    });
+
+    const operatorSelect = createRuleSelect(
+        SmartPlaylist.TYPE_OPERATORS[type].map(operator => [operator, SmartPlaylist.OPERATOR_LABELS[operator]]),
+        rule.operator,
+        "Condition"
+    );
+    operatorSelect.addEventListener("change", () => {
+        rule.operator = operatorSelect.value;
+        updateSmartPreview();
+    });
+
+    const isText = type === "text" || type === "tags";
+    const valueInput = document.createElement("input");
+    valueInput.setAttribute("aria-label", "Value");
+    valueInput.hidden = type === "flag";   // Favorite rules take no value
+    if (isText) {
+        valueInput.type = "text";
+        valueInput.value = typeof rule.value === "string" ? rule.value : "";
+    } else {
+        valueInput.type = "number";
+        valueInput.step = "any";
+        valueInput.value = typeof rule.value === "number" ? String(rule.value / (unit ? unit.scale : 1)) : "";
+    }
+    valueInput.addEventListener("input", () => {
+        if (isText) {
+            rule.value = valueInput.value;
+        } else {
+            rule.value = valueInput.value.trim() === ""
+                ? null
+                : Number(valueInput.value) * (unit ? unit.scale : 1);
+        }
+        updateSmartPreview();
+    });
+
+    const removeRuleBtn = createRowAction("remove", "Remove rule");
+    removeRuleBtn.addEventListener("click", () => {
+        group.rules.splice(group.rules.indexOf(rule), 1);
+        renderSmartEditor();
+    });
+
+    row.append(fieldSelect, operatorSelect, valueInput);
+    if (unit) {
+        const unitLabel = document.createElement("span");
+        unitLabel.className = "rule-unit";
+        unitLabel.textContent = unit.label;
+        row.appendChild(unitLabel);
+    }
+    row.appendChild(removeRuleBtn);
+
+    return row;
+}
+
+/**
+ * Show how many songs the draft matches, or what is wrong with it
+ */
+function updateSmartPreview() {
+    readSmartOptions();
+
+    const errors = SmartPlaylist.validate(smartDraft);
+    smartSaveBtn.disabled = errors.length > 0;
+    smartPreview.classList.toggle("is-error", errors.length > 0);
+
+    if (errors.length > 0) {
+        smartPreview.textContent = errors[0] + ".";
+        return;
+    }
+
+    const count = SmartPlaylist.evaluate(smartDraft, library.getLibrarySongs()).length;
+    smartPreview.textContent = `Matches ${count} ${count === 1 ? "song" : "songs"} in your library.`;
+}
+
+/**
+ * Create or update the smart playlist from the editor
+ * @returns {boolean} True if saved
+ */
+function saveSmartPlaylist() {
+    readSmartOptions();
+
+    const previousPlayingId = playingController().getCurrentId();
+    const name = smartNameInput.value;
+
+    if (smartEditingId) {
+        if (!library.updateSmartPlaylist(smartEditingId, smartDraft)) return false;
+        if (name.trim()) library.renamePlaylist(smartEditingId, name);
+        showSmartPlaylistChanges([smartEditingId], previousPlayingId);
+    } else {
+        const id = library.createSmartPlaylist(name, smartDraft);
+        if (!id) return false;
+
+        library.switchTo(id);
+        selectedSongIds.clear();
+    }
+
+    renderPlaylist();
+    persistState();
+    return true;
+}
+
+/**
+ * Download the rules in the editor as JSON
+ */
+function exportSmartRules() {
+    readSmartOptions();
+
+    const definition = SmartPlaylist.normalize(smartDraft);
+    if (!definition) return;
+
+    const name = smartNameInput.value.trim() || "Smart Playlist";
+    const fileName = name.replace(/[\\/:*?"<>|]+/g, "_") + ".smart.json";
+    downloadText(SmartPlaylist.toJSON(name, definition), "application/json", fileName);
+}
+
+/**
+ * Load rules exported by exportSmartRules() into the editor
+ * @param {File} file - JSON file chosen by the user
+ */
+async function importSmartRules(file) {
+    const imported = SmartPlaylist.fromJSON(await file.text());
+
+    if (!imported) {
+        showToast(`"${file.name}" does not contain valid smart playlist rules.`, { type: "error" });
+        return;
+    }
+
+    smartDraft = imported.definition;
+    if (imported.name) smartNameInput.value = imported.name;
+
+    setSmartOptions();
+    renderSmartEditor();
+}
+
+
+/* ============================================================
+   Drag-and-Drop Reordering
+============================================================ */
+
+let dragFromIndex = null;
+
+/**
+ * Remove drop position markers from every playlist row
+ */
+function clearDropMarkers() {
+    playlistUI.querySelectorAll(".drop-before, .drop-after").forEach(li => {
+        li.classList.remove("drop-before", "drop-after");
+    });
+}
+
+/**
+ * Decide whether a drop over a row lands before or after it
+ * @param {HTMLElement} li - Row under the pointer
+ * @param {DragEvent} e - Drag event
+ * @returns {boolean} True if the pointer is over the lower half of the row
+ */
+function isDropAfter(li, e) {
+    const rect = li.getBoundingClientRect();
+    return e.clientY > rect.top + rect.height / 2;
+}
+
+function setupDragAndDrop() {
+    playlistUI.addEventListener("dragstart", (e) => {
+        const li = e.target.closest("li");
+        if (!li) return;
+
+        dragFromIndex = Number(li.dataset.index);
+        li.classList.add("dragging");
+        e.dataTransfer.effectAllowed = "move";
+        e.dataTransfer.setData("text/plain", li.dataset.index);
+    });
+
+    playlistUI.addEventListener("dragover", (e) => {
+        const li = e.target.closest("li");
+        if (!li || dragFromIndex === null) return;
+
+        e.preventDefault();
+        e.dataTransfer.dropEffect = "move";
+
+        clearDropMarkers();
+        li.classList.add(isDropAfter(li, e) ? "drop-after" : "drop-before");
+    });
+
+    playlistUI.addEventListener("drop", (e) => {
+        const li = e.target.closest("li");
+        if (!li || dragFromIndex === null) return;
+
+        e.preventDefault();
+
+        // Convert "before/after row N" into the index the song ends up at
+        let toIndex = Number(li.dataset.index) + (isDropAfter(li, e) ? 1 : 0);
+        if (dragFromIndex < toIndex) {
+            toIndex--;
+        }
+
+        activeController().moveSong(dragFromIndex, toIndex);
+
+        renderPlaylist();
+        persistState();
+    });
+
+    playlistUI.addEventListener("dragend", () => {
+        dragFromIndex = null;
+        clearDropMarkers();
+        playlistUI.querySelectorAll(".dragging").forEach(li => li.classList.remove("dragging"));
+    });
+}
+
+
+
+function updateNowPlaying() {
+    const currentSong = playingController().getCurrentSong();
+
+    if (!currentSong) {
+        currentTitle.textContent = "No song selected";
+        currentArtist.textContent = "";
+        audioEngine.load(null);
+        playbackSupervisor.watch(null);
+        listeningHistory.begin(null, Date.now());
+        applySongEqualizer(null);
+
+        if (albumArtImage) {
+            albumArtImage.style.display = "none";
+            albumArtImage.src = "";
+        }
+
+        if (albumArtContainer) {
+            albumArtContainer.classList.remove("has-image");
+        }
+
+        updateMediaSession(null);
+        return;
+    }
+
+    currentTitle.textContent = currentSong.title;
+    currentArtist.textContent = currentSong.artist;
+
+    // Load album art for now playing (always attempt, with fallback to default image)
+    if (albumArtImage) {
+        loadAlbumArtImage(albumArtImage, currentSong.cover || "", albumArtContainer);
+    }
+
+    audioEngine.load(currentSong);
+    playbackSupervisor.watch(currentSong);
+    listeningHistory.begin(currentSong, Date.now());
+    applySongEqualizer(currentSong);
+    updateMediaSession(currentSong);
+    updatePlaybackProgress();
+    preloadNextSong();
+}
+
+
+/**
+ * Jump to a song in the shown playlist and start playing it
+ * Playback moves to the shown playlist if another one was playing
+ * @param {string} songId - Song ID
+ */
+function playSongById(songId) {
+    if (!activeController().getSongById(songId)) return;
+
+    // Picking the song that is already playing just restarts it
+    if (songId !== listeningHistory.getCurrentSongId()) {
+        finishListening("skipped");
+    }
+
+    activeController().playById(songId);
+
+    if (library.playActive()) {
+        updatePlaybackModes();
+    }
+
+    renderPlaylist();
+    updateNowPlaying();
+    persistState();
+
+    playCurrentSong();
+}
+
+
+/* ============================================================
+   Playback & History Actions
+   Shared by the buttons, keyboard shortcuts and media keys
+============================================================ */
+
+/**
+ * Start or resume playback of the shown playlist
+ */
+function startPlayback() {
+    // Play always starts the playlist being viewed
+    if (library.playActive()) {
+        renderLibrary();
+        updateNowPlaying();
+        updatePlaybackModes();
+        persistState();
+    }
+
+    const currentSong = playingController().getCurrentSong();
+    if (!currentSong) return;
+
+    playCurrentSong();
+}
+
+/**
+ * Pause if playing, otherwise start playback
+ */
+function togglePlayback() {
+    if (audioEngine.paused) {
+        startPlayback();
+    } else {
+        audioEngine.pause();
+    }
+}
+
+function playNextSong() {
+    finishListening("skipped");
+    playingController().playNext();
+    renderPlaylist();
+    updateNowPlaying();
+    persistState();
+    audioEngine.play();
+}
+
+function playPreviousSong() {
+    finishListening("skipped");
+    playingController().playPrevious();
+    renderPlaylist();
+    updateNowPlaying();
+    persistState();
+    audioEngine.play();
+}
+
+function toggleShuffleMode() {
+    playingController().toggleShuffle();
+    updatePlaybackModes();
+    persistState();
+}
+
+function cycleRepeatMode() {
+    playingController().cycleRepeatMode();
+    updatePlaybackModes();
+    persistState();
+}
+
+/**
+ * Seek within the current song
+ * @param {number} offset - Seconds to move (negative seeks back)
+ */
+function seekBy(offset) {
+    if (!Number.isFinite(audioEngine.duration)) return;
+
+    audioEngine.currentTime = audioEngine.currentTime + offset;
+}
+
+/**
+ * Remove a song from the shown playlist (undoable)
+ * @param {string} songId - Song ID
+ */
+function removeSongById(songId) {
+    activeController().removeSongById(songId);
+
+    renderPlaylist();
+    updateNowPlaying();
+    persistState();
+}
+
+function undoLastAction() {
+    activeController().undo();
+
+    renderPlaylist();
+    updateNowPlaying();
+    persistState();
+}
+
+function redoLastAction() {
+    activeController().redo();
+
+    renderPlaylist();
+    updateNowPlaying();
+    persistState();
+}
+
+
+/**
+ * Reflect the playing playlist's shuffle and repeat state
+ * on their toggle buttons and in the Now Playing section
+ */
+function updatePlaybackModes() {
+    const controller = playingController();
+    const shuffleOn = controller.isShuffleEnabled();
+    const repeatMode = controller.getRepeatMode();
+
+    shuffleBtn.setAttribute("aria-pressed", String(shuffleOn));
+    shuffleIndicator.hidden = !shuffleOn;
+
+    repeatBtn.setAttribute("aria-pressed", String(repeatMode !== "off"));
+    repeatBtn.dataset.mode = repeatMode;
+    repeatBtn.title = REPEAT_LABELS[repeatMode];
+
+    repeatIndicator.hidden = repeatMode === "off";
+    repeatIndicator.textContent = REPEAT_LABELS[repeatMode];
+
+    // Shuffle and repeat change which song plays next
+    preloadNextSong();
+}
+
+
+/* ============================================================
+   Audio Engine
+============================================================ */
+
+/**
+ * Read saved volume and crossfade settings
+ * @returns {Object} { volume, crossfade }
+ */
+function loadAudioSettings() {
+    // Animations are opt-in for users who asked the system for less motion
+    const reducedMotion = window.matchMedia && window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+    const defaults = { volume: 1, crossfade: 0, normalization: "track", visualizer: reducedMotion ? "off" : "bars" };
+
+    try {
+        const saved = JSON.parse(localStorage.getItem(AUDIO_SETTINGS_KEY));
+        return Object.assign(defaults, saved);
+    } catch (error) {
+        console.warn("Failed to read audio settings:", error);
+        return defaults;
+    }
+}
+
+function saveAudioSettings() {
+    try {
+        localStorage.setItem(AUDIO_SETTINGS_KEY, JSON.stringify({
+            volume: audioEngine.volume,
+            crossfade: audioEngine.crossfade,
+            normalization: normalizationMode,
+            visualizer: visualizer ? visualizer.mode : "off"
+        }));
+    } catch (error) {
+        console.warn("Failed to save audio settings:", error);
+    }
+}
+
+/**
+ * Let the engine decode and schedule whatever the playing playlist plays next
+ * Called after anything that may change it: navigation, edits, queue and play modes
+ */
+function preloadNextSong() {
+    const controller = playingController();
+    audioEngine.preload(controller ? controller.peekNext() : null);
+}
+
+/**
+ * The engine moved on to the preloaded song on its own (gapless or crossfade)
+ * Advance the controller to match; loading the same song again is a no-op
+ */
+function handleEngineTransition() {
+    finishListening("ended");
+    playingController().playNext({ auto: true });
+
+    renderPlaylist();
+    updateNowPlaying();
+    persistState();
+}
+
+/**
+ * A song ended with nothing scheduled after it (next song not ready or not decodable)
+ */
+function handleEngineEnded() {
+    const controller = playingController();
+    finishListening("ended");
+
+    // End of playlist with repeat off: stop instead of replaying the last song
+    if (!controller.hasNext()) {
+        updatePlaybackProgress();
+        return;
+    }
+
+    // With repeat "one" the song is unchanged and play() restarts it
+    controller.playNext({ auto: true });
+    renderPlaylist();
+    updateNowPlaying();
+    persistState();
+
+    if (!controller.isEmpty()) {
+        audioEngine.play();
+    }
+}
+
+/**
+ * Normalization gain for a song in the playing playlist
+ * @param {Object} song - Song about to play
+ * @returns {number} Gain in dB
+ */
+function getTrackGain(song) {
+    const songs = [];
+    const controller = playingController();
+    if (controller) {
+        controller.getAllSongs(entry => songs.push(entry));
+    }
+
+    return LoudnessAnalyzer.gainFor(song, normalizationMode, songs);
+}
+
+/**
+ * Store fields on a song in every playlist that holds it (same ID and URL)
+ * Smart playlists copy their songs from the regular playlists, so an
+ * annotation made only on their copy would be lost at the next refresh
+ * @param {Object} song - Song to annotate ({ id, url } is enough)
+ * @param {Object|Function} fields - Fields to set (see PlaylistController.annotateSong),
+ *                                   or a function returning them for each stored copy
+ */
+function annotateLibrarySong(song, fields) {
+    library.listPlaylists().forEach(summary => {
+        const controller = library.getPlaylist(summary.id).controller;
+        const stored = controller.getSongById(song.id);
+
+        if (stored && stored.url === song.url) {
+            controller.annotateSong(song.id, typeof fields === "function" ? fields(stored) : fields);
+        }
+    });
+}
+
+/**
+ * Measure a song's loudness the first time the engine decodes it and
+ * store the result on the song in every playlist that holds it
+ * Songs the engine cannot decode (e.g. no CORS) are never analyzed and play at unity gain
+ * @param {Object} song - Decoded song
+ * @param {AudioBuffer} buffer - Its decoded audio
+ */
+function analyzeSongLoudness(song, buffer) {
+    if (song.loudness || loudnessJobs.has(song.id)) return;
+
+    loudnessJobs.add(song.id);
+
+    LoudnessAnalyzer.analyzeBuffer(buffer)
+        .then(loudness => {
+            annotateLibrarySong(song, { loudness: loudness });
+            audioEngine.refreshTrackGain();
+            persistState();
+        })
+        .catch(error => console.warn(`Failed to analyze loudness of "${song.title}":`, error))
+        .finally(() => loudnessJobs.delete(song.id));
+}
+
+/**
+ * Engine progress tick: move the seek bar and count listening time
+ */
+function handleEngineTimeUpdate() {
+    updatePlaybackProgress();
+    trackListening();
+}
+
+/**
+ * Format seconds as m:ss
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatTime(seconds) {
+    if (!Number.isFinite(seconds) || seconds < 0) return "0:00";
+
+    const whole = Math.floor(seconds);
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Reflect the playback position on the seek bar and time labels
+ */
+function updatePlaybackProgress() {
+    const duration = audioEngine.duration;
+    const known = Number.isFinite(duration) && duration > 0;
+
+    seekBar.disabled = !known;
+    seekBar.max = known ? String(duration) : "0";
+
+    // Do not fight the user while they drag the seek bar
+    if (!seekBar.matches(":active")) {
+        seekBar.value = known ? String(audioEngine.currentTime) : "0";
+    }
+
+    timeCurrent.textContent = formatTime(known ? audioEngine.currentTime : 0);
+    timeTotal.textContent = formatTime(known ? duration : 0);
+
+    updateMediaPositionState();
+}
+
+/**
+ * Read a color from the theme's CSS variables
+ * @param {string} name - Custom property, e.g. "--color-cyan"
+ * @returns {string} Color value
+ */
+function getThemeColor(name) {
+    return getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+}
+
+/**
+ * Reflect play/pause on the visualizer and the OS (lock screen and media keys)
+ * @param {boolean} paused
+ */
+function updatePlayPauseState(paused) {
+    // Resuming after a song ended starts a new listen of it
+    if (!paused) {
+        listeningHistory.begin(playingController().getCurrentSong(), Date.now());
+    }
+
+    if (visualizer) {
+        visualizer.setPlaying(!paused);
+    }
+
+    if ("mediaSession" in navigator && playingController().getCurrentSong()) {
+        navigator.mediaSession.playbackState = paused ? "paused" : "playing";
+    }
+}
+
+
+/* ============================================================
+   Toast Notifications
+============================================================ */
+
+const TOAST_DURATION_MS = 6000;
+const TOAST_LIMIT = 3;   // Oldest toasts are dropped beyond this
+
+/**
+ * Show a short, non-blocking message in the corner of the page
+ * @param {string} message - Text to show
+ * @param {Object} options
+ * @param {string} options.type - (Optional) "info" or "error". Default: "info"
+ * @param {string} options.key - (Optional) Replaces an existing toast with the same key
+ */
+function showToast(message, options = {}) {
+    const type = options.type || "info";
+
+    if (options.key) {
+        const existing = toastRegion.querySelector(`[data-key="${CSS.escape(options.key)}"]`);
+        if (existing) existing.remove();
+    }
+
+    const toast = document.createElement("div");
+    toast.className = `toast toast-${type}`;
+    toast.setAttribute("role", type === "error" ? "alert" : "status");
+    if (options.key) toast.dataset.key = options.key;
+
+    const text = document.createElement("span");
+    text.textContent = message;
+
+    const closeBtn = document.createElement("button");
+    closeBtn.type = "button";
+    closeBtn.className = "toast-close";
+    closeBtn.setAttribute("aria-label", "Dismiss");
+    closeBtn.textContent = "×";
+    closeBtn.addEventListener("click", () => toast.remove());
+
+    toast.appendChild(text);
+    toast.appendChild(closeBtn);
+    toastRegion.appendChild(toast);
+
+    while (toastRegion.children.length > TOAST_LIMIT) {
+        toastRegion.firstElementChild.remove();
+    }
+
+    setTimeout(() => toast.remove(), TOAST_DURATION_MS);
+}
+
+
+/* ============================================================
+   Playback Errors
+============================================================ */
+
+/**
+ * Tell the user a failed song will be retried
+ * @param {Object} song - Song that failed
+ * @param {number} attempt - Retry number
+ * @param {number} delay - Milliseconds until the retry
+ * @param {string} kind - Error kind
+ */
+function handleRetryScheduled(song, attempt, delay, kind) {
+    const seconds = Math.round(delay / 1000);
+    showToast(`"${song.title}" ${kind === "stall" ? "stalled" : "failed to load"}. ` +
+        `Retrying in ${seconds}s (attempt ${attempt} of ${playbackSupervisor.maxRetries})…`,
+    { key: "playback" });
+}
+
+/**
+ * Reload the failed song, if it is still the one playing
+ * @param {Object} song - Song to retry
+ */
+function handlePlaybackRetry(song) {
+    const currentSong = playingController().getCurrentSong();
+    if (!currentSong || currentSong.id !== song.id) return;
+
+    audioEngine.retry(true);
+}
+
+/**
+ * Mark a song that cannot be played and move on to the next playable one
+ * @param {Object} song - Song that failed
+ * @param {string} kind - Error kind from PlaybackSupervisor.classifyError()
+ */
+function handlePlaybackGiveUp(song, kind) {
+    const reason = PlaybackSupervisor.REASONS[kind] || PlaybackSupervisor.REASONS.unknown;
+    const controller = playingController();
+    const currentSong = controller.getCurrentSong();
+
+    // The user may have moved on while the song was failing
+    if (!currentSong || currentSong.id !== song.id) {
+        renderPlaylist();
+        return;
+    }
+
+    finishListening("failed");
+    const next = skipToPlayableSong(controller);
+
+    renderPlaylist();
+    updateNowPlaying();
+    persistState();
+
+    if (next) {
+        showToast(`Can't play "${song.title}": ${reason}. Skipping to "${next.title}".`,
+            { type: "error", key: "playback" });
+        audioEngine.play();
+    } else {
+        audioEngine.pause();
+        showToast(`Can't play "${song.title}": ${reason}. No other playable songs.`,
+            { type: "error", key: "playback" });
+    }
+}
+
+/**
+ * Advance past songs already marked broken
+ * @param {PlaylistController} controller - Playing playlist
+ * @returns {Object|null} Next playable song, or null if there is none
+ */
+function skipToPlayableSong(controller) {
+    const brokenId = controller.getCurrentId();
+
+    for (let i = 0; i < controller.getSize() && controller.hasNext(); i++) {
+        const next = controller.playNext();
+        if (!next || next.id === brokenId) break;   // Wrapped back to the broken song
+        if (!playbackSupervisor.isBroken(next.id)) return next;
+    }
+
+    return null;
+}
+
+/**
+ * Autoplay policy holds playback until the user interacts with the page
+ */
+function handlePlaybackBlocked() {
+    showToast("The browser blocked playback. Press play to start.", { key: "playback" });
+}
+
+/**
+ * Play the current song; a song marked broken gets another chance,
+ * since the user asked for it
+ */
+function playCurrentSong() {
+    const song = playingController().getCurrentSong();
+
+    if (song && playbackSupervisor.isBroken(song.id)) {
+        playbackSupervisor.clearBroken(song.id);
+        renderPlaylist();
+        audioEngine.retry(true);
+        return;
+    }
+
+    audioEngine.play();
+}
+
+
+/* ============================================================
+   Listening History
+============================================================ */
+
+const LISTENING_HISTORY_KEY = "sonic.history";   // localStorage key for the listen log and statistics
+const HISTORY_LIST_LIMIT = 25;   // Rows shown in each history view
+
+let historyView = "recent";   // "recent" | "top" | "stats"
+
+function loadListeningHistory() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(LISTENING_HISTORY_KEY));
+        if (saved) listeningHistory.restoreState(saved);
+    } catch (error) {
+        console.warn("Failed to read listening history:", error);
+    }
+}
+
+function saveListeningHistory() {
+    try {
+        localStorage.setItem(LISTENING_HISTORY_KEY, JSON.stringify(listeningHistory.getState()));
+    } catch (error) {
+        console.warn("Failed to save listening history:", error);
+    }
+}
+
+/**
+ * Report the playback position to the history while playing, and
+ * count a play on the song once enough of it has been heard
+ */
+function trackListening() {
+    if (audioEngine.paused) return;
+
+    const listen = listeningHistory.progress(audioEngine.currentTime, audioEngine.duration, Date.now());
+    if (!listen) return;
+
+    annotateLibrarySong({ id: listen.songId, url: listen.url }, stored => ({
+        playCount: (stored.playCount || 0) + 1,
+        lastPlayedAt: listen.playedAt
+    }));
+
+    saveListeningHistory();
+    renderHistory();
+    persistState();
+}
+
+/**
+ * End the listen of the playing song, counting a skip on it if the
+ * user moved on before it counted as a play
+ * @param {string} reason - "ended", "skipped" or "failed" (see ListeningHistory.end)
+ */
+function finishListening(reason) {
+    const listen = listeningHistory.end(reason, Date.now());
+    if (!listen) return;
+
+    if (listen.skipped) {
+        annotateLibrarySong(listen.song, stored => ({ skipCount: (stored.skipCount || 0) + 1 }));
+        persistState();
+    }
+
+    saveListeningHistory();
+    renderHistory();
+}
+
+/**
+ * Forget the listen log, the statistics and every song's counters
+ */
+function clearListeningHistory() {
+    listeningHistory.clear();
+
+    library.listPlaylists().forEach(summary => {
+        const controller = library.getPlaylist(summary.id).controller;
+        const ids = [];
+        controller.getAllSongs(song => ids.push(song.id));
+        ids.forEach(id => controller.annotateSong(id, { playCount: null, skipCount: null, lastPlayedAt: null }));
+    });
+
+    saveListeningHistory();
+    renderHistory();
+    persistState();
+}
+
+/**
+ * Format a listening time
+ * @param {number} seconds
+ * @returns {string} e.g. "45 s", "12 min", "3 h 5 min"
+ */
+function formatListeningTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 1) return `${Math.floor(seconds)} s`;
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+/**
+ * Describe how long ago something happened
+ * @param {number} time - Timestamp in ms
+ * @returns {string} e.g. "just now", "5 min ago", "3 h ago", or the date
+ */
+function formatTimeAgo(time) {
+    const minutes = Math.floor((Date.now() - time) / 60000);
+    if (minutes < 1) return "just now";
+    if (minutes < 60) return `${minutes} min ago`;
+    if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+    return new Date(time).toLocaleDateString();
+}
+
+/**
+ * Create a row for the history list
+ * @param {string} title - First line
+ * @param {string} subtitle - Second line
+ * @param {string} meta - Right-hand text
+ * @param {string|null} songId - Song the row plays when clicked, or null
+ * @returns {HTMLLIElement}
+ */
+function createHistoryRow(title, subtitle, meta, songId) {
+    const li = document.createElement("li");
+    if (songId) {
+        li.dataset.songId = songId;
+        li.tabIndex = 0;
+    }
+
+    const infoDiv = document.createElement("div");
+    infoDiv.className = "playlist-item-info";
+
+    const titleDiv = document.createElement("div");
+    titleDiv.className = "playlist-item-title";
+    titleDiv.textContent = title;
+
+    const subtitleDiv = document.createElement("div");
+    subtitleDiv.className = "playlist-item-artist";
+    subtitleDiv.textContent = subtitle;
+
+    infoDiv.appendChild(titleDiv);
+    infoDiv.appendChild(subtitleDiv);
+
+    const metaSpan = document.createElement("span");
+    metaSpan.className = "history-meta";
+    metaSpan.textContent = meta;
+
+    li.appendChild(infoDiv);
+    li.appendChild(metaSpan);
+    return li;
+}
+
+/**
+ * Show the chosen history view: recent listens, most played songs,
+ * or listening time per artist
+ */
+function renderHistory() {
+    historyUI.innerHTML = "";
+    historyViewButtons.forEach(button => {
+        button.setAttribute("aria-pressed", String(button.dataset.view === historyView));
+    });
+
+    if (historyView === "recent") {
+        listeningHistory.getRecent(HISTORY_LIST_LIMIT).forEach(entry => {
+            const when = formatTimeAgo(entry.playedAt);
+            historyUI.appendChild(createHistoryRow(entry.title, entry.artist,
+                entry.skipped ? `Skipped · ${when}` : when, entry.songId));
+        });
+    } else if (historyView === "top") {
+        ListeningHistory.mostPlayed(library.getLibrarySongs(), HISTORY_LIST_LIMIT).forEach(song => {
+            historyUI.appendChild(createHistoryRow(song.title, song.artist,
+                `${song.playCount} ${song.playCount === 1 ? "play" : "plays"}`, song.id));
+        });
+    } else {
+        const artists = listeningHistory.getArtistStats().slice(0, HISTORY_LIST_LIMIT);
+        const longest = artists.length > 0 ? artists[0].seconds : 0;
+
+        artists.forEach(artist => {
+            const li = createHistoryRow(artist.name, `${artist.plays} ${artist.plays === 1 ? "play" : "plays"}`,
+                formatListeningTime(artist.seconds), null);
+            li.classList.add("history-artist");
+            li.style.setProperty("--share", String(longest > 0 ? artist.seconds / longest : 0));
+            historyUI.appendChild(li);
+        });
+    }
+
+    const totals = listeningHistory.getTotals();
+    historySummary.hidden = historyView !== "stats" || listeningHistory.isEmpty();
+    historySummary.textContent = `${formatListeningTime(totals.seconds)} listened · ` +
+        `${totals.plays} ${totals.plays === 1 ? "play" : "plays"} · ` +
+        `${totals.skips} ${totals.skips === 1 ? "skip" : "skips"}` +
+        (totals.since ? ` since ${new Date(totals.since).toLocaleDateString()}` : "");
+
+    historyEmptyMessage.hidden = historyUI.children.length > 0;
+    clearHistoryBtn.disabled = listeningHistory.isEmpty() && library.getLibrarySongs().every(song => !song.playCount);
+}
+
+/**
+ * Play a song picked in the history, from the shown playlist if it holds
+ * the song, otherwise from the first playlist that does
+ * @param {string} songId - Song ID
+ */
+function playHistorySong(songId) {
+    const holders = library.listPlaylists()
+        .filter(summary => library.getPlaylist(summary.id).controller.getSongById(songId))
+        .map(summary => summary.id);
+
+    if (holders.length === 0) {
+        showToast("That song is no longer in your library.");
+        return;
+    }
+
+    if (!holders.includes(library.activeId)) {
+        library.switchTo(holders[0]);
+        selectedSongIds.clear();
+    }
+
+    playSongById(songId);
+}
+
+
+/* ============================================================
+   Equalizer
+============================================================ */
+
+/**
+ * Restore the global equalizer settings and user presets from localStorage
+ */
+function loadEqualizerSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(EQUALIZER_KEY));
+        if (saved && equalizer.restoreState(saved)) {
+            globalEqualizer = { settings: equalizer.getSettings(), presetName: equalizer.presetName };
+        }
+    } catch (error) {
+        console.warn("Failed to read equalizer settings:", error);
+    }
+}
+
+function saveEqualizerSettings() {
+    try {
+        localStorage.setItem(EQUALIZER_KEY, JSON.stringify({
+            settings: globalEqualizer.settings,
+            presetName: globalEqualizer.presetName,
+            userPresets: equalizer.getState().userPresets
+        }));
+    } catch (error) {
+        console.warn("Failed to save equalizer settings:", error);
+    }
+}
+
+/**
+ * Use the song's own EQ if it has one, otherwise the global settings
+ * @param {Object|null} song - Song that is now current in the playing playlist
+ */
+function applySongEqualizer(song) {
+    if (song && song.eq && equalizer.applySettings(song.eq, song.eq.presetName || null)) {
+        updateEqualizerPanel();
+        return;
+    }
+
+    equalizer.applySettings(globalEqualizer.settings, globalEqualizer.presetName);
+    updateEqualizerPanel();
+}
+
+/**
+ * Store an equalizer change where it belongs: on the playing song
+ * if it has its own EQ, otherwise in the global settings
+ */
+function commitEqualizerChange() {
+    const song = playingController().getCurrentSong();
+    const settings = equalizer.getSettings();
+
+    if (song && song.eq) {
+        annotateLibrarySong(song, {
+            eq: { preamp: settings.preamp, bands: settings.bands, presetName: equalizer.presetName }
+        });
+        persistState();
+    } else {
+        globalEqualizer = { settings: settings, presetName: equalizer.presetName };
+    }
+
+    saveEqualizerSettings();
+    updateEqualizerPanel();
+}
+
+/**
+ * Give the playing song its own copy of the current settings, or remove it
+ */
+function toggleSongEqualizer() {
+    const song = playingController().getCurrentSong();
+    if (!song) return;
+
+    if (song.eq) {
+        annotateLibrarySong(song, { eq: null });
+    } else {
+        const settings = equalizer.getSettings();
+        annotateLibrarySong(song, {
+            eq: { preamp: settings.preamp, bands: settings.bands, presetName: equalizer.presetName }
+        });
+    }
+
+    applySongEqualizer(song);
+    persistState();
+}
+
+/**
+ * Format a gain for a slider label
+ * @param {number} gain - dB
+ * @returns {string} e.g. "+3", "0", "-6"
+ */
+function formatGain(gain) {
+    const rounded = Math.round(gain);
+    return rounded > 0 ? `+${rounded}` : String(rounded);
+}
+
+/**
+ * Format a band frequency for its label
+ * @param {number} frequency - Hz
+ * @returns {string} e.g. "125", "2k"
+ */
+function formatFrequency(frequency) {
+    return frequency >= 1000 ? `${frequency / 1000}k` : String(frequency);
+}
+
+/**
+ * Build the preamp and band sliders (once, at startup)
+ */
+function setupEqualizerPanel() {
+    const labels = ["Pre"].concat(Equalizer.FREQUENCIES.map(formatFrequency));
+
+    labels.forEach((label, index) => {
+        const band = document.createElement("label");
+        band.className = index === 0 ? "eq-band eq-preamp" : "eq-band";
+
+        const value = document.createElement("span");
+        value.className = "eq-value";
+
+        const slider = document.createElement("input");
+        slider.type = "range";
+        slider.min = String(-Equalizer.MAX_GAIN);
+        slider.max = String(Equalizer.MAX_GAIN);
+        slider.step = "0.5";
+        slider.dataset.band = String(index - 1);   // -1 is the preamp
+        slider.setAttribute("aria-label", index === 0 ? "Preamp" : `${label} Hz`);
+
+        const name = document.createElement("span");
+        name.textContent = label;
+
+        band.appendChild(value);
+        band.appendChild(slider);
+        band.appendChild(name);
+        eqBandsContainer.appendChild(band);
+    });
+
+    renderEqualizerPresets();
+    updateEqualizerPanel();
+}
+
+/**
+ * Fill the preset picker with built-in and user presets
+ */
+function renderEqualizerPresets() {
+    eqPresetSelect.innerHTML = "";
+
+    const custom = document.createElement("option");
+    custom.value = "";
+    custom.textContent = "Custom";
+    eqPresetSelect.appendChild(custom);
+
+    const presets = equalizer.listPresets();
+    [["Built-in", presets.builtIn], ["My Presets", presets.user]].forEach(([label, names]) => {
+        if (names.length === 0) return;
+
+        const group = document.createElement("optgroup");
+        group.label = label;
+        names.forEach(name => {
+            const option = document.createElement("option");
+            option.value = name;
+            option.textContent = name;
+            group.appendChild(option);
+        });
+        eqPresetSelect.appendChild(group);
+    });
+}
+
+/**
+ * Reflect the equalizer settings and the playing song's EQ on the panel
+ */
+function updateEqualizerPanel() {
+    const settings = equalizer.getSettings();
+
+    eqBandsContainer.querySelectorAll(".eq-band").forEach(band => {
+        const slider = band.querySelector("input");
+        const index = Number(slider.dataset.band);
+        const gain = index === -1 ? settings.preamp : settings.bands[index];
+
+        slider.value = String(gain);
+        band.querySelector(".eq-value").textContent = formatGain(gain);
+    });
+
+    // A song may remember a user preset that has since been deleted
+    const presetName = equalizer.getPreset(equalizer.presetName) ? equalizer.presetName : "";
+    eqPresetSelect.value = presetName;
+    eqDeleteBtn.disabled = !equalizer.listPresets().user.includes(presetName);
+
+    const controller = playingController();
+    const song = controller ? controller.getCurrentSong() : null;
+    const songHasEq = Boolean(song && song.eq);
+
+    eqSongBtn.disabled = !song;
+    eqSongBtn.setAttribute("aria-pressed", String(songHasEq));
+    eqSongNote.hidden = !songHasEq;
+    eqSongNote.textContent = songHasEq ? `Changes apply only to "${song.title}".` : "";
+}
+
+
+/* ============================================================
+   Song Tags (auto-fill the Add Song form)
+============================================================ */
+
+const COVER_MAX_SIZE = 300;   // Embedded covers are downscaled to this many pixels
+
+// Details read from the chosen file or URL that have no form field
+let pendingTags = null;
+let tagReadToken = 0;   // Ignores results of reads that were superseded
+
+/**
+ * Downscale embedded cover art to a small JPEG data URL, so it can be
+ * stored with the song
+ * @param {Object} cover - { mime, data } from TagReader
+ * @returns {Promise<string|null>} Data URL, or null if the image cannot be decoded
+ */
+async function coverToDataUrl(cover) {
+    const blobUrl = URL.createObjectURL(new Blob([cover.data], { type: cover.mime }));
+
+    try {
+        const image = new Image();
+        image.src = blobUrl;
+        await image.decode();
+
+        const scale = Math.min(1, COVER_MAX_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+        const canvas = document.createElement("canvas");
+        canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+        canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+        canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        return canvas.toDataURL("image/jpeg", 0.85);
+    } catch (error) {
+        console.warn("Could not decode embedded cover art:", error);
+        return null;
+    } finally {
+        URL.revokeObjectURL(blobUrl);
+    }
+}
+
+/**
+ * Show a note under the Add Song form
+ * @param {string} message - Text to show, or "" to hide the note
+ */
+function setSongTagsStatus(message) {
+    songTagsStatus.textContent = message;
+    songTagsStatus.hidden = !message;
+}
+
+/**
+ * Describe the details found that have no form field
+ * @param {Object} tags - Tags from TagReader
+ * @returns {string} e.g. "Track 3 · 2019 · 3:45"
+ */
+function describeSongTags(tags) {
+    const parts = [];
+    if (tags.trackNumber) parts.push(`Track ${tags.trackNumber}`);
+    if (tags.year) parts.push(String(tags.year));
+    if (tags.duration) parts.push(formatTime(tags.duration));
+    if (tags.cover) parts.push("embedded cover art");
+    return parts.join(" · ");
+}
+
+/**
+ * Read tags from a source and fill the empty Add Song fields with them
+ * Fields the user already typed into are left alone
+ * @param {Promise<Object>} sourcePromise - TagReader source
+ * @param {string} note - (Optional) Extra note for the status line
+ */
+async function fillSongTags(sourcePromise, note = "") {
+    const token = ++tagReadToken;
+    pendingTags = null;
+    setSongTagsStatus("Reading tags…");
+
+    let tags;
+    try {
+        tags = await TagReader.read(await sourcePromise);
+    } catch (error) {
+        // Typically a server without CORS; the user can still type the details
+        if (token === tagReadToken) {
+            console.warn("Could not read song tags:", error);
+            setSongTagsStatus(note);
+        }
+        return;
+    }
+
+    const cover = tags.cover ? await coverToDataUrl(tags.cover) : null;
+    if (token !== tagReadToken) return;
+
+    const fill = (input, value) => {
+        if (value && !input.value.trim()) input.value = value;
+    };
+    fill(songTitleInput, tags.title);
+    fill(songArtistInput, tags.artist);
+    fill(songAlbumInput, tags.album);
+
+    pendingTags = {
+        trackNumber: tags.trackNumber,
+        year: tags.year,
+        duration: tags.duration,
+        cover: cover
+    };
+
+    const details = describeSongTags(Object.assign({}, tags, { cover: cover }));
+    const found = tags.format === "unknown" ? "No tags found." : details ? `Found: ${details}.` : "";
+    setSongTagsStatus([found, note].filter(Boolean).join(" "));
+}
+
+/**
+ * Use a local audio file for the song being added
+ * The file is stored right away; if the song is never added, the next
+ * startup prunes it
+ * @param {File} file - Chosen audio file
+ */
+async function handleSongFileChosen(file) {
+    songUrlInput.value = "";
+
+    try {
+        songUrlInput.value = await localFileStore.addFile(file);
+    } catch (error) {
+        console.error(`Could not store "${file.name}":`, error);
+        setSongTagsStatus("This browser could not store the file.");
+        return;
+    }
+
+    fillSongTags(Promise.resolve(TagReader.fromFile(file)));
+}
+
+/**
+ * Read tags from a typed audio URL
+ * @param {string} url - Audio URL
+ */
+function handleSongUrlChanged(url) {
+    if (!/^https?:/i.test(url)) return;
+
+    // A typed URL replaces a chosen file
+    songFileInput.value = "";
+
+    fillSongTags(TagReader.fromUrl(url));
+}
+
+/**
+ * Clear the read tags after the form is submitted
+ */
+function resetSongTags() {
+    pendingTags = null;
+    tagReadToken++;
+    setSongTagsStatus("");
+}
+
+
+/* ============================================================
+   Local Files (file picker, folders, drag-and-drop)
+============================================================ */
+
+/**
+ * Build a song for a stored file from its tags, or its file name if untagged
+ * @param {File} file - Audio file
+ * @param {string} url - Local URL of the stored copy
+ * @returns {Promise<Object>} Song object for addSong
+ */
+async function songFromLocalFile(file, url) {
+    let tags = {};
+    try {
+        tags = await TagReader.read(TagReader.fromFile(file));
+    } catch (error) {
+        console.warn(`Could not read tags of "${file.name}":`, error);
+    }
+
+    const song = {
+        title: tags.title || PlaylistFormats.titleFromUrl(file.name),
+        artist: tags.artist || PlaylistFormats.UNKNOWN_ARTIST,
+        url: url
+    };
+
+    ["album", "trackNumber", "year", "duration"].forEach(field => {
+        if (tags[field]) song[field] = tags[field];
+    });
+
+    if (tags.cover) {
+        const cover = await coverToDataUrl(tags.cover);
+        if (cover) song.cover = cover;
+    }
+
+    return song;
+}
+
+/**
+ * Store audio files and add them to the shown playlist as one undo step
+ * @param {Array<File>} files - Audio files, in the order to add them
+ */
+async function addLocalFiles(files) {
+    if (activeController().isReadOnly()) {
+        showToast("Smart playlists pick their own songs. Switch to a regular playlist to add files.");
+        return;
+    }
+
+    if (files.length === 0) {
+        setSongTagsStatus("No audio files found.");
+        return;
+    }
+
+    const songs = [];
+    for (const file of files) {
+        setSongTagsStatus(`Adding files… ${songs.length + 1} of ${files.length}`);
+
+        try {
+            const url = await localFileStore.addFile(file);
+            songs.push(await songFromLocalFile(file, url));
+        } catch (error) {
+            console.error(`Could not add "${file.name}":`, error);
+        }
+    }
+
+    const label = songs.length === 1 ? `Add "${songs[0].title}"` : `Add ${songs.length} files`;
+    const added = songs.length > 0 ? activeController().addSongs(songs, label) : 0;
+
+    renderPlaylist();
+    updateNowPlaying();
+    persistState();
+
+    const failed = files.length - added;
+    setSongTagsStatus(`Added ${added} ${added === 1 ? "file" : "files"}.` +
+        (failed > 0 ? ` ${failed} could not be stored.` : ""));
+}
+
+/**
+ * Delete stored files no playlist or undo history refers to
+ */
+function pruneLocalFiles() {
+    const inUse = LocalFileStore.collectLocalUrls(library.getSnapshot());
+
+    localFileStore.prune(inUse)
+        .catch(error => console.warn("Could not prune local files:", error));
+}
+
+/**
+ * Check whether a drag carries files from outside the page
+ * (rows dragged within the playlist carry text instead)
+ * @param {DragEvent} e
+ * @returns {boolean}
+ */
+function isFileDrag(e) {
+    return dragFromIndex === null && Boolean(e.dataTransfer) &&
+        Array.from(e.dataTransfer.types).includes("Files");
+}
+
+/**
+ * Accept audio files and folders dropped anywhere on the page
+ */
+function setupFileDrop() {
+    document.addEventListener("dragover", (e) => {
+        if (!isFileDrag(e)) return;
+
+        e.preventDefault();
+        e.dataTransfer.dropEffect = "copy";
+        document.body.classList.add("file-drop-active");
+    });
+
+    document.addEventListener("dragleave", (e) => {
+        // relatedTarget is null once the pointer leaves the window
+        if (e.relatedTarget === null) {
+            document.body.classList.remove("file-drop-active");
+        }
+    });
+
+    document.addEventListener("drop", (e) => {
+        if (!isFileDrag(e)) return;
+
+        e.preventDefault();
+        document.body.classList.remove("file-drop-active");
+
+        LocalFileStore.filesFromDataTransfer(e.dataTransfer)
+            .then(addLocalFiles)
+            .catch(error => console.error("Could not read dropped files:", error));
+    });
+}
+
+
+/* ============================================================
+   Album Art Loading & Validation
+============================================================ */
+
+/**
+ * Load and validate album art image from URL
+ * @param {HTMLImageElement} imgElement - The image element to update
+ * @param {string} imageUrl - The URL of the album art image
+ * @param {HTMLElement} container - Optional container element to update classes
+ */
+function loadAlbumArtImage(imgElement, imageUrl, container) {
+    if (!imgElement) return;
+
+    // If no URL provided, use default album art
+    const urlToLoad = (imageUrl && imageUrl.trim()) ? imageUrl : DEFAULT_ALBUM_ART_URL;
+
+    // Add loading state
+    imgElement.classList.add("loading");
+    imgElement.style.display = "block";
+
+    // Create a temporary image to validate the URL
+    const tempImg = new Image();
+
+    tempImg.onload = function () {
+        // Image loaded successfully
+        imgElement.src = urlToLoad;
+        imgElement.classList.remove("loading");
+        imgElement.classList.add("loaded");
+        imgElement.style.display = "block";
+        imgElement.alt = "Album Art";
+
+        if (container) {
+            container.classList.add("has-image");
+        }
+    };
+
+    tempImg.onerror = function () {
+        // Image failed to load - use default fallback only if the failed URL wasn't already the default
+        if (urlToLoad === DEFAULT_ALBUM_ART_URL) {
+            // Default image failed, just hide the image
+            imgElement.classList.remove("loading");
+            imgElement.classList.add("error");
+            imgElement.style.display = "none";
+            if (container) {
+                container.classList.remove("has-image");
+            }
+            console.warn(`Failed to load album art from URL: ${imageUrl}`);
+        } else {
+            // Custom URL failed, try the default
+            console.warn(`Failed to load album art from URL: ${imageUrl}, using default image.`);
+            loadAlbumArtImage(imgElement, DEFAULT_ALBUM_ART_URL, container);
+        }
+    };
+
+    // Attempt to load the image
+    tempImg.src = urlToLoad;
+}
+
+
+
+/* ============================================================
+   Keyboard Shortcuts
+============================================================ */
+
+/**
+ * Check whether a key press is meant for a text field rather than a shortcut
+ * @param {EventTarget} target - Event target
+ * @returns {boolean}
+ */
+function isTypingTarget(target) {
+    return target instanceof HTMLElement &&
+        (target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName));
+}
+
+/**
+ * Move keyboard focus to a visible playlist row
+ * @param {number} step - +1 for the row below, -1 for the row above
+ */
+function focusAdjacentRow(step) {
+    const rows = getSearchResultRows();
+    if (rows.length === 0) return;
+
+    const index = rows.indexOf(document.activeElement);
+    const nextIndex = index === -1
+        ? (step > 0 ? 0 : rows.length - 1)
+        : Math.max(0, Math.min(rows.length - 1, index + step));
+
+    rows[nextIndex].focus();
+}
+
+function setupKeyboardShortcuts() {
+    shortcutsBtn.addEventListener("click", () => {
+        shortcutsDialog.showModal();
+    });
+
+    document.addEventListener("keydown", (e) => {
+        if (e.defaultPrevented || shortcutsDialog.open || smartDialog.open || songDialog.open || isTypingTarget(e.target)) return;
+
+        const focusedRow = e.target instanceof HTMLElement && e.target.parentElement === playlistUI
+            ? e.target
+            : null;
+        const modifier = e.ctrlKey || e.metaKey;
+
+        // Undo / redo
+        if (modifier && !e.altKey && e.key.toLowerCase() === "z") {
+            e.preventDefault();
+            if (e.shiftKey) {
+                redoLastAction();
+            } else {
+                undoLastAction();
+            }
+            return;
+        }
+        if (modifier && !e.altKey && e.key.toLowerCase() === "y") {
+            e.preventDefault();
+            redoLastAction();
+            return;
+        }
+
+        // Everything below is unmodified (Shift only where noted)
+        if (modifier || e.altKey) return;
+
+        switch (e.key) {
+            case " ":
+                // Let focused buttons handle Space themselves
+                if (e.target instanceof HTMLButtonElement) return;
+                e.preventDefault();
+                togglePlayback();
+                break;
+            case "ArrowRight":
+                e.preventDefault();
+                if (e.shiftKey) {
+                    playNextSong();
+                } else {
+                    seekBy(SEEK_STEP_SECONDS);
+                }
+                break;
+            case "ArrowLeft":
+                e.preventDefault();
+                if (e.shiftKey) {
+                    playPreviousSong();
+                } else {
+                    seekBy(-SEEK_STEP_SECONDS);
+                }
+                break;
+            case "ArrowDown":
+            case "ArrowUp":
+                e.preventDefault();
+                focusAdjacentRow(e.key === "ArrowDown" ? 1 : -1);
+                break;
+            case "Enter":
+                if (!focusedRow) return;
+                e.preventDefault();
+                playSongById(focusedRow.dataset.songId);
+                focusRowAt(Number(focusedRow.dataset.index));
+                break;
+            case "Delete":
+            case "Backspace":
+                if (!focusedRow) return;
+                e.preventDefault();
+                removeSongById(focusedRow.dataset.songId);
+                focusRowAt(Number(focusedRow.dataset.index));
+                break;
+            case "s":
+            case "S":
+                toggleShuffleMode();
+                break;
+            case "r":
+            case "R":
+                cycleRepeatMode();
+                break;
+            case "/":
+                e.preventDefault();
+                searchInput.focus();
+                break;
+            case "?":
+                e.preventDefault();
+                shortcutsDialog.showModal();
+                break;
+        }
+    });
+}
+
+/**
+ * Focus the playlist row at an index after a re-render,
+ * or the last row if the list got shorter
+ * @param {number} index - Row index
+ */
+function focusRowAt(index) {
+    const rows = playlistUI.querySelectorAll("li");
+    if (rows.length === 0) return;
+
+    rows[Math.min(index, rows.length - 1)].focus();
+}
+
+
+/* ============================================================
+   Media Session (OS media keys, lock screen)
+============================================================ */
+
+/**
+ * Publish the playing song's metadata and cover art to the OS
+ * @param {Object|null} song - Playing song, or null when nothing is loaded
+ */
+function updateMediaSession(song) {
+    if (!("mediaSession" in navigator)) return;
+
+    if (!song) {
+        navigator.mediaSession.metadata = null;
+        navigator.mediaSession.playbackState = "none";
+        return;
+    }
+
+    // Artwork URLs must be absolute; fall back to the default cover
+    const cover = song.cover && song.cover.trim()
+        ? new URL(song.cover, document.baseURI).href
+        : DEFAULT_ALBUM_ART_URL;
+    const playing = library.getPlaylist(library.playingId);
+
+    navigator.mediaSession.metadata = new MediaMetadata({
+        title: song.title,
+        artist: song.artist,
+        album: song.album || (playing ? playing.name : ""),
+        artwork: [{ src: cover }]
+    });
+}
+
+/**
+ * Tell the OS how far into the song playback is (drives the lock-screen scrubber)
+ */
+function updateMediaPositionState() {
+    if (!("mediaSession" in navigator) || !navigator.mediaSession.setPositionState) return;
+    if (!Number.isFinite(audioEngine.duration)) return;
+
+    try {
+        navigator.mediaSession.setPositionState({
+            duration: audioEngine.duration,
+            playbackRate: 1,
+            position: Math.min(audioEngine.currentTime, audioEngine.duration)
+        });
+    } catch (error) {
+        console.warn("Failed to update media position state:", error);
+    }
+}
+
+function setupMediaSession() {
+    if (!("mediaSession" in navigator)) return;
+
+    const handlers = {
+        play: startPlayback,
+        pause: () => audioEngine.pause(),
+        stop: () => {
+            audioEngine.pause();
+            audioEngine.currentTime = 0;
+        },
+        previoustrack: playPreviousSong,
+        nexttrack: playNextSong,
+        seekbackward: details => seekBy(-(details.seekOffset || SEEK_STEP_SECONDS)),
+        seekforward: details => seekBy(details.seekOffset || SEEK_STEP_SECONDS),
+        seekto: details => {
+            audioEngine.currentTime = details.seekTime;
+        }
+    };
+
+    Object.entries(handlers).forEach(([action, handler]) => {
+        try {
+            navigator.mediaSession.setActionHandler(action, handler);
+        } catch (error) {
+            // Browsers reject actions they do not support
+            console.warn(`Media Session action "${action}" is not supported`);
+        }
+    });
+}
+
+
+function setupEventListeners() {
+
+    /* ---------- Play ---------- */
+    playBtn.addEventListener("click", startPlayback);
+
+    /* ---------- Pause ---------- */
+    pauseBtn.addEventListener("click", () => {
+        audioEngine.pause();
+    });
+
+    /* ---------- Next ---------- */
+    nextBtn.addEventListener("click", playNextSong);
+
+    /* ---------- Previous ---------- */
+    prevBtn.addEventListener("click", playPreviousSong);
+
+    /* ---------- Shuffle ---------- */
+    shuffleBtn.addEventListener("click", toggleShuffleMode);
+
+    /* ---------- Repeat ---------- */
+    repeatBtn.addEventListener("click", cycleRepeatMode);
+
+    /* ---------- Library ---------- */
+    newPlaylistBtn.addEventListener("click", () => {
+        library.switchTo(library.createPlaylist());
+        selectedSongIds.clear();
+
+        renderPlaylist();
+        persistState();
+    });
+
+    newSmartPlaylistBtn.addEventListener("click", () => openSmartEditor(null));
+
+    libraryUI.addEventListener("click", (e) => {
+        const li = e.target.closest("li");
+        if (!li) return;
+
+        const playlistId = li.dataset.playlistId;
+        const button = e.target.closest(".row-action");
+
+        if (!button) {
+            library.switchTo(playlistId);
+        } else if (button.dataset.action === "rules") {
+            openSmartEditor(playlistId);
+            return;
+        } else if (button.dataset.action === "rename") {
+            const current = library.getPlaylist(playlistId);
+            const name = window.prompt("Rename playlist", current.name);
+            if (name === null) return;
+            library.renamePlaylist(playlistId, name);
+        } else if (button.dataset.action === "duplicate") {
+            library.switchTo(library.duplicatePlaylist(playlistId));
+        } else if (button.dataset.action === "remove") {
+            const current = library.getPlaylist(playlistId);
+            if (!window.confirm(`Delete playlist "${current.name}"?`)) return;
+
+            const wasPlaying = library.playingId === playlistId;
+            library.deletePlaylist(playlistId);
+
+            // Playback moved to another playlist
+            if (wasPlaying) {
+                updateNowPlaying();
+                updatePlaybackModes();
+            }
+        }
+
+        // Selections belong to the playlist they were made in
+        selectedSongIds.clear();
+        renderPlaylist();
+        persistState();
+    });
+
+    libraryUI.addEventListener("keydown", (e) => {
+        if (e.key !== "Enter" || e.target.tagName !== "LI") return;
+
+        library.switchTo(e.target.dataset.playlistId);
+        selectedSongIds.clear();
+        renderPlaylist();
+        persistState();
+    });
+
+    /* ---------- Playlist Row Actions ---------- */
+    playlistUI.addEventListener("click", (e) => {
+        const li = e.target.closest("li");
+        if (!li || e.target.classList.contains("row-select")) return;
+
+        const songId = li.dataset.songId;
+        const index = Number(li.dataset.index);
+        const controller = activeController();
+        const button = e.target.closest(".row-action");
+
+        const star = e.target.closest(".rating-star");
+        if (star) {
+            rateSong(songId, Number(star.dataset.rating));
+            return;
+        }
+
+        const tagChip = e.target.closest(".song-tag");
+        if (tagChip) {
+            setPlaylistFilter({ tag: tagChip.dataset.tag });
+            return;
+        }
+
+        // Clicking the row itself plays that song
+        if (!button) {
+            playSongById(songId);
+            return;
+        }
+
+        switch (button.dataset.action) {
+            case "favorite":
+                controller.setFavorite(songId, controller.getSongById(songId).favorite !== true);
+                renderPlaylist();
+                break;
+            case "edit":
+                openSongEditor(songId);
+                return;
+            case "tags":
+                editSongTags(songId);
+                return;
+            case "playNext":
+                controller.enqueueNext(songId);
+                renderQueue();
+                break;
+            case "queue":
+                controller.enqueue(songId);
+                renderQueue();
+                break;
+            case "up":
+                controller.moveSong(index, index - 1);
+                renderPlaylist();
+                break;
+            case "down":
+                controller.moveSong(index, index + 1);
+                renderPlaylist();
+                break;
+            case "remove":
+                removeSongById(songId);
+                return;
+        }
+
+        persistState();
+    });
+
+    /* ---------- Search ---------- */
+    searchInput.addEventListener("input", () => {
+        searchCursorId = null;
+        applySearch();
+    });
+
+    searchInput.addEventListener("keydown", (e) => {
+        if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+            e.preventDefault();
+            moveSearchCursor(e.key === "ArrowDown" ? 1 : -1);
+        } else if (e.key === "Enter") {
+            e.preventDefault();
+
+            // Without an arrow-key choice, Enter takes the first result
+            const rows = getSearchResultRows();
+            const songId = searchCursorId || (rows[0] && rows[0].dataset.songId);
+            if (!songId) return;
+
+            const wasPlaying = library.isActivePlaying() && !audioEngine.paused;
+            activeController().moveCurrentToId(songId);
+
+            renderPlaylist();
+            updateNowPlaying();
+            persistState();
+
+            if (wasPlaying) {
+                audioEngine.play();
+            }
+        } else if (e.key === "Escape") {
+            searchInput.value = "";
+            searchCursorId = null;
+            applySearch();
+        }
+    });
+
+    /* ---------- Sorting ---------- */
+    sortSelect.addEventListener("change", () => {
+        const value = sortSelect.value;
+        sortSelect.value = "";   // The menu is an action, not a lasting setting
+        if (value) sortPlaylist(value);
+    });
+
+    /* ---------- Filter Bar ---------- */
+    filterFavoritesBtn.addEventListener("click", () => {
+        setPlaylistFilter({ favorites: !playlistFilter.favorites });
+    });
+
+    filterRatingSelect.addEventListener("change", () => {
+        setPlaylistFilter({ minRating: Number(filterRatingSelect.value) });
+    });
+
+    filterTagSelect.addEventListener("change", () => {
+        setPlaylistFilter({ tag: filterTagSelect.value });
+    });
+
+    clearFiltersBtn.addEventListener("click", () => {
+        setPlaylistFilter({ favorites: false, minRating: 0, tag: "" });
+    });
+
+    /* ---------- Row Selection ---------- */
+    playlistUI.addEventListener("change", (e) => {
+        if (!e.target.classList.contains("row-select")) return;
+
+        const li = e.target.closest("li");
+        if (e.target.checked) {
+            selectedSongIds.add(li.dataset.songId);
+        } else {
+            selectedSongIds.delete(li.dataset.songId);
+        }
+
+        li.classList.toggle("selected", e.target.checked);
+        updateSelectionControls();
+    });
+
+    /* ---------- Batch Removal ---------- */
+    removeSelectedBtn.addEventListener("click", () => {
+        if (selectedSongIds.size === 0) return;
+
+        activeController().removeSongs(Array.from(selectedSongIds), "Remove selected");
+        selectedSongIds.clear();
+
+        renderPlaylist();
+        updateNowPlaying();
+        persistState();
+    });
+
+    clearPlaylistBtn.addEventListener("click", () => {
+        activeController().clearPlaylist();
+        selectedSongIds.clear();
+
+        renderPlaylist();
+        updateNowPlaying();
+        persistState();
+    });
+
+    /* ---------- Song Editor ---------- */
+    songCancelBtn.addEventListener("click", () => songDialog.close());
+
+    songEditForm.addEventListener("submit", (e) => {
+        e.preventDefault();
+        if (saveSongEditor()) {
+            songDialog.close();
+        }
+    });
+
+    /* ---------- Smart Playlists ---------- */
+    editRulesBtn.addEventListener("click", () => openSmartEditor(library.activeId));
+
+    smartCancelBtn.addEventListener("click", () => smartDialog.close());
+
+    smartForm.addEventListener("submit", (e) => {
+        e.preventDefault();
+        if (saveSmartPlaylist()) {
+            smartDialog.close();
+        }
+    });
+
+    smartSortSelect.addEventListener("change", updateSmartPreview);
+    smartLimitInput.addEventListener("input", updateSmartPreview);
+
+    smartImportBtn.addEventListener("click", () => smartImportInput.click());
+
+    smartImportInput.addEventListener("change", () => {
+        const file = smartImportInput.files[0];
+        if (!file) return;
+
+        importSmartRules(file)
+            .catch(error => console.error(`Failed to import "${file.name}":`, error))
+            .finally(() => {
+                smartImportInput.value = "";
+            });
+    });
+
+    smartExportBtn.addEventListener("click", exportSmartRules);
+
+    /* ---------- Listening History ---------- */
+    historyViewButtons.forEach(button => {
+        button.addEventListener("click", () => {
+            historyView = button.dataset.view;
+            renderHistory();
+        });
+    });
+
+    historyUI.addEventListener("click", (e) => {
+        const li = e.target.closest("li[data-song-id]");
+        if (li) playHistorySong(li.dataset.songId);
+    });
+
+    historyUI.addEventListener("keydown", (e) => {
+        if (e.key !== "Enter" || !e.target.dataset.songId) return;
+        playHistorySong(e.target.dataset.songId);
+    });
+
+    clearHistoryBtn.addEventListener("click", () => {
+        if (!window.confirm("Forget your listening history and every song's play count?")) return;
+        clearListeningHistory();
+    });
+
+    /* ---------- Up Next Queue ---------- */
+    queueUI.addEventListener("click", (e) => {
+        const button = e.target.closest(".row-action");
+        if (!button) return;
+
+        const index = Number(button.closest("li").dataset.index);
+        const controller = activeController();
+
+        if (button.dataset.action === "up") {
+            controller.moveInQueue(index, index - 1);
+        } else if (button.dataset.action === "down") {
+            controller.moveInQueue(index, index + 1);
+        } else if (button.dataset.action === "remove") {
+            controller.removeFromQueue(index);
+        }
+
+        renderQueue();
+        persistState();
+    });
+
+    clearQueueBtn.addEventListener("click", () => {
+        activeController().clearQueue();
+        renderQueue();
+        persistState();
+    });
+
+    /* ---------- Import / Export ---------- */
+    importBtn.addEventListener("click", () => {
+        importFileInput.click();
+    });
+
+    importFileInput.addEventListener("change", () => {
+        const file = importFileInput.files[0];
+        if (!file) return;
+
+        importPlaylistFile(file)
+            .catch(error => console.error(`Failed to import "${file.name}":`, error))
+            .finally(() => {
+                importFileInput.value = "";
+            });
+    });
+
+    exportBtn.addEventListener("click", () => {
+        exportPlaylist(exportFormatSelect.value);
+    });
+
+    /* ---------- Add Song ---------- */
+    addSongForm.addEventListener("submit", (e) => {
+        e.preventDefault();
+
+        const title = songTitleInput.value.trim();
+        const artist = songArtistInput.value.trim();
+        const url = songUrlInput.value.trim();
+        const album = songAlbumInput.value.trim();
+        const cover = songCoverInput.value.trim() || (pendingTags && pendingTags.cover);
+
+        if (!title || !artist || !url) return;
+
+        // Create song object with the optional fields that are known
+        const songData = { title, artist, url };
+        if (album) songData.album = album;
+        if (cover) songData.cover = cover;
+        if (pendingTags) {
+            ["trackNumber", "year", "duration"].forEach(field => {
+                if (pendingTags[field]) songData[field] = pendingTags[field];
+            });
+        }
+
+        activeController().addSong(songData);
+
+        renderPlaylist();
+        updateNowPlaying();
+        persistState();
+
+        resetSongTags();
+        addSongForm.reset();
+    });
+
+    songFileInput.addEventListener("change", () => {
+        const file = songFileInput.files[0];
+        if (file) handleSongFileChosen(file);
+    });
+
+    songUrlInput.addEventListener("change", () => {
+        handleSongUrlChanged(songUrlInput.value.trim());
+    });
+
+    /* ---------- Local Files & Folders ---------- */
+    addFilesBtn.addEventListener("click", () => addFilesInput.click());
+    addFolderBtn.addEventListener("click", () => addFolderInput.click());
+
+    [addFilesInput, addFolderInput].forEach(input => {
+        input.addEventListener("change", () => {
+            addLocalFiles(LocalFileStore.filesFromInput(input.files))
+                .finally(() => {
+                    input.value = "";
+                });
+        });
+    });
+
+    /* ---------- Remove Song ---------- */
+    removeBtn.addEventListener("click", () => {
+        const title = document.getElementById("remove-title").value.trim();
+        if (!title) return;
+
+        activeController().removeSong(title);
+
+        renderPlaylist();
+        updateNowPlaying();
+        persistState();
+
+        document.getElementById("remove-title").value = "";
+    });
+
+    /* ---------- Undo ---------- */
+    undoBtn.addEventListener("click", undoLastAction);
+
+    /* ---------- Redo ---------- */
+    redoBtn.addEventListener("click", redoLastAction);
+
+    /* ---------- Seek, Volume & Crossfade ---------- */
+    seekBar.addEventListener("input", () => {
+        timeCurrent.textContent = formatTime(Number(seekBar.value));
+    });
+
+    seekBar.addEventListener("change", () => {
+        audioEngine.currentTime = Number(seekBar.value);
+    });
+
+    volumeSlider.addEventListener("input", () => {
+        audioEngine.volume = Number(volumeSlider.value);
+        saveAudioSettings();
+    });
+
+    crossfadeSelect.addEventListener("change", () => {
+        audioEngine.setCrossfade(Number(crossfadeSelect.value));
+        saveAudioSettings();
+    });
+
+    visualizerSelect.addEventListener("change", () => {
+        if (visualizer && visualizer.setMode(visualizerSelect.value)) {
+            saveAudioSettings();
+        }
+    });
+
+    normalizeSelect.addEventListener("change", () => {
+        normalizationMode = normalizeSelect.value;
+        audioEngine.refreshTrackGain();
+        saveAudioSettings();
+    });
+
+    /* ---------- Equalizer ---------- */
+    eqBandsContainer.addEventListener("input", (e) => {
+        const index = Number(e.target.dataset.band);
+        const gain = Number(e.target.value);
+
+        if (index === -1) {
+            equalizer.setPreamp(gain);
+        } else {
+            equalizer.setBand(index, gain);
+        }
+
+        commitEqualizerChange();
+    });
+
+    eqPresetSelect.addEventListener("change", () => {
+        if (eqPresetSelect.value && equalizer.applyPreset(eqPresetSelect.value)) {
+            commitEqualizerChange();
+        } else {
+            updateEqualizerPanel();
+        }
+    });
+
+    eqSaveBtn.addEventListener("click", () => {
+        const name = window.prompt("Save equalizer preset as:", equalizer.presetName || "");
+        if (name === null) return;
+
+        if (!equalizer.savePreset(name)) {
+            window.alert("Choose a name that is not empty and not a built-in preset.");
+            return;
+        }
+
+        renderEqualizerPresets();
+        commitEqualizerChange();
+    });
+
+    eqDeleteBtn.addEventListener("click", () => {
+        const name = equalizer.presetName;
+        if (!name || !window.confirm(`Delete the equalizer preset "${name}"?`)) return;
+
+        equalizer.deletePreset(name);
+        renderEqualizerPresets();
+        commitEqualizerChange();
+    });
+
+    eqSongBtn.addEventListener("click", toggleSongEqualizer);
+
+    /* ---------- Save Before Leaving ---------- */
+    window.addEventListener("pagehide", () => {
+        saveListeningHistory();
+        if (persistTimer !== null) {
+            flushState();
+        }
+    });
+}
+
+
+/* ============================================================
+   Start Application
+============================================================ */
+
+loadEqualizerSettings();
+setupEqualizerPanel();
+loadListeningHistory();
+
+initializePlaylist().then(() => {
+    renderHistory();
+    setupEventListeners();
+    setupDragAndDrop();
+    setupFileDrop();
+    setupKeyboardShortcuts();
+    setupMediaSession();
+});
@@ -0,0 +1,501 @@
+/*
+    ============================================================
+    LibraryController.js
+    Project: Smart Music Playlist Manager
+    ============================================================
+
+    DESCRIPTION:
+    Manages a library of named playlists. Each playlist owns its
+    own PlaylistController, so songs, current pointer, undo/redo
+    history, queue, shuffle and repeat are all kept per playlist.
+
+    Features:
+        - Create, rename, duplicate, delete and switch playlists
+        - Separate "active" (shown in the UI) and "playing" (driving
+          the audio) playlists, so browsing another playlist never
+          interrupts the track that is playing
+        - Snapshot/restore of the whole library for persistence
+        - Smart playlists: read-only playlists whose songs are picked
+          by rules from the regular playlists, refreshed on demand
+
+    SMART PLAYLISTS:
+        A smart entry carries a query (SmartPlaylist definition) and a
+        read-only controller. refreshSmartPlaylists() re-runs every
+        query over the songs of the regular playlists (one copy per
+        song ID) and swaps the results in. Songs keep their IDs, so a
+        song can be found again in the playlist it came from.
+
+    Dependencies:
+        - PlaylistController.js (through the factory passed in)
+        - SmartPlaylist.js (passed in)
+*/
+
+
+class LibraryController {
+
+    /**
+     * @param {Function} createController - Factory returning a new, empty PlaylistController
+     * @param {Function} SmartPlaylistClass - (Optional) SmartPlaylist, needed for smart playlists
+     */
+    constructor(createController, SmartPlaylistClass) {
+        this.createController = createController;
+        this.SmartPlaylist = SmartPlaylistClass || null;
+        this.playlists = [];      // { id, name, controller, [query] } in sidebar order
+        this.activeId = null;     // Playlist shown and edited in the UI
+        this.playingId = null;    // Playlist the audio is playing from
+    }
+
+    /**
+     * Generate a new unique playlist ID.
+     * @returns {string} Random UUID when available, otherwise a time/random based ID
+     */
+    static generateId() {
+        if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") {
+            return crypto.randomUUID();
+        }
+        return "playlist-" + Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 10);
+    }
+
+    /* ============================================================
+       Lookup
+    ============================================================ */
+
+    /**
+     * Find a playlist entry by ID
+     * @param {string} id - Playlist ID
+     * @returns {Object|null} Entry { id, name, controller, [query] }, or null if not found
+     */
+    getPlaylist(id) {
+        return this.playlists.find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * Controller of the playlist shown in the UI
+     * @returns {PlaylistController|null}
+     */
+    getActiveController() {
+        const entry = this.getPlaylist(this.activeId);
+        return entry ? entry.controller : null;
+    }
+
+    /**
+     * Controller of the playlist the audio is playing from
+     * @returns {PlaylistController|null}
+     */
+    getPlayingController() {
+        const entry = this.getPlaylist(this.playingId);
+        return entry ? entry.controller : null;
+    }
+
+    /**
+     * Check whether the playlist shown in the UI is also the one playing
+     * @returns {boolean}
+     */
+    isActivePlaying() {
+        return this.activeId !== null && this.activeId === this.playingId;
+    }
+
+    /**
+     * Check whether a playlist is a smart playlist
+     * @param {string} id - Playlist ID
+     * @returns {boolean}
+     */
+    isSmartPlaylist(id) {
+        const entry = this.getPlaylist(id);
+        return Boolean(entry && entry.query);
+    }
+
+    /**
+     * Summaries for rendering the library sidebar
+     * @returns {Array<Object>} [{ id, name, size, isActive, isPlaying, isSmart }]
+     */
+    listPlaylists() {
+        return this.playlists.map(entry => ({
+            id: entry.id,
+            name: entry.name,
+            size: entry.controller.getSize(),
+            isActive: entry.id === this.activeId,
+            isPlaying: entry.id === this.playingId,
+            isSmart: Boolean(entry.query)
+        }));
+    }
+
+    /**
+     * Songs of every regular playlist, one per song ID, in sidebar order.
+     * These are the songs smart playlists choose from
+     * @returns {Array<Object>} Song objects (live, not copies)
+     */
+    getLibrarySongs() {
+        const seen = new Set();
+        const songs = [];
+
+        this.playlists.forEach(entry => {
+            if (entry.query) return;
+
+            entry.controller.getAllSongs(song => {
+                if (seen.has(song.id)) return;
+                seen.add(song.id);
+                songs.push(song);
+            });
+        });
+
+        return songs;
+    }
+
+    /**
+     * Number of playlists in the library
+     * @returns {number}
+     */
+    getSize() {
+        return this.playlists.length;
+    }
+
+    /* ============================================================
+       Playlist Management
+    ============================================================ */
+
+    /**
+     * Create an empty playlist at the end of the library
+     * The first playlist created becomes both active and playing
+     * @param {string} name - Display name (defaults to "Playlist N")
+     * @returns {string} ID of the new playlist
+     */
+    createPlaylist(name) {
+        const entry = {
+            id: LibraryController.generateId(),
+            name: this.normalizeName(name) || `Playlist ${this.playlists.length + 1}`,
+            controller: this.createController()
+        };
+
+        this.playlists.push(entry);
+
+        if (this.activeId === null) this.activeId = entry.id;
+        if (this.playingId === null) this.playingId = entry.id;
+
+        return entry.id;
+    }
+
+    /**
+     * Rename a playlist
+     * @param {string} id - Playlist ID
+     * @param {string} name - New display name
+     * @returns {boolean} True if renamed, false if the playlist or name is invalid
+     */
+    renamePlaylist(id, name) {
+        const entry = this.getPlaylist(id);
+        const normalized = this.normalizeName(name);
+
+        if (!entry || !normalized) {
+            console.warn("Cannot rename playlist", id, name);
+            return false;
+        }
+
+        entry.name = normalized;
+        return true;
+    }
+
+    /**
+     * Copy a playlist's songs, current pointer and play modes into a new
+     * playlist placed right after it. The copy starts with empty history and queue,
+     * and its songs get new IDs so edits to one playlist never reach the other.
+     * A smart playlist's copy is a smart playlist with the same rules
+     * @param {string} id - Playlist ID to copy
+     * @param {string} name - Name for the copy (defaults to "<name> (copy)")
+     * @returns {string|null} ID of the new playlist, or null if not found
+     */
+    duplicatePlaylist(id, name) {
+        const source = this.getPlaylist(id);
+        if (!source) {
+            console.warn(`Playlist not found: ${id}`);
+            return null;
+        }
+
+        const snapshot = source.controller.getSnapshot();
+        snapshot.undoStack = [];
+        snapshot.redoStack = [];
+        snapshot.queue = [];
+        snapshot.queueAnchorId = null;
+
+        const controller = this.createController();
+        controller.restoreSnapshot(snapshot);
+        controller.renewSongIds();
+        controller.setReadOnly(Boolean(source.query));
+
+        const entry = {
+            id: LibraryController.generateId(),
+            name: this.normalizeName(name) || `${source.name} (copy)`,
+            controller: controller
+        };
+        if (source.query) {
+            entry.query = JSON.parse(JSON.stringify(source.query));
+        }
+
+        this.playlists.splice(this.playlists.indexOf(source) + 1, 0, entry);
+        return entry.id;
+    }
+
+    /**
+     * Create a smart playlist at the end of the library and fill it
+     * @param {string} name - Display name (defaults to "Smart Playlist N")
+     * @param {Object} query - SmartPlaylist definition
+     * @returns {string|null} ID of the new playlist, or null if the rules are invalid
+     */
+    createSmartPlaylist(name, query) {
+        const normalized = this.normalizeQuery(query);
+        if (!normalized) return null;
+
+        const controller = this.createController();
+        controller.setReadOnly(true);
+
+        const entry = {
+            id: LibraryController.generateId(),
+            name: this.normalizeName(name) || `Smart Playlist ${this.playlists.length + 1}`,
+            controller: controller,
+            query: normalized
+        };
+
+        this.playlists.push(entry);
+
+        if (this.activeId === null) this.activeId = entry.id;
+        if (this.playingId === null) this.playingId = entry.id;
+
+        this.refreshSmartPlaylist(entry, this.getLibrarySongs(), Date.now());
+        return entry.id;
+    }
+
+    /**
+     * Replace the rules of a smart playlist and refresh its songs
+     * @param {string} id - Playlist ID
+     * @param {Object} query - SmartPlaylist definition
+     * @returns {boolean} True if updated, false if not a smart playlist or the rules are invalid
+     */
+    updateSmartPlaylist(id, query) {
+        const entry = this.getPlaylist(id);
+        if (!entry || !entry.query) {
+            console.warn(`Not a smart playlist: ${id}`);
+            return false;
+        }
+
+        const normalized = this.normalizeQuery(query);
+        if (!normalized) return false;
+
+        entry.query = normalized;
+        this.refreshSmartPlaylist(entry, this.getLibrarySongs(), Date.now());
+        return true;
+    }
+
+    /**
+     * Copy of a smart playlist's rules
+     * @param {string} id - Playlist ID
+     * @returns {Object|null} SmartPlaylist definition, or null if not a smart playlist
+     */
+    getSmartQuery(id) {
+        const entry = this.getPlaylist(id);
+        return entry && entry.query ? JSON.parse(JSON.stringify(entry.query)) : null;
+    }
+
+    /**
+     * Re-run the rules of every smart playlist against the current library
+     * Call after anything that may change which songs match
+     * @param {number} now - (Optional) Current time in ms, for date rules
+     * @returns {Array<string>} IDs of the smart playlists whose songs changed
+     */
+    refreshSmartPlaylists(now = Date.now()) {
+        const songs = this.getLibrarySongs();
+
+        return this.playlists
+            .filter(entry => entry.query && this.refreshSmartPlaylist(entry, songs, now))
+            .map(entry => entry.id);
+    }
+
+    /**
+     * Delete a playlist. The last remaining playlist cannot be deleted.
+     * If it was active, the neighbouring playlist becomes active;
+     * if it was playing, playback moves to the new active playlist.
+     * @param {string} id - Playlist ID
+     * @returns {boolean} True if deleted
+     */
+    deletePlaylist(id) {
+        const index = this.playlists.findIndex(entry => entry.id === id);
+        if (index === -1) {
+            console.warn(`Playlist not found: ${id}`);
+            return false;
+        }
+
+        if (this.playlists.length === 1) {
+            console.warn("Cannot delete the only playlist");
+            return false;
+        }
+
+        // Smart playlists are read-only, so one regular playlist must remain to add songs to
+        const entry = this.playlists[index];
+        if (!entry.query && this.playlists.every(other => other === entry || other.query)) {
+            console.warn("Cannot delete the only regular playlist");
+            return false;
+        }
+
+        this.playlists.splice(index, 1);
+
+        if (this.activeId === id) {
+            this.activeId = this.playlists[Math.min(index, this.playlists.length - 1)].id;
+        }
+        if (this.playingId === id) {
+            this.playingId = this.activeId;
+        }
+
+        return true;
+    }
+
+    /**
+     * Show a different playlist in the UI. Playback is not affected
+     * @param {string} id - Playlist ID
+     * @returns {boolean} True if switched
+     */
+    switchTo(id) {
+        if (!this.getPlaylist(id)) {
+            console.warn(`Playlist not found: ${id}`);
+            return false;
+        }
+
+        this.activeId = id;
+        return true;
+    }
+
+    /**
+     * Make the active playlist the one driving playback
+     * @returns {boolean} True if the playing playlist changed
+     */
+    playActive() {
+        if (this.isActivePlaying() || this.activeId === null) return false;
+
+        this.playingId = this.activeId;
+        return true;
+    }
+
+    /**
+     * Trim a playlist name
+     * @param {*} name - Raw name
+     * @returns {string} Trimmed name, or "" if not a usable string
+     */
+    normalizeName(name) {
+        return typeof name === "string" ? name.trim() : "";
+    }
+
+    /**
+     * Validate smart playlist rules
+     * @param {Object} query - SmartPlaylist definition
+     * @returns {Object|null} Clean copy, or null if invalid or smart playlists are unavailable
+     */
+    normalizeQuery(query) {
+        if (!this.SmartPlaylist) {
+            console.warn("Smart playlists need the SmartPlaylist class");
+            return null;
+        }
+        return this.SmartPlaylist.normalize(query);
+    }
+
+    /**
+     * Re-run one smart playlist's rules and swap in the result if it differs.
+     * The song playing from it stays until playback moves on, even if it no
+     * longer matches, so a refresh never cuts off the track that is playing
+     * @param {Object} entry - Smart playlist entry
+     * @param {Array<Object>} songs - Library songs (see getLibrarySongs())
+     * @param {number} now - Current time in ms
+     * @returns {boolean} True if its songs changed
+     */
+    refreshSmartPlaylist(entry, songs, now) {
+        const controller = entry.controller;
+        const matches = this.SmartPlaylist.evaluate(entry.query, songs, now);
+        const currentId = controller.getCurrentId();
+
+        if (entry.id === this.playingId && currentId && !matches.some(song => song.id === currentId)) {
+            const current = songs.find(song => song.id === currentId) || controller.getSongById(currentId);
+            const index = controller.getSongIds().indexOf(currentId);
+            matches.splice(Math.min(index, matches.length), 0, current);
+        }
+
+        const previous = [];
+        controller.getAllSongs(song => previous.push(song));
+        if (JSON.stringify(previous) === JSON.stringify(matches)) return false;
+
+        return controller.replaceSongs(matches);
+    }
+
+    /* ============================================================
+       Persistence Helpers
+    ============================================================ */
+
+    /**
+     * Capture every playlist and which one is active and playing
+     * Smart playlists also save their rules as query
+     * @returns {Object} Snapshot { playlists: [{ id, name, state, [query] }], activeId, playingId }
+     */
+    getSnapshot() {
+        return {
+            playlists: this.playlists.map(entry => {
+                const saved = {
+                    id: entry.id,
+                    name: entry.name,
+                    state: entry.controller.getSnapshot()
+                };
+                if (entry.query) saved.query = JSON.parse(JSON.stringify(entry.query));
+                return saved;
+            }),
+            activeId: this.activeId,
+            playingId: this.playingId
+        };
+    }
+
+    /**
+     * Replace the library with a previously captured snapshot
+     * Playlists whose state cannot be restored are skipped, and so are smart
+     * playlists whose rules are invalid. Smart playlists keep their saved
+     * songs until the next refreshSmartPlaylists()
+     * @param {Object} snapshot - Snapshot produced by getSnapshot()
+     * @returns {boolean} True if at least one playlist was restored
+     */
+    restoreSnapshot(snapshot) {
+        if (!snapshot || !Array.isArray(snapshot.playlists)) {
+            console.warn("Invalid library snapshot", snapshot);
+            return false;
+        }
+
+        const playlists = [];
+
+        snapshot.playlists.forEach(saved => {
+            if (!saved || !saved.id) return;
+
+            const query = saved.query ? this.normalizeQuery(saved.query) : null;
+            if (saved.query && !query) return;
+
+            const controller = this.createController();
+            if (!controller.restoreSnapshot(saved.state)) return;
+
+            const entry = {
+                id: saved.id,
+                name: this.normalizeName(saved.name) || `Playlist ${playlists.length + 1}`,
+                controller: controller
+            };
+            if (query) {
+                controller.setReadOnly(true);
+                entry.query = query;
+            }
+
+            playlists.push(entry);
+        });
+
+        if (playlists.length === 0) return false;
+
+        this.playlists = playlists;
+        this.activeId = this.getPlaylist(snapshot.activeId) ? snapshot.activeId : playlists[0].id;
+        this.playingId = this.getPlaylist(snapshot.playingId) ? snapshot.playingId : this.activeId;
+
+        return true;
+    }
+}
+
+
+// Node export for tests; see "How the Scripts Load" in README.md
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { LibraryController };
+}
@@ -1,370 +1,1953 @@
-/*
-    ============================================================
-    PlaylistController.js
-    Project: Smart Music Playlist Manager
-    ============================================================
-
-    DESCRIPTION:
-    Production-ready controller for managing playlist actions
-    with a fully deterministic undo/redo system.
-
-    Features:
-        - Deep-cloned song objects to prevent shared references
-        - Comprehensive state tracking (current pointer, indices)
-        - Robust error handling and edge case management
-        - Initial playlist setup excluded from undo history
-        - Fully compatible with custom DoublyLinkedList and Stack
-
-    Dependencies:
-        - DoublyLinkedList.js
-        - Stack.js
-*/
-
-class PlaylistController {
-
-    constructor(DoublyLinkedListClass, StackClass) {
-        this.playlist = new DoublyLinkedListClass();
-        this.undoStack = new StackClass();
-        this.redoStack = new StackClass();
-        this.isInitializing = false;  // Flag to skip undo during initial setup
-    }
-
-    /* ============================================================
-       Utility Methods
-    ============================================================ */
-
-    /**
-     * Deep clone a song object to prevent shared references
-     * @param {Object} song - Song object { title, artist, url, coverUrl }
-     * @returns {Object} Deep cloned song
-     */
-    cloneSong(song) {
-        if (!song) return null;
-        return JSON.parse(JSON.stringify(song));
-    }
-
-    /**
-     * Get the current index of the currently playing song
-     * @returns {number} Index of current song, or -1 if no song is current
-     */
-    getCurrentIndex() {
-        const current = this.playlist.getCurrentSong();
-        if (!current) return -1;
-        return this.playlist.getIndex(current.title);
-    }
-
-    /**
-     * Safely move the current pointer to a specific index
-     * Handles edge cases: negative indices, out-of-bounds indices
-     * @param {number} index - Target index
-     * @returns {boolean} True if move was successful, false otherwise
-     */
-    moveCurrentToIndex(index) {
-        // Handle invalid indices
-        if (this.playlist.isEmpty()) {
-            return false;
-        }
-
-        // Clamp index to valid range
-        const validIndex = Math.max(0, Math.min(index, this.playlist.getSize() - 1));
-
-        // Call the playlist's moveCurrentToIndex with validated index
-        this.playlist.moveCurrentToIndex(validIndex);
-        return true;
-    }
-
-    /**
-     * Record an action to the undo stack (respects initialization flag)
-     * @param {Object} action - Action object { type, song, index, previousCurrentIndex }
-     */
-    recordAction(action) {
-        // Skip recording during initial playlist setup
-        if (this.isInitializing) return;
-
-        this.undoStack.push(action);
-        this.redoStack.clear();  // Clear redo stack on new action
-    }
-
-    /* ============================================================
-       Core Operations
-    ============================================================ */
-
-    /**
-     * Add a song to the end of the playlist
-     * @param {Object} song - Song object { title, artist, url, coverUrl }
-     * @returns {Object} Currently playing song after operation
-     */
-    addSong(song) {
-        if (!song || !song.title || !song.artist || !song.url) {
-            console.warn("Invalid song object", song);
-            return this.playlist.getCurrentSong();
-        }
-
-        const previousCurrentIndex = this.getCurrentIndex();
-        const newIndex = this.playlist.getSize();
-
-        // Add song to playlist (deep cloned)
-        this.playlist.addSong(this.cloneSong(song));
-
-        // Record action (only if not initializing)
-        this.recordAction({
-            type: "ADD",
-            song: this.cloneSong(song),
-            index: newIndex,
-            previousCurrentIndex: previousCurrentIndex,
-            currentIndexAfterAdd: this.getCurrentIndex()
-        });
-
-        return this.playlist.getCurrentSong();
-    }
-
-    /**
-     * Remove a song from the playlist by title
-     * @param {string} title - Title of song to remove
-     * @returns {Object|null} The removed song, or null if not found
-     */
-    removeSong(title) {
-        if (!title || typeof title !== "string") {
-            console.warn("Invalid title", title);
-            return null;
-        }
-
-        const index = this.playlist.getIndex(title);
-        if (index === -1) {
-            console.warn(`Song not found: "${title}"`);
-            return null;
-        }
-
-        const previousCurrentIndex = this.getCurrentIndex();
-        const removedSong = this.playlist.removeSong(title);
-
-        if (!removedSong) {
-            console.warn(`Failed to remove song: "${title}"`);
-            return null;
-        }
-
-        // Record action (only if not initializing)
-        this.recordAction({
-            type: "REMOVE",
-            song: this.cloneSong(removedSong),
-            index: index,
-            previousCurrentIndex: previousCurrentIndex,
-            currentIndexAfterRemove: this.getCurrentIndex()
-        });
-
-        return removedSong;
-    }
-
-    /**
-     * Move to the next song in the playlist
-     * @returns {Object|null} The next song, or null if at end
-     */
-    playNext() {
-        return this.playlist.playNext();
-    }
-
-    /**
-     * Move to the previous song in the playlist
-     * @returns {Object|null} The previous song, or null if at start
-     */
-    playPrevious() {
-        return this.playlist.playPrevious();
-    }
-
-    /**
-     * Get the currently playing song
-     * @returns {Object|null} Current song object or null
-     */
-    getCurrentSong() {
-        return this.playlist.getCurrentSong();
-    }
-
-    /**
-     * Get all songs in the playlist
-     * @param {Function} callback - Function called with each song
-     */
-    getAllSongs(callback) {
-        if (typeof callback !== "function") {
-            console.warn("Callback must be a function");
-            return;
-        }
-        this.playlist.traverseForward(callback);
-    }
-
-    /**
-     * Get the total number of songs in the playlist
-     * @returns {number} Size of playlist
-     */
-    getSize() {
-        return this.playlist.getSize();
-    }
-
-    /**
-     * Check if the playlist is empty
-     * @returns {boolean} True if no songs
-     */
-    isEmpty() {
-        return this.playlist.isEmpty();
-    }
-
-    /* ============================================================
-       Undo / Redo Operations
-    ============================================================ */
-
-    /**
-     * Undo the last action (add or remove)
-     * Restores the playlist to its previous state including current pointer
-     * @returns {Object|null} Current song after undo, or null if nothing to undo
-     */
-    undo() {
-        if (this.undoStack.isEmpty()) {
-            console.log("Nothing to undo");
-            return null;
-        }
-
-        const action = this.undoStack.pop();
-        if (!action) return null;
-
-        try {
-            if (action.type === "ADD") {
-                // Undo add → remove the song that was added
-                const removed = this.playlist.removeSong(action.song.title);
-                if (!removed) {
-                    console.warn(`Cannot undo ADD: song "${action.song.title}" not found`);
-                    this.undoStack.push(action);  // Restore action to stack
-                    return this.playlist.getCurrentSong();
-                }
-
-                // Restore the previous current pointer
-                if (action.previousCurrentIndex >= 0) {
-                    this.moveCurrentToIndex(action.previousCurrentIndex);
-                }
-            }
-            else if (action.type === "REMOVE") {
-                // Undo remove → reinsert song at original index
-                const inserted = this.playlist.addSong(this.cloneSong(action.song), action.index);
-                if (!inserted) {
-                    console.warn(`Cannot undo REMOVE: failed to reinsert "${action.song.title}"`);
-                    this.undoStack.push(action);  // Restore action to stack
-                    return this.playlist.getCurrentSong();
-                }
-
-                // Restore the previous current pointer
-                if (action.previousCurrentIndex >= 0) {
-                    this.moveCurrentToIndex(action.previousCurrentIndex);
-                }
-            }
-
-            // Move action to redo stack
-            this.redoStack.push(action);
-            return this.playlist.getCurrentSong();
-
-        } catch (error) {
-            console.error("Error during undo:", error);
-            this.undoStack.push(action);  // Restore action on error
-            return this.playlist.getCurrentSong();
-        }
-    }
-
-    /**
-     * Redo the last undone action (add or remove)
-     * Restores the playlist to its post-action state
-     * @returns {Object|null} Current song after redo, or null if nothing to redo
-     */
-    redo() {
-        if (this.redoStack.isEmpty()) {
-            console.log("Nothing to redo");
-            return null;
-        }
-
-        const action = this.redoStack.pop();
-        if (!action) return null;
-
-        try {
-            if (action.type === "ADD") {
-                // Redo add → reinsert song at original index
-                const inserted = this.playlist.addSong(this.cloneSong(action.song), action.index);
-                if (!inserted) {
-                    console.warn(`Cannot redo ADD: failed to reinsert "${action.song.title}"`);
-                    this.redoStack.push(action);  // Restore action to stack
-                    return this.playlist.getCurrentSong();
-                }
-
-                // Restore the current pointer to what it was after the original add
-                if (action.currentIndexAfterAdd !== undefined && action.currentIndexAfterAdd >= 0) {
-                    this.moveCurrentToIndex(action.currentIndexAfterAdd);
-                }
-            }
-            else if (action.type === "REMOVE") {
-                // Redo remove → remove song again
-                const removed = this.playlist.removeSong(action.song.title);
-                if (!removed) {
-                    console.warn(`Cannot redo REMOVE: song "${action.song.title}" not found`);
-                    this.redoStack.push(action);  // Restore action to stack
-                    return this.playlist.getCurrentSong();
-                }
-
-                // Restore the current pointer to what it was after the original remove
-                if (action.currentIndexAfterRemove !== undefined && action.currentIndexAfterRemove >= 0) {
-                    this.moveCurrentToIndex(action.currentIndexAfterRemove);
-                }
-            }
-
-            // Move action back to undo stack
-            this.undoStack.push(action);
-            return this.playlist.getCurrentSong();
-
-        } catch (error) {
-            console.error("Error during redo:", error);
-            this.redoStack.push(action);  // Restore action on error
-            return this.playlist.getCurrentSong();
-        }
-    }
-
-    /**
-     * Check if undo is available
-     * @returns {boolean} True if there are actions to undo
-     */
-    canUndo() {
-        return !this.undoStack.isEmpty();
-    }
-
-    /**
-     * Check if redo is available
-     * @returns {boolean} True if there are actions to redo
-     */
-    canRedo() {
-        return !this.redoStack.isEmpty();
-    }
-
-    /* ============================================================
-       Initialization Helper
-    ============================================================ */
-
-    /**
-     * Initialize playlist with songs without adding to undo history
-     * Use this for loading initial songs at startup
-     * @param {Array} songs - Array of song objects
-     */
-    initializePlaylist(songs) {
-        if (!Array.isArray(songs)) {
-            console.warn("Songs must be an array");
-            return;
-        }
-
-        this.isInitializing = true;
-
-        try {
-            songs.forEach(song => {
-                if (song && song.title && song.artist && song.url) {
-                    this.addSong(song);
-                }
-            });
-        } finally {
-            this.isInitializing = false;
-            // Clear any stacks just to be safe
-            this.undoStack.clear();
-            this.redoStack.clear();
-        }
-    }
-}
+/*
+    ============================================================
+    PlaylistController.js
+    Project: Smart Music Playlist Manager
+    ============================================================
+
+    DESCRIPTION:
+    Production-ready controller for managing playlist actions
+    with a fully deterministic undo/redo system.
+
+    Features:
+        - Deep-cloned song objects to prevent shared references
+        - Comprehensive state tracking (current pointer, indices)
+        - Robust error handling and edge case management
+        - Initial playlist setup excluded from undo history
+        - Fully compatible with custom DoublyLinkedList and Stack
+        - Snapshot/restore of playlist, current pointer and history
+        - Seeded, reversible shuffle mode that tolerates edits mid-shuffle
+        - Stable song IDs: every operation and action record references IDs
+        - Repeat modes (off / one / all) honored by navigation
+        - "Up Next" play queue that plays before the normal order resumes
+        - Transactions that group several mutations into one BATCH undo step
+        - Song annotations (per-song settings) kept outside undo/redo
+        - Ratings, favorites, tags and metadata (title, artist, URL,
+          cover, ...) edited in place as undoable EDIT actions
+        - Stable multi-key sorting as one undoable SORT action
+        - Read-only mode for views whose songs are chosen elsewhere
+          (smart playlists): edits are refused, playback works as usual
+
+    Dependencies:
+        - DoublyLinkedList.js
+        - Stack.js
+        - Queue.js
+*/
+
+/* ============================================================
+   ShuffleOrder
+   Seeded, reversible play order used by shuffle mode
+============================================================ */
+
+class ShuffleOrder {
+
+    /**
+     * @param {number} seed - Seed for the pseudo-random generator (same seed, same order)
+     */
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;   // Generator state (mulberry32)
+        this.order = [];          // Song IDs in shuffled play order
+        this.position = -1;       // Index of the current song ID in order
+    }
+
+    /**
+     * Next pseudo-random number in [0, 1)
+     * @returns {number}
+     */
+    random() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Pseudo-random integer in [0, maxExclusive)
+     * @param {number} maxExclusive - Upper bound (exclusive)
+     * @returns {number}
+     */
+    randomInt(maxExclusive) {
+        return Math.floor(this.random() * maxExclusive);
+    }
+
+    /**
+     * Build a fresh permutation (Fisher-Yates) with `first` fixed at the start
+     * @param {Array<string>} songs - Song IDs to shuffle
+     * @param {string|null} first - Song ID to play first (usually the current song)
+     */
+    build(songs, first) {
+        const rest = songs.filter(song => song !== first);
+
+        for (let i = rest.length - 1; i > 0; i--) {
+            const j = this.randomInt(i + 1);
+            const temp = rest[i];
+            rest[i] = rest[j];
+            rest[j] = temp;
+        }
+
+        this.order = first && songs.includes(first) ? [first].concat(rest) : rest;
+        this.position = this.order.length > 0 ? 0 : -1;
+    }
+
+    /**
+     * Append a new shuffled cycle of every song (used by repeat-all)
+     * Already played songs stay in order so previous() can still walk back
+     * @param {Array<string>} songs - Song IDs to shuffle into the next cycle
+     * @param {string|null} avoidFirst - Song ID that should not open the new cycle
+     */
+    extend(songs, avoidFirst) {
+        const cycle = songs.slice();
+
+        for (let i = cycle.length - 1; i > 0; i--) {
+            const j = this.randomInt(i + 1);
+            const temp = cycle[i];
+            cycle[i] = cycle[j];
+            cycle[j] = temp;
+        }
+
+        // Avoid playing the same song twice in a row across cycles
+        if (cycle.length > 1 && cycle[0] === avoidFirst) {
+            cycle.push(cycle.shift());
+        }
+
+        this.order = this.order.concat(cycle);
+    }
+
+    /**
+     * Advance to the next song in the shuffled order
+     * @returns {string|null} Next song ID, or null if the order is exhausted
+     */
+    next() {
+        if (this.position + 1 >= this.order.length) return null;
+        this.position++;
+        return this.order[this.position];
+    }
+
+    /**
+     * Step back through the songs that were actually played
+     * @returns {string|null} Previous song ID, or null if at the start
+     */
+    previous() {
+        if (this.position <= 0) return null;
+        this.position--;
+        return this.order[this.position];
+    }
+
+    /**
+     * Reconcile the order with the playlist after songs were added or removed.
+     *   - Removed songs are dropped; already played songs keep their order
+     *   - New songs are inserted at random positions among the unplayed songs
+     *   - The cursor is moved onto `current` if the playlist moved it
+     *
+     * @param {Array<string>} songs - IDs of the songs currently in the playlist
+     * @param {string|null} current - ID of the song the playlist's current pointer is on
+     */
+    sync(songs, current) {
+        const present = new Set(songs);
+        const kept = [];
+        let position = -1;
+
+        // Drop removed songs, keeping the cursor on the last surviving played song
+        this.order.forEach((song, index) => {
+            if (!present.has(song)) return;
+            kept.push(song);
+            if (index <= this.position) {
+                position = kept.length - 1;
+            }
+        });
+
+        this.order = kept;
+        this.position = position;
+
+        // Scatter new songs among the songs that have not been played yet
+        const known = new Set(this.order);
+        songs.forEach(song => {
+            if (known.has(song)) return;
+            const start = this.position + 1;
+            const index = start + this.randomInt(this.order.length - start + 1);
+            this.order.splice(index, 0, song);
+            known.add(song);
+        });
+
+        // The current song always sits under the cursor
+        if (current && this.order[this.position] !== current) {
+            const index = this.order.lastIndexOf(current);
+            this.order.splice(index, 1);
+            if (index <= this.position) {
+                this.position--;
+            }
+            this.order.splice(this.position + 1, 0, current);
+            this.position++;
+        }
+    }
+}
+
+/* ============================================================
+   PlaylistController
+============================================================ */
+
+class PlaylistController {
+
+    constructor(DoublyLinkedListClass, StackClass, QueueClass) {
+        this.playlist = new DoublyLinkedListClass();
+        this.undoStack = new StackClass();
+        this.redoStack = new StackClass();
+        this.upNext = new QueueClass();   // Song IDs queued to play next
+        this.queueAnchorId = null;    // Song to resume normal order from once the queue drains
+        this.isInitializing = false;  // Flag to skip undo during initial setup
+        this.shuffle = null;          // ShuffleOrder while shuffle mode is on
+        this.repeatMode = "off";      // "off" | "one" | "all"
+        this.transaction = null;      // Open transaction collecting actions into a BATCH
+        this.readOnly = false;        // Refuse song edits (smart playlist views)
+    }
+
+    /* ============================================================
+       Utility Methods
+    ============================================================ */
+
+    /**
+     * Deep clone a song object to prevent shared references
+     * The clone keeps the song's ID
+     * @param {Object} song - Song object { id, title, artist, url, coverUrl }
+     * @returns {Object} Deep cloned song
+     */
+    cloneSong(song) {
+        if (!song) return null;
+        return JSON.parse(JSON.stringify(song));
+    }
+
+    /**
+     * Deep clone an action record so stored history never shares references
+     * @param {Object} action - Action object from the undo/redo stacks
+     * @returns {Object} Deep cloned action
+     */
+    cloneAction(action) {
+        if (!action) return null;
+        return JSON.parse(JSON.stringify(action));
+    }
+
+    /**
+     * Get the current index of the currently playing song
+     * @returns {number} Index of current song, or -1 if no song is current
+     */
+    getCurrentIndex() {
+        const current = this.playlist.getCurrentSong();
+        if (!current) return -1;
+        return this.playlist.getIndexById(current.id);
+    }
+
+    /**
+     * Get the ID of the currently playing song
+     * @returns {string|null} ID of current song, or null if no song is current
+     */
+    getCurrentId() {
+        const current = this.playlist.getCurrentSong();
+        return current ? current.id : null;
+    }
+
+    /**
+     * Get the IDs of all songs in playlist order
+     * @returns {Array<string>} Song IDs from head to tail
+     */
+    getSongIds() {
+        const ids = [];
+        this.playlist.traverseForward(song => ids.push(song.id));
+        return ids;
+    }
+
+    /**
+     * Safely move the current pointer to a specific index
+     * Handles edge cases: negative indices, out-of-bounds indices
+     * @param {number} index - Target index
+     * @returns {boolean} True if move was successful, false otherwise
+     */
+    moveCurrentToIndex(index) {
+        // Handle invalid indices
+        if (this.playlist.isEmpty()) {
+            return false;
+        }
+
+        // Clamp index to valid range
+        const validIndex = Math.max(0, Math.min(index, this.playlist.getSize() - 1));
+
+        // Call the playlist's moveCurrentToIndex with validated index
+        this.playlist.moveCurrentToIndex(validIndex);
+        return true;
+    }
+
+    /**
+     * Move the current pointer to the song with the given ID
+     * A jump leaves queue playback: normal (or shuffled) order continues from this song
+     * @param {string} id - Song ID
+     * @returns {boolean} True if the song was found
+     */
+    moveCurrentToId(id) {
+        if (!this.playlist.moveCurrentToId(id)) return false;
+
+        this.queueAnchorId = null;
+        return true;
+    }
+
+    /**
+     * Restore the current pointer recorded in an action
+     * Prefers the song ID; falls back to the index for records without one
+     * @param {string|null|undefined} id - Song ID that should be current
+     * @param {number|undefined} fallbackIndex - Index to use if the ID is missing
+     */
+    restoreCurrent(id, fallbackIndex) {
+        if (id && this.playlist.moveCurrentToId(id)) return;
+
+        if (typeof fallbackIndex === "number" && fallbackIndex >= 0) {
+            this.moveCurrentToIndex(fallbackIndex);
+        }
+    }
+
+    /**
+     * Check that the song list may be edited, warning if it may not
+     * Startup loading (initializePlaylist) is allowed even when read-only
+     * @param {string} operation - What was attempted, for the warning
+     * @returns {boolean} True if the edit may go ahead
+     */
+    canEdit(operation) {
+        if (!this.readOnly || this.isInitializing) return true;
+
+        console.warn(`Cannot ${operation}: this playlist is read-only`);
+        return false;
+    }
+
+    /**
+     * Record an action to the undo stack (respects initialization flag)
+     * While a transaction is open the action is collected into its BATCH instead
+     * @param {Object} action - Action object { type, song, ... } (ADD, REMOVE, MOVE, EDIT, SORT or BATCH)
+     */
+    recordAction(action) {
+        // Skip recording during initial playlist setup
+        if (this.isInitializing) return;
+
+        if (this.transaction) {
+            this.transaction.actions.push(action);
+            return;
+        }
+
+        this.undoStack.push(action);
+        this.redoStack.clear();  // Clear redo stack on new action
+    }
+
+    /* ============================================================
+       Core Operations
+    ============================================================ */
+
+    /**
+     * Add a song to the end of the playlist
+     * The song always receives a newly generated ID; any incoming ID is ignored.
+     * It is stamped with addedAt (ms timestamp) unless it already carries one
+     * @param {Object} song - Song object { title, artist, url, [cover], [album], [trackNumber], [year], [duration], [addedAt] }
+     * @returns {Object} Currently playing song after operation
+     */
+    addSong(song) {
+        if (!song || !song.title || !song.artist || !song.url) {
+            console.warn("Invalid song object", song);
+            return this.playlist.getCurrentSong();
+        }
+
+        if (!this.canEdit("add songs")) {
+            return this.playlist.getCurrentSong();
+        }
+
+        const previousCurrentIndex = this.getCurrentIndex();
+        const previousCurrentId = this.getCurrentId();
+        const newIndex = this.playlist.getSize();
+
+        // Add song to playlist (deep cloned, without any caller-supplied ID)
+        const songData = this.cloneSong(song);
+        delete songData.id;
+        if (typeof songData.addedAt !== "number") {
+            songData.addedAt = Date.now();
+        }
+        const addedSong = this.playlist.addSong(songData);
+
+        // Record action (only if not initializing)
+        this.recordAction({
+            type: "ADD",
+            songId: addedSong.id,
+            song: this.cloneSong(addedSong),
+            index: newIndex,
+            previousCurrentId: previousCurrentId,
+            previousCurrentIndex: previousCurrentIndex,
+            currentIdAfterAdd: this.getCurrentId(),
+            currentIndexAfterAdd: this.getCurrentIndex()
+        });
+
+        return this.playlist.getCurrentSong();
+    }
+
+    /**
+     * Remove a song from the playlist by title
+     * Convenience for the remove form: removes the first song with that title
+     * @param {string} title - Title of song to remove
+     * @returns {Object|null} The removed song, or null if not found
+     */
+    removeSong(title) {
+        if (!title || typeof title !== "string") {
+            console.warn("Invalid title", title);
+            return null;
+        }
+
+        const index = this.playlist.getIndex(title);
+        if (index === -1) {
+            console.warn(`Song not found: "${title}"`);
+            return null;
+        }
+
+        return this.removeSongById(this.getSongIds()[index]);
+    }
+
+    /**
+     * Remove a song from the playlist by ID
+     * @param {string} id - ID of song to remove
+     * @returns {Object|null} The removed song, or null if not found
+     */
+    removeSongById(id) {
+        if (!this.canEdit("remove songs")) return null;
+
+        const index = this.playlist.getIndexById(id);
+        if (index === -1) {
+            console.warn(`Song not found: ${id}`);
+            return null;
+        }
+
+        const previousCurrentIndex = this.getCurrentIndex();
+        const previousCurrentId = this.getCurrentId();
+        const removedSong = this.playlist.removeSongById(id);
+
+        if (!removedSong) {
+            console.warn(`Failed to remove song: ${id}`);
+            return null;
+        }
+
+        // Record action (only if not initializing)
+        this.recordAction({
+            type: "REMOVE",
+            songId: removedSong.id,
+            song: this.cloneSong(removedSong),
+            index: index,
+            previousCurrentId: previousCurrentId,
+            previousCurrentIndex: previousCurrentIndex,
+            currentIdAfterRemove: this.getCurrentId(),
+            currentIndexAfterRemove: this.getCurrentIndex()
+        });
+
+        return removedSong;
+    }
+
+    /**
+     * Get a song by ID
+     * @param {string} id - Song ID
+     * @returns {Object|null} Song object, or null if not in the playlist
+     */
+    getSongById(id) {
+        return this.playlist.getSongById(id);
+    }
+
+    /**
+     * Move a song to a new position in the playlist
+     * The current pointer keeps following the same song
+     * @param {number} fromIndex - Current index of the song
+     * @param {number} toIndex - Index the song should end up at
+     * @returns {Object|null} The moved song, or null if an index is invalid
+     */
+    moveSong(fromIndex, toIndex) {
+        const size = this.playlist.getSize();
+        if (!Number.isInteger(fromIndex) || !Number.isInteger(toIndex) ||
+            fromIndex < 0 || fromIndex >= size || toIndex < 0 || toIndex >= size) {
+            console.warn(`Invalid move: ${fromIndex} → ${toIndex}`);
+            return null;
+        }
+
+        if (!this.canEdit("move songs")) return null;
+
+        if (fromIndex === toIndex) {
+            return null;
+        }
+
+        const movedSong = this.playlist.moveSong(fromIndex, toIndex);
+        if (!movedSong) {
+            console.warn(`Failed to move song at index ${fromIndex}`);
+            return null;
+        }
+
+        // Record action (only if not initializing)
+        this.recordAction({
+            type: "MOVE",
+            songId: movedSong.id,
+            song: this.cloneSong(movedSong),
+            fromIndex: fromIndex,
+            toIndex: toIndex
+        });
+
+        return movedSong;
+    }
+
+    /**
+     * Move a song, identified by ID, to a new position in the playlist
+     * @param {string} id - Song ID
+     * @param {number} toIndex - Index the song should end up at
+     * @returns {Object|null} The moved song, or null if not found or index invalid
+     */
+    moveSongById(id, toIndex) {
+        const fromIndex = this.playlist.getIndexById(id);
+        if (fromIndex === -1) {
+            console.warn(`Song not found: ${id}`);
+            return null;
+        }
+
+        return this.moveSong(fromIndex, toIndex);
+    }
+
+    /**
+     * Jump straight to a song (e.g. the user clicked its row)
+     * Normal (or shuffled) order continues from there; queued songs still play next
+     * @param {string} id - Song ID
+     * @returns {Object|null} The song now current, or null if not found
+     */
+    playById(id) {
+        if (!this.moveCurrentToId(id)) {
+            console.warn(`Song not found: ${id}`);
+            return null;
+        }
+
+        return this.playlist.getCurrentSong();
+    }
+
+    /**
+     * Jump straight to the song at a playlist position
+     * @param {number} index - 0-based position in playlist order
+     * @returns {Object|null} The song now current, or null if the index is invalid
+     */
+    playAtIndex(index) {
+        const node = this.playlist.getNodeAt(index);
+        if (!node) {
+            console.warn(`Invalid index: ${index}`);
+            return null;
+        }
+
+        return this.playById(node.song.id);
+    }
+
+    /**
+     * Move to the next song in the playlist
+     * Songs in the "Up Next" queue play first; once it drains, normal order
+     * resumes after the song that was playing when the queue took over.
+     * In shuffle mode, follows the shuffled order instead of next pointers
+     * Repeat modes (queued songs still play first in every mode):
+     *   - "one": stays on the current song when it ended on its own; a manual
+     *     skip moves on and wraps like "all"
+     *   - "all": wraps from the tail (or end of the shuffle) to the head
+     *   - "off": stays on the last song once the end is reached
+     * @param {Object} [options]
+     * @param {boolean} [options.auto=false] - True when the song ended on its own
+     * @returns {Object|null} The next song, or null if the playlist is empty
+     */
+    playNext(options = {}) {
+        const queuedId = this.takeFromQueue();
+        if (queuedId) {
+            if (this.queueAnchorId === null) {
+                this.queueAnchorId = this.getCurrentId();
+            }
+            this.playlist.moveCurrentToId(queuedId);
+            return this.playlist.getCurrentSong();
+        }
+
+        if (options.auto && this.repeatMode === "one") {
+            return this.playlist.getCurrentSong();
+        }
+        const wrap = this.repeatMode !== "off";
+
+        // Queue drained: continue from where the playlist left off
+        if (this.queueAnchorId !== null) {
+            this.playlist.moveCurrentToId(this.queueAnchorId);
+            this.queueAnchorId = null;
+        }
+
+        if (this.shuffle) {
+            this.syncShuffle();
+            let id = this.shuffle.next();
+            if (!id && wrap) {
+                this.shuffle.extend(this.getSongIds(), this.getCurrentId());
+                id = this.shuffle.next();
+            }
+            if (id) {
+                this.playlist.moveCurrentToId(id);
+            }
+            return this.playlist.getCurrentSong();
+        }
+
+        if (wrap && this.isAtTail()) {
+            this.playlist.moveCurrentToIndex(0);
+            return this.playlist.getCurrentSong();
+        }
+
+        return this.playlist.playNext();
+    }
+
+    /**
+     * Look at the song playNext({ auto: true }) would move to, without moving
+     * Used by the audio engine to preload the next track. Follows the same
+     * rules as playNext(): queue first, then shuffle or linear order, with repeat
+     * @returns {Object|null} The song that plays next, or null if playback would stop
+     */
+    peekNext() {
+        if (this.playlist.isEmpty()) return null;
+
+        this.pruneQueue();
+        if (!this.upNext.isEmpty()) {
+            return this.playlist.getSongById(this.upNext.peek());
+        }
+
+        if (this.repeatMode === "one") {
+            return this.playlist.getCurrentSong();
+        }
+
+        if (this.shuffle) {
+            this.syncShuffle();
+            // Extending now is safe: playNext() would build the same cycle later
+            if (this.shuffle.position + 1 >= this.shuffle.order.length && this.repeatMode === "all") {
+                this.shuffle.extend(this.getSongIds(), this.getPlaybackPositionId());
+            }
+            const id = this.shuffle.order[this.shuffle.position + 1];
+            return id ? this.playlist.getSongById(id) : null;
+        }
+
+        const index = this.playlist.getIndexById(this.getPlaybackPositionId());
+        if (index < this.playlist.getSize() - 1) {
+            return this.playlist.getNodeAt(index + 1).song;
+        }
+        return this.repeatMode === "all" ? this.playlist.getNodeAt(0).song : null;
+    }
+
+    /**
+     * Move to the previous song in the playlist
+     * In shuffle mode, walks back through the order songs were actually played in
+     * Always a manual skip: with repeat "one" or "all" it wraps from the head to the tail
+     * @returns {Object|null} The previous song, or null if the playlist is empty
+     */
+    playPrevious() {
+        // Stepping back leaves queue playback; remaining queued songs still play next
+        this.queueAnchorId = null;
+
+        if (this.shuffle) {
+            this.syncShuffle();
+            const id = this.shuffle.previous();
+            if (id) {
+                this.playlist.moveCurrentToId(id);
+            }
+            return this.playlist.getCurrentSong();
+        }
+
+        if (this.repeatMode !== "off" && this.isAtHead()) {
+            this.playlist.moveCurrentToIndex(this.playlist.getSize() - 1);
+            return this.playlist.getCurrentSong();
+        }
+
+        return this.playlist.playPrevious();
+    }
+
+    /**
+     * Check whether playNext({ auto: true }) would move on to (or repeat) a song
+     * Used by the audio "ended" handler to stop at the end of the playlist
+     * @returns {boolean} True if playback should continue after the current song
+     */
+    hasNext() {
+        if (this.playlist.isEmpty()) return false;
+        if (this.repeatMode !== "off") return true;
+        if (this.getQueue().length > 0) return true;
+
+        if (this.shuffle) {
+            this.syncShuffle();
+            return this.shuffle.position + 1 < this.shuffle.order.length;
+        }
+
+        // After the queue drains, normal order continues from the anchor
+        const index = this.playlist.getIndexById(this.getPlaybackPositionId());
+        return index < this.playlist.getSize() - 1;
+    }
+
+    /**
+     * Get the ID of the song the normal play order continues from
+     * While queued songs play this is the anchor, otherwise the current song
+     * @returns {string|null} Song ID, or null if the playlist is empty
+     */
+    getPlaybackPositionId() {
+        if (this.queueAnchorId !== null && this.playlist.hasSong(this.queueAnchorId)) {
+            return this.queueAnchorId;
+        }
+        return this.getCurrentId();
+    }
+
+    /**
+     * Check if the current pointer is on the first song
+     * @returns {boolean} True if current is the head (false for an empty playlist)
+     */
+    isAtHead() {
+        return !this.playlist.isEmpty() && this.getCurrentIndex() === 0;
+    }
+
+    /**
+     * Check if the current pointer is on the last song
+     * @returns {boolean} True if current is the tail (false for an empty playlist)
+     */
+    isAtTail() {
+        return !this.playlist.isEmpty() && this.getCurrentIndex() === this.playlist.getSize() - 1;
+    }
+
+    /**
+     * Get the currently playing song
+     * @returns {Object|null} Current song object or null
+     */
+    getCurrentSong() {
+        return this.playlist.getCurrentSong();
+    }
+
+    /**
+     * Get all songs in the playlist
+     * @param {Function} callback - Function called with each song
+     */
+    getAllSongs(callback) {
+        if (typeof callback !== "function") {
+            console.warn("Callback must be a function");
+            return;
+        }
+        this.playlist.traverseForward(callback);
+    }
+
+    /**
+     * Get the total number of songs in the playlist
+     * @returns {number} Size of playlist
+     */
+    getSize() {
+        return this.playlist.getSize();
+    }
+
+    /**
+     * Check if the playlist is empty
+     * @returns {boolean} True if no songs
+     */
+    isEmpty() {
+        return this.playlist.isEmpty();
+    }
+
+    /* ============================================================
+       Song Annotations
+    ============================================================ */
+
+    /**
+     * Attach settings to a song that are not playlist edits (e.g. a per-song
+     * equalizer). Not recorded for undo/redo; copies of the song held in the
+     * history are updated too, so undoing a removal brings the settings back
+     * @param {string} id - Song ID
+     * @param {Object} fields - Fields to set; a value of undefined or null removes the field
+     * @returns {Object|null} The updated song, or null if not found or a core field was given
+     */
+    annotateSong(id, fields) {
+        const song = this.playlist.getSongById(id);
+        if (!song) {
+            console.warn(`Song not found: ${id}`);
+            return null;
+        }
+
+        const keys = Object.keys(fields || {});
+        if (keys.some(key => PlaylistController.CORE_FIELDS.includes(key))) {
+            console.warn("annotateSong cannot change core song fields", fields);
+            return null;
+        }
+
+        const applyTo = target => {
+            keys.forEach(key => {
+                if (fields[key] === undefined || fields[key] === null) {
+                    delete target[key];
+                } else {
+                    target[key] = JSON.parse(JSON.stringify(fields[key]));
+                }
+            });
+        };
+
+        applyTo(song);
+        this.forEachHistorySong(id, applyTo);
+
+        return song;
+    }
+
+    /**
+     * Visit every copy of a song stored in undo/redo history (and an open transaction)
+     * @param {string} id - Song ID
+     * @param {Function} callback - Function(songCopy)
+     */
+    forEachHistorySong(id, callback) {
+        const visit = action => {
+            if (action.type === "BATCH") {
+                action.actions.forEach(visit);
+            } else if (action.song && action.song.id === id) {
+                callback(action.song);
+            }
+        };
+
+        this.undoStack.toArray().forEach(visit);
+        this.redoStack.toArray().forEach(visit);
+        if (this.transaction) {
+            this.transaction.actions.forEach(visit);
+        }
+    }
+
+    /* ============================================================
+       Song Details (metadata, ratings, favorites, tags)
+       Unlike annotations these are the user's own edits, recorded
+       as EDIT actions so they can be undone like any other change
+    ============================================================ */
+
+    /**
+     * Change fields of a song as one undoable EDIT action
+     * @param {string} id - Song ID
+     * @param {Object} fields - Fields to set; a value of undefined or null removes the field
+     * @returns {Object|null} The updated song, or null if not found, read-only or a core field was given
+     */
+    editSong(id, fields) {
+        const song = this.playlist.getSongById(id);
+        if (!song) {
+            console.warn(`Song not found: ${id}`);
+            return null;
+        }
+
+        const keys = Object.keys(fields || {});
+        if (keys.some(key => PlaylistController.CORE_FIELDS.includes(key))) {
+            console.warn("editSong cannot change core song fields", fields);
+            return null;
+        }
+
+        if (!this.canEdit("edit songs")) return null;
+
+        return this.recordEdit(song, fields);
+    }
+
+    /**
+     * Change a song's title, artist, URL, cover or other metadata in place,
+     * as one undoable EDIT action. The song keeps its ID and position
+     * @param {string} id - Song ID
+     * @param {Object} patch - Fields of EDITABLE_FIELDS to change (see validateSongPatch)
+     * @returns {Object|null} The updated song, or null if not found, read-only or the patch is invalid
+     */
+    updateSong(id, patch) {
+        const song = this.playlist.getSongById(id);
+        if (!song) {
+            console.warn(`Song not found: ${id}`);
+            return null;
+        }
+
+        const errors = PlaylistController.validateSongPatch(patch);
+        if (errors.length > 0) {
+            console.warn("Invalid song changes:", errors.join("; "));
+            return null;
+        }
+
+        if (!this.canEdit("edit songs")) return null;
+
+        // Text is stored trimmed; empty optional fields are removed
+        const fields = {};
+        Object.keys(patch).forEach(key => {
+            const value = typeof patch[key] === "string" ? patch[key].trim() : patch[key];
+            fields[key] = value === "" ? null : value;
+        });
+
+        return this.recordEdit(song, fields);
+    }
+
+    /**
+     * List what is wrong with a metadata patch for updateSong()
+     * @param {Object} patch - Fields to change
+     * @returns {Array<string>} Problems, empty if the patch is valid
+     */
+    static validateSongPatch(patch) {
+        if (!patch || typeof patch !== "object") return ["The changes must be an object"];
+
+        const errors = [];
+        Object.keys(patch).forEach(key => {
+            const value = patch[key];
+
+            if (!PlaylistController.EDITABLE_FIELDS.includes(key)) {
+                errors.push(`"${key}" cannot be edited`);
+            } else if (PlaylistController.CORE_FIELDS.includes(key)) {
+                if (typeof value !== "string" || value.trim() === "") {
+                    errors.push(`The ${key === "url" ? "URL" : key} cannot be empty`);
+                }
+            } else if (key === "year" || key === "trackNumber") {
+                if (value !== null && value !== undefined && !(Number.isInteger(value) && value > 0)) {
+                    errors.push(`The ${key === "year" ? "year" : "track number"} must be a whole number above 0`);
+                }
+            } else if (value !== null && value !== undefined && typeof value !== "string") {
+                errors.push(`The ${key} must be text`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Rate a song
+     * @param {string} id - Song ID
+     * @param {number} rating - Whole stars from 0 (unrated) to MAX_RATING
+     * @returns {Object|null} The updated song, or null if the rating is invalid or the edit was refused
+     */
+    setRating(id, rating) {
+        if (!Number.isInteger(rating) || rating < 0 || rating > PlaylistController.MAX_RATING) {
+            console.warn(`Invalid rating: ${rating}`);
+            return null;
+        }
+
+        return this.editSong(id, { rating: rating > 0 ? rating : null });
+    }
+
+    /**
+     * Mark or unmark a song as a favorite
+     * @param {string} id - Song ID
+     * @param {boolean} favorite - True to mark it
+     * @returns {Object|null} The updated song, or null if the edit was refused
+     */
+    setFavorite(id, favorite) {
+        return this.editSong(id, { favorite: favorite ? true : null });
+    }
+
+    /**
+     * Replace the tags of a song
+     * @param {string} id - Song ID
+     * @param {Array<string>|string} tags - Tags, or one comma-separated string (see normalizeTags)
+     * @returns {Object|null} The updated song, or null if the edit was refused
+     */
+    setTags(id, tags) {
+        const normalized = PlaylistController.normalizeTags(tags);
+        return this.editSong(id, { tags: normalized.length > 0 ? normalized : null });
+    }
+
+    /**
+     * Clean up a list of tags: trimmed, inner spaces collapsed, empty ones
+     * dropped and duplicates (ignoring case) removed, keeping the first spelling
+     * @param {Array<string>|string} tags - Tags, or one comma-separated string
+     * @returns {Array<string>}
+     */
+    static normalizeTags(tags) {
+        const list = typeof tags === "string" ? tags.split(",") : (Array.isArray(tags) ? tags : []);
+        const seen = new Set();
+
+        return list
+            .filter(tag => typeof tag === "string")
+            .map(tag => tag.trim().replace(/\s+/g, " ").slice(0, PlaylistController.MAX_TAG_LENGTH))
+            .filter(tag => {
+                const key = tag.toLowerCase();
+                if (!tag || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+
+    /**
+     * Set fields on a song and record the change as an EDIT action
+     * Fields that already have the given value are left out; if none is left
+     * nothing is recorded, as setting a value again is not worth an undo step
+     * @param {Object} song - Song object in the playlist
+     * @param {Object} fields - Fields to set; undefined or null removes a field
+     * @returns {Object} The song
+     */
+    recordEdit(song, fields) {
+        const before = {};
+        const after = {};
+        Object.keys(fields).forEach(key => {
+            const value = fields[key] === undefined ? null : fields[key];
+            const previous = song[key] === undefined ? null : song[key];
+
+            if (JSON.stringify(value) !== JSON.stringify(previous)) {
+                before[key] = this.cloneValue(previous);
+                after[key] = this.cloneValue(value);
+            }
+        });
+
+        if (Object.keys(after).length === 0) return song;
+
+        this.applyFields(song, after);
+
+        this.recordAction({
+            type: "EDIT",
+            songId: song.id,
+            song: this.cloneSong(song),
+            before: before,
+            after: after
+        });
+
+        return song;
+    }
+
+    /**
+     * Deep copy a field value, so stored actions never share it with the song
+     * @param {*} value - JSON-safe value
+     * @returns {*}
+     */
+    cloneValue(value) {
+        return value === null ? null : JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Set fields on a song object; null removes a field
+     * @param {Object} song - Song object to change
+     * @param {Object} fields - Fields recorded in an EDIT action
+     */
+    applyFields(song, fields) {
+        Object.keys(fields).forEach(key => {
+            if (fields[key] === null) {
+                delete song[key];
+            } else {
+                song[key] = this.cloneValue(fields[key]);
+            }
+        });
+    }
+
+    /* ============================================================
+       Sorting
+    ============================================================ */
+
+    /**
+     * Sort the playlist as one undoable SORT action
+     * The sort is stable and the current song stays current; songs
+     * without a value for a key go after the others in either direction
+     * @param {Array<Object|string>|Object|string} keys - Sort keys, most important first:
+     *        { field, order: "asc" | "desc" } or just a field name (ascending).
+     *        Fields: see SORT_FIELDS
+     * @returns {boolean} True if the order changed
+     */
+    sortBy(keys) {
+        const sortKeys = PlaylistController.normalizeSortKeys(keys);
+        if (!sortKeys) return false;
+
+        if (!this.canEdit("sort songs")) return false;
+
+        const previousOrder = this.getSongIds();
+        this.playlist.sort(PlaylistController.createSongComparator(sortKeys));
+        const order = this.getSongIds();
+
+        // Already in that order: nothing to undo
+        if (order.every((id, index) => id === previousOrder[index])) return false;
+
+        this.recordAction({
+            type: "SORT",
+            keys: sortKeys,
+            previousOrder: previousOrder,
+            order: order
+        });
+
+        return true;
+    }
+
+    /**
+     * Check and complete sort keys
+     * @param {Array<Object|string>|Object|string} keys - Keys as accepted by sortBy()
+     * @returns {Array<Object>|null} [{ field, order }], or null if a key is invalid
+     */
+    static normalizeSortKeys(keys) {
+        const list = Array.isArray(keys) ? keys : [keys];
+        const normalized = list.map(key => (typeof key === "string" ? { field: key, order: "asc" } : key));
+
+        const valid = normalized.length > 0 && normalized.every(key =>
+            key && PlaylistController.SORT_FIELDS[key.field] &&
+            (key.order === undefined || key.order === "asc" || key.order === "desc"));
+
+        if (!valid) {
+            console.warn("Invalid sort keys", keys);
+            return null;
+        }
+
+        return normalized.map(key => ({ field: key.field, order: key.order || "asc" }));
+    }
+
+    /**
+     * Build a song comparator for sort keys
+     * Text compares ignoring case, with numbers in natural order ("Track 2" before "Track 10")
+     * @param {Array<Object>} sortKeys - Normalized keys [{ field, order }]
+     * @returns {Function} Function(songA, songB) returning <0, 0 or >0
+     */
+    static createSongComparator(sortKeys) {
+        return (a, b) => {
+            for (const key of sortKeys) {
+                const aValue = PlaylistController.sortValue(a, key.field);
+                const bValue = PlaylistController.sortValue(b, key.field);
+
+                // Missing values last, whatever the direction
+                if (aValue === null || bValue === null) {
+                    if (aValue !== bValue) return aValue === null ? 1 : -1;
+                    continue;
+                }
+
+                const order = typeof aValue === "string"
+                    ? aValue.localeCompare(bValue, undefined, { numeric: true, sensitivity: "base" })
+                    : aValue - bValue;
+
+                if (order !== 0) return key.order === "desc" ? -order : order;
+            }
+            return 0;
+        };
+    }
+
+    /**
+     * Read a song field for sorting
+     * @param {Object} song - Song object
+     * @param {string} field - Key of SORT_FIELDS
+     * @returns {string|number|null} Trimmed text or a number, or null if missing
+     */
+    static sortValue(song, field) {
+        const value = song[field];
+
+        if (PlaylistController.SORT_FIELDS[field] === "text") {
+            return typeof value === "string" && value.trim() !== "" ? value.trim() : null;
+        }
+        return typeof value === "number" && Number.isFinite(value) ? value : null;
+    }
+
+    /* ============================================================
+       Up Next Queue
+    ============================================================ */
+
+    /**
+     * Queue a playlist song to play before the normal order resumes
+     * The playlist itself is not modified
+     * @param {string} id - ID of a song in the playlist
+     * @returns {boolean} True if the song was queued
+     */
+    enqueue(id) {
+        if (!this.playlist.hasSong(id)) {
+            console.warn(`Cannot queue unknown song: ${id}`);
+            return false;
+        }
+
+        this.upNext.enqueue(id);
+        return true;
+    }
+
+    /**
+     * Queue a playlist song to play right after the current one,
+     * ahead of anything already queued
+     * @param {string} id - ID of a song in the playlist
+     * @returns {boolean} True if the song was queued
+     */
+    enqueueNext(id) {
+        if (!this.playlist.hasSong(id)) {
+            console.warn(`Cannot queue unknown song: ${id}`);
+            return false;
+        }
+
+        this.upNext.enqueueFront(id);
+        return true;
+    }
+
+    /**
+     * Remove and return the next queued song without playing it
+     * @returns {Object|null} The dequeued song, or null if the queue is empty
+     */
+    dequeue() {
+        const id = this.takeFromQueue();
+        return id ? this.playlist.getSongById(id) : null;
+    }
+
+    /**
+     * Take the next queued ID that still refers to a playlist song
+     * IDs of songs removed from the playlist are discarded along the way
+     * @returns {string|null} Song ID, or null if nothing playable is queued
+     */
+    takeFromQueue() {
+        while (!this.upNext.isEmpty()) {
+            const id = this.upNext.dequeue();
+            if (this.playlist.hasSong(id)) return id;
+        }
+        return null;
+    }
+
+    /**
+     * Remove the queue entry at a position
+     * @param {number} index - Position in the queue (0 = plays next)
+     * @returns {Object|null} The song that was unqueued, or null if index invalid
+     */
+    removeFromQueue(index) {
+        this.pruneQueue();
+        const id = this.upNext.removeAt(index);
+        return id ? this.playlist.getSongById(id) : null;
+    }
+
+    /**
+     * Reorder the queue
+     * @param {number} fromIndex - Current position in the queue
+     * @param {number} toIndex - New position in the queue
+     * @returns {boolean} True if the entry was moved
+     */
+    moveInQueue(fromIndex, toIndex) {
+        this.pruneQueue();
+        return this.upNext.move(fromIndex, toIndex);
+    }
+
+    /**
+     * Empty the queue; normal order resumes from the anchor on the next playNext()
+     */
+    clearQueue() {
+        this.upNext.clear();
+    }
+
+    /**
+     * Get the queued songs in play order
+     * @returns {Array<Object>} Songs that will play before the normal order resumes
+     */
+    getQueue() {
+        this.pruneQueue();
+        return this.upNext.toArray().map(id => this.playlist.getSongById(id));
+    }
+
+    /**
+     * Drop queue entries whose songs are no longer in the playlist
+     */
+    pruneQueue() {
+        const ids = this.upNext.toArray();
+        if (ids.every(id => this.playlist.hasSong(id))) return;
+
+        this.upNext.clear();
+        ids.filter(id => this.playlist.hasSong(id)).forEach(id => this.upNext.enqueue(id));
+    }
+
+    /* ============================================================
+       Shuffle Mode
+    ============================================================ */
+
+    /**
+     * Turn shuffle mode on with a seeded permutation of the playlist
+     * The current song stays first; the same seed yields the same order
+     * @param {number} seed - (Optional) Seed for the shuffle. Default: Date.now()
+     * @returns {number} The seed in use
+     */
+    enableShuffle(seed = Date.now()) {
+        this.shuffle = new ShuffleOrder(seed);
+        this.shuffle.build(this.getSongIds(), this.getCurrentId());
+        return this.shuffle.seed;
+    }
+
+    /**
+     * Turn shuffle mode off
+     * Linear order resumes from the current node
+     */
+    disableShuffle() {
+        this.shuffle = null;
+    }
+
+    /**
+     * Toggle shuffle mode
+     * @param {number} seed - (Optional) Seed used when turning shuffle on
+     * @returns {boolean} True if shuffle is now on
+     */
+    toggleShuffle(seed) {
+        if (this.shuffle) {
+            this.disableShuffle();
+            return false;
+        }
+
+        this.enableShuffle(seed);
+        return true;
+    }
+
+    /**
+     * Check if shuffle mode is on
+     * @returns {boolean} True if playNext/playPrevious follow the shuffled order
+     */
+    isShuffleEnabled() {
+        return this.shuffle !== null;
+    }
+
+    /**
+     * Get the seed of the active shuffle
+     * @returns {number|null} Seed, or null if shuffle is off
+     */
+    getShuffleSeed() {
+        return this.shuffle ? this.shuffle.seed : null;
+    }
+
+    /**
+     * Bring the shuffled order in line with songs added or removed since it was built
+     * While queued songs play, the shuffle stays parked on the queue anchor
+     */
+    syncShuffle() {
+        if (!this.shuffle) return;
+        this.shuffle.sync(this.getSongIds(), this.getPlaybackPositionId());
+    }
+
+    /* ============================================================
+       Repeat Mode
+    ============================================================ */
+
+    /**
+     * Set the repeat mode
+     * @param {string} mode - "off", "one" or "all"
+     * @returns {boolean} True if the mode was valid and applied
+     */
+    setRepeatMode(mode) {
+        if (!PlaylistController.REPEAT_MODES.includes(mode)) {
+            console.warn("Invalid repeat mode", mode);
+            return false;
+        }
+
+        this.repeatMode = mode;
+        return true;
+    }
+
+    /**
+     * Get the current repeat mode
+     * @returns {string} "off", "one" or "all"
+     */
+    getRepeatMode() {
+        return this.repeatMode;
+    }
+
+    /**
+     * Advance to the next repeat mode: off → all → one → off
+     * @returns {string} The new repeat mode
+     */
+    cycleRepeatMode() {
+        const modes = PlaylistController.REPEAT_MODES;
+        this.repeatMode = modes[(modes.indexOf(this.repeatMode) + 1) % modes.length];
+        return this.repeatMode;
+    }
+
+    /* ============================================================
+       Transactions (Batch Operations)
+    ============================================================ */
+
+    /**
+     * Start grouping mutations into a single undo step.
+     * Every ADD/REMOVE/MOVE/EDIT/SORT recorded until commitTransaction() is collected
+     * into one BATCH action. Transactions nest: only the outermost commit records
+     * @param {string} label - Description of the batch (e.g. "Clear playlist")
+     */
+    beginTransaction(label) {
+        if (this.transaction) {
+            this.transaction.depth++;
+            return;
+        }
+
+        this.transaction = {
+            label: label || "Batch",
+            depth: 1,
+            actions: [],
+            previousCurrentId: this.getCurrentId(),
+            previousCurrentIndex: this.getCurrentIndex()
+        };
+    }
+
+    /**
+     * Finish the current transaction and record its mutations as one BATCH action
+     * Nothing is recorded if the transaction made no changes
+     * @returns {boolean} True if a BATCH action was recorded
+     */
+    commitTransaction() {
+        const transaction = this.transaction;
+        if (!transaction) {
+            console.warn("No transaction to commit");
+            return false;
+        }
+
+        if (--transaction.depth > 0) return false;
+
+        this.transaction = null;
+        if (transaction.actions.length === 0) return false;
+
+        this.recordAction({
+            type: "BATCH",
+            label: transaction.label,
+            actions: transaction.actions,
+            previousCurrentId: transaction.previousCurrentId,
+            previousCurrentIndex: transaction.previousCurrentIndex,
+            currentIdAfterBatch: this.getCurrentId(),
+            currentIndexAfterBatch: this.getCurrentIndex()
+        });
+
+        return true;
+    }
+
+    /**
+     * Abandon the current transaction (including any outer levels),
+     * reverting its mutations and restoring the current pointer
+     * @returns {boolean} True if a transaction was rolled back
+     */
+    rollbackTransaction() {
+        const transaction = this.transaction;
+        if (!transaction) {
+            console.warn("No transaction to roll back");
+            return false;
+        }
+
+        this.transaction = null;
+
+        for (let i = transaction.actions.length - 1; i >= 0; i--) {
+            this.revertAction(transaction.actions[i]);
+        }
+        this.restoreCurrent(transaction.previousCurrentId, transaction.previousCurrentIndex);
+
+        return true;
+    }
+
+    /**
+     * Run a function inside a transaction
+     * Commits when it returns, rolls back and rethrows if it throws
+     * @param {string} label - Description of the batch
+     * @param {Function} operation - Function performing the mutations
+     * @returns {*} The function's return value
+     */
+    runTransaction(label, operation) {
+        this.beginTransaction(label);
+
+        let result;
+        try {
+            result = operation();
+        } catch (error) {
+            this.rollbackTransaction();
+            throw error;
+        }
+
+        this.commitTransaction();
+        return result;
+    }
+
+    /**
+     * Check whether a transaction is open
+     * @returns {boolean}
+     */
+    isInTransaction() {
+        return this.transaction !== null;
+    }
+
+    /**
+     * Add several songs to the end of the playlist as one undo step
+     * Invalid songs are skipped
+     * @param {Array<Object>} songs - Song objects { title, artist, url, coverUrl }
+     * @param {string} label - Description of the batch (default "Add N songs")
+     * @returns {number} Number of songs added
+     */
+    addSongs(songs, label) {
+        if (!Array.isArray(songs)) {
+            console.warn("Songs must be an array");
+            return 0;
+        }
+
+        const sizeBefore = this.playlist.getSize();
+        this.runTransaction(label || `Add ${songs.length} songs`, () => {
+            songs.forEach(song => this.addSong(song));
+        });
+
+        return this.playlist.getSize() - sizeBefore;
+    }
+
+    /**
+     * Remove several songs, by ID, as one undo step
+     * Unknown IDs are skipped
+     * @param {Array<string>} ids - IDs of songs to remove
+     * @param {string} label - Description of the batch (default "Remove N songs")
+     * @returns {Array<Object>} The removed songs
+     */
+    removeSongs(ids, label) {
+        if (!Array.isArray(ids)) {
+            console.warn("Song IDs must be an array");
+            return [];
+        }
+
+        const removed = [];
+        this.runTransaction(label || `Remove ${ids.length} songs`, () => {
+            ids.forEach(id => {
+                if (!this.playlist.hasSong(id)) return;
+                const song = this.removeSongById(id);
+                if (song) removed.push(song);
+            });
+        });
+
+        return removed;
+    }
+
+    /**
+     * Remove every song from the playlist as one undo step
+     * @returns {number} Number of songs removed
+     */
+    clearPlaylist() {
+        return this.removeSongs(this.getSongIds(), "Clear playlist").length;
+    }
+
+    /* ============================================================
+       Undo / Redo Operations
+    ============================================================ */
+
+    /**
+     * Revert a single recorded action, returning the playlist to its state before it
+     * BATCH actions revert their children in reverse order, all or nothing
+     * @param {Object} action - Action record (ADD, REMOVE, MOVE, EDIT, SORT or BATCH)
+     * @returns {boolean} True if the action was reverted
+     */
+    revertAction(action) {
+        if (action.type === "ADD") {
+            // Undo add → remove the exact song that was added
+            const removed = this.playlist.removeSongById(action.songId);
+            if (!removed) {
+                console.warn(`Cannot undo ADD: song "${action.song.title}" not found`);
+                return false;
+            }
+
+            // Restore the previous current pointer
+            this.restoreCurrent(action.previousCurrentId, action.previousCurrentIndex);
+        }
+        else if (action.type === "REMOVE") {
+            // Undo remove → reinsert song (with its original ID) at original index
+            const inserted = this.playlist.addSong(this.cloneSong(action.song), action.index);
+            if (!inserted) {
+                console.warn(`Cannot undo REMOVE: failed to reinsert "${action.song.title}"`);
+                return false;
+            }
+
+            // Restore the previous current pointer
+            this.restoreCurrent(action.previousCurrentId, action.previousCurrentIndex);
+        }
+        else if (action.type === "MOVE") {
+            // Undo move → move the song back (current follows its node)
+            const index = this.playlist.getIndexById(action.songId);
+            const moved = this.playlist.moveSong(index, action.fromIndex);
+            if (!moved) {
+                console.warn(`Cannot undo MOVE: song "${action.song.title}" not found`);
+                return false;
+            }
+        }
+        else if (action.type === "EDIT") {
+            // Undo edit → put back the fields as they were
+            const song = this.playlist.getSongById(action.songId);
+            if (!song) {
+                console.warn(`Cannot undo EDIT: song "${action.song.title}" not found`);
+                return false;
+            }
+            this.applyFields(song, action.before);
+        }
+        else if (action.type === "SORT") {
+            // Undo sort → put the songs back in their prior order (current follows its node)
+            if (!this.playlist.reorder(action.previousOrder)) {
+                console.warn("Cannot undo SORT: the playlist no longer holds the same songs");
+                return false;
+            }
+        }
+        else if (action.type === "BATCH") {
+            // Undo batch → revert children newest first; re-apply them if one fails
+            for (let i = action.actions.length - 1; i >= 0; i--) {
+                if (!this.revertAction(action.actions[i])) {
+                    for (let j = i + 1; j < action.actions.length; j++) {
+                        this.applyAction(action.actions[j]);
+                    }
+                    this.restoreCurrent(action.currentIdAfterBatch, action.currentIndexAfterBatch);
+                    console.warn(`Cannot undo "${action.label}"`);
+                    return false;
+                }
+            }
+
+            // Restore the current pointer from before the batch
+            this.restoreCurrent(action.previousCurrentId, action.previousCurrentIndex);
+        }
+        else {
+            console.warn(`Unknown action type: ${action.type}`);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Apply a single recorded action again, returning the playlist to its state after it
+     * BATCH actions apply their children in order, all or nothing
+     * @param {Object} action - Action record (ADD, REMOVE, MOVE, EDIT, SORT or BATCH)
+     * @returns {boolean} True if the action was applied
+     */
+    applyAction(action) {
+        if (action.type === "ADD") {
+            // Redo add → reinsert song at original index
+            const inserted = this.playlist.addSong(this.cloneSong(action.song), action.index);
+            if (!inserted) {
+                console.warn(`Cannot redo ADD: failed to reinsert "${action.song.title}"`);
+                return false;
+            }
+
+            // Restore the current pointer to what it was after the original add
+            this.restoreCurrent(action.currentIdAfterAdd, action.currentIndexAfterAdd);
+        }
+        else if (action.type === "REMOVE") {
+            // Redo remove → remove the exact same song again
+            const removed = this.playlist.removeSongById(action.songId);
+            if (!removed) {
+                console.warn(`Cannot redo REMOVE: song "${action.song.title}" not found`);
+                return false;
+            }
+
+            // Restore the current pointer to what it was after the original remove
+            this.restoreCurrent(action.currentIdAfterRemove, action.currentIndexAfterRemove);
+        }
+        else if (action.type === "MOVE") {
+            // Redo move → move the song forward again
+            const index = this.playlist.getIndexById(action.songId);
+            const moved = this.playlist.moveSong(index, action.toIndex);
+            if (!moved) {
+                console.warn(`Cannot redo MOVE: song "${action.song.title}" not found`);
+                return false;
+            }
+        }
+        else if (action.type === "EDIT") {
+            // Redo edit → set the edited fields again
+            const song = this.playlist.getSongById(action.songId);
+            if (!song) {
+                console.warn(`Cannot redo EDIT: song "${action.song.title}" not found`);
+                return false;
+            }
+            this.applyFields(song, action.after);
+        }
+        else if (action.type === "SORT") {
+            // Redo sort → apply the sorted order again
+            if (!this.playlist.reorder(action.order)) {
+                console.warn("Cannot redo SORT: the playlist no longer holds the same songs");
+                return false;
+            }
+        }
+        else if (action.type === "BATCH") {
+            // Redo batch → apply children oldest first; revert them if one fails
+            for (let i = 0; i < action.actions.length; i++) {
+                if (!this.applyAction(action.actions[i])) {
+                    for (let j = i - 1; j >= 0; j--) {
+                        this.revertAction(action.actions[j]);
+                    }
+                    this.restoreCurrent(action.previousCurrentId, action.previousCurrentIndex);
+                    console.warn(`Cannot redo "${action.label}"`);
+                    return false;
+                }
+            }
+
+            // Restore the current pointer from after the batch
+            this.restoreCurrent(action.currentIdAfterBatch, action.currentIndexAfterBatch);
+        }
+        else {
+            console.warn(`Unknown action type: ${action.type}`);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Undo the last action (add, remove, move, edit, sort or batch)
+     * Restores the playlist to its previous state including current pointer
+     * @returns {Object|null} Current song after undo, or null if nothing to undo
+     */
+    undo() {
+        if (this.transaction) {
+            console.warn("Cannot undo while a transaction is open");
+            return null;
+        }
+
+        if (this.undoStack.isEmpty()) {
+            console.log("Nothing to undo");
+            return null;
+        }
+
+        const action = this.undoStack.pop();
+        if (!action) return null;
+
+        try {
+            if (!this.revertAction(action)) {
+                this.undoStack.push(action);  // Restore action to stack
+                return this.playlist.getCurrentSong();
+            }
+
+            // Move action to redo stack
+            this.redoStack.push(action);
+            return this.playlist.getCurrentSong();
+
+        } catch (error) {
+            console.error("Error during undo:", error);
+            this.undoStack.push(action);  // Restore action on error
+            return this.playlist.getCurrentSong();
+        }
+    }
+
+    /**
+     * Redo the last undone action (add, remove, move, edit, sort or batch)
+     * Restores the playlist to its post-action state
+     * @returns {Object|null} Current song after redo, or null if nothing to redo
+     */
+    redo() {
+        if (this.transaction) {
+            console.warn("Cannot redo while a transaction is open");
+            return null;
+        }
+
+        if (this.redoStack.isEmpty()) {
+            console.log("Nothing to redo");
+            return null;
+        }
+
+        const action = this.redoStack.pop();
+        if (!action) return null;
+
+        try {
+            if (!this.applyAction(action)) {
+                this.redoStack.push(action);  // Restore action to stack
+                return this.playlist.getCurrentSong();
+            }
+
+            // Move action back to undo stack
+            this.undoStack.push(action);
+            return this.playlist.getCurrentSong();
+
+        } catch (error) {
+            console.error("Error during redo:", error);
+            this.redoStack.push(action);  // Restore action on error
+            return this.playlist.getCurrentSong();
+        }
+    }
+
+    /**
+     * Check if undo is available
+     * @returns {boolean} True if there are actions to undo
+     */
+    canUndo() {
+        return !this.undoStack.isEmpty();
+    }
+
+    /**
+     * Check if redo is available
+     * @returns {boolean} True if there are actions to redo
+     */
+    canRedo() {
+        return !this.redoStack.isEmpty();
+    }
+
+    /* ============================================================
+       Persistence Helpers
+    ============================================================ */
+
+    /**
+     * Capture the full controller state as plain, JSON-safe data.
+     * Includes playlist order, the current pointer and both history stacks
+     * @returns {Object} Snapshot { songs, currentId, undoStack, redoStack, shuffle, repeatMode, queue, queueAnchorId }
+     */
+    getSnapshot() {
+        const songs = [];
+        this.playlist.traverseForward(song => songs.push(this.cloneSong(song)));
+
+        return {
+            songs: songs,
+            currentId: this.getCurrentId(),
+            undoStack: this.undoStack.toArray().map(action => this.cloneAction(action)),
+            redoStack: this.redoStack.toArray().map(action => this.cloneAction(action)),
+            shuffle: this.getShuffleSnapshot(),
+            repeatMode: this.repeatMode,
+            queue: this.getQueue().map(song => song.id),
+            queueAnchorId: this.queueAnchorId
+        };
+    }
+
+    /**
+     * Capture the shuffle state
+     * @returns {Object|null} { seed, state, position, order }, or null if shuffle is off
+     */
+    getShuffleSnapshot() {
+        if (!this.shuffle) return null;
+
+        this.syncShuffle();
+
+        return {
+            seed: this.shuffle.seed,
+            state: this.shuffle.state,
+            position: this.shuffle.position,
+            order: this.shuffle.order.slice()
+        };
+    }
+
+    /**
+     * Replace the controller state with a previously captured snapshot.
+     * Restoring is not recorded as an action; the saved stacks are reinstated as-is
+     * @param {Object} snapshot - Snapshot produced by getSnapshot()
+     * @returns {boolean} True if the snapshot was applied, false if it was invalid
+     */
+    restoreSnapshot(snapshot) {
+        if (!snapshot || !Array.isArray(snapshot.songs)) {
+            console.warn("Invalid playlist snapshot", snapshot);
+            return false;
+        }
+
+        this.isInitializing = true;
+        this.transaction = null;
+
+        try {
+            this.playlist.clear();
+            this.undoStack.clear();
+            this.redoStack.clear();
+
+            snapshot.songs.forEach(song => {
+                if (song && song.title && song.artist && song.url) {
+                    this.playlist.addSong(this.cloneSong(song));
+                }
+            });
+
+            this.restoreCurrent(snapshot.currentId);
+
+            (snapshot.undoStack || []).forEach(action => this.undoStack.push(this.cloneAction(action)));
+            (snapshot.redoStack || []).forEach(action => this.redoStack.push(this.cloneAction(action)));
+
+            this.restoreShuffleSnapshot(snapshot.shuffle);
+            this.repeatMode = PlaylistController.REPEAT_MODES.includes(snapshot.repeatMode)
+                ? snapshot.repeatMode
+                : "off";
+
+            this.upNext.clear();
+            (snapshot.queue || []).forEach(id => this.enqueue(id));
+            this.queueAnchorId = this.playlist.hasSong(snapshot.queueAnchorId) ? snapshot.queueAnchorId : null;
+        } finally {
+            this.isInitializing = false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Rebuild shuffle state captured by getShuffleSnapshot()
+     * @param {Object|null} shuffle - Saved shuffle state, or null to leave shuffle off
+     */
+    restoreShuffleSnapshot(shuffle) {
+        this.shuffle = null;
+        if (!shuffle || !Array.isArray(shuffle.order)) return;
+
+        this.shuffle = new ShuffleOrder(shuffle.seed);
+        this.shuffle.state = shuffle.state >>> 0;
+        this.shuffle.order = shuffle.order.filter(id => this.playlist.hasSong(id));
+        this.shuffle.position = Math.min(shuffle.position, this.shuffle.order.length - 1);
+        this.syncShuffle();
+    }
+
+    /* ============================================================
+       Read-Only Views
+    ============================================================ */
+
+    /**
+     * Turn read-only mode on or off
+     * A read-only playlist plays, queues and shuffles as usual, but its
+     * songs can only be changed through replaceSongs()
+     * @param {boolean} readOnly
+     */
+    setReadOnly(readOnly) {
+        this.readOnly = Boolean(readOnly);
+    }
+
+    /**
+     * Check whether song edits are refused
+     * @returns {boolean}
+     */
+    isReadOnly() {
+        return this.readOnly;
+    }
+
+    /**
+     * Swap in a new song list, keeping song IDs, the current song (if still
+     * present), play modes and queued songs that remain. History is dropped
+     * Used to refresh views whose songs are chosen elsewhere
+     * @param {Array<Object>} songs - Songs in their new order, with IDs
+     * @returns {boolean} True if applied
+     */
+    replaceSongs(songs) {
+        if (!Array.isArray(songs)) {
+            console.warn("Songs must be an array");
+            return false;
+        }
+
+        const snapshot = this.getSnapshot();
+        snapshot.songs = songs;
+        snapshot.undoStack = [];
+        snapshot.redoStack = [];
+
+        return this.restoreSnapshot(snapshot);
+    }
+
+    /**
+     * Give every song a new ID, keeping the order, current song and shuffle order.
+     * Saved actions and the queue refer to songs by ID, so both must be empty
+     * Used when copying a playlist, so the copy's songs are separate songs
+     * @returns {boolean} True if the IDs were replaced
+     */
+    renewSongIds() {
+        if (!this.undoStack.isEmpty() || !this.redoStack.isEmpty() || !this.upNext.isEmpty()) {
+            console.warn("Cannot renew song IDs while history or the queue refers to them");
+            return false;
+        }
+
+        const snapshot = this.getSnapshot();
+        const ids = new Map();
+
+        snapshot.songs.forEach(song => {
+            ids.set(song.id, this.playlist.constructor.generateId());
+            song.id = ids.get(song.id);
+        });
+        snapshot.currentId = ids.get(snapshot.currentId) || null;
+        if (snapshot.shuffle) {
+            snapshot.shuffle.order = snapshot.shuffle.order.map(id => ids.get(id));
+        }
+
+        return this.restoreSnapshot(snapshot);
+    }
+
+    /* ============================================================
+       Initialization Helper
+    ============================================================ */
+
+    /**
+     * Initialize playlist with songs without adding to undo history
+     * Use this for loading initial songs at startup
+     * @param {Array} songs - Array of song objects
+     */
+    initializePlaylist(songs) {
+        if (!Array.isArray(songs)) {
+            console.warn("Songs must be an array");
+            return;
+        }
+
+        this.isInitializing = true;
+
+        try {
+            songs.forEach(song => {
+                if (song && song.title && song.artist && song.url) {
+                    this.addSong(song);
+                }
+            });
+        } finally {
+            this.isInitializing = false;
+            // Clear any stacks just to be safe
+            this.undoStack.clear();
+            this.redoStack.clear();
+        }
+    }
+}
+
+PlaylistController.REPEAT_MODES = ["off", "all", "one"];   // Cycle order for cycleRepeatMode()
+PlaylistController.CORE_FIELDS = ["id", "title", "artist", "url"];   // Fields annotateSong() and editSong() must not touch
+PlaylistController.EDITABLE_FIELDS = ["title", "artist", "url", "cover", "album", "year", "trackNumber"];   // Fields updateSong() may change
+PlaylistController.MAX_RATING = 5;        // Stars
+PlaylistController.MAX_TAG_LENGTH = 40;   // Characters per tag
+
+// Fields sortBy() accepts, and how they compare
+PlaylistController.SORT_FIELDS = {
+    title: "text",
+    artist: "text",
+    album: "text",
+    trackNumber: "number",
+    duration: "number",
+    addedAt: "number"
+};
+
+
+// Node export for tests; see "How the Scripts Load" in README.md
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { PlaylistController, ShuffleOrder };
+}
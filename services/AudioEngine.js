@@ -0,0 +1,837 @@
+/*
+    ============================================================
+    AudioEngine.js
+    Project: Smart Music Playlist Manager
+    Web Audio Playback Engine
+    ============================================================
+
+    DESCRIPTION:
+    Plays songs through the Web Audio API using two alternating
+    sources: the song that is playing and the one that plays next.
+    The next song is decoded ahead of time and scheduled on the
+    audio clock, so it can start without a gap or fade in over the
+    end of the current song.
+
+    PLAYBACK GRAPH:
+        AudioBufferSourceNode -> trim GainNode (per-song loudness gain)
+            -> fade GainNode (per song) -> input GainNode
+            -> [processor, e.g. Equalizer] -> tap GainNode -> output GainNode (volume) -> destination
+
+        Analysers (for the visualizer) listen at the tap, so they see the
+        equalized signal regardless of the volume setting.
+
+    TRANSITIONS:
+        - crossfade = 0: the next source starts on the exact sample
+          the current one ends (true gapless playback)
+        - crossfade > 0: the next source starts `crossfade` seconds
+          before the current one ends, with equal-power fade curves
+        - The engine never decides what plays next; the app preloads
+          whatever PlaylistController.peekNext() returns and is told
+          through onTransition() when that song has taken over
+
+    FALLBACK:
+        Songs that cannot be fetched and decoded (for example a server
+        without CORS headers) play through a plain <audio> element
+        instead. They still play, but without gapless or crossfade.
+
+    SONG URLS:
+        Song URLs go through the resolveUrl option before they are
+        fetched, so songs can use URLs only the app understands (such
+        as stored local files). Buffers are cached by the song URL.
+
+    MEMORY:
+        Decoded audio is large (about 10 MB per stereo minute), so only
+        the buffers of the current and next songs are kept.
+*/
+
+class AudioEngine {
+
+    /**
+     * @param {Object} options
+     * @param {HTMLAudioElement} options.fallbackElement - Element used when decoding fails
+     * @param {number} options.crossfade - (Optional) Crossfade in seconds. Default: 0 (gapless)
+     * @param {Function} options.onTransition - (Optional) Called with the preloaded song once it takes over
+     * @param {Function} options.onEnded - (Optional) Called when a song ends with nothing scheduled after it
+     * @param {Function} options.onStateChange - (Optional) Called with `paused` when playback starts or stops
+     * @param {Function} options.onTimeUpdate - (Optional) Called a few times a second while playing
+     * @param {Function} options.onError - (Optional) Called with (song, error) when a song cannot be played
+     * @param {Function} options.onBufferReady - (Optional) Called with (song, AudioBuffer) once a song is decoded
+     * @param {Function} options.trackGain - (Optional) Returns the gain in dB to play a song at (normalization)
+     * @param {Function} options.resolveUrl - (Optional) Maps a song URL to a fetchable one (may return a Promise)
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.fallbackElement = options.fallbackElement || null;
+        this.crossfade = AudioEngine.clampCrossfade(options.crossfade);
+        this.volumeLevel = 1;
+
+        const AudioContextClass = AudioEngine.getContextClass();
+        this.context = AudioContextClass ? new AudioContextClass() : null;
+        this.input = null;         // Bus every song connects to
+        this.output = null;        // Volume, just before the destination
+        this.processor = null;     // { input, output } inserted between the two
+        this.tap = null;           // After processing, before volume: where analysers listen
+
+        if (this.context) {
+            this.input = this.context.createGain();
+            this.tap = this.context.createGain();
+            this.output = this.context.createGain();
+            this.input.connect(this.tap);
+            this.tap.connect(this.output);
+            this.output.connect(this.context.destination);
+        }
+
+        this.song = null;          // Song loaded in the current slot
+        this.songUrl = null;       // URL it was loaded from (songs can be edited in place)
+        this.buffer = null;        // Its decoded audio, once ready
+        this.source = null;        // Its AudioBufferSourceNode while playing
+        this.gain = null;          // Its fade GainNode while playing
+        this.trim = null;          // Its trim GainNode (track gain) while playing
+        this.startTime = 0;        // Context time at which offset 0 of the song plays
+        this.offset = 0;           // Resume position while paused (seconds)
+        this.usingFallback = false;
+
+        this.nextSong = null;      // Song to preload and schedule after the current one
+        this.upcoming = null;      // { song, buffer, source, gain, trim, startTime } once scheduled
+        this.retiring = [];        // { source, gain, trim } still fading out after a transition
+
+        this.buffers = new Map();  // URL -> Promise<AudioBuffer>
+        this.loadToken = 0;        // Ignores decodes that finish after another load()
+        this.paused = true;
+        this.timer = null;
+
+        this.setupFallbackElement();
+    }
+
+    /**
+     * Check whether the browser supports the Web Audio API
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return AudioEngine.getContextClass() !== null;
+    }
+
+    /**
+     * AudioContext constructor of this browser
+     * @returns {Function|null}
+     */
+    static getContextClass() {
+        if (typeof window === "undefined") return null;
+        return window.AudioContext || window.webkitAudioContext || null;
+    }
+
+    /**
+     * Keep a crossfade duration within AudioEngine.MAX_CROSSFADE seconds
+     * @param {*} seconds - Requested duration
+     * @returns {number} Duration in seconds (0 for invalid input)
+     */
+    static clampCrossfade(seconds) {
+        const value = Number(seconds);
+        if (!Number.isFinite(value) || value <= 0) return 0;
+        return Math.min(value, AudioEngine.MAX_CROSSFADE);
+    }
+
+    /* ============================================================
+       Public API
+    ============================================================ */
+
+    /**
+     * Make a song the current one. Loading the song that is already
+     * current does nothing, so a transition is never restarted; a song
+     * whose URL was edited since it loaded is loaded again
+     * @param {Object|null} song - Song { id, url, ... }, or null to stop
+     */
+    load(song) {
+        if (song && this.song && song.id === this.song.id && song.url === this.songUrl) return;
+
+        this.stopAll();
+        this.song = song || null;
+        this.songUrl = song ? song.url : null;
+        this.buffer = null;
+        this.offset = 0;
+        this.usingFallback = false;
+        const token = ++this.loadToken;
+
+        if (!song) {
+            this.setPaused(true);
+            this.pruneBuffers();
+            return;
+        }
+
+        if (!this.context) {
+            this.startFallback();
+            return;
+        }
+
+        this.getBuffer(song.url)
+            .then(buffer => {
+                if (token !== this.loadToken) return;
+
+                this.buffer = buffer;
+                this.notify("onBufferReady", song, buffer);
+                if (!this.paused) {
+                    this.startCurrent(this.offset);
+                }
+            })
+            .catch(error => {
+                if (token !== this.loadToken) return;
+
+                // The audio element cannot fetch a missing file either
+                if (error.status || error.name === "NotFoundError") {
+                    this.reportError(error);
+                    return;
+                }
+
+                console.warn(`Cannot decode "${song.title}", using the audio element:`, error);
+                this.startFallback();
+            });
+
+        this.pruneBuffers();
+    }
+
+    /**
+     * Load the current song again from scratch, after a failure
+     * @param {boolean} resume - Start playing once it has loaded
+     */
+    retry(resume) {
+        const song = this.song;
+        if (!song) return;
+
+        const offset = this.usingFallback ? this.fallbackElement.currentTime : this.offset;
+        this.buffers.delete(song.url);
+        this.song = null;   // So load() does not treat it as unchanged
+        this.load(song);
+        this.offset = Number.isFinite(offset) ? offset : 0;
+
+        if (resume) {
+            this.play();
+        }
+    }
+
+    /**
+     * Start or resume playback of the current song
+     * The AudioContext is resumed here because browsers only allow it after a user gesture
+     */
+    play() {
+        if (!this.song) return;
+
+        if (this.context && this.context.state === "suspended") {
+            this.context.resume().catch(error => console.warn("Cannot resume audio context:", error));
+        }
+
+        if (!this.paused) return;
+        this.setPaused(false);
+
+        if (this.usingFallback) {
+            this.fallbackElement.play().catch(error => this.reportError(error));
+        } else if (this.buffer) {
+            this.startCurrent(this.offset >= this.buffer.duration ? 0 : this.offset);
+        }
+        // Otherwise playback starts as soon as the buffer is decoded
+    }
+
+    /**
+     * Pause playback, remembering the position
+     */
+    pause() {
+        if (this.paused) return;
+
+        this.settle();
+        this.offset = this.currentTime;
+        this.stopAll();
+        if (this.usingFallback) {
+            this.fallbackElement.pause();
+        }
+
+        this.setPaused(true);
+    }
+
+    /**
+     * True while playback is wanted but the browser keeps the audio
+     * context suspended (autoplay policy, until the user interacts)
+     * @returns {boolean}
+     */
+    get blocked() {
+        return Boolean(this.context) && this.context.state === "suspended" &&
+            !this.paused && !this.usingFallback;
+    }
+
+    /**
+     * Playback position in the current song (seconds)
+     * @returns {number}
+     */
+    get currentTime() {
+        if (this.usingFallback) return this.fallbackElement.currentTime;
+        if (!this.source) return this.offset;
+
+        const position = this.context.currentTime - this.startTime;
+        return Math.max(0, Math.min(position, this.buffer.duration));
+    }
+
+    /**
+     * Seek within the current song
+     * @param {number} seconds - New position
+     */
+    set currentTime(seconds) {
+        this.settle();
+        const duration = this.duration;
+        if (!Number.isFinite(duration)) return;
+
+        const position = Math.max(0, Math.min(Number(seconds) || 0, duration));
+
+        if (this.usingFallback) {
+            this.fallbackElement.currentTime = position;
+        } else if (this.source) {
+            this.stopAll();
+            this.startCurrent(position);
+        } else {
+            this.offset = position;
+        }
+
+        this.notify("onTimeUpdate");
+    }
+
+    /**
+     * Length of the current song (seconds)
+     * @returns {number} NaN until the song is loaded
+     */
+    get duration() {
+        if (this.usingFallback) return this.fallbackElement.duration;
+        return this.buffer ? this.buffer.duration : NaN;
+    }
+
+    /**
+     * Output volume
+     * @returns {number} 0 to 1
+     */
+    get volume() {
+        return this.volumeLevel;
+    }
+
+    /**
+     * @param {number} level - 0 to 1
+     */
+    set volume(level) {
+        const value = Number(level);
+        this.volumeLevel = Number.isFinite(value) ? Math.max(0, Math.min(value, 1)) : 1;
+
+        if (this.output) {
+            this.output.gain.value = this.volumeLevel;
+        }
+        this.updateFallbackVolume();
+    }
+
+    /**
+     * Change the crossfade duration. A transition that has not started yet
+     * is rescheduled with the new duration
+     * @param {number} seconds - 0 for gapless playback
+     */
+    setCrossfade(seconds) {
+        this.crossfade = AudioEngine.clampCrossfade(seconds);
+
+        this.settle();
+        if (this.upcoming) {
+            this.cancelUpcoming();
+            this.scheduleNext();
+        }
+    }
+
+    /**
+     * Decode a song ahead of time and schedule it after the current one
+     * Call again whenever what plays next may have changed
+     * @param {Object|null} song - Song that plays next, or null if playback stops
+     */
+    preload(song) {
+        const nextSong = song || null;
+        const sameSong = nextSong && this.nextSong &&
+            nextSong.id === this.nextSong.id && nextSong.url === this.nextSong.url;
+
+        // onTransition preloads the song after the one that just took over,
+        // so `song` (peeked before the transition) is already out of date
+        if (this.settle()) return;
+        if (sameSong && (this.upcoming || this.paused)) return;
+
+        this.cancelUpcoming();
+        this.nextSong = nextSong;
+        this.pruneBuffers();
+
+        if (nextSong && this.context) {
+            this.getBuffer(nextSong.url).then(buffer => {
+                if (this.nextSong !== nextSong) return;
+                this.notify("onBufferReady", nextSong, buffer);
+                this.scheduleNext();
+            }, () => {
+                // Not decodable: it will play through the fallback element when its turn comes
+            });
+        }
+    }
+
+    /**
+     * Insert audio processing (such as the equalizer) between the songs and the tap
+     * Songs played through the fallback element bypass it
+     * @param {Object|null} processor - { input, output } AudioNodes, or null to remove
+     */
+    setProcessor(processor) {
+        if (!this.context) return;
+
+        this.input.disconnect();
+        if (this.processor) {
+            this.processor.output.disconnect();
+        }
+
+        this.processor = processor || null;
+
+        if (this.processor) {
+            this.input.connect(this.processor.input);
+            this.processor.output.connect(this.tap);
+        } else {
+            this.input.connect(this.tap);
+        }
+    }
+
+    /**
+     * Create an AnalyserNode that listens to the processed signal
+     * Songs played through the fallback element are not heard by it
+     * @param {number} fftSize - (Optional) FFT size, a power of two. Default: 2048
+     * @returns {AnalyserNode|null} Null without Web Audio support
+     */
+    createAnalyser(fftSize = 2048) {
+        if (!this.context) return null;
+
+        const analyser = this.context.createAnalyser();
+        analyser.fftSize = fftSize;
+        this.tap.connect(analyser);
+        return analyser;
+    }
+
+    /**
+     * Re-read the track gain of the current and upcoming songs
+     * Call after a song's loudness is analyzed or the normalization mode changes
+     */
+    refreshTrackGain() {
+        const voices = [{ song: this.song, trim: this.trim }];
+        if (this.upcoming) {
+            voices.push(this.upcoming);
+        }
+
+        voices.forEach(voice => {
+            if (!voice.trim) return;
+
+            const factor = this.getTrackGainFactor(voice.song);
+            voice.trim.gain.setTargetAtTime(factor, this.context.currentTime, AudioEngine.GAIN_RAMP_SECONDS);
+        });
+
+        this.updateFallbackVolume();
+    }
+
+    /**
+     * Linear gain factor for a song from the trackGain option
+     * @param {Object|null} song
+     * @returns {number} 1 when there is no track gain
+     */
+    getTrackGainFactor(song) {
+        if (!song || typeof this.options.trackGain !== "function") return 1;
+
+        const db = Number(this.options.trackGain(song));
+        return Number.isFinite(db) ? Math.pow(10, db / 20) : 1;
+    }
+
+    /* ============================================================
+       Scheduling
+    ============================================================ */
+
+    /**
+     * Play the current song's buffer from a position
+     * @param {number} offset - Start position (seconds)
+     */
+    startCurrent(offset) {
+        const voice = this.createVoice(this.buffer, this.song);
+        const now = this.context.currentTime;
+
+        voice.source.onended = () => this.handleSourceEnded(voice.source);
+        voice.source.start(now, offset);
+
+        this.source = voice.source;
+        this.gain = voice.gain;
+        this.trim = voice.trim;
+        this.startTime = now - offset;
+
+        this.startTimer();
+        this.scheduleNext();
+    }
+
+    /**
+     * Schedule the preloaded song to start as the current one ends
+     * Does nothing until both songs are decoded and the current one is playing
+     */
+    scheduleNext() {
+        if (this.upcoming || !this.source || !this.nextSong) return;
+
+        const song = this.nextSong;
+        this.getDecodedBuffer(song.url).then(nextBuffer => {
+            if (!nextBuffer || this.upcoming || !this.source || this.nextSong !== song) return;
+
+            const now = this.context.currentTime;
+            const endTime = this.startTime + this.buffer.duration;
+            if (endTime <= now) return;
+
+            // Never fade over more than half of either song
+            const fade = Math.min(this.crossfade, this.buffer.duration / 2, nextBuffer.duration / 2);
+            const startTime = Math.max(now, endTime - fade);
+            const fadeLength = endTime - startTime;
+
+            const voice = this.createVoice(nextBuffer, song);
+            voice.source.onended = () => this.handleSourceEnded(voice.source);
+            voice.source.start(startTime);
+
+            if (fadeLength > 0) {
+                voice.gain.gain.value = 0;
+                voice.gain.gain.setValueCurveAtTime(AudioEngine.fadeCurve(true), startTime, fadeLength);
+                this.gain.gain.setValueCurveAtTime(AudioEngine.fadeCurve(false), startTime, fadeLength);
+            }
+
+            this.upcoming = {
+                song: song,
+                buffer: nextBuffer,
+                source: voice.source,
+                gain: voice.gain,
+                trim: voice.trim,
+                startTime: startTime
+            };
+        });
+    }
+
+    /**
+     * Hand the current slot to the upcoming song once the audio clock reaches it
+     * Called from the timer and before anything that reads or changes the position
+     * @returns {boolean} True if the upcoming song took over
+     */
+    settle() {
+        if (!this.upcoming || this.context.currentTime < this.upcoming.startTime) return false;
+
+        const upcoming = this.upcoming;
+        this.upcoming = null;
+
+        if (this.source) {
+            this.retiring.push({ source: this.source, gain: this.gain, trim: this.trim });
+        }
+
+        this.song = upcoming.song;
+        this.songUrl = upcoming.song.url;
+        this.buffer = upcoming.buffer;
+        this.source = upcoming.source;
+        this.gain = upcoming.gain;
+        this.trim = upcoming.trim;
+        this.startTime = upcoming.startTime;
+        this.offset = 0;
+        this.nextSong = null;
+
+        this.notify("onTransition", upcoming.song);
+        return true;
+    }
+
+    /**
+     * Drop the scheduled next song and restore the current song's full volume
+     */
+    cancelUpcoming() {
+        if (!this.upcoming) return;
+
+        this.stopVoice(this.upcoming);
+        this.upcoming = null;
+
+        if (this.gain) {
+            this.gain.gain.cancelScheduledValues(0);
+            this.gain.gain.value = 1;
+        }
+    }
+
+    /**
+     * React to a source reaching its end
+     * @param {AudioBufferSourceNode} source - Source that ended
+     */
+    handleSourceEnded(source) {
+        // The timer may lag behind the audio clock (e.g. in a background tab)
+        this.settle();
+
+        this.retiring = this.retiring.filter(voice => voice.source !== source);
+        if (source !== this.source) return;
+
+        // The next song was not scheduled in time (or there is none)
+        this.source = null;
+        this.gain = null;
+        this.trim = null;
+        this.offset = 0;
+        this.stopTimer();
+        this.setPaused(true);
+        this.notify("onEnded");
+    }
+
+    /* ============================================================
+       Audio Graph Helpers
+    ============================================================ */
+
+    /**
+     * Create a source, trim and fade gain for a buffer, connected to the input bus
+     * @param {AudioBuffer} buffer - Decoded audio
+     * @param {Object} song - Song the buffer belongs to (for its track gain)
+     * @returns {Object} { source, gain, trim }
+     */
+    createVoice(buffer, song) {
+        const source = this.context.createBufferSource();
+        const trim = this.context.createGain();
+        const gain = this.context.createGain();
+
+        source.buffer = buffer;
+        trim.gain.value = this.getTrackGainFactor(song);
+        source.connect(trim);
+        trim.connect(gain);
+        gain.connect(this.input);
+
+        return { source: source, gain: gain, trim: trim };
+    }
+
+    /**
+     * Stop and disconnect a voice without firing its ended handler
+     * @param {Object} voice - { source, gain }
+     */
+    stopVoice(voice) {
+        voice.source.onended = null;
+        try {
+            voice.source.stop();
+        } catch (error) {
+            // Sources that were never started cannot be stopped
+        }
+        voice.source.disconnect();
+        voice.gain.disconnect();
+        if (voice.trim) {
+            voice.trim.disconnect();
+        }
+    }
+
+    /**
+     * Silence every source: current, upcoming and fading out
+     */
+    stopAll() {
+        this.cancelUpcoming();
+        this.retiring.forEach(voice => this.stopVoice(voice));
+        this.retiring = [];
+
+        if (this.source) {
+            this.stopVoice({ source: this.source, gain: this.gain, trim: this.trim });
+            this.source = null;
+            this.gain = null;
+            this.trim = null;
+        }
+
+        if (this.fallbackElement && this.usingFallback) {
+            this.fallbackElement.pause();
+        }
+
+        this.stopTimer();
+    }
+
+    /**
+     * Equal-power fade curve
+     * @param {boolean} fadeIn - True for 0 -> 1, false for 1 -> 0
+     * @returns {Float32Array}
+     */
+    static fadeCurve(fadeIn) {
+        const steps = 64;
+        const curve = new Float32Array(steps);
+
+        for (let i = 0; i < steps; i++) {
+            const progress = i / (steps - 1);
+            curve[i] = fadeIn ? Math.sin(progress * Math.PI / 2) : Math.cos(progress * Math.PI / 2);
+        }
+
+        return curve;
+    }
+
+    /* ============================================================
+       Buffer Cache
+    ============================================================ */
+
+    /**
+     * Fetch and decode a URL, sharing work between callers
+     * @param {string} url - Audio URL
+     * @returns {Promise<AudioBuffer>}
+     */
+    getBuffer(url) {
+        if (!this.buffers.has(url)) {
+            const promise = this.resolveUrl(url)
+                .then(resolved => fetch(resolved))
+                .then(response => {
+                    if (!response.ok) {
+                        const error = new Error(`HTTP ${response.status}`);
+                        error.status = response.status;
+                        throw error;
+                    }
+                    return response.arrayBuffer();
+                })
+                .then(data => this.context.decodeAudioData(data));
+
+            // Failed decodes are not cached, so a later attempt can retry
+            promise.catch(() => {
+                if (this.buffers.get(url) === promise) this.buffers.delete(url);
+            });
+
+            this.buffers.set(url, promise);
+        }
+
+        return this.buffers.get(url);
+    }
+
+    /**
+     * Map a song URL through the resolveUrl option
+     * @param {string} url - Song URL
+     * @returns {Promise<string>} URL to fetch or play
+     */
+    resolveUrl(url) {
+        if (typeof this.options.resolveUrl !== "function") return Promise.resolve(url);
+        return Promise.resolve().then(() => this.options.resolveUrl(url));
+    }
+
+    /**
+     * Decoded buffer for a URL that is already being fetched
+     * @param {string} url - Audio URL
+     * @returns {Promise<AudioBuffer|null>} Null if it failed or is not cached
+     */
+    getDecodedBuffer(url) {
+        const promise = this.buffers.get(url);
+        return promise ? promise.catch(() => null) : Promise.resolve(null);
+    }
+
+    /**
+     * Forget buffers of songs that are neither current nor next
+     */
+    pruneBuffers() {
+        const keep = [this.song, this.nextSong].filter(Boolean).map(song => song.url);
+
+        Array.from(this.buffers.keys()).forEach(url => {
+            if (!keep.includes(url)) this.buffers.delete(url);
+        });
+    }
+
+    /* ============================================================
+       Fallback Element
+    ============================================================ */
+
+    /**
+     * Forward the fallback element's events to the engine callbacks
+     */
+    setupFallbackElement() {
+        const element = this.fallbackElement;
+        if (!element) return;
+
+        element.addEventListener("ended", () => {
+            if (!this.usingFallback) return;
+            this.setPaused(true);
+            this.notify("onEnded");
+        });
+        element.addEventListener("timeupdate", () => {
+            if (this.usingFallback) this.notify("onTimeUpdate");
+        });
+        element.addEventListener("loadedmetadata", () => {
+            if (this.usingFallback) this.notify("onTimeUpdate");
+        });
+        element.addEventListener("error", () => {
+            if (this.usingFallback) this.reportError(element.error);
+        });
+    }
+
+    /**
+     * Apply volume and track gain to the fallback element
+     * An element cannot play louder than 1, so only attenuation is possible
+     */
+    updateFallbackVolume() {
+        if (!this.fallbackElement) return;
+
+        const trim = this.usingFallback ? Math.min(this.getTrackGainFactor(this.song), 1) : 1;
+        this.fallbackElement.volume = this.volumeLevel * trim;
+    }
+
+    /**
+     * Play the current song through the fallback element
+     */
+    startFallback() {
+        if (!this.fallbackElement) {
+            this.reportError(new Error("No audio element to fall back to"));
+            return;
+        }
+
+        const token = this.loadToken;
+        this.resolveUrl(this.song.url).then(url => {
+            if (token !== this.loadToken) return;
+
+            this.usingFallback = true;
+            this.fallbackElement.src = url;
+            this.updateFallbackVolume();
+
+            if (!this.paused) {
+                this.fallbackElement.play().catch(error => this.reportError(error));
+            }
+        }, error => {
+            if (token === this.loadToken) this.reportError(error);
+        });
+    }
+
+    /* ============================================================
+       State & Callbacks
+    ============================================================ */
+
+    /**
+     * Update the paused flag and tell the app when it changes
+     * @param {boolean} paused
+     */
+    setPaused(paused) {
+        if (this.paused === paused) return;
+        this.paused = paused;
+        this.notify("onStateChange", paused);
+    }
+
+    /**
+     * Poll the audio clock while playing: completes transitions and reports progress
+     */
+    startTimer() {
+        if (this.timer !== null) return;
+
+        this.timer = setInterval(() => {
+            this.settle();
+            this.notify("onTimeUpdate");
+        }, AudioEngine.TICK_MS);
+    }
+
+    /**
+     * Stop polling the audio clock
+     */
+    stopTimer() {
+        if (this.timer === null) return;
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Report a song that cannot be played and stop
+     * @param {*} error - Cause
+     */
+    reportError(error) {
+        console.error(`Cannot play "${this.song ? this.song.title : ""}":`, error);
+        this.setPaused(true);
+        this.notify("onError", this.song, error);
+    }
+
+    /**
+     * Call an optional callback from the constructor options
+     * @param {string} name - Option name, e.g. "onEnded"
+     * @param {...*} args - Arguments for the callback
+     */
+    notify(name, ...args) {
+        if (typeof this.options[name] === "function") {
+            this.options[name](...args);
+        }
+    }
+}
+
+AudioEngine.MAX_CROSSFADE = 12;   // Longest crossfade offered (seconds)
+AudioEngine.TICK_MS = 250;        // Progress and transition polling interval
+AudioEngine.GAIN_RAMP_SECONDS = 0.1;   // Time constant when a track gain changes mid-song
@@ -0,0 +1,321 @@
+/*
+    ============================================================
+    Equalizer.js
+    Project: Smart Music Playlist Manager
+    Ten-Band Graphic Equalizer
+    ============================================================
+
+    DESCRIPTION:
+    A preamp followed by ten BiquadFilter bands, inserted into the
+    AudioEngine graph between the songs and the volume control:
+
+        songs -> preamp GainNode -> 31 Hz ... 16 kHz filters -> volume -> destination
+
+    The lowest band is a low shelf, the highest a high shelf and the
+    eight in between are peaking filters, one octave apart.
+
+    SETTINGS:
+        { preamp, bands } in dB. preamp is within +/-MAX_GAIN and bands
+        holds one gain per entry of Equalizer.FREQUENCIES. Settings are
+        plain JSON so they can be saved as presets, in localStorage and
+        on songs (per-song EQ).
+
+    PRESETS:
+        Built-in presets are read-only. User presets are saved by name
+        and may not reuse a built-in name.
+
+    Without an AudioContext (or in Node) the class still manages
+    settings and presets; it just has no nodes to drive.
+*/
+
+class Equalizer {
+
+    /**
+     * @param {AudioContext} context - (Optional) Context to build the filter chain in
+     */
+    constructor(context) {
+        this.settings = Equalizer.flatSettings();
+        this.presetName = "Flat";   // Preset the settings came from, or null once edited
+        this.userPresets = {};      // Name -> settings
+
+        this.context = context || null;
+        this.input = null;          // Preamp GainNode (connect sources here)
+        this.output = null;         // Last filter (connect this onward)
+        this.filters = [];
+
+        if (this.context) {
+            this.buildGraph();
+        }
+    }
+
+    /**
+     * Settings with every gain at 0 dB
+     * @returns {Object} { preamp, bands }
+     */
+    static flatSettings() {
+        return { preamp: 0, bands: Equalizer.FREQUENCIES.map(() => 0) };
+    }
+
+    /**
+     * Validate settings and clamp every gain to +/-MAX_GAIN dB
+     * @param {Object} settings - Candidate { preamp, bands }
+     * @returns {Object|null} Clean copy, or null if the shape is wrong
+     */
+    static normalizeSettings(settings) {
+        if (!settings || !Array.isArray(settings.bands) ||
+            settings.bands.length !== Equalizer.FREQUENCIES.length) {
+            return null;
+        }
+
+        const clamp = value => {
+            const gain = Number(value);
+            if (!Number.isFinite(gain)) return 0;
+            return Math.max(-Equalizer.MAX_GAIN, Math.min(gain, Equalizer.MAX_GAIN));
+        };
+
+        return {
+            preamp: clamp(settings.preamp),
+            bands: settings.bands.map(clamp)
+        };
+    }
+
+    /* ============================================================
+       Audio Graph
+    ============================================================ */
+
+    /**
+     * Create the preamp and filters and chain them together
+     */
+    buildGraph() {
+        this.input = this.context.createGain();
+
+        this.filters = Equalizer.FREQUENCIES.map((frequency, index) => {
+            const filter = this.context.createBiquadFilter();
+            const last = Equalizer.FREQUENCIES.length - 1;
+
+            filter.type = index === 0 ? "lowshelf" : index === last ? "highshelf" : "peaking";
+            filter.frequency.value = frequency;
+            filter.Q.value = Equalizer.Q;
+            return filter;
+        });
+
+        let previous = this.input;
+        this.filters.forEach(filter => {
+            previous.connect(filter);
+            previous = filter;
+        });
+        this.output = previous;
+
+        this.updateNodes();
+    }
+
+    /**
+     * Push the current settings to the nodes
+     * Changes ramp over a few milliseconds so slider drags do not click
+     */
+    updateNodes() {
+        if (!this.context) return;
+
+        const now = this.context.currentTime;
+        this.input.gain.setTargetAtTime(Math.pow(10, this.settings.preamp / 20), now, Equalizer.RAMP_SECONDS);
+        this.filters.forEach((filter, index) => {
+            filter.gain.setTargetAtTime(this.settings.bands[index], now, Equalizer.RAMP_SECONDS);
+        });
+    }
+
+    /* ============================================================
+       Settings
+    ============================================================ */
+
+    /**
+     * Copy of the settings in effect
+     * @returns {Object} { preamp, bands }
+     */
+    getSettings() {
+        return { preamp: this.settings.preamp, bands: this.settings.bands.slice() };
+    }
+
+    /**
+     * Replace every gain at once
+     * @param {Object} settings - { preamp, bands }
+     * @param {string|null} presetName - (Optional) Preset the settings came from
+     * @returns {boolean} True if the settings were valid and applied
+     */
+    applySettings(settings, presetName = null) {
+        const normalized = Equalizer.normalizeSettings(settings);
+        if (!normalized) {
+            console.warn("Invalid equalizer settings", settings);
+            return false;
+        }
+
+        this.settings = normalized;
+        this.presetName = presetName;
+        this.updateNodes();
+        return true;
+    }
+
+    /**
+     * Set one band's gain. The settings no longer match a preset
+     * @param {number} index - Band index into Equalizer.FREQUENCIES
+     * @param {number} gain - Gain in dB
+     * @returns {boolean} True if the band exists
+     */
+    setBand(index, gain) {
+        if (!Number.isInteger(index) || index < 0 || index >= Equalizer.FREQUENCIES.length) {
+            console.warn(`Invalid equalizer band: ${index}`);
+            return false;
+        }
+
+        const bands = this.settings.bands.slice();
+        bands[index] = gain;
+        return this.applySettings({ preamp: this.settings.preamp, bands: bands });
+    }
+
+    /**
+     * Set the preamp gain. The settings no longer match a preset
+     * @param {number} gain - Gain in dB
+     * @returns {boolean}
+     */
+    setPreamp(gain) {
+        return this.applySettings({ preamp: gain, bands: this.settings.bands });
+    }
+
+    /* ============================================================
+       Presets
+    ============================================================ */
+
+    /**
+     * Names of the presets, built-in first
+     * @returns {Object} { builtIn: Array<string>, user: Array<string> }
+     */
+    listPresets() {
+        return {
+            builtIn: Object.keys(Equalizer.PRESETS),
+            user: Object.keys(this.userPresets).sort((a, b) => a.localeCompare(b))
+        };
+    }
+
+    /**
+     * Look up a preset by name
+     * @param {string} name - Preset name
+     * @returns {Object|null} Copy of its settings, or null if unknown
+     */
+    getPreset(name) {
+        const preset = Equalizer.PRESETS[name] || this.userPresets[name];
+        return preset ? Equalizer.normalizeSettings(preset) : null;
+    }
+
+    /**
+     * Apply a preset by name
+     * @param {string} name - Preset name
+     * @returns {boolean} True if the preset exists
+     */
+    applyPreset(name) {
+        const preset = this.getPreset(name);
+        if (!preset) {
+            console.warn(`Equalizer preset not found: ${name}`);
+            return false;
+        }
+
+        return this.applySettings(preset, name);
+    }
+
+    /**
+     * Save the current settings as a user preset (replacing one with the same name)
+     * @param {string} name - Preset name
+     * @returns {boolean} True if saved, false for an empty or built-in name
+     */
+    savePreset(name) {
+        const trimmed = typeof name === "string" ? name.trim() : "";
+
+        if (!trimmed || Object.prototype.hasOwnProperty.call(Equalizer.PRESETS, trimmed)) {
+            console.warn("Cannot save equalizer preset", name);
+            return false;
+        }
+
+        this.userPresets[trimmed] = this.getSettings();
+        this.presetName = trimmed;
+        return true;
+    }
+
+    /**
+     * Delete a user preset. Built-in presets cannot be deleted
+     * @param {string} name - Preset name
+     * @returns {boolean} True if deleted
+     */
+    deletePreset(name) {
+        if (!Object.prototype.hasOwnProperty.call(this.userPresets, name)) {
+            console.warn(`User equalizer preset not found: ${name}`);
+            return false;
+        }
+
+        delete this.userPresets[name];
+        if (this.presetName === name) {
+            this.presetName = null;
+        }
+        return true;
+    }
+
+    /* ============================================================
+       Persistence Helpers
+    ============================================================ */
+
+    /**
+     * Capture the settings, preset name and user presets
+     * @returns {Object} { settings, presetName, userPresets }
+     */
+    getState() {
+        return {
+            settings: this.getSettings(),
+            presetName: this.presetName,
+            userPresets: JSON.parse(JSON.stringify(this.userPresets))
+        };
+    }
+
+    /**
+     * Restore a state captured by getState(). Invalid presets are dropped
+     * @param {Object} state - Saved state
+     * @returns {boolean} True if the state was usable
+     */
+    restoreState(state) {
+        if (!state || typeof state !== "object") return false;
+
+        this.userPresets = {};
+        Object.entries(state.userPresets || {}).forEach(([name, settings]) => {
+            const normalized = Equalizer.normalizeSettings(settings);
+            if (normalized && !Equalizer.PRESETS[name]) {
+                this.userPresets[name] = normalized;
+            }
+        });
+
+        if (!this.applySettings(state.settings || Equalizer.flatSettings(), state.presetName || null)) {
+            this.applySettings(Equalizer.flatSettings(), "Flat");
+        }
+        return true;
+    }
+}
+
+Equalizer.FREQUENCIES = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];   // Band centers (Hz)
+Equalizer.MAX_GAIN = 12;        // Largest boost or cut (dB)
+Equalizer.Q = 1.41;             // About one octave per band
+Equalizer.RAMP_SECONDS = 0.02;  // Time constant for gain changes
+
+// Built-in presets: { preamp, bands } in dB, bands low to high
+Equalizer.PRESETS = {
+    "Flat": { preamp: 0, bands: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+    "Bass Boost": { preamp: -4, bands: [6, 5, 4, 2, 0, 0, 0, 0, 0, 0] },
+    "Treble Boost": { preamp: -4, bands: [0, 0, 0, 0, 0, 1, 2, 4, 5, 6] },
+    "Vocal": { preamp: -2, bands: [-2, -2, -1, 1, 3, 4, 3, 1, 0, -1] },
+    "Rock": { preamp: -3, bands: [4, 3, 2, 0, -1, -1, 1, 2, 3, 4] },
+    "Pop": { preamp: -2, bands: [-1, 1, 3, 4, 3, 0, -1, -1, 1, 2] },
+    "Jazz": { preamp: -2, bands: [3, 2, 1, 2, -1, -1, 0, 1, 2, 3] },
+    "Classical": { preamp: -2, bands: [4, 3, 2, 1, 0, 0, 0, 1, 2, 3] },
+    "Electronic": { preamp: -4, bands: [5, 4, 1, 0, -2, 1, 0, 1, 4, 5] },
+    "Late Night": { preamp: 0, bands: [-4, -3, -1, 0, 1, 1, 0, -1, -3, -4] }
+};
+
+
+// Node export for tests; see "How the Scripts Load" in README.md
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { Equalizer };
+}
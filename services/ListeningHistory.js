@@ -0,0 +1,334 @@
+/*
+    ============================================================
+    ListeningHistory.js
+    Project: Smart Music Playlist Manager
+    Listening History & Play Statistics
+    ============================================================
+
+    DESCRIPTION:
+    Turns playback progress into listens. The app reports the song
+    that is loaded (begin), the position while it plays (progress)
+    and why it stopped (end); this class decides what counts as a
+    play or a skip, keeps a log of recent listens and adds up
+    listening time per artist. It never touches the audio or the
+    playlists: per-song counters are left to the app, which stores
+    them on the songs (playCount, skipCount, lastPlayedAt).
+
+    WHAT COUNTS:
+        - Listening time is the forward progress actually heard;
+          seeking and pauses are not counted
+        - A play is counted once per listen, as soon as half the song
+          (at most PLAY_MAX_SECONDS) has been heard. Songs of unknown
+          length need PLAY_UNKNOWN_SECONDS
+        - A skip is a listen the user moved away from ("skipped")
+          after it started playing but before it counted as a play
+
+    STATE:
+        getState() returns plain JSON-safe data for localStorage:
+            { entries, artists, totals }
+        The log keeps the newest MAX_ENTRIES listens; artist and
+        total figures are running sums and are never trimmed.
+*/
+
+class ListeningHistory {
+
+    /**
+     * @param {Object} options
+     * @param {number} options.maxEntries - (Optional) Log size. Default: ListeningHistory.MAX_ENTRIES
+     */
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || ListeningHistory.MAX_ENTRIES;
+
+        this.entries = [];     // Logged listens, newest first
+        this.artists = {};     // Lower-cased artist -> { name, seconds, plays }
+        this.totals = ListeningHistory.emptyTotals();
+        this.session = null;   // Listen in progress
+    }
+
+    /**
+     * Time that must be heard for a listen to count as a play
+     * @param {number} duration - Song length in seconds (NaN or 0 if unknown)
+     * @returns {number} Seconds
+     */
+    static playThreshold(duration) {
+        if (!Number.isFinite(duration) || duration <= 0) {
+            return ListeningHistory.PLAY_UNKNOWN_SECONDS;
+        }
+        return Math.min(duration * ListeningHistory.PLAY_FRACTION, ListeningHistory.PLAY_MAX_SECONDS);
+    }
+
+    /**
+     * Starting figures for the totals
+     * @returns {Object} { seconds, plays, skips, since }
+     */
+    static emptyTotals() {
+        return { seconds: 0, plays: 0, skips: 0, since: null };
+    }
+
+    /* ============================================================
+       Listen Tracking
+    ============================================================ */
+
+    /**
+     * Start listening to a song. An open listen of another song ends as "stopped";
+     * one of the same song carries on
+     * @param {Object|null} song - Song that is loaded, or null
+     * @param {number} now - Current time in ms
+     */
+    begin(song, now) {
+        if (this.session && song && this.session.song.id === song.id) return;
+
+        if (this.session) this.end("stopped", now);
+        if (!song) return;
+
+        this.session = {
+            song: { id: song.id, title: song.title, artist: song.artist, album: song.album || "", url: song.url },
+            startedAt: now,
+            position: null,   // Last reported position
+            listened: 0,      // Seconds heard
+            counted: false    // Already counted as a play
+        };
+    }
+
+    /**
+     * Report the playback position while the song plays
+     * @param {number} position - Position in seconds
+     * @param {number} duration - Song length in seconds (NaN if unknown)
+     * @param {number} now - Current time in ms
+     * @returns {Object|null} The logged listen if it just counted as a play, otherwise null
+     */
+    progress(position, duration, now) {
+        const session = this.session;
+        if (!session || !Number.isFinite(position)) return null;
+
+        const step = session.position === null ? 0 : position - session.position;
+        session.position = position;
+
+        // Seeks jump further than one tick, backwards jumps are replays of the same music
+        if (step <= 0 || step > ListeningHistory.MAX_STEP_SECONDS) return null;
+
+        session.listened += step;
+        this.addListeningTime(session.song, step, now);
+
+        if (session.counted || session.listened < ListeningHistory.playThreshold(duration)) return null;
+
+        session.counted = true;
+        this.totals.plays++;
+        this.artistRecord(session.song).plays++;
+
+        return this.log(session, now, false);
+    }
+
+    /**
+     * Finish the listen in progress
+     * @param {string} reason - "ended" (played to the end), "skipped" (the user moved on),
+     *                          "failed" (could not play) or "stopped" (anything else)
+     * @param {number} now - Current time in ms
+     * @returns {Object|null} { song, listened, counted, skipped }, or null if nothing was playing
+     */
+    end(reason, now) {
+        const session = this.session;
+        if (!session) return null;
+
+        this.session = null;
+
+        const skipped = reason === "skipped" && !session.counted && session.listened > 0;
+        if (skipped) {
+            this.totals.skips++;
+            this.log(session, now, true);
+        }
+
+        return {
+            song: session.song,
+            listened: session.listened,
+            counted: session.counted,
+            skipped: skipped
+        };
+    }
+
+    /**
+     * ID of the song being listened to
+     * @returns {string|null}
+     */
+    getCurrentSongId() {
+        return this.session ? this.session.song.id : null;
+    }
+
+    /* ============================================================
+       Views & Statistics
+    ============================================================ */
+
+    /**
+     * Logged listens, newest first
+     * @param {number} limit - (Optional) Maximum number of entries
+     * @returns {Array<Object>} [{ songId, title, artist, album, url, playedAt, listened, skipped }]
+     */
+    getRecent(limit = this.maxEntries) {
+        return this.entries.slice(0, limit).map(entry => Object.assign({}, entry));
+    }
+
+    /**
+     * Songs played most, by their playCount field
+     * Ties go to the song played most recently
+     * @param {Array<Object>} songs - Songs of the library
+     * @param {number} limit - Maximum number of songs
+     * @returns {Array<Object>} Songs with at least one play
+     */
+    static mostPlayed(songs, limit) {
+        return songs
+            .filter(song => song.playCount > 0)
+            .sort((a, b) => (b.playCount - a.playCount) || ((b.lastPlayedAt || 0) - (a.lastPlayedAt || 0)))
+            .slice(0, limit);
+    }
+
+    /**
+     * Listening time per artist, most listened first
+     * @returns {Array<Object>} [{ name, seconds, plays }]
+     */
+    getArtistStats() {
+        return Object.keys(this.artists)
+            .map(key => Object.assign({}, this.artists[key]))
+            .sort((a, b) => (b.seconds - a.seconds) || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Overall figures
+     * @returns {Object} { seconds, plays, skips, since } (since: ms of the first listen, or null)
+     */
+    getTotals() {
+        return Object.assign({}, this.totals);
+    }
+
+    /**
+     * Check whether anything has been listened to yet
+     * @returns {boolean}
+     */
+    isEmpty() {
+        return this.entries.length === 0 && this.totals.seconds === 0;
+    }
+
+    /* ============================================================
+       Persistence Helpers
+    ============================================================ */
+
+    /**
+     * Capture the log and statistics (not the listen in progress)
+     * @returns {Object} { entries, artists, totals }
+     */
+    getState() {
+        return JSON.parse(JSON.stringify({
+            entries: this.entries,
+            artists: this.artists,
+            totals: this.totals
+        }));
+    }
+
+    /**
+     * Restore a state captured by getState(). Malformed parts are dropped
+     * @param {Object} state - Saved state
+     * @returns {boolean} True if the state was usable
+     */
+    restoreState(state) {
+        if (!state || typeof state !== "object") return false;
+
+        this.entries = (Array.isArray(state.entries) ? state.entries : [])
+            .filter(entry => entry && entry.songId && typeof entry.playedAt === "number")
+            .slice(0, this.maxEntries);
+
+        this.artists = {};
+        Object.keys(state.artists || {}).forEach(key => {
+            const record = state.artists[key];
+            if (record && typeof record.name === "string" && Number.isFinite(record.seconds)) {
+                this.artists[key] = { name: record.name, seconds: record.seconds, plays: record.plays || 0 };
+            }
+        });
+
+        this.totals = Object.assign(ListeningHistory.emptyTotals(), state.totals || {});
+        return true;
+    }
+
+    /**
+     * Forget every listen and statistic. A listen in progress starts over
+     */
+    clear() {
+        this.entries = [];
+        this.artists = {};
+        this.totals = ListeningHistory.emptyTotals();
+
+        if (this.session) {
+            this.session.listened = 0;
+            this.session.counted = false;
+        }
+    }
+
+    /* ============================================================
+       Internal Helpers
+    ============================================================ */
+
+    /**
+     * Add heard time to the artist and the totals
+     * @param {Object} song - Song being heard
+     * @param {number} seconds - Time heard
+     * @param {number} now - Current time in ms
+     */
+    addListeningTime(song, seconds, now) {
+        this.artistRecord(song).seconds += seconds;
+        this.totals.seconds += seconds;
+        if (this.totals.since === null) this.totals.since = now;
+    }
+
+    /**
+     * Statistics record of a song's artist, created on first use
+     * Artists are matched ignoring case and surrounding spaces
+     * @param {Object} song - Song object
+     * @returns {Object} { name, seconds, plays }
+     */
+    artistRecord(song) {
+        const name = (song.artist || "").trim() || "Unknown Artist";
+        const key = name.toLowerCase();
+
+        if (!this.artists[key]) {
+            this.artists[key] = { name: name, seconds: 0, plays: 0 };
+        }
+        return this.artists[key];
+    }
+
+    /**
+     * Add a listen to the front of the log
+     * @param {Object} session - Listen being logged
+     * @param {number} now - Current time in ms
+     * @param {boolean} skipped - True for a skip, false for a play
+     * @returns {Object} The logged entry
+     */
+    log(session, now, skipped) {
+        const entry = {
+            songId: session.song.id,
+            title: session.song.title,
+            artist: session.song.artist,
+            album: session.song.album,
+            url: session.song.url,
+            playedAt: now,
+            listened: Math.round(session.listened),
+            skipped: skipped
+        };
+
+        this.entries.unshift(entry);
+        if (this.entries.length > this.maxEntries) {
+            this.entries.length = this.maxEntries;
+        }
+
+        return entry;
+    }
+}
+
+ListeningHistory.MAX_ENTRIES = 500;
+ListeningHistory.PLAY_FRACTION = 0.5;         // Share of a song that makes a play
+ListeningHistory.PLAY_MAX_SECONDS = 240;      // Long songs count after four minutes
+ListeningHistory.PLAY_UNKNOWN_SECONDS = 30;   // Threshold when the length is unknown
+ListeningHistory.MAX_STEP_SECONDS = 2;        // Larger position jumps are seeks (or skipped ticks)
+
+
+// Node export for tests; see "How the Scripts Load" in README.md
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { ListeningHistory };
+}
@@ -0,0 +1,261 @@
+/*
+    ============================================================
+    LocalFileStore.js
+    Project: Smart Music Playlist Manager
+    Local Audio Files (IndexedDB)
+    ============================================================
+
+    DESCRIPTION:
+    Keeps audio files the user picked or dropped in IndexedDB, so
+    songs made from them still play after a reload. A blob: URL dies
+    with the page; a stored file does not.
+
+    LOCAL URLS:
+        Songs refer to stored files as "local:<id>". The URL is saved
+        with the playlist like any other; resolveUrl() turns it into a
+        blob: URL when the song is about to play. Other URLs pass
+        through unchanged.
+
+    PRUNING:
+        Files are not deleted when a song is removed, because undo can
+        bring the song back (and undo history is saved too). prune()
+        deletes the files no saved song or history entry refers to.
+
+    FOLDERS:
+        filesFromDataTransfer() walks dropped folders recursively and
+        keeps only audio files, in path order, so an album folder is
+        added in track order.
+*/
+
+class LocalFileStore {
+
+    /**
+     * @param {Object} options
+     * @param {IndexedDBBackend} options.backend - (Optional) Record store. Default: IndexedDB "sonic-local-files"
+     */
+    constructor(options = {}) {
+        this.backend = options.backend || new IndexedDBBackend("sonic-local-files", "files");
+        this.objectUrls = new Map();   // Local URL -> blob: URL created this session
+    }
+
+    /**
+     * Check whether a URL refers to a stored file
+     * @param {string} url - Song URL
+     * @returns {boolean}
+     */
+    static isLocalUrl(url) {
+        return typeof url === "string" && url.startsWith(LocalFileStore.URL_PREFIX);
+    }
+
+    /**
+     * Check whether a file looks like audio, by MIME type or extension
+     * (some systems report no type for .flac or .opus files)
+     * @param {File} file
+     * @returns {boolean}
+     */
+    static isAudioFile(file) {
+        if (file.type && file.type.startsWith("audio/")) return true;
+
+        const dot = file.name.lastIndexOf(".");
+        return dot !== -1 && LocalFileStore.AUDIO_EXTENSIONS.includes(file.name.slice(dot + 1).toLowerCase());
+    }
+
+    /**
+     * Collect every local URL referred to by a snapshot, history included
+     * @param {*} value - Library snapshot (or any part of one)
+     * @param {Set<string>} urls - (Optional) Set to add to
+     * @returns {Set<string>}
+     */
+    static collectLocalUrls(value, urls = new Set()) {
+        if (Array.isArray(value)) {
+            value.forEach(item => LocalFileStore.collectLocalUrls(item, urls));
+        } else if (value && typeof value === "object") {
+            Object.keys(value).forEach(key => {
+                if (key === "url" && LocalFileStore.isLocalUrl(value[key])) {
+                    urls.add(value[key]);
+                } else {
+                    LocalFileStore.collectLocalUrls(value[key], urls);
+                }
+            });
+        }
+
+        return urls;
+    }
+
+    /* ============================================================
+       Public API
+    ============================================================ */
+
+    /**
+     * Store a file
+     * @param {File} file - Audio file
+     * @returns {Promise<string>} Local URL of the stored file
+     */
+    async addFile(file) {
+        const id = LocalFileStore.createId();
+
+        await this.backend.save(id, {
+            name: file.name,
+            type: file.type,
+            size: file.size,
+            lastModified: file.lastModified,
+            addedAt: Date.now(),
+            blob: file
+        });
+
+        return LocalFileStore.URL_PREFIX + id;
+    }
+
+    /**
+     * Look up a stored file
+     * @param {string} url - Local URL
+     * @returns {Promise<Object|null>} { name, type, size, lastModified, addedAt, blob }, or null if missing
+     */
+    getFile(url) {
+        if (!LocalFileStore.isLocalUrl(url)) return Promise.resolve(null);
+        return this.backend.load(url.slice(LocalFileStore.URL_PREFIX.length));
+    }
+
+    /**
+     * Turn a song URL into one the browser can fetch
+     * @param {string} url - Song URL
+     * @returns {Promise<string>} blob: URL for local URLs, the URL itself otherwise
+     */
+    async resolveUrl(url) {
+        if (!LocalFileStore.isLocalUrl(url)) return url;
+        if (this.objectUrls.has(url)) return this.objectUrls.get(url);
+
+        const record = await this.getFile(url);
+        if (!record) {
+            const error = new Error(`Local file not found: ${url} (it may have been cleared from browser storage)`);
+            error.name = "NotFoundError";
+            throw error;
+        }
+
+        // Another call may have resolved the same URL while this one waited
+        if (!this.objectUrls.has(url)) {
+            this.objectUrls.set(url, URL.createObjectURL(record.blob));
+        }
+        return this.objectUrls.get(url);
+    }
+
+    /**
+     * Delete stored files that nothing refers to any more
+     * @param {Set<string>} keepUrls - Local URLs still in use (see collectLocalUrls)
+     * @returns {Promise<number>} Number of files deleted
+     */
+    async prune(keepUrls) {
+        const ids = await this.backend.keys();
+        const unused = ids.filter(id => !keepUrls.has(LocalFileStore.URL_PREFIX + id));
+
+        for (const id of unused) {
+            const url = LocalFileStore.URL_PREFIX + id;
+            if (this.objectUrls.has(url)) {
+                URL.revokeObjectURL(this.objectUrls.get(url));
+                this.objectUrls.delete(url);
+            }
+            await this.backend.remove(id);
+        }
+
+        return unused.length;
+    }
+
+    /* ============================================================
+       Picking & Dropping
+    ============================================================ */
+
+    /**
+     * Audio files of a drop, descending into dropped folders
+     * @param {DataTransfer} dataTransfer - From the drop event
+     * @returns {Promise<Array<File>>} Audio files sorted by path
+     */
+    static async filesFromDataTransfer(dataTransfer) {
+        const found = [];
+
+        // Entries must be taken synchronously, before the drop event handler returns
+        const entries = Array.from(dataTransfer.items || [])
+            .filter(item => item.kind === "file")
+            .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+
+        if (entries.length > 0 && entries.every(Boolean)) {
+            for (const entry of entries) {
+                await LocalFileStore.readEntry(entry, found);
+            }
+        } else {
+            Array.from(dataTransfer.files || []).forEach(file => found.push({ file: file, path: file.name }));
+        }
+
+        return LocalFileStore.sortAudioFiles(found);
+    }
+
+    /**
+     * Audio files from a file input (with or without webkitdirectory)
+     * @param {FileList} fileList - input.files
+     * @returns {Array<File>} Audio files sorted by path
+     */
+    static filesFromInput(fileList) {
+        return LocalFileStore.sortAudioFiles(Array.from(fileList || []).map(file => ({
+            file: file,
+            path: file.webkitRelativePath || file.name
+        })));
+    }
+
+    /**
+     * Read a FileSystemEntry, recursing into directories
+     * @param {FileSystemEntry} entry - File or directory entry
+     * @param {Array<Object>} found - Receives { file, path }
+     * @returns {Promise<void>}
+     */
+    static async readEntry(entry, found) {
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            found.push({ file: file, path: entry.fullPath || file.name });
+            return;
+        }
+
+        if (!entry.isDirectory) return;
+
+        // readEntries returns a limited batch per call; keep reading until it returns none
+        const reader = entry.createReader();
+        let batch;
+        do {
+            batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            for (const child of batch) {
+                await LocalFileStore.readEntry(child, found);
+            }
+        } while (batch.length > 0);
+    }
+
+    /**
+     * Keep the audio files and sort them by path, numbers in natural order
+     * ("2 - Song" before "10 - Song")
+     * @param {Array<Object>} found - { file, path }
+     * @returns {Array<File>}
+     */
+    static sortAudioFiles(found) {
+        return found
+            .filter(entry => LocalFileStore.isAudioFile(entry.file))
+            .sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true, sensitivity: "base" }))
+            .map(entry => entry.file);
+    }
+
+    /**
+     * Random ID for a stored file
+     * @returns {string}
+     */
+    static createId() {
+        if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") {
+            return crypto.randomUUID();
+        }
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+    }
+}
+
+LocalFileStore.URL_PREFIX = "local:";
+LocalFileStore.AUDIO_EXTENSIONS = ["mp3", "m4a", "aac", "mp4", "flac", "ogg", "oga", "opus", "wav", "webm", "aif", "aiff"];
+
+
+// Node export for tests; see "How the Scripts Load" in README.md
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { LocalFileStore };
+}
@@ -0,0 +1,343 @@
+/*
+    ============================================================
+    LoudnessAnalyzer.js
+    Project: Smart Music Playlist Manager
+    Loudness Measurement & Normalization Gain
+    ============================================================
+
+    DESCRIPTION:
+    Measures the integrated loudness of decoded audio the way
+    ITU-R BS.1770 / EBU R128 does, and turns it into a ReplayGain
+    style gain that brings every song to the same perceived level.
+
+    MEASUREMENT:
+        1. K-weighting: a high-shelf pre-filter and a high-pass filter
+           approximate how loud the ear hears each frequency
+        2. Mean square energy over 400 ms blocks, overlapping by 75%
+        3. Gating: blocks below -70 LUFS are ignored (silence), then
+           blocks more than 10 LU below the remaining average
+        4. Integrated loudness = -0.691 + 10 log10(gated mean energy)
+
+    GAIN:
+        - Track mode: TARGET_LUFS - track loudness
+        - Album mode: TARGET_LUFS - loudness of every analyzed song in
+          the playlist with the same artist and album, so the quiet and
+          loud songs of an album keep their relative levels. Album
+          loudness is the duration-weighted energy average of its tracks
+        - Clipping guard: the gain is lowered so the sample peak never
+          goes over full scale
+
+    Analysis yields to the browser between slices of audio so long
+    songs do not freeze the page.
+*/
+
+/* ============================================================
+   LoudnessMeter
+   Incremental K-weighted, gated loudness measurement
+============================================================ */
+
+class LoudnessMeter {
+
+    /**
+     * @param {number} sampleRate - Samples per second
+     * @param {number} channelCount - Number of channels
+     */
+    constructor(sampleRate, channelCount) {
+        this.sampleRate = sampleRate;
+        this.channelCount = channelCount;
+        this.filters = LoudnessMeter.kWeightingCoefficients(sampleRate);
+        this.weights = LoudnessMeter.channelWeights(channelCount);
+
+        // Biquad state per channel: [x1, x2, y1, y2] for each of the two stages
+        this.state = Array.from({ length: channelCount }, () => [0, 0, 0, 0, 0, 0, 0, 0]);
+
+        this.segmentLength = Math.round(sampleRate * LoudnessMeter.STEP_SECONDS);
+        this.segmentEnergy = 0;      // Weighted sum of squares in the open segment
+        this.segmentFill = 0;        // Samples in the open segment
+        this.segments = [];          // Weighted sums of squares of completed 100 ms segments
+        this.peak = 0;               // Highest absolute sample
+        this.samples = 0;            // Samples processed per channel
+    }
+
+    /**
+     * K-weighting biquad coefficients for any sample rate
+     * (pre-filter high shelf and RLB high-pass, as used by libebur128)
+     * @param {number} sampleRate - Samples per second
+     * @returns {Array<Object>} Two stages { b0, b1, b2, a1, a2 }
+     */
+    static kWeightingCoefficients(sampleRate) {
+        // Stage 1: high shelf, +4 dB above ~1.5 kHz
+        let f0 = 1681.974450955533;
+        const gain = 3.999843853973347;
+        let q = 0.7071752369554196;
+
+        let k = Math.tan(Math.PI * f0 / sampleRate);
+        const vh = Math.pow(10, gain / 20);
+        const vb = Math.pow(vh, 0.4996667741545416);
+        let a0 = 1 + k / q + k * k;
+
+        const shelf = {
+            b0: (vh + vb * k / q + k * k) / a0,
+            b1: 2 * (k * k - vh) / a0,
+            b2: (vh - vb * k / q + k * k) / a0,
+            a1: 2 * (k * k - 1) / a0,
+            a2: (1 - k / q + k * k) / a0
+        };
+
+        // Stage 2: high-pass at ~38 Hz
+        f0 = 38.13547087602444;
+        q = 0.5003270373238773;
+        k = Math.tan(Math.PI * f0 / sampleRate);
+        a0 = 1 + k / q + k * k;
+
+        const highPass = {
+            b0: 1,
+            b1: -2,
+            b2: 1,
+            a1: 2 * (k * k - 1) / a0,
+            a2: (1 - k / q + k * k) / a0
+        };
+
+        return [shelf, highPass];
+    }
+
+    /**
+     * Per-channel weights: surround channels count more, LFE is ignored
+     * @param {number} channelCount - Number of channels
+     * @returns {Array<number>}
+     */
+    static channelWeights(channelCount) {
+        if (channelCount === 6) {
+            return [1, 1, 1, 0, 1.41, 1.41];   // L, R, C, LFE, Ls, Rs
+        }
+        return new Array(channelCount).fill(1);
+    }
+
+    /**
+     * Feed a range of samples
+     * @param {Array<Float32Array>} channels - One array of samples per channel
+     * @param {number} start - First sample index
+     * @param {number} end - Sample index to stop before
+     */
+    process(channels, start, end) {
+        const [shelf, highPass] = this.filters;
+
+        for (let i = start; i < end; i++) {
+            let energy = 0;
+
+            for (let c = 0; c < this.channelCount; c++) {
+                const x = channels[c][i];
+                const s = this.state[c];
+
+                const absolute = x < 0 ? -x : x;
+                if (absolute > this.peak) this.peak = absolute;
+
+                if (this.weights[c] === 0) continue;
+
+                const y1 = shelf.b0 * x + shelf.b1 * s[0] + shelf.b2 * s[1] - shelf.a1 * s[2] - shelf.a2 * s[3];
+                s[1] = s[0]; s[0] = x;
+                s[3] = s[2]; s[2] = y1;
+
+                const y2 = highPass.b0 * y1 + highPass.b1 * s[4] + highPass.b2 * s[5] - highPass.a1 * s[6] - highPass.a2 * s[7];
+                s[5] = s[4]; s[4] = y1;
+                s[7] = s[6]; s[6] = y2;
+
+                energy += this.weights[c] * y2 * y2;
+            }
+
+            this.segmentEnergy += energy;
+            this.segmentFill++;
+
+            if (this.segmentFill === this.segmentLength) {
+                this.segments.push(this.segmentEnergy);
+                this.segmentEnergy = 0;
+                this.segmentFill = 0;
+            }
+        }
+
+        this.samples += Math.max(0, end - start);
+    }
+
+    /**
+     * Integrated loudness of everything processed so far
+     * @returns {number} LUFS, or -Infinity if the audio is silent or shorter than one block
+     */
+    getIntegratedLoudness() {
+        const perBlock = LoudnessMeter.BLOCK_SECONDS / LoudnessMeter.STEP_SECONDS;
+        const blockLength = this.segmentLength * perBlock;
+        const blocks = [];
+
+        for (let i = 0; i + perBlock <= this.segments.length; i++) {
+            let energy = 0;
+            for (let j = 0; j < perBlock; j++) {
+                energy += this.segments[i + j];
+            }
+            blocks.push(energy / blockLength);
+        }
+
+        const loudness = energy => -0.691 + 10 * Math.log10(energy);
+        const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+        const absolute = blocks.filter(energy => loudness(energy) > LoudnessMeter.ABSOLUTE_GATE);
+        if (absolute.length === 0) return -Infinity;
+
+        const relativeGate = loudness(mean(absolute)) + LoudnessMeter.RELATIVE_GATE;
+        const gated = absolute.filter(energy => loudness(energy) > relativeGate);
+
+        return loudness(mean(gated));
+    }
+}
+
+LoudnessMeter.BLOCK_SECONDS = 0.4;     // Gating block length
+LoudnessMeter.STEP_SECONDS = 0.1;      // Block hop (75% overlap)
+LoudnessMeter.ABSOLUTE_GATE = -70;     // LUFS
+LoudnessMeter.RELATIVE_GATE = -10;     // LU below the ungated average
+
+
+/* ============================================================
+   LoudnessAnalyzer
+   Analysis of decoded songs and normalization gain
+============================================================ */
+
+class LoudnessAnalyzer {
+
+    /**
+     * Measure a decoded AudioBuffer, yielding to the browser between slices
+     * @param {AudioBuffer} buffer - Decoded audio
+     * @returns {Promise<Object>} { integrated, peak, duration } (integrated in LUFS, null if silent)
+     */
+    static async analyzeBuffer(buffer) {
+        const channels = [];
+        for (let c = 0; c < buffer.numberOfChannels; c++) {
+            channels.push(buffer.getChannelData(c));
+        }
+
+        const meter = new LoudnessMeter(buffer.sampleRate, channels.length);
+        const slice = Math.round(buffer.sampleRate * LoudnessAnalyzer.SLICE_SECONDS);
+
+        for (let start = 0; start < buffer.length; start += slice) {
+            meter.process(channels, start, Math.min(start + slice, buffer.length));
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        return LoudnessAnalyzer.summarize(meter, buffer.duration);
+    }
+
+    /**
+     * Measure raw channel data in one go (no yielding)
+     * @param {Array<Float32Array>} channels - One array of samples per channel
+     * @param {number} sampleRate - Samples per second
+     * @returns {Object} { integrated, peak, duration }
+     */
+    static analyzeChannels(channels, sampleRate) {
+        const length = channels.length > 0 ? channels[0].length : 0;
+        const meter = new LoudnessMeter(sampleRate, channels.length);
+        meter.process(channels, 0, length);
+
+        return LoudnessAnalyzer.summarize(meter, length / sampleRate);
+    }
+
+    /**
+     * Round a meter's readings into the record stored on the song
+     * @param {LoudnessMeter} meter - Meter that processed the whole song
+     * @param {number} duration - Song length in seconds
+     * @returns {Object} { integrated, peak, duration }
+     */
+    static summarize(meter, duration) {
+        const integrated = meter.getIntegratedLoudness();
+
+        return {
+            integrated: Number.isFinite(integrated) ? Math.round(integrated * 100) / 100 : null,
+            peak: Math.round(meter.peak * 10000) / 10000,
+            duration: Math.round(duration * 10) / 10
+        };
+    }
+
+    /* ============================================================
+       Normalization Gain
+    ============================================================ */
+
+    /**
+     * Gain to play a song at
+     * @param {Object} song - Song, with a `loudness` record once analyzed
+     * @param {string} mode - "off", "track" or "album"
+     * @param {Array<Object>} songs - (Optional) Songs to find album siblings in
+     * @returns {number} Gain in dB (0 when off or not analyzed yet)
+     */
+    static gainFor(song, mode, songs = []) {
+        if (mode === "off" || !LoudnessAnalyzer.isAnalyzed(song)) return 0;
+
+        let loudness = song.loudness.integrated;
+        let peak = song.loudness.peak;
+
+        const album = LoudnessAnalyzer.albumKey(song);
+        if (mode === "album" && album) {
+            const tracks = songs.filter(other =>
+                LoudnessAnalyzer.albumKey(other) === album && LoudnessAnalyzer.isAnalyzed(other));
+
+            if (!tracks.some(track => track.id === song.id)) tracks.push(song);
+
+            loudness = LoudnessAnalyzer.albumLoudness(tracks);
+            peak = Math.max(...tracks.map(track => track.loudness.peak));
+        }
+
+        let gain = LoudnessAnalyzer.TARGET_LUFS - loudness;
+
+        // Clipping guard: keep the loudest sample at or below full scale
+        if (peak > 0) {
+            gain = Math.min(gain, -20 * Math.log10(peak));
+        }
+
+        return Math.round(gain * 100) / 100;
+    }
+
+    /**
+     * Duration-weighted energy average of several tracks' loudness
+     * @param {Array<Object>} tracks - Analyzed songs
+     * @returns {number} LUFS
+     */
+    static albumLoudness(tracks) {
+        let energy = 0;
+        let duration = 0;
+
+        tracks.forEach(track => {
+            const weight = track.loudness.duration > 0 ? track.loudness.duration : 1;
+            energy += weight * Math.pow(10, track.loudness.integrated / 10);
+            duration += weight;
+        });
+
+        return 10 * Math.log10(energy / duration);
+    }
+
+    /**
+     * Check whether a song has a usable loudness record
+     * @param {Object} song
+     * @returns {boolean}
+     */
+    static isAnalyzed(song) {
+        return Boolean(song && song.loudness && Number.isFinite(song.loudness.integrated));
+    }
+
+    /**
+     * Key that groups the songs of one album. The artist is part of it, so
+     * same-named albums by different artists ("Greatest Hits") stay apart
+     * @param {Object} song
+     * @returns {string} Case-insensitive artist and album, or "" if the song has no album
+     */
+    static albumKey(song) {
+        if (!song || typeof song.album !== "string" || !song.album.trim()) return "";
+
+        const artist = typeof song.artist === "string" ? song.artist.trim() : "";
+        return `${artist}\u0000${song.album.trim()}`.toLowerCase();
+    }
+}
+
+LoudnessAnalyzer.TARGET_LUFS = -18;      // ReplayGain 2.0 reference level
+LoudnessAnalyzer.SLICE_SECONDS = 10;     // Audio analyzed between yields to the browser
+LoudnessAnalyzer.MODES = ["off", "track", "album"];
+
+
+// Node export for tests; see "How the Scripts Load" in README.md
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { LoudnessAnalyzer, LoudnessMeter };
+}
@@ -0,0 +1,309 @@
+/*
+    ============================================================
+    PlaybackSupervisor.js
+    Project: Smart Music Playlist Manager
+    Playback Error Handling (retry, stall detection, skip)
+    ============================================================
+
+    DESCRIPTION:
+    Watches the song that is playing and decides what to do when it
+    fails. The supervisor never touches the audio itself; it calls
+    back into the app, which owns the engine and the playlist.
+
+    ERROR KINDS:
+        - "network":     the download failed (offline, server error)
+        - "stall":       playback made no progress for STALL_MS
+        - "missing":     HTTP 404/410, or a local file that is gone
+        - "unsupported": the browser cannot play the format
+        - "decode":      the file is damaged
+        - "autoplay":    the browser blocked playback until the user
+                         interacts with the page
+        - "aborted":     the user stopped the load (ignored)
+        - "unknown":     anything else
+
+    DECISIONS:
+        - network, stall, unknown: retried up to MAX_RETRIES times
+          with exponential backoff (1 s, 2 s, 4 s, ...)
+        - missing, unsupported, decode, or out of retries: the song is
+          marked broken and onGiveUp() lets the app skip it
+        - autoplay: onBlocked() asks the user to press play; the song
+          is not broken
+
+    Broken marks last for the session only: a song that failed on a
+    bad connection may well play later.
+*/
+
+class PlaybackSupervisor {
+
+    /**
+     * @param {Object} options
+     * @param {Function} options.getPosition - Returns the playback position (seconds)
+     * @param {Function} options.isPlaying - Returns true while playback is wanted (not paused)
+     * @param {Function} options.isBlocked - (Optional) Returns true while autoplay policy holds playback
+     * @param {Function} options.onRetry - Called with (song, attempt, kind) when it is time to retry
+     * @param {Function} options.onRetryScheduled - (Optional) Called with (song, attempt, delayMs, kind)
+     * @param {Function} options.onGiveUp - Called with (song, kind, error) once a song is marked broken
+     * @param {Function} options.onBlocked - (Optional) Called with (song) when autoplay is blocked
+     * @param {number} options.maxRetries - (Optional) Default: PlaybackSupervisor.MAX_RETRIES
+     * @param {number} options.baseDelay - (Optional) First retry delay in ms. Default: PlaybackSupervisor.BASE_DELAY_MS
+     * @param {number} options.stallMs - (Optional) Time without progress that counts as a stall
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : PlaybackSupervisor.MAX_RETRIES;
+        this.baseDelay = options.baseDelay !== undefined ? options.baseDelay : PlaybackSupervisor.BASE_DELAY_MS;
+        this.stallMs = options.stallMs || PlaybackSupervisor.STALL_MS;
+
+        this.song = null;             // Song being watched
+        this.attempts = 0;            // Retries used on it
+        this.retryTimer = null;       // Pending retry
+        this.blockedNotified = false; // onBlocked already called for this song
+        this.broken = new Set();      // IDs of songs that could not be played
+
+        this.lastPosition = null;     // Position at the last check
+        this.lastProgressAt = 0;      // When the position last changed
+        this.watchdog = null;
+    }
+
+    /**
+     * Work out what kind of failure an error describes
+     * @param {*} error - Error, DOMException or MediaError
+     * @returns {string} One of the ERROR KINDS above
+     */
+    static classifyError(error) {
+        if (!error) return "unknown";
+
+        const name = error.name || "";
+        if (name === "NotAllowedError") return "autoplay";
+        if (name === "AbortError") return "aborted";
+        if (name === "StallError") return "stall";
+        if (name === "NotFoundError") return "missing";
+        if (name === "NotSupportedError") return "unsupported";
+        if (name === "EncodingError") return "decode";
+
+        // MediaError from an <audio> element
+        if (typeof error.code === "number" && PlaybackSupervisor.MEDIA_ERROR_KINDS[error.code]) {
+            return PlaybackSupervisor.MEDIA_ERROR_KINDS[error.code];
+        }
+
+        if (typeof error.status === "number") {
+            return error.status === 404 || error.status === 410 ? "missing" : "network";
+        }
+
+        // fetch() rejects with a TypeError when the request itself fails
+        if (name === "TypeError") return "network";
+
+        return "unknown";
+    }
+
+    /**
+     * Check whether a kind of failure is worth retrying
+     * @param {string} kind - Result of classifyError()
+     * @returns {boolean}
+     */
+    static isRetryable(kind) {
+        return kind === "network" || kind === "stall" || kind === "unknown";
+    }
+
+    /**
+     * Delay before a retry
+     * @param {number} attempt - Retry number, starting at 1
+     * @returns {number} Milliseconds
+     */
+    retryDelay(attempt) {
+        return Math.min(this.baseDelay * Math.pow(2, attempt - 1), PlaybackSupervisor.MAX_DELAY_MS);
+    }
+
+    /* ============================================================
+       Public API
+    ============================================================ */
+
+    /**
+     * Start watching a song. Watching the same song again keeps its retry count
+     * @param {Object|null} song - Current song, or null when nothing is loaded
+     */
+    watch(song) {
+        if (song && this.song && song.id === this.song.id) return;
+
+        this.cancelRetry();
+        this.song = song || null;
+        this.attempts = 0;
+        this.blockedNotified = false;
+        this.lastPosition = null;
+    }
+
+    /**
+     * Handle a playback failure of a song
+     * @param {Object} song - Song that failed
+     * @param {*} error - Cause
+     * @returns {Object} Decision: { action: "retry", attempt, delay } | { action: "skip" }
+     *                   | { action: "wait" } (autoplay) | { action: "ignore" }
+     */
+    handleError(song, error) {
+        const kind = PlaybackSupervisor.classifyError(error);
+
+        // Errors of a song the user has already moved away from do not matter
+        if (!song || (this.song && song.id !== this.song.id) || kind === "aborted") {
+            return { action: "ignore" };
+        }
+
+        this.watch(song);
+
+        if (kind === "autoplay") {
+            this.notifyBlocked();
+            return { action: "wait" };
+        }
+
+        if (PlaybackSupervisor.isRetryable(kind) && this.attempts < this.maxRetries) {
+            const attempt = ++this.attempts;
+            const delay = this.retryDelay(attempt);
+
+            this.cancelRetry();
+            this.retryTimer = setTimeout(() => {
+                this.retryTimer = null;
+                this.lastPosition = null;
+                this.notify("onRetry", song, attempt, kind);
+            }, delay);
+
+            this.notify("onRetryScheduled", song, attempt, delay, kind);
+            return { action: "retry", attempt: attempt, delay: delay };
+        }
+
+        this.cancelRetry();
+        this.broken.add(song.id);
+        this.notify("onGiveUp", song, kind, error);
+        return { action: "skip" };
+    }
+
+    /**
+     * Check a song for a broken mark
+     * @param {string} id - Song ID
+     * @returns {boolean}
+     */
+    isBroken(id) {
+        return this.broken.has(id);
+    }
+
+    /**
+     * Give a song another chance (for example when the user picks it)
+     * @param {string} id - Song ID
+     */
+    clearBroken(id) {
+        this.broken.delete(id);
+        if (this.song && this.song.id === id) {
+            this.attempts = 0;
+        }
+    }
+
+    /* ============================================================
+       Stall Watchdog
+    ============================================================ */
+
+    /**
+     * Check for progress once a second
+     */
+    start() {
+        if (this.watchdog !== null) return;
+        this.watchdog = setInterval(() => this.check(Date.now()), PlaybackSupervisor.CHECK_MS);
+    }
+
+    /**
+     * Stop the watchdog and any pending retry
+     */
+    stop() {
+        if (this.watchdog !== null) clearInterval(this.watchdog);
+        this.watchdog = null;
+        this.cancelRetry();
+    }
+
+    /**
+     * Compare the playback position with the last check
+     * Progress resets the retry count; none for stallMs is a stall
+     * @param {number} now - Current time in ms
+     */
+    check(now) {
+        if (!this.song || this.retryTimer !== null || !this.options.isPlaying()) {
+            this.lastPosition = null;
+            return;
+        }
+
+        const position = this.options.getPosition();
+        if (this.lastPosition === null || position !== this.lastPosition) {
+            if (this.lastPosition !== null && position > this.lastPosition) {
+                this.attempts = 0;
+            }
+            this.lastPosition = position;
+            this.lastProgressAt = now;
+            return;
+        }
+
+        const idle = now - this.lastProgressAt;
+
+        if (typeof this.options.isBlocked === "function" && this.options.isBlocked()) {
+            if (idle >= PlaybackSupervisor.BLOCKED_MS) this.notifyBlocked();
+            return;
+        }
+
+        if (idle >= this.stallMs) {
+            this.lastPosition = null;
+            const error = new Error(`No progress for ${Math.round(idle / 1000)} seconds`);
+            error.name = "StallError";
+            this.handleError(this.song, error);
+        }
+    }
+
+    /* ============================================================
+       Internal Helpers
+    ============================================================ */
+
+    cancelRetry() {
+        if (this.retryTimer !== null) clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+    }
+
+    /**
+     * Tell the app about blocked autoplay, once per song
+     */
+    notifyBlocked() {
+        if (this.blockedNotified) return;
+        this.blockedNotified = true;
+        this.notify("onBlocked", this.song);
+    }
+
+    /**
+     * Call an optional callback from the constructor options
+     * @param {string} name - Option name
+     * @param {...*} args - Arguments for the callback
+     */
+    notify(name, ...args) {
+        if (typeof this.options[name] === "function") {
+            this.options[name](...args);
+        }
+    }
+}
+
+PlaybackSupervisor.MAX_RETRIES = 2;
+PlaybackSupervisor.BASE_DELAY_MS = 1000;   // First retry delay; doubles each attempt
+PlaybackSupervisor.MAX_DELAY_MS = 8000;
+PlaybackSupervisor.STALL_MS = 20000;       // Long enough for a large file to download and decode
+PlaybackSupervisor.BLOCKED_MS = 1500;      // Grace period before reporting blocked autoplay
+PlaybackSupervisor.CHECK_MS = 1000;
+
+// Why a song could not be played, completing "Can't play <song>: ..."
+PlaybackSupervisor.REASONS = {
+    network: "a network error interrupted the download",
+    stall: "the download stalled",
+    missing: "the file could not be found",
+    unsupported: "this browser cannot play its format",
+    decode: "the file is damaged or in an unknown format",
+    unknown: "an unexpected error occurred"
+};
+
+// MediaError.code -> error kind (1 ABORTED, 2 NETWORK, 3 DECODE, 4 SRC_NOT_SUPPORTED)
+PlaybackSupervisor.MEDIA_ERROR_KINDS = { 1: "aborted", 2: "network", 3: "decode", 4: "unsupported" };
+
+
+// Node export for tests; see "How the Scripts Load" in README.md
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { PlaybackSupervisor };
+}
@@ -0,0 +1,453 @@
+/*
+    ============================================================
+    PlaylistFormats.js
+    Project: Smart Music Playlist Manager
+    Playlist File Formats (M3U / M3U8, PLS, XSPF)
+    ============================================================
+
+    DESCRIPTION:
+    Parses and generates shareable playlist files. Songs go in and
+    come out as plain song objects { title, artist, url, [cover],
+    [album], [trackNumber], [duration] }, so imported songs can be fed straight to
+    PlaylistController.addSong.
+
+    FORMAT SUPPORT:
+        - M3U / M3U8: #EXTM3U header, #EXTINF:<seconds>,<artist> - <title>
+                      plus #EXTART (artist), #EXTALB (album) and
+                      #EXTIMG (cover URL) extension lines
+        - PLS:        [playlist] with FileN / TitleN / LengthN entries
+                      (no room for cover or album)
+        - XSPF:       XML <track> with location, title, creator, album,
+                      trackNum, image and duration (milliseconds)
+
+    Round trip: generate() followed by parse() returns the same
+    title, artist, url, cover, album and duration for every song
+    the format has fields for. XSPF stores whole milliseconds, so
+    its durations come back rounded to the millisecond.
+
+    NO EXTERNAL DEPENDENCIES
+    Pure string processing; works without a DOM.
+*/
+
+class PlaylistFormats {
+
+    /* ============================================================
+       Public API
+    ============================================================ */
+
+    /**
+     * Work out a file's format from its name, falling back to its content
+     * @param {string} text - File content
+     * @param {string} filename - (Optional) File name
+     * @returns {string|null} "m3u", "m3u8", "pls", "xspf", or null if unknown
+     */
+    static detectFormat(text, filename = "") {
+        const extension = filename.split(".").pop().toLowerCase();
+        if (PlaylistFormats.FORMATS[extension]) {
+            return extension;
+        }
+
+        const head = String(text || "").trimStart().slice(0, 200).toLowerCase();
+        if (head.startsWith("#extm3u")) return "m3u8";
+        if (head.startsWith("[playlist]")) return "pls";
+        if (head.includes("<playlist") && head.includes("xspf")) return "xspf";
+        if (head.startsWith("<?xml") || head.startsWith("<playlist")) return "xspf";
+
+        return null;
+    }
+
+    /**
+     * Parse playlist file content into song objects
+     * @param {string} text - File content
+     * @param {string} filename - (Optional) File name, used to detect the format
+     * @returns {Array<Object>} Songs in file order (empty if the format is unknown)
+     */
+    static parse(text, filename = "") {
+        const format = PlaylistFormats.detectFormat(text, filename);
+
+        switch (format) {
+            case "m3u":
+            case "m3u8":
+                return PlaylistFormats.parseM3U(text);
+            case "pls":
+                return PlaylistFormats.parsePLS(text);
+            case "xspf":
+                return PlaylistFormats.parseXSPF(text);
+            default:
+                console.warn(`Unrecognized playlist format: "${filename}"`);
+                return [];
+        }
+    }
+
+    /**
+     * Serialize songs into a playlist file
+     * @param {Array<Object>} songs - Songs in play order
+     * @param {string} format - "m3u", "m3u8", "pls" or "xspf"
+     * @returns {string|null} File content, or null if the format is unknown
+     */
+    static generate(songs, format) {
+        switch (format) {
+            case "m3u":
+            case "m3u8":
+                return PlaylistFormats.generateM3U(songs);
+            case "pls":
+                return PlaylistFormats.generatePLS(songs);
+            case "xspf":
+                return PlaylistFormats.generateXSPF(songs);
+            default:
+                console.warn("Unknown playlist format", format);
+                return null;
+        }
+    }
+
+    /* ============================================================
+       M3U / M3U8
+    ============================================================ */
+
+    /**
+     * @param {string} text - M3U or M3U8 content
+     * @returns {Array<Object>} Parsed songs
+     */
+    static parseM3U(text) {
+        const songs = [];
+        let pending = {};
+
+        PlaylistFormats.splitLines(text).forEach(line => {
+            if (line.startsWith("#EXTINF:")) {
+                const info = line.slice("#EXTINF:".length);
+                const comma = PlaylistFormats.findInfoComma(info);
+                const duration = parseFloat(comma === -1 ? info : info.slice(0, comma));
+
+                pending.displayName = comma === -1 ? "" : info.slice(comma + 1).trim();
+                if (duration > 0) {
+                    pending.duration = duration;
+                }
+            } else if (line.startsWith("#EXTART:")) {
+                pending.artist = line.slice("#EXTART:".length).trim();
+            } else if (line.startsWith("#EXTALB:")) {
+                pending.album = line.slice("#EXTALB:".length).trim();
+            } else if (line.startsWith("#EXTIMG:")) {
+                pending.cover = line.slice("#EXTIMG:".length).trim();
+            } else if (line.startsWith("#EXTALBUMARTURL:")) {
+                pending.cover = line.slice("#EXTALBUMARTURL:".length).trim();
+            } else if (line.startsWith("#")) {
+                // Header or unsupported directive
+            } else {
+                songs.push(PlaylistFormats.buildSong(line, pending));
+                pending = {};
+            }
+        });
+
+        return songs;
+    }
+
+    /**
+     * @param {Array<Object>} songs - Songs in play order
+     * @returns {string} Extended M3U content (valid as .m3u and .m3u8)
+     */
+    static generateM3U(songs) {
+        const lines = ["#EXTM3U"];
+
+        songs.forEach(song => {
+            const duration = song.duration > 0 ? song.duration : -1;
+            lines.push(`#EXTINF:${duration},${PlaylistFormats.oneLine(song.artist)} - ${PlaylistFormats.oneLine(song.title)}`);
+            lines.push(`#EXTART:${PlaylistFormats.oneLine(song.artist)}`);
+            if (song.album) {
+                lines.push(`#EXTALB:${PlaylistFormats.oneLine(song.album)}`);
+            }
+            if (song.cover) {
+                lines.push(`#EXTIMG:${PlaylistFormats.oneLine(song.cover)}`);
+            }
+            lines.push(PlaylistFormats.oneLine(song.url));
+        });
+
+        return lines.join("\n") + "\n";
+    }
+
+    /**
+     * Find the comma separating EXTINF duration/attributes from the display name
+     * Commas inside quoted attribute values (e.g. tvg-name="a,b") are skipped
+     * @param {string} info - Text after "#EXTINF:"
+     * @returns {number} Index of the separating comma, or -1
+     */
+    static findInfoComma(info) {
+        let inQuotes = false;
+        for (let i = 0; i < info.length; i++) {
+            if (info[i] === "\"") inQuotes = !inQuotes;
+            if (info[i] === "," && !inQuotes) return i;
+        }
+        return -1;
+    }
+
+    /* ============================================================
+       PLS
+    ============================================================ */
+
+    /**
+     * @param {string} text - PLS content
+     * @returns {Array<Object>} Parsed songs, ordered by entry number
+     */
+    static parsePLS(text) {
+        const entries = {};
+
+        PlaylistFormats.splitLines(text).forEach(line => {
+            const match = /^(File|Title|Length)(\d+)\s*=(.*)$/i.exec(line);
+            if (!match) return;
+
+            const key = match[1].toLowerCase();
+            const number = Number(match[2]);
+            entries[number] = entries[number] || {};
+            entries[number][key] = match[3].trim();
+        });
+
+        return Object.keys(entries)
+            .map(Number)
+            .sort((a, b) => a - b)
+            .filter(number => entries[number].file)
+            .map(number => {
+                const entry = entries[number];
+                const duration = parseFloat(entry.length);
+                const pending = { displayName: entry.title || "" };
+                if (duration > 0) {
+                    pending.duration = duration;
+                }
+                return PlaylistFormats.buildSong(entry.file, pending);
+            });
+    }
+
+    /**
+     * @param {Array<Object>} songs - Songs in play order
+     * @returns {string} PLS (version 2) content
+     */
+    static generatePLS(songs) {
+        const lines = ["[playlist]"];
+
+        songs.forEach((song, index) => {
+            const number = index + 1;
+            const duration = song.duration > 0 ? song.duration : -1;
+            lines.push(`File${number}=${PlaylistFormats.oneLine(song.url)}`);
+            lines.push(`Title${number}=${PlaylistFormats.oneLine(song.artist)} - ${PlaylistFormats.oneLine(song.title)}`);
+            lines.push(`Length${number}=${duration}`);
+        });
+
+        lines.push(`NumberOfEntries=${songs.length}`);
+        lines.push("Version=2");
+
+        return lines.join("\n") + "\n";
+    }
+
+    /* ============================================================
+       XSPF
+    ============================================================ */
+
+    /**
+     * @param {string} text - XSPF (XML) content
+     * @returns {Array<Object>} Parsed songs
+     */
+    static parseXSPF(text) {
+        const songs = [];
+        const trackPattern = /<track\b[^>]*>([\s\S]*?)<\/track>/gi;
+        let match;
+
+        while ((match = trackPattern.exec(text)) !== null) {
+            const body = match[1];
+            const location = PlaylistFormats.readXmlElement(body, "location");
+            if (!location) continue;
+
+            const song = {
+                title: PlaylistFormats.readXmlElement(body, "title") ||
+                    PlaylistFormats.titleFromUrl(location),
+                artist: PlaylistFormats.readXmlElement(body, "creator") || PlaylistFormats.UNKNOWN_ARTIST,
+                url: location
+            };
+
+            const album = PlaylistFormats.readXmlElement(body, "album");
+            const trackNumber = parseInt(PlaylistFormats.readXmlElement(body, "trackNum"), 10);
+            const image = PlaylistFormats.readXmlElement(body, "image");
+            const duration = Number(PlaylistFormats.readXmlElement(body, "duration"));
+
+            if (album) song.album = album;
+            if (trackNumber > 0) song.trackNumber = trackNumber;
+            if (image) song.cover = image;
+            if (duration > 0) song.duration = duration / 1000;
+
+            songs.push(song);
+        }
+
+        return songs;
+    }
+
+    /**
+     * @param {Array<Object>} songs - Songs in play order
+     * @returns {string} XSPF (version 1) content
+     */
+    static generateXSPF(songs) {
+        const escape = PlaylistFormats.escapeXml;
+        const lines = [
+            "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+            "<playlist version=\"1\" xmlns=\"http://xspf.org/ns/0/\">",
+            "  <trackList>"
+        ];
+
+        songs.forEach(song => {
+            lines.push("    <track>");
+            lines.push(`      <location>${escape(song.url)}</location>`);
+            lines.push(`      <title>${escape(song.title)}</title>`);
+            lines.push(`      <creator>${escape(song.artist)}</creator>`);
+            if (song.album) {
+                lines.push(`      <album>${escape(song.album)}</album>`);
+            }
+            if (song.trackNumber > 0) {
+                lines.push(`      <trackNum>${Math.round(song.trackNumber)}</trackNum>`);
+            }
+            if (song.cover) {
+                lines.push(`      <image>${escape(song.cover)}</image>`);
+            }
+            if (song.duration > 0) {
+                lines.push(`      <duration>${Math.round(song.duration * 1000)}</duration>`);
+            }
+            lines.push("    </track>");
+        });
+
+        lines.push("  </trackList>");
+        lines.push("</playlist>");
+
+        return lines.join("\n") + "\n";
+    }
+
+    /**
+     * Read the text content of the first child element with a given name
+     * Handles CDATA sections and XML entities
+     * @param {string} xml - XML fragment
+     * @param {string} name - Element name
+     * @returns {string} Decoded, trimmed text (empty if missing)
+     */
+    static readXmlElement(xml, name) {
+        const match = new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)</${name}>`, "i").exec(xml);
+        if (!match) return "";
+
+        const cdata = /^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/.exec(match[1]);
+        return cdata ? cdata[1].trim() : PlaylistFormats.unescapeXml(match[1]).trim();
+    }
+
+    /**
+     * @param {*} value - Value to place in XML text content
+     * @returns {string} Escaped text
+     */
+    static escapeXml(value) {
+        return String(value)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&apos;");
+    }
+
+    /**
+     * @param {string} text - XML text content
+     * @returns {string} Text with entities decoded (numeric entities outside
+     *                   the Unicode range are left as written)
+     */
+    static unescapeXml(text) {
+        return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (entity, code) => {
+            const named = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'" };
+            const lower = code.toLowerCase();
+            if (named[lower]) return named[lower];
+
+            const codePoint = lower.startsWith("#x")
+                ? parseInt(lower.slice(2), 16)
+                : parseInt(lower.slice(1), 10);
+            return codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : entity;
+        });
+    }
+
+    /* ============================================================
+       Shared Helpers
+    ============================================================ */
+
+    /**
+     * Build a song from a URL and the metadata collected for it
+     * "Artist - Title" display names are split unless the artist is known
+     * @param {string} url - Audio URL
+     * @param {Object} pending - { displayName, artist, album, cover, duration }
+     * @returns {Object} Song object
+     */
+    static buildSong(url, pending) {
+        let title = pending.displayName || "";
+        let artist = pending.artist || "";
+
+        if (artist && title.startsWith(`${artist} - `)) {
+            title = title.slice(artist.length + 3);
+        } else if (!artist && title.includes(" - ")) {
+            const separator = title.indexOf(" - ");
+            artist = title.slice(0, separator).trim();
+            title = title.slice(separator + 3).trim();
+        }
+
+        const song = {
+            title: title || PlaylistFormats.titleFromUrl(url),
+            artist: artist || PlaylistFormats.UNKNOWN_ARTIST,
+            url: url
+        };
+
+        if (pending.album) song.album = pending.album;
+        if (pending.cover) song.cover = pending.cover;
+        if (pending.duration) song.duration = pending.duration;
+
+        return song;
+    }
+
+    /**
+     * Derive a readable title from the file name in a URL
+     * @param {string} url - Audio URL
+     * @returns {string} File name without extension
+     */
+    static titleFromUrl(url) {
+        const name = String(url).split(/[?#]/)[0].split(/[\\/]/).pop() || url;
+        let decoded = name;
+        try {
+            decoded = decodeURIComponent(name);
+        } catch (error) {
+            // Keep the raw name if it is not valid percent-encoding
+        }
+        return decoded.replace(/\.[a-z0-9]{2,5}$/i, "") || String(url);
+    }
+
+    /**
+     * @param {string} text - File content
+     * @returns {Array<string>} Non-empty, trimmed lines (BOM removed)
+     */
+    static splitLines(text) {
+        return String(text || "")
+            .replace(/^\uFEFF/, "")
+            .split(/\r\n|\r|\n/)
+            .map(line => line.trim())
+            .filter(line => line.length > 0);
+    }
+
+    /**
+     * @param {*} value - Value written on a single line
+     * @returns {string} Value with line breaks replaced by spaces
+     */
+    static oneLine(value) {
+        return String(value === undefined || value === null ? "" : value).replace(/[\r\n]+/g, " ");
+    }
+}
+
+/*
+    Supported formats: file extension → { label, mimeType }
+*/
+PlaylistFormats.FORMATS = {
+    m3u: { label: "M3U", mimeType: "audio/x-mpegurl" },
+    m3u8: { label: "M3U8 (UTF-8)", mimeType: "application/vnd.apple.mpegurl" },
+    pls: { label: "PLS", mimeType: "audio/x-scpls" },
+    xspf: { label: "XSPF", mimeType: "application/xspf+xml" }
+};
+
+PlaylistFormats.UNKNOWN_ARTIST = "Unknown Artist";   // Used when a file has no artist
+
+
+// Node export for tests; see "How the Scripts Load" in README.md
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { PlaylistFormats };
+}
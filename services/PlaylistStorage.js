@@ -0,0 +1,423 @@
+/*
+    ============================================================
+    PlaylistStorage.js
+    Project: Smart Music Playlist Manager
+    Persistence Layer (localStorage / IndexedDB)
+    ============================================================
+
+    DESCRIPTION:
+    Saves and restores LibraryController snapshots so every playlist,
+    its current pointer and its undo/redo history survive reloads.
+
+    STORAGE STRATEGY:
+        - Small snapshots are written to localStorage as JSON
+        - Snapshots above LARGE_SNAPSHOT_THRESHOLD characters, or any
+          snapshot that hits the localStorage quota, are written to
+          IndexedDB instead; localStorage then only keeps a pointer
+          record naming the backend that holds the data
+
+    SCHEMA VERSIONING:
+        Every saved record is wrapped in an envelope:
+            { version, backend, savedAt, data }
+
+        On load, PlaylistStorage.migrations[n] upgrades data saved
+        with schema n to schema n + 1, one step at a time, until it
+        reaches PLAYLIST_SCHEMA_VERSION. Records saved by a newer
+        version of the app are ignored rather than misread.
+
+    All public methods return Promises so both backends share one API.
+*/
+
+const PLAYLIST_SCHEMA_VERSION = 3;
+const LARGE_SNAPSHOT_THRESHOLD = 1000000;   // ~2 MB of UTF-16 in localStorage
+
+
+/* ============================================================
+   localStorage Backend
+============================================================ */
+
+class LocalStorageBackend {
+
+    /**
+     * @param {Storage} storage - Web Storage object (defaults to window.localStorage)
+     */
+    constructor(storage) {
+        this.storage = storage || (typeof localStorage !== "undefined" ? localStorage : null);
+    }
+
+    /**
+     * Check if the backend can be used in this environment
+     * @returns {boolean} True if a Storage object is available
+     */
+    isAvailable() {
+        return this.storage !== null;
+    }
+
+    /**
+     * Read and parse a record
+     * @param {string} key - Storage key
+     * @returns {Promise<Object|null>} Parsed record, or null if missing
+     */
+    load(key) {
+        return new Promise(resolve => {
+            const raw = this.storage.getItem(key);
+            resolve(raw ? JSON.parse(raw) : null);
+        });
+    }
+
+    /**
+     * Serialize and write a record
+     * Rejects with the storage error (e.g. QuotaExceededError) on failure
+     * @param {string} key - Storage key
+     * @param {Object|string} record - Record, or an already serialized JSON string
+     * @returns {Promise<void>}
+     */
+    save(key, record) {
+        return new Promise(resolve => {
+            const serialized = typeof record === "string" ? record : JSON.stringify(record);
+            this.storage.setItem(key, serialized);
+            resolve();
+        });
+    }
+
+    /**
+     * Delete a record
+     * @param {string} key - Storage key
+     * @returns {Promise<void>}
+     */
+    remove(key) {
+        return new Promise(resolve => {
+            this.storage.removeItem(key);
+            resolve();
+        });
+    }
+}
+
+
+/* ============================================================
+   IndexedDB Backend
+============================================================ */
+
+class IndexedDBBackend {
+
+    /**
+     * @param {string} databaseName - IndexedDB database name
+     * @param {string} storeName - Object store holding the records
+     */
+    constructor(databaseName = "sonic-playlists", storeName = "snapshots") {
+        this.databaseName = databaseName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Check if the backend can be used in this environment
+     * @returns {boolean} True if IndexedDB is available
+     */
+    isAvailable() {
+        return typeof indexedDB !== "undefined";
+    }
+
+    /**
+     * Open (and lazily create) the database
+     * The connection is cached after the first successful open
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.databaseName, 1);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName);
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request against the object store
+     * @param {string} mode - "readonly" or "readwrite"
+     * @param {Function} operation - Function(store) returning an IDBRequest
+     * @returns {Promise<*>} The request result
+     */
+    run(mode, operation) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        }));
+    }
+
+    /**
+     * Read a record
+     * @param {string} key - Record key
+     * @returns {Promise<Object|null>} Stored record, or null if missing
+     */
+    load(key) {
+        return this.run("readonly", store => store.get(key))
+            .then(record => record === undefined ? null : record);
+    }
+
+    /**
+     * Write a record (stored via structured clone, no JSON round-trip)
+     * @param {string} key - Record key
+     * @param {Object} record - Record to store
+     * @returns {Promise<void>}
+     */
+    save(key, record) {
+        return this.run("readwrite", store => store.put(record, key)).then(() => undefined);
+    }
+
+    /**
+     * Delete a record
+     * @param {string} key - Record key
+     * @returns {Promise<void>}
+     */
+    remove(key) {
+        return this.run("readwrite", store => store.delete(key)).then(() => undefined);
+    }
+
+    /**
+     * List the keys of every record
+     * @returns {Promise<Array<string>>}
+     */
+    keys() {
+        return this.run("readonly", store => store.getAllKeys());
+    }
+}
+
+
+/* ============================================================
+   PlaylistStorage
+============================================================ */
+
+class PlaylistStorage {
+
+    /**
+     * @param {Object} options
+     * @param {string} options.key - Storage key for this playlist
+     * @param {LocalStorageBackend} options.localBackend - Backend for small snapshots
+     * @param {IndexedDBBackend} options.largeBackend - Backend for large snapshots
+     * @param {number} options.largeThreshold - Serialized length that switches to IndexedDB
+     */
+    constructor(options = {}) {
+        this.key = options.key || "sonic.playlist";
+        this.localBackend = options.localBackend || new LocalStorageBackend();
+        this.largeBackend = options.largeBackend || new IndexedDBBackend();
+        this.largeThreshold = options.largeThreshold || LARGE_SNAPSHOT_THRESHOLD;
+    }
+
+    /**
+     * Load the saved snapshot, migrating it to the current schema
+     * @returns {Promise<Object|null>} Snapshot data, or null if nothing usable is saved
+     */
+    async load() {
+        if (!this.localBackend.isAvailable()) return null;
+
+        let envelope = await this.localBackend.load(this.key);
+        if (!envelope) return null;
+
+        // localStorage only holds a pointer when the data lives in IndexedDB
+        if (envelope.backend === "indexedDB") {
+            if (!this.largeBackend.isAvailable()) {
+                console.warn("Saved playlist is stored in IndexedDB, which is unavailable");
+                return null;
+            }
+            envelope = await this.largeBackend.load(this.key);
+            if (!envelope) return null;
+        }
+
+        return this.migrate(envelope);
+    }
+
+    /**
+     * Save a snapshot, choosing the backend by size
+     * @param {Object} data - Snapshot produced by LibraryController.getSnapshot()
+     * @returns {Promise<string>} Name of the backend that received the data
+     */
+    async save(data) {
+        if (!this.localBackend.isAvailable()) return null;
+
+        const envelope = {
+            version: PLAYLIST_SCHEMA_VERSION,
+            backend: "localStorage",
+            savedAt: Date.now(),
+            data: data
+        };
+
+        const serialized = JSON.stringify(envelope);
+
+        if (serialized.length <= this.largeThreshold || !this.largeBackend.isAvailable()) {
+            let saved = false;
+            try {
+                await this.localBackend.save(this.key, serialized);
+                saved = true;
+            } catch (error) {
+                if (!this.largeBackend.isAvailable()) throw error;
+                console.warn("localStorage quota exceeded, falling back to IndexedDB", error);
+            }
+
+            if (saved) {
+                // An earlier, larger snapshot may still sit in IndexedDB
+                if (this.largeBackend.isAvailable()) {
+                    await this.largeBackend.remove(this.key);
+                }
+                return "localStorage";
+            }
+        }
+
+        envelope.backend = "indexedDB";
+        await this.largeBackend.save(this.key, envelope);
+
+        // Leave a pointer behind so load() knows where to look
+        await this.localBackend.save(this.key, {
+            version: PLAYLIST_SCHEMA_VERSION,
+            backend: "indexedDB",
+            savedAt: envelope.savedAt
+        });
+
+        return "indexedDB";
+    }
+
+    /**
+     * Delete the saved snapshot from both backends
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        if (this.localBackend.isAvailable()) {
+            await this.localBackend.remove(this.key);
+        }
+        if (this.largeBackend.isAvailable()) {
+            await this.largeBackend.remove(this.key);
+        }
+    }
+
+    /**
+     * Upgrade an envelope's data to PLAYLIST_SCHEMA_VERSION
+     * @param {Object} envelope - Saved envelope { version, data }
+     * @returns {Object|null} Migrated data, or null if it cannot be read
+     */
+    migrate(envelope) {
+        let version = typeof envelope.version === "number" ? envelope.version : 0;
+        let data = envelope.data;
+
+        if (version > PLAYLIST_SCHEMA_VERSION) {
+            console.warn(`Saved playlist uses newer schema v${version}; ignoring it`);
+            return null;
+        }
+
+        while (version < PLAYLIST_SCHEMA_VERSION) {
+            const migration = PlaylistStorage.migrations[version];
+            if (typeof migration !== "function") {
+                console.warn(`No migration from playlist schema v${version}`);
+                return null;
+            }
+            data = migration(data);
+            version++;
+        }
+
+        return data;
+    }
+}
+
+/*
+    Schema migrations, keyed by the version they upgrade FROM.
+    Each function receives the old data and returns data for version + 1.
+    Add an entry here whenever the snapshot shape or an action record
+    shape changes, and bump PLAYLIST_SCHEMA_VERSION.
+*/
+PlaylistStorage.migrations = {
+
+    /*
+        v1 → v2: songs gain stable IDs.
+            - Every saved song gets an ID ("legacy-N")
+            - currentIndex becomes currentId
+            - Action records gain songId; the song is matched to a playlist
+              entry by title and URL. A song no longer in the playlist gets
+              one legacy ID shared by every action that names it, so undo
+              and redo keep referring to the same song.
+              Index fields are kept as a fallback for restoring current.
+            - Shuffle order switches from playlist indices to song IDs
+    */
+    1: data => {
+        let counter = 0;
+        const nextId = () => `legacy-${counter++}`;
+
+        const songs = (data.songs || []).map(song => Object.assign({}, song, { id: nextId() }));
+
+        // Title + URL → ID; the first playlist entry wins for repeated songs
+        const idsByKey = new Map();
+        const keyFor = song => JSON.stringify([song.title, song.url]);
+        songs.forEach(song => {
+            if (!idsByKey.has(keyFor(song))) idsByKey.set(keyFor(song), song.id);
+        });
+
+        const idFor = song => {
+            const key = keyFor(song);
+            if (!idsByKey.has(key)) idsByKey.set(key, nextId());
+            return idsByKey.get(key);
+        };
+
+        const migrateAction = action => {
+            const id = idFor(action.song || {});
+            return Object.assign({}, action, {
+                songId: id,
+                song: Object.assign({}, action.song, { id: id })
+            });
+        };
+
+        const current = songs[data.currentIndex];
+        const shuffle = data.shuffle
+            ? Object.assign({}, data.shuffle, {
+                order: (data.shuffle.order || [])
+                    .filter(index => index >= 0 && index < songs.length)
+                    .map(index => songs[index].id)
+            })
+            : null;
+
+        return {
+            songs: songs,
+            currentId: current ? current.id : null,
+            undoStack: (data.undoStack || []).map(migrateAction),
+            redoStack: (data.redoStack || []).map(migrateAction),
+            shuffle: shuffle,
+            repeatMode: data.repeatMode
+        };
+    },
+
+    /*
+        v2 → v3: the single playlist becomes the first playlist of a library.
+            - Data changes from one controller snapshot to
+              { playlists: [{ id, name, state }], activeId, playingId }
+    */
+    2: data => {
+        const id = "playlist-1";
+
+        return {
+            playlists: [{ id: id, name: "My Playlist", state: data }],
+            activeId: id,
+            playingId: id
+        };
+    }
+};
+
+
+// Node export for tests; see "How the Scripts Load" in README.md
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { PlaylistStorage, LocalStorageBackend, IndexedDBBackend };
+}
@@ -0,0 +1,461 @@
+/*
+    ============================================================
+    SmartPlaylist.js
+    Project: Smart Music Playlist Manager
+    Rule-Based Playlists (rule format, validation, evaluation)
+    ============================================================
+
+    DESCRIPTION:
+    A smart playlist is a saved query over the songs of the library.
+    This file only knows the rule format: it checks definitions,
+    picks the songs that match, and reads and writes the JSON export.
+    LibraryController keeps the resulting songs in a read-only
+    PlaylistController and re-evaluates them when the library changes.
+
+    RULE FORMAT:
+        {
+            "match": "all",                  // "all" (AND) or "any" (OR)
+            "rules": [
+                { "field": "artist",   "operator": "is",     "value": "Daft Punk" },
+                { "field": "addedAt",  "operator": "inLast", "value": 30 },
+                { "match": "any", "rules": [
+                    { "field": "rating",    "operator": "gte", "value": 4 },
+                    { "field": "playCount", "operator": "gt",  "value": 10 },
+                    { "field": "favorite",  "operator": "isSet" },
+                    { "field": "tags",      "operator": "has", "value": "party" }
+                ] }
+            ],
+            "sortBy": { "field": "addedAt", "order": "desc" },   // Optional
+            "limit": 50                                          // Optional
+        }
+
+        - A rule with "match" is a nested group (up to MAX_DEPTH levels)
+        - An empty group matches every song
+        - Text and tag comparisons ignore case
+        - Favorite rules (isSet / isNotSet) take no value
+        - duration is in seconds; inLast / notInLast take days
+        - A song without a year, track number or duration never
+          matches a rule on that field; a song without addedAt or
+          lastPlayedAt counts as added (or played) long ago. Missing
+          play and skip counts and ratings count as 0 (unrated)
+
+    EXPORT:
+        toJSON() wraps a definition as
+            { "type": "smart-playlist", "version": 1, "name", ...definition }
+        and fromJSON() reads it back.
+*/
+
+class SmartPlaylist {
+
+    /* ============================================================
+       Validation
+    ============================================================ */
+
+    /**
+     * List what is wrong with a definition
+     * @param {Object} definition - Rule group { match, rules, [sortBy], [limit] }
+     * @returns {Array<string>} Problems, empty if the definition is valid
+     */
+    static validate(definition) {
+        const errors = [];
+
+        if (!definition || typeof definition !== "object") {
+            return ["The rules must be an object"];
+        }
+
+        SmartPlaylist.validateGroup(definition, 1, errors);
+
+        if (definition.sortBy !== undefined && definition.sortBy !== null) {
+            const sortBy = definition.sortBy;
+            if (!sortBy || !SmartPlaylist.FIELDS[sortBy.field]) {
+                errors.push("Unknown sort field");
+            } else if (sortBy.order !== undefined && sortBy.order !== "asc" && sortBy.order !== "desc") {
+                errors.push('Sort order must be "asc" or "desc"');
+            }
+        }
+
+        if (definition.limit !== undefined && definition.limit !== null &&
+            !(Number.isInteger(definition.limit) && definition.limit > 0)) {
+            errors.push("Limit must be a whole number above 0");
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check a rule group and its rules, recursively
+     * @param {Object} group - { match, rules }
+     * @param {number} depth - Nesting level, 1 for the top group
+     * @param {Array<string>} errors - Receives problems
+     */
+    static validateGroup(group, depth, errors) {
+        if (group.match !== "all" && group.match !== "any") {
+            errors.push('Groups must match "all" or "any" rules');
+        }
+
+        if (!Array.isArray(group.rules)) {
+            errors.push("A group needs a list of rules");
+            return;
+        }
+
+        group.rules.forEach(rule => {
+            if (!rule || typeof rule !== "object") {
+                errors.push("Every rule must be an object");
+            } else if (rule.match !== undefined) {
+                if (depth >= SmartPlaylist.MAX_DEPTH) {
+                    errors.push(`Groups can be nested at most ${SmartPlaylist.MAX_DEPTH} levels deep`);
+                } else {
+                    SmartPlaylist.validateGroup(rule, depth + 1, errors);
+                }
+            } else {
+                const error = SmartPlaylist.validateRule(rule);
+                if (error) errors.push(error);
+            }
+        });
+    }
+
+    /**
+     * Check a single rule
+     * @param {Object} rule - { field, operator, value }
+     * @returns {string|null} Problem, or null if the rule is valid
+     */
+    static validateRule(rule) {
+        const field = SmartPlaylist.FIELDS[rule.field];
+        if (!field) return `Unknown field "${rule.field}"`;
+
+        if (!SmartPlaylist.TYPE_OPERATORS[field.type].includes(rule.operator)) {
+            return `"${rule.operator}" cannot be used with ${field.label.toLowerCase()}`;
+        }
+
+        if (field.type === "flag") return null;
+
+        if (field.type === "text" || field.type === "tags") {
+            return typeof rule.value === "string" && rule.value.trim() !== ""
+                ? null
+                : `Enter a value for ${field.label.toLowerCase()}`;
+        }
+
+        if (typeof rule.value !== "number" || !Number.isFinite(rule.value)) {
+            return `${field.label} needs a number`;
+        }
+        if (field.type === "date" && rule.value <= 0) {
+            return "The number of days must be above 0";
+        }
+
+        return null;
+    }
+
+    /**
+     * Validated deep copy of a definition, without unknown keys
+     * @param {Object} definition - Definition to copy
+     * @returns {Object|null} Clean definition, or null if it is invalid
+     */
+    static normalize(definition) {
+        const errors = SmartPlaylist.validate(definition);
+        if (errors.length > 0) {
+            console.warn("Invalid smart playlist rules:", errors.join("; "));
+            return null;
+        }
+
+        const copyGroup = group => ({
+            match: group.match,
+            rules: group.rules.map(rule => (rule.match !== undefined
+                ? copyGroup(rule)
+                : SmartPlaylist.copyRule(rule)))
+        });
+
+        const normalized = copyGroup(definition);
+        if (definition.sortBy) {
+            normalized.sortBy = { field: definition.sortBy.field, order: definition.sortBy.order || "asc" };
+        }
+        if (definition.limit) {
+            normalized.limit = definition.limit;
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Copy of a valid rule; favorite rules carry no value
+     * @param {Object} rule - { field, operator, [value] }
+     * @returns {Object}
+     */
+    static copyRule(rule) {
+        if (SmartPlaylist.FIELDS[rule.field].type === "flag") {
+            return { field: rule.field, operator: rule.operator };
+        }
+        return { field: rule.field, operator: rule.operator, value: rule.value };
+    }
+
+    /* ============================================================
+       Evaluation
+    ============================================================ */
+
+    /**
+     * Pick the songs a definition selects, sorted and limited
+     * @param {Object} definition - Valid definition (see normalize())
+     * @param {Array<Object>} songs - Songs of the library, in library order
+     * @param {number} now - (Optional) Current time in ms, for date rules
+     * @returns {Array<Object>} Matching songs (the same objects, not copies)
+     */
+    static evaluate(definition, songs, now = Date.now()) {
+        let matches = songs.filter(song => SmartPlaylist.matchesGroup(song, definition, now));
+
+        if (definition.sortBy) {
+            matches = SmartPlaylist.sortSongs(matches, definition.sortBy);
+        }
+        if (definition.limit) {
+            matches = matches.slice(0, definition.limit);
+        }
+
+        return matches;
+    }
+
+    /**
+     * Check a song against a group
+     * @param {Object} song - Song object
+     * @param {Object} group - { match, rules }
+     * @param {number} now - Current time in ms
+     * @returns {boolean}
+     */
+    static matchesGroup(song, group, now) {
+        const test = rule => (rule.match !== undefined
+            ? SmartPlaylist.matchesGroup(song, rule, now)
+            : SmartPlaylist.matchesRule(song, rule, now));
+
+        if (group.rules.length === 0) return true;
+        return group.match === "any" ? group.rules.some(test) : group.rules.every(test);
+    }
+
+    /**
+     * Check a song against a single rule
+     * @param {Object} song - Song object
+     * @param {Object} rule - { field, operator, value }
+     * @param {number} now - Current time in ms
+     * @returns {boolean}
+     */
+    static matchesRule(song, rule, now) {
+        const type = SmartPlaylist.FIELDS[rule.field].type;
+
+        if (type === "flag") {
+            return rule.operator === "isSet" ? song[rule.field] === true : song[rule.field] !== true;
+        }
+
+        if (type === "tags") {
+            const wanted = rule.value.trim().toLowerCase();
+            const tags = Array.isArray(song[rule.field]) ? song[rule.field] : [];
+            const has = tags.some(tag => typeof tag === "string" && tag.toLowerCase() === wanted);
+            return rule.operator === "has" ? has : !has;
+        }
+
+        const value = SmartPlaylist.fieldValue(song, rule.field);
+
+        if (type === "text") {
+            const text = value.toLowerCase();
+            const wanted = rule.value.trim().toLowerCase();
+
+            switch (rule.operator) {
+                case "is": return text === wanted;
+                case "isNot": return text !== wanted;
+                case "contains": return text.includes(wanted);
+                case "notContains": return !text.includes(wanted);
+                case "startsWith": return text.startsWith(wanted);
+            }
+            return false;
+        }
+
+        if (type === "date") {
+            const recent = value !== null && value >= now - rule.value * SmartPlaylist.DAY_MS;
+            return rule.operator === "inLast" ? recent : !recent;
+        }
+
+        if (value === null) return false;
+
+        switch (rule.operator) {
+            case "eq": return value === rule.value;
+            case "ne": return value !== rule.value;
+            case "gt": return value > rule.value;
+            case "gte": return value >= rule.value;
+            case "lt": return value < rule.value;
+            case "lte": return value <= rule.value;
+        }
+        return false;
+    }
+
+    /**
+     * Read a field of a song for comparison
+     * @param {Object} song - Song object
+     * @param {string} field - Key of FIELDS
+     * @returns {string|number|null} Text ("" if missing), or a number (null if unknown).
+     *                                Tags read as one comma-separated text, favorites as 1 or 0
+     */
+    static fieldValue(song, field) {
+        const info = SmartPlaylist.FIELDS[field];
+        const value = song[field];
+
+        if (info.type === "text") {
+            return typeof value === "string" ? value.trim() : "";
+        }
+        if (info.type === "tags") {
+            return Array.isArray(value) ? value.join(", ") : "";
+        }
+        if (info.type === "flag") {
+            return value === true ? 1 : 0;
+        }
+
+        if (typeof value === "number" && Number.isFinite(value)) return value;
+        return info.defaultValue !== undefined ? info.defaultValue : null;
+    }
+
+    /**
+     * Sort songs by one field. Songs without a value go last either way;
+     * ties keep library order
+     * @param {Array<Object>} songs - Songs to sort (not modified)
+     * @param {Object} sortBy - { field, order: "asc" | "desc" }
+     * @returns {Array<Object>} Sorted copy
+     */
+    static sortSongs(songs, sortBy) {
+        const direction = sortBy.order === "desc" ? -1 : 1;
+        const type = SmartPlaylist.FIELDS[sortBy.field].type;
+        const isText = type === "text" || type === "tags";
+
+        return songs
+            .map((song, index) => ({ song: song, index: index, value: SmartPlaylist.fieldValue(song, sortBy.field) }))
+            .sort((a, b) => {
+                const aMissing = a.value === null || a.value === "";
+                const bMissing = b.value === null || b.value === "";
+
+                if (aMissing !== bMissing) return aMissing ? 1 : -1;
+                if (aMissing) return a.index - b.index;
+
+                const order = isText
+                    ? a.value.localeCompare(b.value, undefined, { numeric: true, sensitivity: "base" })
+                    : a.value - b.value;
+
+                return order !== 0 ? order * direction : a.index - b.index;
+            })
+            .map(entry => entry.song);
+    }
+
+    /* ============================================================
+       JSON Export / Import
+    ============================================================ */
+
+    /**
+     * Serialize a smart playlist for download
+     * @param {string} name - Playlist name
+     * @param {Object} definition - Valid definition
+     * @returns {string} Pretty-printed JSON
+     */
+    static toJSON(name, definition) {
+        return JSON.stringify(Object.assign({
+            type: SmartPlaylist.EXPORT_TYPE,
+            version: SmartPlaylist.EXPORT_VERSION,
+            name: name
+        }, definition), null, 2);
+    }
+
+    /**
+     * Read a smart playlist exported by toJSON()
+     * A bare definition without the type/version wrapper is accepted too
+     * @param {string} text - JSON text
+     * @returns {Object|null} { name, definition }, or null if unreadable or invalid
+     */
+    static fromJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            console.warn("Smart playlist file is not valid JSON:", error);
+            return null;
+        }
+
+        if (!data || typeof data !== "object") return null;
+
+        if (data.type !== undefined && data.type !== SmartPlaylist.EXPORT_TYPE) {
+            console.warn(`Not a smart playlist file (type "${data.type}")`);
+            return null;
+        }
+        if (typeof data.version === "number" && data.version > SmartPlaylist.EXPORT_VERSION) {
+            console.warn(`Smart playlist file uses newer format v${data.version}`);
+            return null;
+        }
+
+        const definition = SmartPlaylist.normalize(data);
+        if (!definition) return null;
+
+        return {
+            name: typeof data.name === "string" ? data.name.trim() : "",
+            definition: definition
+        };
+    }
+
+    /**
+     * Definition of a new smart playlist: every song added in the last 30 days
+     * @returns {Object}
+     */
+    static createDefault() {
+        return {
+            match: "all",
+            rules: [{ field: "addedAt", operator: "inLast", value: 30 }]
+        };
+    }
+}
+
+SmartPlaylist.MAX_DEPTH = 3;
+SmartPlaylist.DAY_MS = 24 * 60 * 60 * 1000;
+SmartPlaylist.EXPORT_TYPE = "smart-playlist";
+SmartPlaylist.EXPORT_VERSION = 1;
+
+// Song fields rules can test, in the order the rule editor lists them
+SmartPlaylist.FIELDS = {
+    title: { label: "Title", type: "text" },
+    artist: { label: "Artist", type: "text" },
+    album: { label: "Album", type: "text" },
+    year: { label: "Year", type: "number" },
+    trackNumber: { label: "Track number", type: "number" },
+    duration: { label: "Duration", type: "duration" },
+    addedAt: { label: "Date added", type: "date" },
+    playCount: { label: "Play count", type: "number", defaultValue: 0 },
+    skipCount: { label: "Skip count", type: "number", defaultValue: 0 },
+    lastPlayedAt: { label: "Last played", type: "date" },
+    rating: { label: "Rating", type: "number", defaultValue: 0 },
+    favorite: { label: "Favorite", type: "flag" },
+    tags: { label: "Tags", type: "tags" }
+};
+
+// Operators allowed per field type; the first is the editor's default
+SmartPlaylist.TYPE_OPERATORS = {
+    text: ["is", "isNot", "contains", "notContains", "startsWith"],
+    number: ["eq", "ne", "gt", "gte", "lt", "lte"],
+    duration: ["lt", "gt", "lte", "gte"],
+    date: ["inLast", "notInLast"],
+    flag: ["isSet", "isNotSet"],
+    tags: ["has", "hasNot"]
+};
+
+SmartPlaylist.OPERATOR_LABELS = {
+    is: "is",
+    isNot: "is not",
+    contains: "contains",
+    notContains: "does not contain",
+    startsWith: "starts with",
+    eq: "is",
+    ne: "is not",
+    gt: "is more than",
+    gte: "is at least",
+    lt: "is less than",
+    lte: "is at most",
+    inLast: "is in the last",
+    notInLast: "is not in the last",
+    isSet: "is marked",
+    isNotSet: "is not marked",
+    has: "include",
+    hasNot: "do not include"
+};
+
+
+// Node export for tests; see "How the Scripts Load" in README.md
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { SmartPlaylist };
+}
@@ -0,0 +1,231 @@
+/*
+    ============================================================
+    SongSearch.js
+    Project: Smart Music Playlist Manager
+    Fuzzy Song Search
+    ============================================================
+
+    DESCRIPTION:
+    Matches a search query against a song's title and artist (the
+    fields a playlist row shows) and reports which characters
+    matched, so the UI can filter rows and highlight the matches.
+
+    MATCHING RULES:
+        - Case- and diacritic-insensitive ("beyonce" finds "Beyoncé")
+        - The query is split on whitespace; every term must match
+          at least one field
+        - A term matches a field as a contiguous substring, or failing
+          that as a fuzzy subsequence ("bldlts" finds "Blinding Lights")
+        - Substring matches score higher than fuzzy ones, and matches
+          at the start of a word score higher than mid-word ones
+
+    Match ranges are [start, end) offsets into the ORIGINAL field text,
+    so highlighting works even when normalization changed its length.
+
+    NO EXTERNAL DEPENDENCIES
+    Pure string processing; works without a DOM.
+*/
+
+class SongSearch {
+
+    /* ============================================================
+       Public API
+    ============================================================ */
+
+    /**
+     * Match a query against a song
+     * @param {string} query - Text typed by the user
+     * @param {Object} song - Song object { title, artist }
+     * @returns {Object|null} { score, ranges: { title, artist } }, or null if
+     *                        the song does not match. An empty query matches every song
+     */
+    static matchSong(query, song) {
+        const terms = SongSearch.normalize(query).text.split(/\s+/).filter(Boolean);
+        const ranges = {};
+        SongSearch.FIELDS.forEach(field => { ranges[field] = []; });
+
+        if (terms.length === 0) {
+            return { score: 0, ranges: ranges };
+        }
+
+        const fields = SongSearch.FIELDS.map(field => ({
+            name: field,
+            normalized: SongSearch.normalize(song[field] || "")
+        }));
+
+        let score = 0;
+
+        for (const term of terms) {
+            let best = null;
+
+            fields.forEach(field => {
+                const match = SongSearch.matchTerm(term, field.normalized);
+                if (match && (!best || match.score > best.match.score)) {
+                    best = { field: field.name, match: match };
+                }
+            });
+
+            if (!best) return null;
+
+            score += best.match.score;
+            ranges[best.field] = ranges[best.field].concat(best.match.ranges);
+        }
+
+        SongSearch.FIELDS.forEach(field => {
+            ranges[field] = SongSearch.mergeRanges(ranges[field]);
+        });
+
+        return { score: score, ranges: ranges };
+    }
+
+    /**
+     * Split text into plain and highlighted segments for rendering
+     * @param {string} text - Original field text
+     * @param {Array<Array<number>>} ranges - Sorted, merged [start, end) ranges
+     * @returns {Array<Object>} [{ text, match }] covering the whole text
+     */
+    static segments(text, ranges) {
+        const parts = [];
+        let position = 0;
+
+        ranges.forEach(([start, end]) => {
+            if (start > position) {
+                parts.push({ text: text.slice(position, start), match: false });
+            }
+            parts.push({ text: text.slice(start, end), match: true });
+            position = end;
+        });
+
+        if (position < text.length) {
+            parts.push({ text: text.slice(position), match: false });
+        }
+
+        return parts;
+    }
+
+    /* ============================================================
+       Matching
+    ============================================================ */
+
+    /**
+     * Match one normalized term against one normalized field
+     * @param {string} term - Normalized query term
+     * @param {Object} field - Result of normalize() for the field text
+     * @returns {Object|null} { score, ranges } with ranges in original offsets
+     */
+    static matchTerm(term, field) {
+        const text = field.text;
+
+        // Contiguous substring: prefer an occurrence at a word start
+        let index = text.indexOf(term);
+        if (index !== -1) {
+            let wordStart = index;
+            while (wordStart !== -1 && !SongSearch.isWordStart(text, wordStart)) {
+                wordStart = text.indexOf(term, wordStart + 1);
+            }
+            if (wordStart !== -1) index = wordStart;
+
+            const bonus = SongSearch.isWordStart(text, index) ? 50 : 0;
+            return {
+                score: 100 + bonus + term.length,
+                ranges: [SongSearch.toOriginal(field, index, index + term.length)]
+            };
+        }
+
+        // Fuzzy subsequence: every term character, in order
+        const positions = [];
+        let from = 0;
+        for (const char of term) {
+            const found = text.indexOf(char, from);
+            if (found === -1) return null;
+            positions.push(found);
+            from = found + 1;
+        }
+
+        // Fewer gaps and more word-start hits mean a better match
+        let score = 50;
+        positions.forEach((position, i) => {
+            if (SongSearch.isWordStart(text, position)) score += 5;
+            if (i > 0) score -= Math.min(position - positions[i - 1] - 1, 10);
+        });
+
+        const ranges = positions.map(position => SongSearch.toOriginal(field, position, position + 1));
+        return { score: Math.max(score, 1), ranges: SongSearch.mergeRanges(ranges) };
+    }
+
+    /**
+     * Check whether a position in normalized text starts a word
+     * @param {string} text - Normalized text
+     * @param {number} index - Character position
+     * @returns {boolean}
+     */
+    static isWordStart(text, index) {
+        return index === 0 || !/[a-z0-9]/.test(text[index - 1]);
+    }
+
+    /* ============================================================
+       Normalization Helpers
+    ============================================================ */
+
+    /**
+     * Lower-case text and strip diacritics, remembering where each
+     * normalized character came from in the original
+     * @param {string} text - Original text
+     * @returns {Object} { text, map } where map[i] is the original offset of text[i]
+     */
+    static normalize(text) {
+        const source = String(text);
+        let normalized = "";
+        const map = [];
+
+        for (let i = 0; i < source.length; i++) {
+            const folded = source[i].normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+            for (const char of folded) {
+                normalized += char;
+                map.push(i);
+            }
+        }
+
+        return { text: normalized, map: map };
+    }
+
+    /**
+     * Convert a [start, end) range in normalized text to original offsets
+     * @param {Object} field - Result of normalize()
+     * @param {number} start - Start offset in normalized text
+     * @param {number} end - End offset (exclusive) in normalized text
+     * @returns {Array<number>} [start, end) in the original text
+     */
+    static toOriginal(field, start, end) {
+        return [field.map[start], field.map[end - 1] + 1];
+    }
+
+    /**
+     * Sort ranges and merge overlapping or touching ones
+     * @param {Array<Array<number>>} ranges - [start, end) ranges
+     * @returns {Array<Array<number>>} Sorted, non-overlapping ranges
+     */
+    static mergeRanges(ranges) {
+        const sorted = ranges.slice().sort((a, b) => a[0] - b[0]);
+        const merged = [];
+
+        sorted.forEach(range => {
+            const last = merged[merged.length - 1];
+            if (last && range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                merged.push([range[0], range[1]]);
+            }
+        });
+
+        return merged;
+    }
+}
+
+SongSearch.FIELDS = ["title", "artist"];   // Song fields searched: those a row shows, in display order
+
+
+// Node export for tests; see "How the Scripts Load" in README.md
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { SongSearch };
+}
@@ -0,0 +1,975 @@
+/*
+    ============================================================
+    TagReader.js
+    Project: Smart Music Playlist Manager
+    Embedded Metadata Reader (ID3, Vorbis comments, MP4 atoms)
+    ============================================================
+
+    DESCRIPTION:
+    Reads the title, artist, album, track number, year, duration
+    and embedded cover art stored inside audio files, so songs can
+    be added without typing their details.
+
+    SUPPORTED FORMATS:
+        - MP3:       ID3v2.2 / 2.3 / 2.4 (text frames, TLEN, APIC/PIC),
+                     ID3v1 (fallback); duration from the Xing/Info or
+                     VBRI header, else estimated from the bitrate
+        - FLAC:      STREAMINFO, VORBIS_COMMENT and PICTURE blocks
+        - Ogg:       Vorbis and Opus comment headers, including
+                     METADATA_BLOCK_PICTURE; duration from the last page
+        - MP4/M4A:   moov/mvhd duration and the iTunes ilst atoms
+
+    SOURCES:
+        Parsing reads through a small source interface, so local files
+        and remote URLs share the same code and only the bytes that are
+        needed are loaded:
+            { size, read(start, end) -> Promise<Uint8Array>,
+              readTail(length) -> Promise<Uint8Array> }
+        size may be null for URLs whose server hides the file size.
+
+    RESULT:
+        { format, title, artist, album, trackNumber, year, duration, cover }
+        Fields that were not found are left out. cover is
+        { mime, data: Uint8Array }.
+
+    NO EXTERNAL DEPENDENCIES
+    Pure byte parsing; works without a DOM.
+*/
+
+class TagReader {
+
+    /* ============================================================
+       Public API
+    ============================================================ */
+
+    /**
+     * Read the tags of an audio file
+     * @param {Object} source - Source from fromFile(), fromUrl() or fromBytes()
+     * @returns {Promise<Object>} Tags (see RESULT above); { format: "unknown" } if unrecognized
+     */
+    static async read(source) {
+        let head = await source.read(0, TagReader.HEAD_BYTES);
+        let tags = {};
+        let offset = 0;
+
+        // ID3v2 can precede MP3 and (rarely) FLAC data
+        if (TagReader.ascii(head, 0, 3) === "ID3") {
+            const tagSize = TagReader.id3v2Size(head);
+            if (tagSize > head.length) {
+                head = await source.read(0, Math.min(tagSize, TagReader.MAX_TAG_BYTES));
+            }
+            tags = TagReader.parseId3v2(head);
+            offset = tagSize;
+        }
+
+        const probe = offset === 0 ? head : await source.read(offset, offset + TagReader.HEAD_BYTES);
+
+        if (TagReader.ascii(probe, 0, 4) === "fLaC") {
+            return TagReader.merge({ format: "flac" }, tags, await TagReader.readFlac(source, offset));
+        }
+        if (offset === 0 && TagReader.ascii(probe, 0, 4) === "OggS") {
+            return TagReader.merge({ format: "ogg" }, await TagReader.readOgg(source));
+        }
+        if (offset === 0 && TagReader.ascii(probe, 4, 8) === "ftyp") {
+            return TagReader.merge({ format: "mp4" }, await TagReader.readMp4(source));
+        }
+
+        const frame = TagReader.parseMpegFrame(probe, source.size !== null ? source.size - offset : null);
+        if (!frame && offset === 0) {
+            return { format: "unknown" };
+        }
+
+        const result = TagReader.merge({ format: "mp3" }, tags);
+        if (frame && frame.duration > 0 && !(result.duration > 0)) {
+            result.duration = frame.duration;
+        }
+
+        // Files without ID3v2 may still carry an ID3v1 tag in the last 128 bytes
+        if (!result.title) {
+            const tail = await source.readTail(128);
+            TagReader.merge(result, TagReader.parseId3v1(tail));
+        }
+
+        return result;
+    }
+
+    /**
+     * Source over a File or Blob
+     * @param {Blob} file - Local file
+     * @returns {Object} Source
+     */
+    static fromFile(file) {
+        const slice = (start, end) => file.slice(start, end).arrayBuffer().then(buffer => new Uint8Array(buffer));
+
+        return {
+            size: file.size,
+            read: (start, end) => slice(start, Math.min(end, file.size)),
+            readTail: length => slice(Math.max(0, file.size - length), file.size)
+        };
+    }
+
+    /**
+     * Source over bytes already in memory
+     * @param {Uint8Array} bytes - Whole file
+     * @returns {Object} Source
+     */
+    static fromBytes(bytes) {
+        return {
+            size: bytes.length,
+            read: (start, end) => Promise.resolve(bytes.subarray(start, Math.min(end, bytes.length))),
+            readTail: length => Promise.resolve(bytes.subarray(Math.max(0, bytes.length - length)))
+        };
+    }
+
+    /**
+     * Source over a URL, using HTTP Range requests
+     * Servers that ignore Range get the whole file downloaded once
+     * @param {string} url - Audio URL (cross-origin URLs need CORS)
+     * @returns {Promise<Object>} Source
+     */
+    static async fromUrl(url) {
+        const response = await fetch(url, { headers: { Range: `bytes=0-${TagReader.HEAD_BYTES - 1}` } });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const first = new Uint8Array(await response.arrayBuffer());
+        if (response.status !== 206) {
+            return TagReader.fromBytes(first);
+        }
+
+        // "bytes 0-262143/5349021"; the total is hidden unless the server exposes Content-Range
+        const match = /\/(\d+)\s*$/.exec(response.headers.get("Content-Range") || "");
+        const size = match ? Number(match[1]) : null;
+
+        const fetchRange = async range => {
+            const part = await fetch(url, { headers: { Range: `bytes=${range}` } });
+            if (part.status !== 206) {
+                throw new Error(`Range request failed: HTTP ${part.status}`);
+            }
+            return new Uint8Array(await part.arrayBuffer());
+        };
+
+        return {
+            size: size,
+            read: (start, end) => {
+                if (end <= first.length) return Promise.resolve(first.subarray(start, end));
+                if (size !== null && start >= size) return Promise.resolve(new Uint8Array(0));
+                return fetchRange(`${start}-${end - 1}`);
+            },
+            readTail: length => fetchRange(`-${length}`)
+        };
+    }
+
+    /* ============================================================
+       ID3
+    ============================================================ */
+
+    /**
+     * Total size of an ID3v2 tag, including its header and footer
+     * @param {Uint8Array} bytes - Bytes starting with "ID3"
+     * @returns {number} Size in bytes
+     */
+    static id3v2Size(bytes) {
+        const footer = bytes[3] >= 4 && (bytes[5] & 0x10) ? 10 : 0;
+        return 10 + TagReader.syncsafe(bytes, 6) + footer;
+    }
+
+    /**
+     * Parse an ID3v2.2, 2.3 or 2.4 tag
+     * @param {Uint8Array} bytes - Bytes starting with "ID3" (the whole tag)
+     * @returns {Object} Tags found
+     */
+    static parseId3v2(bytes) {
+        const version = bytes[3];
+        const flags = bytes[5];
+        const end = Math.min(bytes.length, 10 + TagReader.syncsafe(bytes, 6));
+        let body = bytes.subarray(10, end);
+
+        if (version < 2 || version > 4) return {};
+
+        // Version 2.3 and earlier unsynchronize the whole tag at once
+        if ((flags & 0x80) && version < 4) {
+            body = TagReader.removeUnsync(body);
+        }
+
+        let position = 0;
+        if ((flags & 0x40) && version >= 3) {
+            position = version === 4 ? TagReader.syncsafe(body, 0) : TagReader.uint32(body, 0) + 4;
+        }
+
+        const idLength = version === 2 ? 3 : 4;
+        const headerLength = version === 2 ? 6 : 10;
+        const frames = {};
+        const pictures = [];
+
+        while (position + headerLength <= body.length) {
+            const id = TagReader.ascii(body, position, position + idLength);
+            if (!/^[A-Z0-9]+$/.test(id)) break;   // Padding
+
+            let size;
+            if (version === 2) {
+                size = (body[position + 3] << 16) | (body[position + 4] << 8) | body[position + 5];
+            } else if (version === 4) {
+                size = TagReader.syncsafe(body, position + 4);
+            } else {
+                size = TagReader.uint32(body, position + 4);
+            }
+
+            const frameFlags = version === 2 ? 0 : (body[position + 8] << 8) | body[position + 9];
+            let data = body.subarray(position + headerLength, position + headerLength + size);
+            position += headerLength + size;
+
+            // Skip compressed or encrypted frames
+            if (version === 3 && (frameFlags & 0x00C0)) continue;
+            if (version === 4 && (frameFlags & 0x000C)) continue;
+
+            if (version === 3 && (frameFlags & 0x0020)) data = data.subarray(1);   // Group ID
+            if (version === 4) {
+                if (frameFlags & 0x0040) data = data.subarray(1);                  // Group ID
+                if (frameFlags & 0x0001) data = data.subarray(4);                  // Data length
+                if ((frameFlags & 0x0002) || (flags & 0x80)) data = TagReader.removeUnsync(data);
+            }
+
+            if (id === "APIC" || id === "PIC") {
+                const picture = TagReader.parsePictureFrame(data, id === "PIC");
+                if (picture) pictures.push(picture);
+            } else if (id[0] === "T" && !(id in frames)) {
+                frames[id] = TagReader.decodeTextFrame(data);
+            }
+        }
+
+        const text = (...ids) => {
+            const id = ids.find(candidate => frames[candidate]);
+            return id ? frames[id] : "";
+        };
+
+        const tags = {
+            title: text("TIT2", "TT2"),
+            artist: text("TPE1", "TP1"),
+            album: text("TALB", "TAL"),
+            trackNumber: TagReader.parseTrackNumber(text("TRCK", "TRK")),
+            year: TagReader.parseYear(text("TDRC", "TYER", "TYE", "TDOR", "TORY"))
+        };
+
+        const length = Number(text("TLEN", "TLE"));
+        if (length > 0) tags.duration = length / 1000;
+
+        // Prefer the front cover (picture type 3)
+        const cover = pictures.find(picture => picture.type === 3) || pictures[0];
+        if (cover) tags.cover = { mime: cover.mime, data: cover.data };
+
+        return TagReader.clean(tags);
+    }
+
+    /**
+     * Parse an APIC (2.3/2.4) or PIC (2.2) frame
+     * @param {Uint8Array} data - Frame body
+     * @param {boolean} legacy - True for PIC (3-letter image format instead of MIME)
+     * @returns {Object|null} { mime, type, data }
+     */
+    static parsePictureFrame(data, legacy) {
+        const encoding = data[0];
+        let position = 1;
+        let mime;
+
+        if (legacy) {
+            const format = TagReader.ascii(data, 1, 4).toLowerCase();
+            mime = format === "png" ? "image/png" : "image/jpeg";
+            position = 4;
+        } else {
+            const end = data.indexOf(0, position);
+            if (end === -1) return null;
+            mime = TagReader.ascii(data, position, end).toLowerCase() || "image/jpeg";
+            if (!mime.includes("/")) mime = `image/${mime === "jpg" ? "jpeg" : mime}`;
+            position = end + 1;
+        }
+
+        const type = data[position];
+        position += 1;
+
+        // Skip the description, terminated by one or two zero bytes depending on encoding
+        position = TagReader.findTerminator(data, position, encoding) + (encoding === 1 || encoding === 2 ? 2 : 1);
+        if (position > data.length) return null;
+
+        return { mime: mime, type: type, data: data.slice(position) };
+    }
+
+    /**
+     * Parse a 128-byte ID3v1 tag
+     * @param {Uint8Array} bytes - Last 128 bytes of the file
+     * @returns {Object} Tags found (empty if there is no tag)
+     */
+    static parseId3v1(bytes) {
+        if (bytes.length < 128 || TagReader.ascii(bytes, 0, 3) !== "TAG") return {};
+
+        const field = (start, length) => TagReader.decodeLatin1(bytes.subarray(start, start + length))
+            .replace(/\0[\s\S]*$/, "")
+            .trim();
+
+        const tags = {
+            title: field(3, 30),
+            artist: field(33, 30),
+            album: field(63, 30),
+            year: TagReader.parseYear(field(93, 4))
+        };
+
+        // ID3v1.1 stores the track in the last comment byte
+        if (bytes[125] === 0 && bytes[126] !== 0) {
+            tags.trackNumber = bytes[126];
+        }
+
+        return TagReader.clean(tags);
+    }
+
+    /**
+     * Decode an ID3v2 text frame; multiple values are joined with ", "
+     * @param {Uint8Array} data - Frame body (encoding byte first)
+     * @returns {string}
+     */
+    static decodeTextFrame(data) {
+        const text = TagReader.decodeText(data.subarray(1), data[0]);
+        return text.split("\0").map(value => value.trim()).filter(Boolean).join(", ");
+    }
+
+    /**
+     * Find the end of a zero-terminated string in an ID3v2 frame
+     * @param {Uint8Array} data - Frame body
+     * @param {number} start - Where the string starts
+     * @param {number} encoding - ID3v2 text encoding (0-3)
+     * @returns {number} Offset of the terminator (data.length if missing)
+     */
+    static findTerminator(data, start, encoding) {
+        if (encoding === 1 || encoding === 2) {
+            for (let i = start; i + 1 < data.length; i += 2) {
+                if (data[i] === 0 && data[i + 1] === 0) return i;
+            }
+            return data.length;
+        }
+
+        const end = data.indexOf(0, start);
+        return end === -1 ? data.length : end;
+    }
+
+    /**
+     * Undo ID3 unsynchronization (0xFF 0x00 -> 0xFF)
+     * @param {Uint8Array} bytes
+     * @returns {Uint8Array}
+     */
+    static removeUnsync(bytes) {
+        const output = [];
+        for (let i = 0; i < bytes.length; i++) {
+            output.push(bytes[i]);
+            if (bytes[i] === 0xFF && bytes[i + 1] === 0x00) i++;
+        }
+        return Uint8Array.from(output);
+    }
+
+    /* ============================================================
+       MPEG Audio (duration)
+    ============================================================ */
+
+    /**
+     * Find the first MPEG audio frame and work out the song duration
+     * @param {Uint8Array} bytes - Audio data (after any ID3v2 tag)
+     * @param {number|null} audioSize - Bytes of audio data, for the CBR estimate
+     * @returns {Object|null} { sampleRate, bitrate, duration } or null if no frame was found
+     */
+    static parseMpegFrame(bytes, audioSize) {
+        for (let i = 0; i + 4 <= bytes.length; i++) {
+            if (bytes[i] !== 0xFF || (bytes[i + 1] & 0xE0) !== 0xE0) continue;
+
+            const header = TagReader.parseMpegHeader(bytes, i);
+            if (!header) continue;
+
+            // Xing/Info (LAME) or VBRI headers give the exact frame count
+            const sideInfo = header.version === 1
+                ? (header.mono ? 17 : 32)
+                : (header.mono ? 9 : 17);
+            const xing = i + 4 + sideInfo;
+            let frames = 0;
+
+            const xingId = TagReader.ascii(bytes, xing, xing + 4);
+            if ((xingId === "Xing" || xingId === "Info") && (TagReader.uint32(bytes, xing + 4) & 1)) {
+                frames = TagReader.uint32(bytes, xing + 8);
+            } else if (TagReader.ascii(bytes, i + 36, i + 40) === "VBRI") {
+                frames = TagReader.uint32(bytes, i + 36 + 14);
+            }
+
+            let duration = 0;
+            if (frames > 0) {
+                duration = frames * header.samplesPerFrame / header.sampleRate;
+            } else if (audioSize) {
+                duration = (audioSize - i) * 8 / (header.bitrate * 1000);
+            }
+
+            return {
+                sampleRate: header.sampleRate,
+                bitrate: header.bitrate,
+                duration: Math.round(duration * 1000) / 1000
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Decode a 4-byte MPEG audio frame header
+     * @param {Uint8Array} bytes
+     * @param {number} offset - Position of the 0xFF sync byte
+     * @returns {Object|null} { version, layer, bitrate, sampleRate, samplesPerFrame, mono }, null if invalid
+     */
+    static parseMpegHeader(bytes, offset) {
+        const versionBits = (bytes[offset + 1] >> 3) & 3;
+        const layerBits = (bytes[offset + 1] >> 1) & 3;
+        const bitrateIndex = bytes[offset + 2] >> 4;
+        const rateIndex = (bytes[offset + 2] >> 2) & 3;
+
+        if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) {
+            return null;
+        }
+
+        const version = versionBits === 3 ? 1 : versionBits === 2 ? 2 : 2.5;
+        const layer = 4 - layerBits;
+        const table = version === 1
+            ? TagReader.MPEG_BITRATES[`V1L${layer}`]
+            : TagReader.MPEG_BITRATES[layer === 1 ? "V2L1" : "V2L2"];
+        const rates = TagReader.MPEG_SAMPLE_RATES[version];
+
+        let samplesPerFrame = layer === 1 ? 384 : 1152;
+        if (layer === 3 && version !== 1) samplesPerFrame = 576;
+
+        return {
+            version: version,
+            layer: layer,
+            bitrate: table[bitrateIndex],
+            sampleRate: rates[rateIndex],
+            samplesPerFrame: samplesPerFrame,
+            mono: (bytes[offset + 3] >> 6) === 3
+        };
+    }
+
+    /* ============================================================
+       FLAC
+    ============================================================ */
+
+    /**
+     * Read the metadata blocks of a FLAC file
+     * @param {Object} source - Byte source
+     * @param {number} offset - Position of "fLaC"
+     * @returns {Promise<Object>} Tags found
+     */
+    static async readFlac(source, offset) {
+        const tags = {};
+        let position = offset + 4;
+
+        for (let count = 0; count < 64; count++) {
+            const header = await source.read(position, position + 4);
+            if (header.length < 4) break;
+
+            const last = (header[0] & 0x80) !== 0;
+            const type = header[0] & 0x7F;
+            const length = (header[1] << 16) | (header[2] << 8) | header[3];
+            position += 4;
+
+            // Only read the blocks we understand (skips SEEKTABLE, PADDING, ...)
+            if (type === 0 || type === 4 || (type === 6 && !tags.cover && length <= TagReader.MAX_TAG_BYTES)) {
+                const block = await source.read(position, position + length);
+
+                if (type === 0) {
+                    TagReader.merge(tags, TagReader.parseStreamInfo(block));
+                } else if (type === 4) {
+                    TagReader.merge(tags, TagReader.parseVorbisComment(block));
+                } else {
+                    const picture = TagReader.parseFlacPicture(block);
+                    if (picture) tags.cover = picture;
+                }
+            }
+
+            position += length;
+            if (last) break;
+        }
+
+        return tags;
+    }
+
+    /**
+     * Duration from a FLAC STREAMINFO block
+     * @param {Uint8Array} block - Block body (34 bytes)
+     * @returns {Object} { duration } when known
+     */
+    static parseStreamInfo(block) {
+        if (block.length < 18) return {};
+
+        const sampleRate = (block[10] << 12) | (block[11] << 4) | (block[12] >> 4);
+        const totalSamples = (block[13] & 0x0F) * 4294967296 + TagReader.uint32(block, 14);
+
+        if (!sampleRate || !totalSamples) return {};
+        return { duration: Math.round(totalSamples / sampleRate * 1000) / 1000 };
+    }
+
+    /**
+     * Parse a FLAC PICTURE block (also used by METADATA_BLOCK_PICTURE in Ogg)
+     * @param {Uint8Array} block - Block body
+     * @returns {Object|null} { mime, data }
+     */
+    static parseFlacPicture(block) {
+        let position = 4;   // Picture type
+        const mimeLength = TagReader.uint32(block, position);
+        const mime = TagReader.ascii(block, position + 4, position + 4 + mimeLength);
+        position += 4 + mimeLength;
+
+        const descriptionLength = TagReader.uint32(block, position);
+        position += 4 + descriptionLength + 16;   // Width, height, depth, colors
+
+        const dataLength = TagReader.uint32(block, position);
+        position += 4;
+
+        if (position + dataLength > block.length) return null;
+        return { mime: mime || "image/jpeg", data: block.slice(position, position + dataLength) };
+    }
+
+    /* ============================================================
+       Vorbis Comments (FLAC and Ogg)
+    ============================================================ */
+
+    /**
+     * Parse a Vorbis comment block (little-endian lengths, KEY=value UTF-8 entries)
+     * @param {Uint8Array} block - Block starting at the vendor length
+     * @returns {Object} Tags found
+     */
+    static parseVorbisComment(block) {
+        const values = {};
+        let position = 4 + TagReader.uint32LE(block, 0);
+        const count = TagReader.uint32LE(block, position);
+        position += 4;
+
+        for (let i = 0; i < count && position + 4 <= block.length; i++) {
+            const length = TagReader.uint32LE(block, position);
+            const entry = TagReader.decodeUtf8(block.subarray(position + 4, position + 4 + length));
+            position += 4 + length;
+
+            const separator = entry.indexOf("=");
+            if (separator === -1) continue;
+
+            const key = entry.slice(0, separator).toUpperCase();
+            (values[key] = values[key] || []).push(entry.slice(separator + 1).trim());
+        }
+
+        const first = (...keys) => {
+            const key = keys.find(candidate => values[candidate]);
+            return key ? values[key].filter(Boolean).join(", ") : "";
+        };
+
+        const tags = {
+            title: first("TITLE"),
+            artist: first("ARTIST"),
+            album: first("ALBUM"),
+            trackNumber: TagReader.parseTrackNumber(first("TRACKNUMBER")),
+            year: TagReader.parseYear(first("DATE", "YEAR", "ORIGINALDATE"))
+        };
+
+        if (values.METADATA_BLOCK_PICTURE) {
+            try {
+                const picture = TagReader.parseFlacPicture(TagReader.decodeBase64(values.METADATA_BLOCK_PICTURE[0]));
+                if (picture) tags.cover = picture;
+            } catch (error) {
+                console.warn("Invalid METADATA_BLOCK_PICTURE", error);
+            }
+        }
+
+        return TagReader.clean(tags);
+    }
+
+    /* ============================================================
+       Ogg (Vorbis / Opus)
+    ============================================================ */
+
+    /**
+     * Read the identification and comment headers and the last granule position
+     * @param {Object} source - Byte source
+     * @returns {Promise<Object>} Tags found
+     */
+    static async readOgg(source) {
+        const packets = await TagReader.readOggPackets(source, 2);
+        if (packets.length < 2) return {};
+
+        const [identification, comment] = packets;
+        let sampleRate = 0;
+        let preSkip = 0;
+        let tags = {};
+
+        if (TagReader.ascii(identification, 1, 7) === "vorbis") {
+            sampleRate = TagReader.uint32LE(identification, 12);
+            if (TagReader.ascii(comment, 1, 7) === "vorbis") {
+                tags = TagReader.parseVorbisComment(comment.subarray(7));
+            }
+        } else if (TagReader.ascii(identification, 0, 8) === "OpusHead") {
+            sampleRate = 48000;   // Opus granule positions always count 48 kHz samples
+            preSkip = identification[10] | (identification[11] << 8);
+            if (TagReader.ascii(comment, 0, 8) === "OpusTags") {
+                tags = TagReader.parseVorbisComment(comment.subarray(8));
+            }
+        }
+
+        if (sampleRate > 0) {
+            const granule = TagReader.lastOggGranule(await source.readTail(TagReader.TAIL_BYTES));
+            if (granule > preSkip) {
+                tags.duration = Math.round((granule - preSkip) / sampleRate * 1000) / 1000;
+            }
+        }
+
+        return tags;
+    }
+
+    /**
+     * Reassemble the first packets of an Ogg stream from its pages
+     * @param {Object} source - Byte source
+     * @param {number} count - Number of packets wanted
+     * @returns {Promise<Array<Uint8Array>>}
+     */
+    static async readOggPackets(source, count) {
+        const packets = [];
+        let parts = [];
+        let position = 0;
+        let total = 0;
+
+        while (packets.length < count && total < TagReader.MAX_TAG_BYTES) {
+            const header = await source.read(position, position + 27);
+            if (header.length < 27 || TagReader.ascii(header, 0, 4) !== "OggS") break;
+
+            const segmentCount = header[26];
+            const table = await source.read(position + 27, position + 27 + segmentCount);
+            const bodyLength = table.reduce((sum, value) => sum + value, 0);
+            const body = await source.read(position + 27 + segmentCount, position + 27 + segmentCount + bodyLength);
+
+            let offset = 0;
+            for (let i = 0; i < segmentCount && packets.length < count; i++) {
+                parts.push(body.subarray(offset, offset + table[i]));
+                offset += table[i];
+
+                // A lacing value under 255 ends the packet
+                if (table[i] < 255) {
+                    packets.push(TagReader.concat(parts));
+                    parts = [];
+                }
+            }
+
+            position += 27 + segmentCount + bodyLength;
+            total += bodyLength;
+        }
+
+        return packets;
+    }
+
+    /**
+     * Granule position of the last Ogg page in a chunk
+     * @param {Uint8Array} tail - Last bytes of the file
+     * @returns {number} Granule position, or 0 if no page was found
+     */
+    static lastOggGranule(tail) {
+        for (let i = tail.length - 27; i >= 0; i--) {
+            if (TagReader.ascii(tail, i, i + 4) === "OggS") {
+                return TagReader.uint32LE(tail, i + 6) + TagReader.uint32LE(tail, i + 10) * 4294967296;
+            }
+        }
+        return 0;
+    }
+
+    /* ============================================================
+       MP4 / M4A
+    ============================================================ */
+
+    /**
+     * Find the moov atom and read its duration and iTunes metadata
+     * @param {Object} source - Byte source
+     * @returns {Promise<Object>} Tags found
+     */
+    static async readMp4(source) {
+        let position = 0;
+
+        for (let count = 0; count < 64; count++) {
+            const header = await source.read(position, position + 16);
+            if (header.length < 8) break;
+
+            const atom = TagReader.readAtomHeader(header, 0, source.size !== null ? source.size - position : Infinity);
+            if (!atom) break;
+
+            if (atom.type === "moov") {
+                if (atom.size > TagReader.MAX_TAG_BYTES) break;
+                const moov = await source.read(position, position + atom.size);
+                return TagReader.parseMoov(moov.subarray(atom.headerSize));
+            }
+
+            position += atom.size;
+        }
+
+        return {};
+    }
+
+    /**
+     * Decode an atom header
+     * @param {Uint8Array} bytes
+     * @param {number} offset - Atom start
+     * @param {number} available - Bytes left in the parent (for size 0, "to the end")
+     * @returns {Object|null} { size, type, headerSize }
+     */
+    static readAtomHeader(bytes, offset, available) {
+        if (offset + 8 > bytes.length) return null;
+
+        let size = TagReader.uint32(bytes, offset);
+        const type = TagReader.decodeLatin1(bytes.subarray(offset + 4, offset + 8));
+        let headerSize = 8;
+
+        if (size === 1) {
+            size = TagReader.uint32(bytes, offset + 8) * 4294967296 + TagReader.uint32(bytes, offset + 12);
+            headerSize = 16;
+        } else if (size === 0) {
+            size = available;
+        }
+
+        return size >= headerSize ? { size: size, type: type, headerSize: headerSize } : null;
+    }
+
+    /**
+     * Walk the children of a container atom
+     * @param {Uint8Array} bytes - Container body
+     * @param {Function} callback - Function(type, body)
+     */
+    static forEachAtom(bytes, callback) {
+        let position = 0;
+
+        while (position + 8 <= bytes.length) {
+            const atom = TagReader.readAtomHeader(bytes, position, bytes.length - position);
+            if (!atom) break;
+
+            callback(atom.type, bytes.subarray(position + atom.headerSize, Math.min(position + atom.size, bytes.length)));
+            position += atom.size;
+        }
+    }
+
+    /**
+     * Parse the body of a moov atom
+     * @param {Uint8Array} moov - moov body
+     * @returns {Object} Tags found
+     */
+    static parseMoov(moov) {
+        const tags = {};
+
+        TagReader.forEachAtom(moov, (type, body) => {
+            if (type === "mvhd") {
+                const version = body[0];
+                const timescale = TagReader.uint32(body, version === 1 ? 20 : 12);
+                const duration = version === 1
+                    ? TagReader.uint32(body, 24) * 4294967296 + TagReader.uint32(body, 28)
+                    : TagReader.uint32(body, 16);
+
+                if (timescale > 0) {
+                    tags.duration = Math.round(duration / timescale * 1000) / 1000;
+                }
+            } else if (type === "udta") {
+                TagReader.forEachAtom(body, (childType, childBody) => {
+                    if (childType === "meta") TagReader.merge(tags, TagReader.parseMeta(childBody));
+                });
+            }
+        });
+
+        return tags;
+    }
+
+    /**
+     * Parse a meta atom and its ilst (iTunes metadata list)
+     * @param {Uint8Array} meta - meta body
+     * @returns {Object} Tags found
+     */
+    static parseMeta(meta) {
+        // meta is normally a full atom (4 bytes of version/flags); some QuickTime files omit them
+        const body = TagReader.ascii(meta, 4, 8) === "hdlr" ? meta : meta.subarray(4);
+        const tags = {};
+
+        TagReader.forEachAtom(body, (type, ilst) => {
+            if (type !== "ilst") return;
+
+            TagReader.forEachAtom(ilst, (key, item) => {
+                let value = null;
+                let dataType = 0;
+
+                TagReader.forEachAtom(item, (childType, data) => {
+                    if (childType === "data" && value === null) {
+                        dataType = TagReader.uint32(data, 0) & 0xFFFFFF;
+                        value = data.subarray(8);
+                    }
+                });
+
+                if (value === null) return;
+
+                const text = () => TagReader.decodeUtf8(value).trim();
+
+                switch (key) {
+                    case "©nam": tags.title = text(); break;
+                    case "©ART": tags.artist = text(); break;
+                    case "©alb": tags.album = text(); break;
+                    case "©day": tags.year = TagReader.parseYear(text()); break;
+                    case "trkn":
+                        if (value.length >= 4) tags.trackNumber = (value[2] << 8) | value[3];
+                        break;
+                    case "covr":
+                        tags.cover = { mime: dataType === 14 ? "image/png" : "image/jpeg", data: value.slice() };
+                        break;
+                }
+            });
+        });
+
+        return TagReader.clean(tags);
+    }
+
+    /* ============================================================
+       Byte & Text Helpers
+    ============================================================ */
+
+    static ascii(bytes, start, end) {
+        return TagReader.decodeLatin1(bytes.subarray(start, Math.min(end, bytes.length)));
+    }
+
+    static uint32(bytes, offset) {
+        return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+    }
+
+    static uint32LE(bytes, offset) {
+        return ((bytes[offset + 3] << 24) | (bytes[offset + 2] << 16) | (bytes[offset + 1] << 8) | bytes[offset]) >>> 0;
+    }
+
+    /**
+     * 28-bit integer stored 7 bits per byte (ID3v2 sizes)
+     */
+    static syncsafe(bytes, offset) {
+        return ((bytes[offset] & 0x7F) << 21) | ((bytes[offset + 1] & 0x7F) << 14) |
+            ((bytes[offset + 2] & 0x7F) << 7) | (bytes[offset + 3] & 0x7F);
+    }
+
+    static concat(parts) {
+        const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            output.set(part, offset);
+            offset += part.length;
+        });
+        return output;
+    }
+
+    /**
+     * Decode ID3v2 text in one of its four encodings
+     * @param {Uint8Array} bytes
+     * @param {number} encoding - 0 ISO-8859-1, 1 UTF-16 with BOM, 2 UTF-16BE, 3 UTF-8
+     * @returns {string}
+     */
+    static decodeText(bytes, encoding) {
+        if (encoding === 3) return TagReader.decodeUtf8(bytes);
+        if (encoding !== 1 && encoding !== 2) return TagReader.decodeLatin1(bytes);
+
+        // UTF-16: each value may start with its own byte order mark
+        let littleEndian = false;
+        let text = "";
+        for (let i = 0; i + 1 < bytes.length; i += 2) {
+            if (bytes[i] === 0xFF && bytes[i + 1] === 0xFE) { littleEndian = true; continue; }
+            if (bytes[i] === 0xFE && bytes[i + 1] === 0xFF) { littleEndian = false; continue; }
+
+            const unit = littleEndian ? bytes[i] | (bytes[i + 1] << 8) : (bytes[i] << 8) | bytes[i + 1];
+            text += String.fromCharCode(unit);
+        }
+        return text;
+    }
+
+    static decodeLatin1(bytes) {
+        let text = "";
+        for (let i = 0; i < bytes.length; i++) {
+            text += String.fromCharCode(bytes[i]);
+        }
+        return text;
+    }
+
+    static decodeUtf8(bytes) {
+        return new TextDecoder("utf-8").decode(bytes).replace(/\0+$/, "");
+    }
+
+    static decodeBase64(text) {
+        const binary = atob(text.replace(/\s+/g, ""));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+
+    /* ============================================================
+       Value Helpers
+    ============================================================ */
+
+    /**
+     * "3/12" or "03" -> 3
+     * @param {string} value
+     * @returns {number|undefined}
+     */
+    static parseTrackNumber(value) {
+        const track = parseInt(value, 10);
+        return track > 0 ? track : undefined;
+    }
+
+    /**
+     * First four-digit year in a date ("2019-05-01" -> 2019)
+     * @param {string} value
+     * @returns {number|undefined}
+     */
+    static parseYear(value) {
+        const match = /\b(\d{4})\b/.exec(value || "");
+        return match ? Number(match[1]) : undefined;
+    }
+
+    /**
+     * Drop empty fields
+     * @param {Object} tags
+     * @returns {Object} The same object
+     */
+    static clean(tags) {
+        Object.keys(tags).forEach(key => {
+            if (tags[key] === undefined || tags[key] === null || tags[key] === "") delete tags[key];
+        });
+        return tags;
+    }
+
+    /**
+     * Copy fields into a target, keeping values the target already has
+     * @param {Object} target
+     * @param {...Object} sources
+     * @returns {Object} target
+     */
+    static merge(target, ...sources) {
+        sources.forEach(source => {
+            Object.keys(source).forEach(key => {
+                if (target[key] === undefined) target[key] = source[key];
+            });
+        });
+        return target;
+    }
+}
+
+TagReader.HEAD_BYTES = 256 * 1024;          // First read: enough for most tags and the first audio frame
+TagReader.TAIL_BYTES = 64 * 1024;           // Last read: ID3v1 and the final Ogg page
+TagReader.MAX_TAG_BYTES = 16 * 1024 * 1024; // Ignore metadata larger than this (huge cover art)
+
+// Bitrates in kbps by MPEG version and layer, indexed by the header's bitrate index
+TagReader.MPEG_BITRATES = {
+    V1L1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    V1L2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    V1L3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    V2L1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    V2L2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]   // Also layer III
+};
+
+TagReader.MPEG_SAMPLE_RATES = {
+    1: [44100, 48000, 32000],
+    2: [22050, 24000, 16000],
+    2.5: [11025, 12000, 8000]
+};
+
+
+// Node export for tests; see "How the Scripts Load" in README.md
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { TagReader };
+}
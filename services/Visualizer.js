@@ -0,0 +1,310 @@
+/*
+    ============================================================
+    Visualizer.js
+    Project: Smart Music Playlist Manager
+    Real-Time Audio Visualizer
+    ============================================================
+
+    DESCRIPTION:
+    Draws what an AnalyserNode hears onto a canvas, in one of
+    several modes:
+        - "bars":   frequency spectrum as vertical bars
+        - "wave":   waveform (oscilloscope)
+        - "radial": frequency spectrum as rays around a circle
+        - "off":    nothing is drawn and no frames are scheduled
+
+    FRAME RATE:
+        - Visible tab: requestAnimationFrame, capped at maxFps
+        - Hidden tab: a timer at hiddenFps, since nobody is watching
+        - Paused playback or "off": no frames at all
+
+    Frequency bins are grouped into logarithmically spaced bands so
+    bass and treble get a fair share of the bars.
+*/
+
+class Visualizer {
+
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas to draw on
+     * @param {AnalyserNode} analyser - Source of the audio data
+     * @param {Object} options
+     * @param {number} options.maxFps - (Optional) Frame cap while visible. Default: 60
+     * @param {number} options.hiddenFps - (Optional) Frame rate while the tab is hidden. Default: 2
+     * @param {Array<string>} options.colors - (Optional) Gradient colors, low to high
+     * @param {Function} options.onRunningChange - (Optional) Called with true/false when drawing starts or stops
+     */
+    constructor(canvas, analyser, options = {}) {
+        this.canvas = canvas;
+        this.context2d = canvas.getContext("2d");
+        this.analyser = analyser;
+        this.options = options;
+
+        this.maxFps = options.maxFps || 60;
+        this.hiddenFps = options.hiddenFps || 2;
+        this.colors = options.colors || ["#06b6d4", "#ec4899"];
+
+        this.mode = "off";
+        this.playing = false;
+        this.running = false;
+        this.frame = null;       // requestAnimationFrame ID
+        this.timer = null;       // setTimeout ID while hidden
+        this.lastFrameTime = 0;
+
+        this.frequencyData = new Uint8Array(analyser.frequencyBinCount);
+        this.timeData = new Uint8Array(analyser.fftSize);
+
+        document.addEventListener("visibilitychange", () => this.schedule());
+    }
+
+    /**
+     * Group frequency bins into log-spaced bands
+     * @param {Uint8Array|Array<number>} data - Frequency magnitudes (0-255), low to high
+     * @param {number} count - Number of bands
+     * @returns {Array<number>} Band levels from 0 to 1
+     */
+    static groupBands(data, count) {
+        const bands = [];
+        // Band edges run from bin 1 (bin 0 is DC) to the last bin on a log scale
+        const maxLog = Math.log(data.length);
+
+        for (let i = 0; i < count; i++) {
+            const start = Math.floor(Math.exp(maxLog * i / count));
+            const end = Math.max(start + 1, Math.floor(Math.exp(maxLog * (i + 1) / count)));
+
+            let sum = 0;
+            for (let bin = start; bin < end && bin < data.length; bin++) {
+                sum += data[bin];
+            }
+            bands.push(sum / (end - start) / 255);
+        }
+
+        return bands;
+    }
+
+    /* ============================================================
+       Public API
+    ============================================================ */
+
+    /**
+     * Select what to draw
+     * @param {string} mode - One of Visualizer.MODES
+     * @returns {boolean} True if the mode is valid
+     */
+    setMode(mode) {
+        if (!Visualizer.MODES.includes(mode)) {
+            console.warn("Invalid visualizer mode", mode);
+            return false;
+        }
+
+        this.mode = mode;
+        this.schedule();
+        return true;
+    }
+
+    /**
+     * Tell the visualizer whether audio is playing; frames stop while paused
+     * @param {boolean} playing
+     */
+    setPlaying(playing) {
+        this.playing = playing;
+        this.schedule();
+    }
+
+    /* ============================================================
+       Frame Scheduling
+    ============================================================ */
+
+    /**
+     * (Re)schedule the next frame for the current mode, playback and visibility
+     */
+    schedule() {
+        this.cancelFrame();
+
+        const running = this.mode !== "off" && this.playing;
+        if (running !== this.running) {
+            this.running = running;
+            if (!running) this.clear();
+            if (typeof this.options.onRunningChange === "function") {
+                this.options.onRunningChange(running);
+            }
+        }
+
+        if (!running) return;
+
+        if (document.hidden) {
+            this.timer = setTimeout(() => this.tick(performance.now()), 1000 / this.hiddenFps);
+        } else {
+            this.frame = requestAnimationFrame(time => this.tick(time));
+        }
+    }
+
+    /**
+     * Cancel whichever frame is pending
+     */
+    cancelFrame() {
+        if (this.frame !== null) cancelAnimationFrame(this.frame);
+        if (this.timer !== null) clearTimeout(this.timer);
+        this.frame = null;
+        this.timer = null;
+    }
+
+    /**
+     * Draw a frame unless it comes sooner than the frame cap allows
+     * @param {number} time - Timestamp in ms
+     */
+    tick(time) {
+        this.frame = null;
+        this.timer = null;
+
+        if (time - this.lastFrameTime >= 1000 / this.maxFps - 1) {
+            this.lastFrameTime = time;
+            this.draw();
+        }
+
+        this.schedule();
+    }
+
+    /* ============================================================
+       Drawing
+    ============================================================ */
+
+    /**
+     * Match the canvas resolution to its displayed size
+     * @returns {Object} { width, height } in device pixels
+     */
+    resize() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(this.canvas.clientWidth * ratio);
+        const height = Math.round(this.canvas.clientHeight * ratio);
+
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+
+        return { width: width, height: height };
+    }
+
+    /**
+     * Erase the canvas so the album art shows through
+     */
+    clear() {
+        this.context2d.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    /**
+     * Draw one frame in the current mode
+     */
+    draw() {
+        const size = this.resize();
+        this.clear();
+
+        if (this.mode === "bars") {
+            this.drawBars(size);
+        } else if (this.mode === "wave") {
+            this.drawWave(size);
+        } else if (this.mode === "radial") {
+            this.drawRadial(size);
+        }
+    }
+
+    /**
+     * Vertical gradient across the canvas in the theme colors
+     * @param {number} height - Canvas height
+     * @returns {CanvasGradient}
+     */
+    createGradient(height) {
+        const gradient = this.context2d.createLinearGradient(0, height, 0, 0);
+        gradient.addColorStop(0, this.colors[0]);
+        gradient.addColorStop(1, this.colors[this.colors.length - 1]);
+        return gradient;
+    }
+
+    /**
+     * Frequency spectrum as bars rising from the bottom
+     * @param {Object} size - { width, height } in device pixels
+     */
+    drawBars({ width, height }) {
+        this.analyser.getByteFrequencyData(this.frequencyData);
+
+        const bands = Visualizer.groupBands(this.frequencyData, Visualizer.BAR_COUNT);
+        const slot = width / bands.length;
+        const barWidth = Math.max(1, slot * 0.7);
+
+        this.context2d.fillStyle = this.createGradient(height);
+        bands.forEach((level, i) => {
+            const barHeight = Math.max(2, level * height);
+            this.context2d.fillRect(i * slot + (slot - barWidth) / 2, height - barHeight, barWidth, barHeight);
+        });
+    }
+
+    /**
+     * Waveform across the middle of the canvas
+     * @param {Object} size - { width, height } in device pixels
+     */
+    drawWave({ width, height }) {
+        this.analyser.getByteTimeDomainData(this.timeData);
+
+        const ctx = this.context2d;
+        ctx.lineWidth = Math.max(2, height / 50);
+        ctx.strokeStyle = this.createGradient(height);
+        ctx.beginPath();
+
+        const step = width / (this.timeData.length - 1);
+        this.timeData.forEach((value, i) => {
+            const y = (value / 255) * height;
+            if (i === 0) {
+                ctx.moveTo(0, y);
+            } else {
+                ctx.lineTo(i * step, y);
+            }
+        });
+
+        ctx.stroke();
+    }
+
+    /**
+     * Frequency spectrum as rays around a circle
+     * @param {Object} size - { width, height } in device pixels
+     */
+    drawRadial({ width, height }) {
+        this.analyser.getByteFrequencyData(this.frequencyData);
+
+        const ctx = this.context2d;
+        const bands = Visualizer.groupBands(this.frequencyData, Visualizer.RAY_COUNT);
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const radius = Math.min(width, height) * 0.22;
+        const maxLength = Math.min(width, height) / 2 - radius;
+
+        const gradient = ctx.createRadialGradient(centerX, centerY, radius, centerX, centerY, radius + maxLength);
+        gradient.addColorStop(0, this.colors[0]);
+        gradient.addColorStop(1, this.colors[this.colors.length - 1]);
+
+        ctx.lineWidth = Math.max(1, (2 * Math.PI * radius / bands.length) * 0.6);
+        ctx.lineCap = "round";
+        ctx.strokeStyle = gradient;
+
+        bands.forEach((level, i) => {
+            const angle = (i / bands.length) * 2 * Math.PI - Math.PI / 2;
+            const length = Math.max(1, level * maxLength);
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+
+            ctx.beginPath();
+            ctx.moveTo(centerX + cos * radius, centerY + sin * radius);
+            ctx.lineTo(centerX + cos * (radius + length), centerY + sin * (radius + length));
+            ctx.stroke();
+        });
+    }
+}
+
+Visualizer.MODES = ["off", "bars", "wave", "radial"];
+Visualizer.BAR_COUNT = 24;    // Bars in "bars" mode
+Visualizer.RAY_COUNT = 48;    // Rays in "radial" mode
+
+
+// Node export for tests; see "How the Scripts Load" in README.md
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { Visualizer };
+}
@@ -1,422 +1,781 @@
-/*
-    ============================================================
-    DoublyLinkedList.js
-    Project: Smart Music Playlist Manager
-    Core Data Structure: Doubly Linked List (Manual Implementation)
-    ============================================================
-
-    DESCRIPTION:
-    Production-ready doubly linked list implementation for managing
-    a music playlist. Supports deterministic undo/redo operations
-    with comprehensive state tracking and edge case handling.
-
-    KEY FEATURES:
-        - Maintain head, tail, and current pointers
-        - Add/remove songs at any index
-        - Navigate forward/backward in playlist
-        - Preserve current song state during operations
-        - Track size efficiently
-        - Full traversal support
-        - Deterministic behavior for undo/redo
-
-    COMPLEXITY:
-        - addSong: O(n) for insertion at arbitrary index, O(1) append
-        - removeSong: O(n) for finding by title
-        - playNext/playPrevious: O(1)
-        - getIndex: O(n)
-        - moveCurrentToIndex: O(n)
-        - traversals: O(n)
-
-    NO EXTERNAL DEPENDENCIES
-    Fully encapsulated, UI-agnostic implementation
-*/
-
-class SongNode {
-    /**
-     * @param {Object} song - Song object { title, artist, url, [coverUrl] }
-     */
-    constructor(song) {
-        this.song = song;      // Song data
-        this.next = null;      // Pointer to next node (or null)
-        this.prev = null;      // Pointer to previous node (or null)
-    }
-}
-
-class DoublyLinkedList {
-    constructor() {
-        this.head = null;      // First node in list
-        this.tail = null;      // Last node in list
-        this.current = null;   // Currently selected/playing song
-        this.size = 0;         // Total songs in playlist
-    }
-
-    /* ============================================================
-       Core Add/Remove Operations
-    ============================================================ */
-
-    /**
-     * Add a song to the playlist.
-     * - If index is omitted or >= size, appends to end (O(1))
-     * - If index <= 0, inserts at head (O(1))
-     * - Otherwise, inserts at specific position (O(n))
-     *
-     * Edge cases handled:
-     *   - Empty list: becomes head, tail, and current
-     *   - Single node: properly links next/prev
-     *   - Boundary indices: clamped to valid range
-     *
-     * @param {Object} song - Song object { title, artist, url, [coverUrl] }
-     * @param {number} index - (Optional) Position to insert. Default: append
-     * @returns {Object} The song object that was added
-     */
-    addSong(song, index = this.size) {
-        if (!song) {
-            console.warn("Cannot add null or undefined song");
-            return null;
-        }
-
-        const newNode = new SongNode(song);
-
-        // Case 1: Empty list
-        if (this.size === 0) {
-            this.head = this.tail = this.current = newNode;
-            this.size = 1;
-            return song;
-        }
-
-        // Clamp index to valid range [0, size]
-        const validIndex = Math.max(0, Math.min(index, this.size));
-
-        // Case 2: Insert at head
-        if (validIndex === 0) {
-            newNode.next = this.head;
-            this.head.prev = newNode;
-            this.head = newNode;
-            this.size++;
-            return song;
-        }
-
-        // Case 3: Append at tail (most common case)
-        if (validIndex >= this.size) {
-            newNode.prev = this.tail;
-            this.tail.next = newNode;
-            this.tail = newNode;
-            this.size++;
-            return song;
-        }
-
-        // Case 4: Insert in middle
-        let temp = this.head;
-        for (let i = 0; i < validIndex; i++) {
-            temp = temp.next;
-        }
-
-        newNode.prev = temp.prev;
-        newNode.next = temp;
-
-        if (temp.prev) {
-            temp.prev.next = newNode;
-        }
-        temp.prev = newNode;
-
-        // If we inserted before head, update head
-        if (newNode.prev === null) {
-            this.head = newNode;
-        }
-
-        this.size++;
-        return song;
-    }
-
-    /**
-     * Remove a song from the playlist by title.
-     * 
-     * Edge cases handled:
-     *   - Song not found: returns null, no changes
-     *   - Only node: clears head, tail, current
-     *   - Removing head: updates head and current if needed
-     *   - Removing tail: updates tail and current if needed
-     *   - Removing current: moves current to next or prev
-     *   - Middle node: properly unlinks from neighbors
-     *
-     * @param {string} title - Title of song to remove
-     * @returns {Object|null} The removed song object, or null if not found
-     */
-    removeSong(title) {
-        if (!this.head || !title) {
-            return null;
-        }
-
-        let temp = this.head;
-
-        while (temp) {
-            if (temp.song.title === title) {
-                const removedSong = temp.song;
-
-                // Case 1: Only one node in list
-                if (this.head === this.tail) {
-                    this.head = this.tail = this.current = null;
-                    this.size = 0;
-                    return removedSong;
-                }
-
-                // Case 2: Removing head node
-                if (temp === this.head) {
-                    this.head = temp.next;
-                    if (this.head) {
-                        this.head.prev = null;
-                    }
-                    // If current was this node, move to new head
-                    if (this.current === temp) {
-                        this.current = this.head;
-                    }
-                    this.size--;
-                    return removedSong;
-                }
-
-                // Case 3: Removing tail node
-                if (temp === this.tail) {
-                    this.tail = temp.prev;
-                    if (this.tail) {
-                        this.tail.next = null;
-                    }
-                    // If current was this node, move to new tail
-                    if (this.current === temp) {
-                        this.current = this.tail;
-                    }
-                    this.size--;
-                    return removedSong;
-                }
-
-                // Case 4: Removing middle node
-                temp.prev.next = temp.next;
-                temp.next.prev = temp.prev;
-
-                // If current was this node, move to next node (or prev if no next)
-                if (this.current === temp) {
-                    this.current = temp.next || temp.prev;
-                }
-
-                this.size--;
-                return removedSong;
-            }
-
-            temp = temp.next;
-        }
-
-        // Song not found
-        return null;
-    }
-
-    /* ============================================================
-       Navigation Operations
-    ============================================================ */
-
-    /**
-     * Move current pointer to the next song.
-     * Safe: does nothing if already at end or list is empty.
-     *
-     * @returns {Object|null} The next song, or null if at end or list empty
-     */
-    playNext() {
-        if (this.current && this.current.next) {
-            this.current = this.current.next;
-            return this.current.song;
-        }
-        return this.current ? this.current.song : null;
-    }
-
-    /**
-     * Move current pointer to the previous song.
-     * Safe: does nothing if already at head or list is empty.
-     *
-     * @returns {Object|null} The previous song, or null if at start or list empty
-     */
-    playPrevious() {
-        if (this.current && this.current.prev) {
-            this.current = this.current.prev;
-            return this.current.song;
-        }
-        return this.current ? this.current.song : null;
-    }
-
-    /* ============================================================
-       Query Operations
-    ============================================================ */
-
-    /**
-     * Get the currently selected/playing song.
-     *
-     * @returns {Object|null} Current song object, or null if no song selected
-     */
-    getCurrentSong() {
-        return this.current ? this.current.song : null;
-    }
-
-    /**
-     * Get the total number of songs in the playlist.
-     * Maintained in O(1) time via size counter.
-     *
-     * @returns {number} Number of songs (0 if empty)
-     */
-    getSize() {
-        return this.size;
-    }
-
-    /**
-     * Check if the playlist is empty.
-     *
-     * @returns {boolean} True if no songs, false otherwise
-     */
-    isEmpty() {
-        return this.size === 0;
-    }
-
-    /**
-     * Find the index (0-based) of a song by title.
-     * Returns first match only.
-     *
-     * @param {string} title - Title to search for
-     * @returns {number} Index of song (0-based), or -1 if not found
-     */
-    getIndex(title) {
-        if (!title) return -1;
-
-        let index = 0;
-        let temp = this.head;
-
-        while (temp) {
-            if (temp.song.title === title) {
-                return index;
-            }
-            temp = temp.next;
-            index++;
-        }
-
-        return -1;
-    }
-
-    /**
-     * Move the current pointer to a specific index.
-     * Safe: validates index bounds before moving.
-     *
-     * Edge cases:
-     *   - index < 0: does nothing
-     *   - index >= size: does nothing
-     *   - Empty list: does nothing
-     *   - Valid index: current pointer moves to that node
-     *
-     * @param {number} index - 0-based position to move to
-     * @returns {boolean} True if move succeeded, false if index invalid
-     */
-    moveCurrentToIndex(index) {
-        // Validate bounds
-        if (index < 0 || index >= this.size || this.isEmpty()) {
-            return false;
-        }
-
-        // Quick optimization: if moving to head
-        if (index === 0) {
-            this.current = this.head;
-            return true;
-        }
-
-        // Quick optimization: if moving to tail
-        if (index === this.size - 1) {
-            this.current = this.tail;
-            return true;
-        }
-
-        // General case: traverse to index
-        let temp = this.head;
-        for (let i = 0; i < index; i++) {
-            if (!temp) return false;
-            temp = temp.next;
-        }
-
-        if (temp) {
-            this.current = temp;
-            return true;
-        }
-
-        return false;
-    }
-
-    /* ============================================================
-       Traversal Operations
-    ============================================================ */
-
-    /**
-     * Iterate through all songs from head to tail.
-     * Callback receives each song object.
-     *
-     * Usage:
-     *   list.traverseForward(song => console.log(song.title))
-     *
-     * @param {Function} callback - Function(song) called for each song
-     */
-    traverseForward(callback) {
-        if (typeof callback !== "function") {
-            console.warn("Callback must be a function");
-            return;
-        }
-
-        let temp = this.head;
-        while (temp) {
-            callback(temp.song);
-            temp = temp.next;
-        }
-    }
-
-    /**
-     * Iterate through all songs from tail to head.
-     * Callback receives each song object.
-     *
-     * Usage:
-     *   list.traverseBackward(song => console.log(song.title))
-     *
-     * @param {Function} callback - Function(song) called for each song
-     */
-    traverseBackward(callback) {
-        if (typeof callback !== "function") {
-            console.warn("Callback must be a function");
-            return;
-        }
-
-        let temp = this.tail;
-        while (temp) {
-            callback(temp.song);
-            temp = temp.prev;
-        }
-    }
-
-    /* ============================================================
-       Debugging / Inspection
-    ============================================================ */
-
-    /**
-     * Get a summary of the list state (for debugging only).
-     * 
-     * @returns {Object} { size, head, tail, current, isEmpty }
-     */
-    getState() {
-        return {
-            size: this.size,
-            head: this.head ? this.head.song.title : null,
-            tail: this.tail ? this.tail.song.title : null,
-            current: this.current ? this.current.song.title : null,
-            isEmpty: this.isEmpty()
-        };
-    }
-
-    /**
-     * Get all songs as an array (for debugging, not for normal use).
-     *
-     * @returns {Array} Array of song objects
-     */
-    toArray() {
-        const result = [];
-        this.traverseForward(song => result.push(song));
-        return result;
-    }
-}
+/*
+    ============================================================
+    DoublyLinkedList.js
+    Project: Smart Music Playlist Manager
+    Core Data Structure: Doubly Linked List (Manual Implementation)
+    ============================================================
+
+    DESCRIPTION:
+    Production-ready doubly linked list implementation for managing
+    a music playlist. Supports deterministic undo/redo operations
+    with comprehensive state tracking and edge case handling.
+
+    KEY FEATURES:
+        - Maintain head, tail, and current pointers
+        - Stable, immutable song IDs indexed in a Map
+        - Add/remove songs at any index
+        - Move songs between indices in place
+        - Stable merge sort and reordering by relinking nodes
+        - Navigate forward/backward in playlist
+        - Preserve current song state during operations
+        - Track size efficiently
+        - Full traversal support
+        - Deterministic behavior for undo/redo
+
+    COMPLEXITY:
+        - addSong: O(n) for insertion at arbitrary index, O(1) append
+        - removeSong: O(n) for finding by title
+        - removeSongById / getSongById / moveCurrentToId: O(1)
+        - getIndexById: O(n)
+        - moveSong: O(n) to locate nodes, O(1) relinking
+        - sort: O(n log n) comparisons, stable, O(log n) stack
+        - reorder: O(n)
+        - playNext/playPrevious: O(1)
+        - getIndex: O(n)
+        - moveCurrentToIndex: O(n)
+        - traversals: O(n)
+        - clear: O(1)
+
+    NO EXTERNAL DEPENDENCIES
+    Fully encapsulated, UI-agnostic implementation
+*/
+
+class SongNode {
+    /**
+     * @param {Object} song - Song object { id, title, artist, url, [coverUrl] }
+     */
+    constructor(song) {
+        this.id = song.id;     // Stable song ID (mirrors song.id)
+        this.song = song;      // Song data
+        this.next = null;      // Pointer to next node (or null)
+        this.prev = null;      // Pointer to previous node (or null)
+    }
+}
+
+class DoublyLinkedList {
+    constructor() {
+        this.head = null;      // First node in list
+        this.tail = null;      // Last node in list
+        this.current = null;   // Currently selected/playing song
+        this.size = 0;         // Total songs in playlist
+        this.nodesById = new Map();   // Song ID → node, for O(1) lookup
+    }
+
+    /**
+     * Generate a new unique song ID.
+     *
+     * @returns {string} Random UUID when available, otherwise a time/random based ID
+     */
+    static generateId() {
+        if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") {
+            return crypto.randomUUID();
+        }
+        return "song-" + Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 10);
+    }
+
+    /* ============================================================
+       Core Add/Remove Operations
+    ============================================================ */
+
+    /**
+     * Add a song to the playlist.
+     * - If index is omitted or >= size, appends to end (O(1))
+     * - If index <= 0, inserts at head (O(1))
+     * - Otherwise, inserts at specific position (O(n))
+     *
+     * Every song gets an immutable `id`. A song that already carries an
+     * ID keeps it (so undo can reinsert the exact same song), unless that
+     * ID is already in the list, in which case a copy with a fresh ID is stored.
+     *
+     * Edge cases handled:
+     *   - Empty list: becomes head, tail, and current
+     *   - Single node: properly links next/prev
+     *   - Boundary indices: clamped to valid range
+     *   - Missing or duplicate ID: a new ID is generated
+     *
+     * @param {Object} song - Song object { [id], title, artist, url, [coverUrl] }
+     * @param {number} index - (Optional) Position to insert. Default: append
+     * @returns {Object} The song object that was added (with its ID)
+     */
+    addSong(song, index = this.size) {
+        if (!song) {
+            console.warn("Cannot add null or undefined song");
+            return null;
+        }
+
+        const id = song.id && !this.nodesById.has(song.id) ? song.id : DoublyLinkedList.generateId();
+        if (song.id !== id) {
+            song = Object.assign({}, song, { id: id });
+        }
+        Object.defineProperty(song, "id", { value: id, writable: false, enumerable: true, configurable: false });
+
+        const newNode = new SongNode(song);
+        this.nodesById.set(id, newNode);
+
+        // Case 1: Empty list
+        if (this.size === 0) {
+            this.head = this.tail = this.current = newNode;
+            this.size = 1;
+            return song;
+        }
+
+        // Clamp index to valid range [0, size]
+        const validIndex = Math.max(0, Math.min(index, this.size));
+
+        // Case 2: Insert at head
+        if (validIndex === 0) {
+            newNode.next = this.head;
+            this.head.prev = newNode;
+            this.head = newNode;
+            this.size++;
+            return song;
+        }
+
+        // Case 3: Append at tail (most common case)
+        if (validIndex >= this.size) {
+            newNode.prev = this.tail;
+            this.tail.next = newNode;
+            this.tail = newNode;
+            this.size++;
+            return song;
+        }
+
+        // Case 4: Insert in middle
+        let temp = this.head;
+        for (let i = 0; i < validIndex; i++) {
+            temp = temp.next;
+        }
+
+        newNode.prev = temp.prev;
+        newNode.next = temp;
+
+        if (temp.prev) {
+            temp.prev.next = newNode;
+        }
+        temp.prev = newNode;
+
+        // If we inserted before head, update head
+        if (newNode.prev === null) {
+            this.head = newNode;
+        }
+
+        this.size++;
+        return song;
+    }
+
+    /**
+     * Remove a song from the playlist by title.
+     * Convenience wrapper: removes the first song with a matching title.
+     * Prefer removeSongById when songs may share a title.
+     *
+     * @param {string} title - Title of song to remove
+     * @returns {Object|null} The removed song object, or null if not found
+     */
+    removeSong(title) {
+        if (!this.head || !title) {
+            return null;
+        }
+
+        let temp = this.head;
+
+        while (temp) {
+            if (temp.song.title === title) {
+                return this.removeNode(temp);
+            }
+            temp = temp.next;
+        }
+
+        // Song not found
+        return null;
+    }
+
+    /**
+     * Remove a song from the playlist by ID (O(1) lookup).
+     *
+     * @param {string} id - ID of song to remove
+     * @returns {Object|null} The removed song object, or null if not found
+     */
+    removeSongById(id) {
+        const node = this.nodesById.get(id);
+        return node ? this.removeNode(node) : null;
+    }
+
+    /**
+     * Unlink a node from the list.
+     *
+     * Edge cases handled:
+     *   - Only node: clears head, tail, current
+     *   - Removing head: updates head and current if needed
+     *   - Removing tail: updates tail and current if needed
+     *   - Removing current: moves current to next or prev
+     *   - Middle node: properly unlinks from neighbors
+     *
+     * @param {SongNode} node - Node that belongs to this list
+     * @returns {Object} The removed song object
+     */
+    removeNode(node) {
+        const removedSong = node.song;
+        this.nodesById.delete(node.id);
+
+        // Case 1: Only one node in list
+        if (this.head === this.tail) {
+            this.head = this.tail = this.current = null;
+            this.size = 0;
+            return removedSong;
+        }
+
+        // Case 2: Removing head node
+        if (node === this.head) {
+            this.head = node.next;
+            if (this.head) {
+                this.head.prev = null;
+            }
+            // If current was this node, move to new head
+            if (this.current === node) {
+                this.current = this.head;
+            }
+            this.size--;
+            return removedSong;
+        }
+
+        // Case 3: Removing tail node
+        if (node === this.tail) {
+            this.tail = node.prev;
+            if (this.tail) {
+                this.tail.next = null;
+            }
+            // If current was this node, move to new tail
+            if (this.current === node) {
+                this.current = this.tail;
+            }
+            this.size--;
+            return removedSong;
+        }
+
+        // Case 4: Removing middle node
+        node.prev.next = node.next;
+        node.next.prev = node.prev;
+
+        // If current was this node, move to next node (or prev if no next)
+        if (this.current === node) {
+            this.current = node.next || node.prev;
+        }
+
+        this.size--;
+        return removedSong;
+    }
+
+    /**
+     * Move the song at one index to another index by relinking its node.
+     * The node itself is reused, so the current pointer keeps following
+     * the same song wherever it ends up.
+     *
+     * Edge cases handled:
+     *   - Either index out of range: returns null, no changes
+     *   - fromIndex === toIndex: no changes, returns the song
+     *   - Moving the head or tail: head/tail pointers are updated
+     *   - Moving to index 0 or size - 1: becomes new head or tail
+     *
+     * @param {number} fromIndex - Current 0-based position of the song
+     * @param {number} toIndex - 0-based position the song should end up at
+     * @returns {Object|null} The moved song object, or null if an index is invalid
+     */
+    moveSong(fromIndex, toIndex) {
+        if (!this.isValidIndex(fromIndex) || !this.isValidIndex(toIndex)) {
+            return null;
+        }
+
+        const node = this.getNodeAt(fromIndex);
+        if (fromIndex === toIndex) {
+            return node.song;
+        }
+
+        // Unlink the node from its neighbors
+        if (node.prev) {
+            node.prev.next = node.next;
+        } else {
+            this.head = node.next;
+        }
+        if (node.next) {
+            node.next.prev = node.prev;
+        } else {
+            this.tail = node.prev;
+        }
+        node.prev = node.next = null;
+
+        // Relink at the target position (list is one shorter while unlinked)
+        if (toIndex === this.size - 1) {
+            node.prev = this.tail;
+            this.tail.next = node;
+            this.tail = node;
+            return node.song;
+        }
+
+        let target = this.head;
+        for (let i = 0; i < toIndex; i++) {
+            target = target.next;
+        }
+
+        node.next = target;
+        node.prev = target.prev;
+        if (target.prev) {
+            target.prev.next = node;
+        } else {
+            this.head = node;
+        }
+        target.prev = node;
+
+        return node.song;
+    }
+
+    /**
+     * Remove every song and reset all pointers.
+     * Used when restoring a saved playlist over the current one.
+     */
+    clear() {
+        this.head = null;
+        this.tail = null;
+        this.current = null;
+        this.size = 0;
+        this.nodesById.clear();
+    }
+
+    /* ============================================================
+       Navigation Operations
+    ============================================================ */
+
+    /**
+     * Move current pointer to the next song.
+     * Safe: does nothing if already at end or list is empty.
+     *
+     * @returns {Object|null} The next song, or null if at end or list empty
+     */
+    playNext() {
+        if (this.current && this.current.next) {
+            this.current = this.current.next;
+            return this.current.song;
+        }
+        return this.current ? this.current.song : null;
+    }
+
+    /**
+     * Move current pointer to the previous song.
+     * Safe: does nothing if already at head or list is empty.
+     *
+     * @returns {Object|null} The previous song, or null if at start or list empty
+     */
+    playPrevious() {
+        if (this.current && this.current.prev) {
+            this.current = this.current.prev;
+            return this.current.song;
+        }
+        return this.current ? this.current.song : null;
+    }
+
+    /* ============================================================
+       Query Operations
+    ============================================================ */
+
+    /**
+     * Get the currently selected/playing song.
+     *
+     * @returns {Object|null} Current song object, or null if no song selected
+     */
+    getCurrentSong() {
+        return this.current ? this.current.song : null;
+    }
+
+    /**
+     * Get the total number of songs in the playlist.
+     * Maintained in O(1) time via size counter.
+     *
+     * @returns {number} Number of songs (0 if empty)
+     */
+    getSize() {
+        return this.size;
+    }
+
+    /**
+     * Check if the playlist is empty.
+     *
+     * @returns {boolean} True if no songs, false otherwise
+     */
+    isEmpty() {
+        return this.size === 0;
+    }
+
+    /**
+     * Find the index (0-based) of a song by title.
+     * Returns first match only.
+     *
+     * @param {string} title - Title to search for
+     * @returns {number} Index of song (0-based), or -1 if not found
+     */
+    getIndex(title) {
+        if (!title) return -1;
+
+        let index = 0;
+        let temp = this.head;
+
+        while (temp) {
+            if (temp.song.title === title) {
+                return index;
+            }
+            temp = temp.next;
+            index++;
+        }
+
+        return -1;
+    }
+
+    /**
+     * Get a song by ID (O(1) lookup).
+     *
+     * @param {string} id - Song ID
+     * @returns {Object|null} Song object, or null if not in the list
+     */
+    getSongById(id) {
+        const node = this.nodesById.get(id);
+        return node ? node.song : null;
+    }
+
+    /**
+     * Check if a song with the given ID is in the list.
+     *
+     * @param {string} id - Song ID
+     * @returns {boolean} True if found
+     */
+    hasSong(id) {
+        return this.nodesById.has(id);
+    }
+
+    /**
+     * Find the index (0-based) of a song by ID.
+     * The node is found in O(1); counting its position is O(n).
+     *
+     * @param {string} id - Song ID
+     * @returns {number} Index of song (0-based), or -1 if not found
+     */
+    getIndexById(id) {
+        let temp = this.nodesById.get(id);
+        if (!temp) return -1;
+
+        let index = 0;
+        while (temp.prev) {
+            temp = temp.prev;
+            index++;
+        }
+
+        return index;
+    }
+
+    /**
+     * Move the current pointer to the song with the given ID (O(1)).
+     *
+     * @param {string} id - Song ID
+     * @returns {boolean} True if move succeeded, false if ID not found
+     */
+    moveCurrentToId(id) {
+        const node = this.nodesById.get(id);
+        if (!node) return false;
+
+        this.current = node;
+        return true;
+    }
+
+    /**
+     * Move the current pointer to a specific index.
+     * Safe: validates index bounds before moving.
+     *
+     * Edge cases:
+     *   - index < 0: does nothing
+     *   - index >= size: does nothing
+     *   - Empty list: does nothing
+     *   - Valid index: current pointer moves to that node
+     *
+     * @param {number} index - 0-based position to move to
+     * @returns {boolean} True if move succeeded, false if index invalid
+     */
+    moveCurrentToIndex(index) {
+        // Validate bounds
+        if (index < 0 || index >= this.size || this.isEmpty()) {
+            return false;
+        }
+
+        // Quick optimization: if moving to head
+        if (index === 0) {
+            this.current = this.head;
+            return true;
+        }
+
+        // Quick optimization: if moving to tail
+        if (index === this.size - 1) {
+            this.current = this.tail;
+            return true;
+        }
+
+        // General case: traverse to index
+        let temp = this.head;
+        for (let i = 0; i < index; i++) {
+            if (!temp) return false;
+            temp = temp.next;
+        }
+
+        if (temp) {
+            this.current = temp;
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Check if an index refers to an existing song.
+     *
+     * @param {number} index - 0-based position
+     * @returns {boolean} True if 0 <= index < size
+     */
+    isValidIndex(index) {
+        return Number.isInteger(index) && index >= 0 && index < this.size;
+    }
+
+    /**
+     * Get the node at a specific index.
+     * Walks from whichever end is closer.
+     *
+     * @param {number} index - 0-based position
+     * @returns {SongNode|null} Node at that index, or null if out of range
+     */
+    getNodeAt(index) {
+        if (!this.isValidIndex(index)) return null;
+
+        if (index < this.size / 2) {
+            let temp = this.head;
+            for (let i = 0; i < index; i++) {
+                temp = temp.next;
+            }
+            return temp;
+        }
+
+        let temp = this.tail;
+        for (let i = this.size - 1; i > index; i--) {
+            temp = temp.prev;
+        }
+        return temp;
+    }
+
+    /* ============================================================
+       Reordering Operations
+    ============================================================ */
+
+    /**
+     * Sort the songs in place with a stable merge sort on the nodes.
+     * Only next/prev pointers are relinked: no node or song is copied,
+     * so IDs, the ID index and the current pointer all stay valid.
+     *
+     * @param {Function} compare - Function(songA, songB) returning <0, 0 or >0, like Array.sort
+     * @returns {boolean} True if sorted, false if compare is not a function
+     */
+    sort(compare) {
+        if (typeof compare !== "function") {
+            console.warn("Compare must be a function");
+            return false;
+        }
+
+        if (this.size < 2) return true;
+
+        this.head = DoublyLinkedList.mergeSortNodes(this.head, compare);
+        this.relinkPrevious();
+        return true;
+    }
+
+    /**
+     * Put the songs in the given order (O(n)).
+     * Used to restore an order recorded before a sort.
+     *
+     * @param {Array<string>} ids - Every song ID of the list, each once, in the wanted order
+     * @returns {boolean} True if reordered, false if the IDs do not match the list
+     */
+    reorder(ids) {
+        if (!Array.isArray(ids) || ids.length !== this.size || new Set(ids).size !== ids.length ||
+            !ids.every(id => this.nodesById.has(id))) {
+            console.warn("Cannot reorder: the IDs do not match the playlist");
+            return false;
+        }
+
+        let previous = null;
+        ids.forEach(id => {
+            const node = this.nodesById.get(id);
+            node.prev = previous;
+            if (previous) {
+                previous.next = node;
+            } else {
+                this.head = node;
+            }
+            previous = node;
+        });
+
+        if (previous) {
+            previous.next = null;
+        }
+        this.tail = previous;
+        return true;
+    }
+
+    /**
+     * Merge sort a chain of nodes linked by next pointers.
+     * The chain is split at its middle (slow/fast pointers), each half
+     * sorted, then merged; prev pointers are left for relinkPrevious().
+     *
+     * @param {SongNode} head - First node of the chain
+     * @param {Function} compare - Song comparator
+     * @returns {SongNode} First node of the sorted chain
+     */
+    static mergeSortNodes(head, compare) {
+        if (!head || !head.next) return head;
+
+        let slow = head;
+        let fast = head.next;
+        while (fast && fast.next) {
+            slow = slow.next;
+            fast = fast.next.next;
+        }
+
+        const second = slow.next;
+        slow.next = null;
+
+        return DoublyLinkedList.mergeNodes(
+            DoublyLinkedList.mergeSortNodes(head, compare),
+            DoublyLinkedList.mergeSortNodes(second, compare),
+            compare
+        );
+    }
+
+    /**
+     * Merge two sorted chains. On ties the left chain goes first,
+     * which is what keeps the sort stable.
+     *
+     * @param {SongNode|null} left - Sorted chain that came first in the list
+     * @param {SongNode|null} right - Sorted chain that came after it
+     * @param {Function} compare - Song comparator
+     * @returns {SongNode|null} First node of the merged chain
+     */
+    static mergeNodes(left, right, compare) {
+        const start = { next: null };
+        let last = start;
+
+        while (left && right) {
+            if (compare(right.song, left.song) < 0) {
+                last.next = right;
+                right = right.next;
+            } else {
+                last.next = left;
+                left = left.next;
+            }
+            last = last.next;
+        }
+
+        last.next = left || right;
+        return start.next;
+    }
+
+    /**
+     * Rebuild prev pointers and the tail after the next chain from head changed.
+     */
+    relinkPrevious() {
+        let previous = null;
+        let temp = this.head;
+
+        while (temp) {
+            temp.prev = previous;
+            previous = temp;
+            temp = temp.next;
+        }
+
+        this.tail = previous;
+    }
+
+    /* ============================================================
+       Traversal Operations
+    ============================================================ */
+
+    /**
+     * Iterate through all songs from head to tail.
+     * Callback receives each song object.
+     *
+     * Usage:
+     *   list.traverseForward(song => console.log(song.title))
+     *
+     * @param {Function} callback - Function(song) called for each song
+     */
+    traverseForward(callback) {
+        if (typeof callback !== "function") {
+            console.warn("Callback must be a function");
+            return;
+        }
+
+        let temp = this.head;
+        while (temp) {
+            callback(temp.song);
+            temp = temp.next;
+        }
+    }
+
+    /**
+     * Iterate through all songs from tail to head.
+     * Callback receives each song object.
+     *
+     * Usage:
+     *   list.traverseBackward(song => console.log(song.title))
+     *
+     * @param {Function} callback - Function(song) called for each song
+     */
+    traverseBackward(callback) {
+        if (typeof callback !== "function") {
+            console.warn("Callback must be a function");
+            return;
+        }
+
+        let temp = this.tail;
+        while (temp) {
+            callback(temp.song);
+            temp = temp.prev;
+        }
+    }
+
+    /* ============================================================
+       Debugging / Inspection
+    ============================================================ */
+
+    /**
+     * Get a summary of the list state (for debugging only).
+     * 
+     * @returns {Object} { size, head, tail, current, isEmpty }
+     */
+    getState() {
+        return {
+            size: this.size,
+            head: this.head ? this.head.song.title : null,
+            tail: this.tail ? this.tail.song.title : null,
+            current: this.current ? this.current.song.title : null,
+            isEmpty: this.isEmpty()
+        };
+    }
+
+    /**
+     * Get all songs as an array (for debugging, not for normal use).
+     *
+     * @returns {Array} Array of song objects
+     */
+    toArray() {
+        const result = [];
+        this.traverseForward(song => result.push(song));
+        return result;
+    }
+}
+
+
+// Node export for tests; see "How the Scripts Load" in README.md
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { DoublyLinkedList, SongNode };
+}
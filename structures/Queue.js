@@ -0,0 +1,197 @@
+/*
+    ============================================================
+    Queue.js
+    Project: Smart Music Playlist Manager
+    Supporting Data Structure: Queue (Up Next)
+    ============================================================
+
+    DESCRIPTION:
+    This file implements a Queue data structure.
+
+    The Queue follows FIFO (First In, First Out) principle.
+
+    It will be used for:
+        - The "Up Next" play queue layered on top of the playlist
+
+    Besides the classic FIFO operations it supports removing and
+    reordering items by position, so users can edit the queue.
+
+    The UI must NOT directly manipulate internal storage.
+    All interactions must go through Queue methods.
+
+    This implementation uses an internal array plus a head offset
+    so dequeue stays O(1); the array is compacted once the consumed
+    prefix grows large. It is fully encapsulated within the class.
+*/
+
+
+class Queue {
+    constructor() {
+        this.items = [];   // Internal storage
+        this.head = 0;     // Index of the front item within items
+    }
+
+    /*
+        ==========================================
+        enqueue(item)
+        ==========================================
+        Adds an item to the back of the queue.
+        Time Complexity: O(1)
+    */
+    enqueue(item) {
+        this.items[this.items.length] = item;
+    }
+
+    /*
+        ==========================================
+        enqueueFront(item)
+        ==========================================
+        Adds an item to the front of the queue,
+        so it is dequeued next ("play next").
+        Time Complexity: O(1) when a consumed slot
+        is free, O(n) otherwise
+    */
+    enqueueFront(item) {
+        if (this.head > 0) {
+            this.head--;
+            this.items[this.head] = item;
+        } else {
+            this.items.unshift(item);
+        }
+    }
+
+    /*
+        ==========================================
+        dequeue()
+        ==========================================
+        Removes and returns the front item.
+        Returns null if queue is empty.
+        Time Complexity: O(1) amortized
+    */
+    dequeue() {
+        if (this.isEmpty()) {
+            return null;
+        }
+
+        const frontItem = this.items[this.head];
+        this.items[this.head] = undefined;
+        this.head++;
+
+        // Compact once more than half the array is consumed slots
+        if (this.head > 32 && this.head * 2 > this.items.length) {
+            this.items = this.items.slice(this.head);
+            this.head = 0;
+        }
+
+        return frontItem;
+    }
+
+    /*
+        ==========================================
+        peek()
+        ==========================================
+        Returns front item without removing it.
+        Time Complexity: O(1)
+    */
+    peek() {
+        if (this.isEmpty()) return null;
+        return this.items[this.head];
+    }
+
+    /*
+        ==========================================
+        removeAt(index)
+        ==========================================
+        Removes and returns the item at a position
+        (0 = front). Returns null if out of range.
+        Time Complexity: O(n)
+    */
+    removeAt(index) {
+        if (!this.isValidIndex(index)) {
+            return null;
+        }
+
+        return this.items.splice(this.head + index, 1)[0];
+    }
+
+    /*
+        ==========================================
+        move(fromIndex, toIndex)
+        ==========================================
+        Moves an item to a new position (0 = front).
+        Returns false if either index is out of range.
+        Time Complexity: O(n)
+    */
+    move(fromIndex, toIndex) {
+        if (!this.isValidIndex(fromIndex) || !this.isValidIndex(toIndex)) {
+            return false;
+        }
+
+        const item = this.items.splice(this.head + fromIndex, 1)[0];
+        this.items.splice(this.head + toIndex, 0, item);
+        return true;
+    }
+
+    /*
+        ==========================================
+        isValidIndex(index)
+        ==========================================
+        Checks whether a position refers to an item.
+        Time Complexity: O(1)
+    */
+    isValidIndex(index) {
+        return Number.isInteger(index) && index >= 0 && index < this.size();
+    }
+
+    /*
+        ==========================================
+        isEmpty()
+        ==========================================
+        Checks whether queue is empty.
+        Time Complexity: O(1)
+    */
+    isEmpty() {
+        return this.size() === 0;
+    }
+
+    /*
+        ==========================================
+        clear()
+        ==========================================
+        Empties the queue.
+        Time Complexity: O(1)
+    */
+    clear() {
+        this.items.length = 0;
+        this.head = 0;
+    }
+
+    /*
+        ==========================================
+        size()
+        ==========================================
+        Returns number of elements in queue.
+        Time Complexity: O(1)
+    */
+    size() {
+        return this.items.length - this.head;
+    }
+
+    /*
+        ==========================================
+        toArray()
+        ==========================================
+        Returns a shallow copy of the items,
+        ordered from front to back.
+        Time Complexity: O(n)
+    */
+    toArray() {
+        return this.items.slice(this.head);
+    }
+}
+
+
+// Node export for tests; see "How the Scripts Load" in README.md
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { Queue };
+}
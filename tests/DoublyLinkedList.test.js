@@ -0,0 +1,328 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { DoublyLinkedList } = require("../structures/DoublyLinkedList.js");
+const { song, titles, assertListConsistent, quietConsole } = require("./helpers.js");
+
+/**
+ * List pre-filled with songs, current left on the head
+ * @param {Array<string>} names - Titles in order
+ * @returns {DoublyLinkedList}
+ */
+function listOf(names) {
+    const list = new DoublyLinkedList();
+    names.forEach(name => list.addSong(song(name)));
+    return list;
+}
+
+describe("DoublyLinkedList.addSong", () => {
+    test("empty list: the song becomes head, tail and current", () => {
+        const list = new DoublyLinkedList();
+        const added = list.addSong(song("A"));
+
+        assert.equal(list.head, list.tail);
+        assert.equal(list.current, list.head);
+        assert.equal(list.getCurrentSong(), added);
+        assert.equal(list.getSize(), 1);
+        assertListConsistent(list);
+    });
+
+    test("single node: a second song is linked both ways", () => {
+        const list = listOf(["A"]);
+        list.addSong(song("B"));
+
+        assert.equal(list.head.next, list.tail);
+        assert.equal(list.tail.prev, list.head);
+        assert.deepEqual(titles(list), ["A", "B"]);
+        assertListConsistent(list);
+    });
+
+    test("omitted index appends at the tail", () => {
+        const list = listOf(["A", "B"]);
+        list.addSong(song("C"));
+
+        assert.deepEqual(titles(list), ["A", "B", "C"]);
+        assert.equal(list.tail.song.title, "C");
+    });
+
+    test("index 0 inserts at the head", () => {
+        const list = listOf(["A", "B"]);
+        list.addSong(song("Z"), 0);
+
+        assert.deepEqual(titles(list), ["Z", "A", "B"]);
+        assert.equal(list.head.song.title, "Z");
+        assertListConsistent(list);
+    });
+
+    test("middle index inserts before the song at that index", () => {
+        const list = listOf(["A", "B", "C"]);
+        list.addSong(song("X"), 2);
+
+        assert.deepEqual(titles(list), ["A", "B", "X", "C"]);
+        assertListConsistent(list);
+    });
+
+    test("boundary indices are clamped", () => {
+        const list = listOf(["A", "B"]);
+        list.addSong(song("Low"), -5);
+        list.addSong(song("High"), 99);
+
+        assert.deepEqual(titles(list), ["Low", "A", "B", "High"]);
+        assertListConsistent(list);
+    });
+
+    test("adding does not move current", () => {
+        const list = listOf(["A", "B"]);
+        list.playNext();
+        list.addSong(song("C"), 0);
+
+        assert.equal(list.getCurrentSong().title, "B");
+    });
+
+    test("missing ID: a new immutable ID is generated", () => {
+        const list = new DoublyLinkedList();
+        const added = list.addSong(song("A"));
+
+        assert.equal(typeof added.id, "string");
+        assert.ok(added.id.length > 0);
+        assert.throws(() => {
+            "use strict";
+            added.id = "changed";
+        }, TypeError);
+        assert.equal(list.getSongById(added.id), added);
+    });
+
+    test("existing ID is kept so undo can reinsert the same song", () => {
+        const list = new DoublyLinkedList();
+        const added = list.addSong(Object.assign(song("A"), { id: "fixed-id" }));
+
+        assert.equal(added.id, "fixed-id");
+        assert.equal(list.hasSong("fixed-id"), true);
+    });
+
+    test("duplicate ID: a copy with a fresh ID is stored", () => {
+        const list = new DoublyLinkedList();
+        const first = list.addSong(Object.assign(song("A"), { id: "same" }));
+        const second = list.addSong(Object.assign(song("B"), { id: "same" }));
+
+        assert.notEqual(second.id, "same");
+        assert.equal(list.getSongById("same"), first);
+        assert.equal(list.getSongById(second.id).title, "B");
+        assertListConsistent(list);
+    });
+
+    test("null or undefined song is rejected", (t) => {
+        quietConsole(t);
+        const list = new DoublyLinkedList();
+
+        assert.equal(list.addSong(null), null);
+        assert.equal(list.addSong(undefined), null);
+        assert.equal(list.getSize(), 0);
+    });
+});
+
+describe("DoublyLinkedList.removeSong", () => {
+    test("only node: head, tail and current are cleared", () => {
+        const list = listOf(["A"]);
+        const removed = list.removeSong("A");
+
+        assert.equal(removed.title, "A");
+        assert.equal(list.head, null);
+        assert.equal(list.tail, null);
+        assert.equal(list.current, null);
+        assert.equal(list.isEmpty(), true);
+        assertListConsistent(list);
+    });
+
+    test("removing the head updates head, and current if it was the head", () => {
+        const list = listOf(["A", "B", "C"]);
+        list.removeSong("A");
+
+        assert.equal(list.head.song.title, "B");
+        assert.equal(list.head.prev, null);
+        assert.equal(list.getCurrentSong().title, "B");
+        assertListConsistent(list);
+    });
+
+    test("removing the tail updates tail, and current if it was the tail", () => {
+        const list = listOf(["A", "B", "C"]);
+        list.moveCurrentToIndex(2);
+        list.removeSong("C");
+
+        assert.equal(list.tail.song.title, "B");
+        assert.equal(list.tail.next, null);
+        assert.equal(list.getCurrentSong().title, "B");
+        assertListConsistent(list);
+    });
+
+    test("removing the current middle song moves current to the next song", () => {
+        const list = listOf(["A", "B", "C"]);
+        list.moveCurrentToIndex(1);
+        list.removeSong("B");
+
+        assert.equal(list.getCurrentSong().title, "C");
+        assertListConsistent(list);
+    });
+
+    test("removing a middle song unlinks it from both neighbours", () => {
+        const list = listOf(["A", "B", "C"]);
+        list.removeSong("B");
+
+        assert.equal(list.head.next, list.tail);
+        assert.equal(list.tail.prev, list.head);
+        assert.equal(list.getCurrentSong().title, "A", "current was not the removed song");
+        assertListConsistent(list);
+    });
+
+    test("only the first song with a matching title is removed", () => {
+        const list = listOf(["A", "B", "A"]);
+        const firstId = list.head.id;
+        const removed = list.removeSong("A");
+
+        assert.equal(removed.id, firstId);
+        assert.deepEqual(titles(list), ["B", "A"]);
+    });
+
+    test("unknown title, empty title or empty list returns null", () => {
+        assert.equal(listOf(["A"]).removeSong("Nope"), null);
+        assert.equal(listOf(["A"]).removeSong(""), null);
+        assert.equal(new DoublyLinkedList().removeSong("A"), null);
+    });
+
+    test("removeSongById removes the exact song among duplicate titles", () => {
+        const list = listOf(["A", "A"]);
+        const secondId = list.tail.id;
+
+        list.removeSongById(secondId);
+
+        assert.equal(list.hasSong(secondId), false);
+        assert.equal(list.getSize(), 1);
+        assertListConsistent(list);
+    });
+});
+
+describe("DoublyLinkedList.moveSong", () => {
+    test("moves a song forward and backward, keeping current on the same song", () => {
+        const list = listOf(["A", "B", "C", "D"]);
+        list.moveCurrentToIndex(1);
+
+        list.moveSong(1, 3);
+        assert.deepEqual(titles(list), ["A", "C", "D", "B"]);
+        assert.equal(list.getCurrentSong().title, "B");
+
+        list.moveSong(3, 0);
+        assert.deepEqual(titles(list), ["B", "A", "C", "D"]);
+        assert.equal(list.head.song.title, "B");
+        assertListConsistent(list);
+    });
+
+    test("invalid indices leave the list unchanged", (t) => {
+        quietConsole(t);
+        const list = listOf(["A", "B"]);
+
+        assert.equal(list.moveSong(0, 5), null);
+        assert.equal(list.moveSong(-1, 0), null);
+        assert.deepEqual(titles(list), ["A", "B"]);
+    });
+});
+
+describe("DoublyLinkedList.sort and reorder", () => {
+    const byTitle = (a, b) => a.title.localeCompare(b.title);
+
+    test("sorts by relinking nodes, keeping current and the ID map", () => {
+        const list = listOf(["D", "B", "E", "A", "C"]);
+        list.moveCurrentToIndex(2);
+        const nodes = new Map(list.nodesById);
+
+        assert.equal(list.sort(byTitle), true);
+
+        assert.deepEqual(titles(list), ["A", "B", "C", "D", "E"]);
+        assert.equal(list.getCurrentSong().title, "E");
+        assert.equal(list.head.song.title, "A");
+        list.nodesById.forEach((node, id) => assert.equal(nodes.get(id), node));
+        assertListConsistent(list);
+    });
+
+    test("is stable: equal songs keep their order", () => {
+        const list = new DoublyLinkedList();
+        [["B", 1], ["A", 1], ["B", 2], ["A", 2], ["B", 3]].forEach(([title, take]) => {
+            list.addSong(Object.assign(song(title), { take: take }));
+        });
+
+        list.sort(byTitle);
+        assert.deepEqual(list.toArray().map(entry => entry.title + entry.take), ["A1", "A2", "B1", "B2", "B3"]);
+        assertListConsistent(list);
+    });
+
+    test("matches Array.sort on larger lists", () => {
+        const names = Array.from({ length: 101 }, (_, i) => `Song ${(i * 37) % 101}`);
+        const list = listOf(names);
+
+        list.sort(byTitle);
+        assert.deepEqual(titles(list), names.slice().sort((a, b) => a.localeCompare(b)));
+        assertListConsistent(list);
+    });
+
+    test("reorder restores a recorded order and rejects other IDs", (t) => {
+        quietConsole(t);
+        const list = listOf(["C", "A", "B"]);
+        const order = list.toArray().map(entry => entry.id);
+
+        list.sort(byTitle);
+        assert.equal(list.reorder(order), true);
+        assert.deepEqual(titles(list), ["C", "A", "B"]);
+        assertListConsistent(list);
+
+        assert.equal(list.reorder(order.slice(1)), false);
+        assert.equal(list.reorder([order[0], order[0], order[1]]), false);
+        assert.equal(list.sort(null), false);
+        assert.deepEqual(titles(list), ["C", "A", "B"]);
+    });
+});
+
+describe("DoublyLinkedList navigation and lookup", () => {
+    test("playNext and playPrevious stop at the ends", () => {
+        const list = listOf(["A", "B"]);
+
+        assert.equal(list.playPrevious().title, "A");
+        assert.equal(list.playNext().title, "B");
+        assert.equal(list.playNext().title, "B");
+    });
+
+    test("navigation on an empty list returns null", () => {
+        const list = new DoublyLinkedList();
+
+        assert.equal(list.playNext(), null);
+        assert.equal(list.playPrevious(), null);
+        assert.equal(list.getCurrentSong(), null);
+    });
+
+    test("moveCurrentToIndex rejects out-of-range indices", () => {
+        const list = listOf(["A", "B", "C"]);
+
+        assert.equal(list.moveCurrentToIndex(-1), false);
+        assert.equal(list.moveCurrentToIndex(3), false);
+        assert.equal(list.moveCurrentToIndex(2), true);
+        assert.equal(list.getCurrentSong().title, "C");
+    });
+
+    test("index lookups by title and by ID agree", () => {
+        const list = listOf(["A", "B", "C"]);
+        const id = list.tail.id;
+
+        assert.equal(list.getIndex("C"), 2);
+        assert.equal(list.getIndexById(id), 2);
+        assert.equal(list.getIndex("Nope"), -1);
+        assert.equal(list.getIndexById("nope"), -1);
+        assert.equal(list.getNodeAt(1).song.title, "B");
+        assert.equal(list.getNodeAt(3), null);
+    });
+
+    test("clear empties the list and the ID map", () => {
+        const list = listOf(["A", "B"]);
+        list.clear();
+
+        assert.equal(list.isEmpty(), true);
+        assertListConsistent(list);
+    });
+});
@@ -0,0 +1,69 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { Equalizer } = require("../services/Equalizer.js");
+const { quietConsole } = require("./helpers.js");
+
+describe("Equalizer settings", () => {
+    test("normalizeSettings clamps gains and rejects the wrong band count", () => {
+        const bands = [20, -20, "3", NaN, 0, 0, 0, 0, 0, 0];
+        const normalized = Equalizer.normalizeSettings({ preamp: -30, bands: bands });
+
+        assert.equal(normalized.preamp, -Equalizer.MAX_GAIN);
+        assert.deepEqual(normalized.bands.slice(0, 4), [Equalizer.MAX_GAIN, -Equalizer.MAX_GAIN, 3, 0]);
+        assert.equal(Equalizer.normalizeSettings({ preamp: 0, bands: [1, 2, 3] }), null);
+    });
+
+    test("every built-in preset is valid", () => {
+        Object.entries(Equalizer.PRESETS).forEach(([name, preset]) => {
+            assert.deepEqual(Equalizer.normalizeSettings(preset), preset, name);
+        });
+    });
+
+    test("editing a band leaves the preset it came from", () => {
+        const equalizer = new Equalizer();
+        equalizer.applyPreset("Rock");
+        assert.equal(equalizer.presetName, "Rock");
+
+        equalizer.setBand(0, 1);
+        assert.equal(equalizer.presetName, null);
+        assert.equal(equalizer.getSettings().bands[0], 1);
+    });
+});
+
+describe("Equalizer presets", () => {
+    test("user presets cannot replace built-in ones", (t) => {
+        quietConsole(t);
+        const equalizer = new Equalizer();
+
+        assert.equal(equalizer.savePreset("Flat"), false);
+        assert.equal(equalizer.savePreset("  "), false);
+        assert.equal(equalizer.deletePreset("Flat"), false);
+        assert.deepEqual(equalizer.listPresets().user, []);
+    });
+
+    test("saved presets survive a state round-trip and can be deleted", () => {
+        const equalizer = new Equalizer();
+        equalizer.setPreamp(-3);
+        assert.equal(equalizer.savePreset(" Mine "), true);
+
+        const restored = new Equalizer();
+        assert.equal(restored.restoreState(JSON.parse(JSON.stringify(equalizer.getState()))), true);
+        assert.deepEqual(restored.listPresets().user, ["Mine"]);
+        assert.equal(restored.presetName, "Mine");
+        assert.equal(restored.getSettings().preamp, -3);
+
+        assert.equal(restored.deletePreset("Mine"), true);
+        assert.equal(restored.presetName, null);
+        assert.equal(restored.getPreset("Mine"), null);
+    });
+
+    test("restoreState drops invalid presets and falls back to flat settings", (t) => {
+        quietConsole(t);
+        const equalizer = new Equalizer();
+
+        equalizer.restoreState({ settings: { bands: [] }, userPresets: { Broken: { bands: [1] }, Flat: Equalizer.PRESETS.Rock } });
+        assert.deepEqual(equalizer.listPresets().user, []);
+        assert.deepEqual(equalizer.getSettings(), Equalizer.flatSettings());
+    });
+});
@@ -0,0 +1,102 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { LibraryController } = require("../controllers/LibraryController.js");
+const { SmartPlaylist } = require("../services/SmartPlaylist.js");
+const { song, titles, createController, quietConsole } = require("./helpers.js");
+
+const byArtist = artist => ({ match: "all", rules: [{ field: "artist", operator: "is", value: artist }] });
+
+function createLibrary() {
+    const library = new LibraryController(() => createController(), SmartPlaylist);
+    const id = library.createPlaylist("Mix");
+
+    library.getPlaylist(id).controller.initializePlaylist([
+        Object.assign(song("A"), { artist: "X" }),
+        Object.assign(song("B"), { artist: "Y" }),
+        Object.assign(song("C"), { artist: "X" })
+    ]);
+
+    return { library, regularId: id };
+}
+
+describe("LibraryController smart playlists", () => {
+    test("materialize matching songs into a read-only view with the same IDs", () => {
+        const { library, regularId } = createLibrary();
+        const smartId = library.createSmartPlaylist("X only", byArtist("X"));
+        const view = library.getPlaylist(smartId).controller;
+        const source = library.getPlaylist(regularId).controller;
+
+        assert.deepEqual(titles(view), ["A", "C"]);
+        assert.ok(view.isReadOnly());
+        assert.deepEqual(view.getSongIds(), [source.getSongIds()[0], source.getSongIds()[2]]);
+        assert.equal(library.listPlaylists()[1].isSmart, true);
+    });
+
+    test("refresh follows library changes and reports what changed", () => {
+        const { library, regularId } = createLibrary();
+        const smartId = library.createSmartPlaylist("X only", byArtist("X"));
+        const source = library.getPlaylist(regularId).controller;
+
+        assert.deepEqual(library.refreshSmartPlaylists(), []);
+
+        source.addSong(Object.assign(song("D"), { artist: "X" }));
+        source.removeSongById(source.getSongIds()[0]);
+
+        assert.deepEqual(library.refreshSmartPlaylists(), [smartId]);
+        assert.deepEqual(titles(library.getPlaylist(smartId).controller), ["C", "D"]);
+    });
+
+    test("keeps the playing song until playback moves on", () => {
+        const { library } = createLibrary();
+        const smartId = library.createSmartPlaylist("X only", byArtist("X"));
+        const view = library.getPlaylist(smartId).controller;
+
+        library.switchTo(smartId);
+        library.playActive();
+        view.playNext();
+        assert.equal(view.getCurrentSong().title, "C");
+
+        library.updateSmartPlaylist(smartId, byArtist("Y"));
+        assert.deepEqual(titles(view), ["B", "C"]);
+        assert.equal(view.getCurrentSong().title, "C");
+    });
+
+    test("saves rules in the snapshot and restores read-only views", (t) => {
+        quietConsole(t);
+        const { library } = createLibrary();
+        const smartId = library.createSmartPlaylist("X only", byArtist("X"));
+
+        const restored = new LibraryController(() => createController(), SmartPlaylist);
+        assert.ok(restored.restoreSnapshot(JSON.parse(JSON.stringify(library.getSnapshot()))));
+
+        assert.deepEqual(restored.getSmartQuery(smartId), byArtist("X"));
+        assert.ok(restored.getPlaylist(smartId).controller.isReadOnly());
+        assert.equal(restored.createSmartPlaylist("Broken", { match: "all", rules: [{ field: "mood" }] }), null);
+    });
+
+    test("the last regular playlist cannot be deleted", (t) => {
+        quietConsole(t);
+        const { library, regularId } = createLibrary();
+        const smartId = library.createSmartPlaylist("X only", byArtist("X"));
+
+        assert.equal(library.deletePlaylist(regularId), false);
+        assert.equal(library.deletePlaylist(smartId), true);
+    });
+});
+
+describe("LibraryController duplicatePlaylist", () => {
+    test("copies songs under new IDs, keeping order and the current song", () => {
+        const { library, regularId } = createLibrary();
+        const source = library.getPlaylist(regularId).controller;
+        source.playNext();
+
+        const copyId = library.duplicatePlaylist(regularId);
+        const copy = library.getPlaylist(copyId).controller;
+
+        assert.deepEqual(titles(copy), ["A", "B", "C"]);
+        assert.equal(copy.getCurrentSong().title, "B");
+        assert.ok(copy.getSongIds().every(id => !source.getSongIds().includes(id)));
+        assert.equal(library.getLibrarySongs().length, 6);
+    });
+});
@@ -0,0 +1,131 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { ListeningHistory } = require("../services/ListeningHistory.js");
+
+const songA = { id: "a", title: "Song A", artist: "Artist", url: "a.mp3" };
+const songB = { id: "b", title: "Song B", artist: "Other", url: "b.mp3" };
+
+// Report positions one second apart, as the engine's ticks would
+function play(history, from, to, duration) {
+    const listens = [];
+    for (let position = from; position <= to; position++) {
+        const listen = history.progress(position, duration, position * 1000);
+        if (listen) listens.push(listen);
+    }
+    return listens;
+}
+
+describe("ListeningHistory.playThreshold", () => {
+    test("is half the song, at most four minutes, or 30 s if unknown", () => {
+        assert.equal(ListeningHistory.playThreshold(200), 100);
+        assert.equal(ListeningHistory.playThreshold(1200), 240);
+        assert.equal(ListeningHistory.playThreshold(NaN), 30);
+    });
+});
+
+describe("ListeningHistory tracking", () => {
+    test("counts a play once, when the threshold is crossed", () => {
+        const history = new ListeningHistory();
+        history.begin(songA, 0);
+
+        const listens = play(history, 0, 150, 200);
+
+        assert.equal(listens.length, 1);
+        assert.equal(listens[0].songId, "a");
+        assert.equal(listens[0].listened, 100);
+        assert.equal(history.getTotals().plays, 1);
+        assert.equal(history.getTotals().seconds, 150);
+    });
+
+    test("does not count seeks as listening time", () => {
+        const history = new ListeningHistory();
+        history.begin(songA, 0);
+
+        play(history, 0, 10, 200);
+        assert.deepEqual(play(history, 150, 160, 200), []);   // Jumped ahead, 20 s heard in all
+        assert.equal(history.getTotals().seconds, 20);
+    });
+
+    test("logs a skip only when the user moves on before a play counts", () => {
+        const history = new ListeningHistory();
+
+        history.begin(songA, 0);
+        play(history, 0, 20, 200);
+        assert.equal(history.end("skipped", 30000).skipped, true);
+
+        history.begin(songB, 0);
+        play(history, 0, 120, 200);
+        assert.equal(history.end("skipped", 200000).skipped, false);   // Already a play
+
+        history.begin(songA, 0);
+        play(history, 0, 20, 200);
+        assert.equal(history.end("ended", 300000).skipped, false);
+
+        history.begin(songB, 0);
+        assert.equal(history.end("skipped", 400000).skipped, false);   // Never started
+
+        const recent = history.getRecent();
+        assert.deepEqual(recent.map(entry => [entry.songId, entry.skipped]), [["b", false], ["a", true]]);
+        assert.equal(history.getTotals().skips, 1);
+    });
+
+    test("keeps listening when the same song begins again", () => {
+        const history = new ListeningHistory();
+        history.begin(songA, 0);
+        play(history, 0, 50, 200);
+
+        history.begin(songA, 60000);   // e.g. resumed after a pause
+        assert.equal(play(history, 51, 110, 200).length, 1);
+        assert.equal(history.getCurrentSongId(), "a");
+    });
+});
+
+describe("ListeningHistory statistics", () => {
+    test("adds up time per artist, ignoring case", () => {
+        const history = new ListeningHistory();
+
+        history.begin(songA, 0);
+        play(history, 0, 30, 200);
+        history.begin(Object.assign({}, songB, { artist: "artist " }), 0);
+        play(history, 0, 30, 200);
+        history.begin(Object.assign({}, songB, { id: "c" }), 0);
+        play(history, 0, 10, 200);
+
+        assert.deepEqual(history.getArtistStats(), [
+            { name: "Artist", seconds: 60, plays: 0 },
+            { name: "Other", seconds: 10, plays: 0 }
+        ]);
+    });
+
+    test("ranks songs by play count, then by last play", () => {
+        const songs = [
+            { id: "1", playCount: 2, lastPlayedAt: 10 },
+            { id: "2" },
+            { id: "3", playCount: 5, lastPlayedAt: 5 },
+            { id: "4", playCount: 2, lastPlayedAt: 20 }
+        ];
+
+        assert.deepEqual(ListeningHistory.mostPlayed(songs, 10).map(song => song.id), ["3", "4", "1"]);
+        assert.deepEqual(ListeningHistory.mostPlayed(songs, 1).map(song => song.id), ["3"]);
+    });
+
+    test("restores a saved state and drops malformed entries", () => {
+        const history = new ListeningHistory();
+        history.begin(songA, 0);
+        play(history, 0, 120, 200);
+
+        const state = history.getState();
+        state.entries.push({ title: "no id" });
+
+        const restored = new ListeningHistory();
+        assert.equal(restored.restoreState(state), true);
+        assert.equal(restored.getRecent().length, 1);
+        assert.deepEqual(restored.getTotals(), history.getTotals());
+        assert.deepEqual(restored.getArtistStats(), history.getArtistStats());
+
+        assert.equal(restored.restoreState(null), false);
+        restored.clear();
+        assert.equal(restored.isEmpty(), true);
+    });
+});
@@ -0,0 +1,135 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { LocalFileStore } = require("../services/LocalFileStore.js");
+
+// In-memory stand-in for IndexedDBBackend
+class MemoryBackend {
+    constructor() {
+        this.records = new Map();
+    }
+
+    load(key) {
+        return Promise.resolve(this.records.has(key) ? this.records.get(key) : null);
+    }
+
+    save(key, record) {
+        this.records.set(key, record);
+        return Promise.resolve();
+    }
+
+    remove(key) {
+        this.records.delete(key);
+        return Promise.resolve();
+    }
+
+    keys() {
+        return Promise.resolve(Array.from(this.records.keys()));
+    }
+}
+
+const audioFile = (name, type = "audio/mpeg") => new File([new Uint8Array(8)], name, { type: type });
+
+// Fake FileSystemEntry tree; directories hand out their children two at a time
+function fileEntry(path, type) {
+    return {
+        isFile: true,
+        isDirectory: false,
+        fullPath: path,
+        file: resolve => resolve(audioFile(path.split("/").pop(), type))
+    };
+}
+
+function directoryEntry(children) {
+    return {
+        isFile: false,
+        isDirectory: true,
+        createReader: () => {
+            let position = 0;
+            return {
+                readEntries: resolve => {
+                    resolve(children.slice(position, position + 2));
+                    position += 2;
+                }
+            };
+        }
+    };
+}
+
+describe("LocalFileStore storage", () => {
+    test("stores a file under a local: URL and resolves it to a blob: URL", async () => {
+        const store = new LocalFileStore({ backend: new MemoryBackend() });
+        const url = await store.addFile(audioFile("song.mp3"));
+
+        assert.ok(LocalFileStore.isLocalUrl(url));
+        assert.equal((await store.getFile(url)).name, "song.mp3");
+
+        const resolved = await store.resolveUrl(url);
+        assert.match(resolved, /^blob:/);
+        assert.equal(await store.resolveUrl(url), resolved);   // Cached
+    });
+
+    test("passes other URLs through and rejects missing files", async () => {
+        const store = new LocalFileStore({ backend: new MemoryBackend() });
+
+        assert.equal(await store.resolveUrl("https://example.com/a.mp3"), "https://example.com/a.mp3");
+        await assert.rejects(store.resolveUrl("local:missing"), /Local file not found/);
+    });
+
+    test("prune keeps files referenced by songs or undo history", async () => {
+        const backend = new MemoryBackend();
+        const store = new LocalFileStore({ backend: backend });
+        const kept = await store.addFile(audioFile("kept.mp3"));
+        const inHistory = await store.addFile(audioFile("removed.mp3"));
+        await store.addFile(audioFile("orphan.mp3"));
+
+        const snapshot = {
+            playlists: [{
+                id: "playlist-1",
+                state: {
+                    songs: [{ id: "1", title: "Kept", artist: "A", url: kept }],
+                    undoStack: [{ type: "REMOVE", song: { id: "2", title: "Removed", artist: "A", url: inHistory } }],
+                    redoStack: []
+                }
+            }]
+        };
+
+        const inUse = LocalFileStore.collectLocalUrls(snapshot);
+        assert.deepEqual(Array.from(inUse).sort(), [kept, inHistory].sort());
+
+        assert.equal(await store.prune(inUse), 1);
+        assert.equal(backend.records.size, 2);
+    });
+});
+
+describe("LocalFileStore picking and dropping", () => {
+    test("filters non-audio files and sorts by path in natural order", () => {
+        const files = [
+            audioFile("10 - Ten.mp3"),
+            audioFile("cover.jpg", "image/jpeg"),
+            audioFile("2 - Two.flac", ""),    // No MIME type, recognized by extension
+            audioFile("1 - One.mp3")
+        ];
+
+        const names = LocalFileStore.filesFromInput(files).map(file => file.name);
+        assert.deepEqual(names, ["1 - One.mp3", "2 - Two.flac", "10 - Ten.mp3"]);
+    });
+
+    test("walks dropped folders, reading every batch of entries", async () => {
+        const folder = directoryEntry([
+            fileEntry("/Album/03.mp3"),
+            fileEntry("/Album/notes.txt", "text/plain"),
+            fileEntry("/Album/01.mp3"),
+            directoryEntry([fileEntry("/Album/Disc 2/01.ogg", "audio/ogg")]),
+            fileEntry("/Album/02.mp3")
+        ]);
+
+        const dataTransfer = {
+            items: [{ kind: "file", webkitGetAsEntry: () => folder }],
+            files: []
+        };
+
+        const files = await LocalFileStore.filesFromDataTransfer(dataTransfer);
+        assert.deepEqual(files.map(file => file.name), ["01.mp3", "02.mp3", "03.mp3", "01.ogg"]);
+    });
+});
@@ -0,0 +1,98 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { LoudnessAnalyzer } = require("../services/LoudnessAnalyzer.js");
+
+/**
+ * Sine wave channels
+ * @param {number} dbfs - Peak level in dBFS
+ * @param {number} seconds - Length
+ * @param {number} channelCount - Number of identical channels
+ * @returns {Array<Float32Array>}
+ */
+function sine(dbfs, seconds, channelCount = 2, sampleRate = 48000) {
+    const amplitude = Math.pow(10, dbfs / 20);
+    const samples = new Float32Array(Math.round(seconds * sampleRate));
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = amplitude * Math.sin(2 * Math.PI * 1000 * i / sampleRate);
+    }
+    return Array.from({ length: channelCount }, () => samples);
+}
+
+/**
+ * Song with a loudness record
+ */
+function analyzed(id, integrated, peak, album, duration = 200) {
+    return { id: id, title: id, artist: "Artist", url: `${id}.mp3`, album: album, loudness: { integrated, peak, duration } };
+}
+
+describe("LoudnessAnalyzer measurement", () => {
+    test("a stereo 1 kHz sine at -23 dBFS measures -23 LUFS", () => {
+        for (const sampleRate of [44100, 48000]) {
+            const result = LoudnessAnalyzer.analyzeChannels(sine(-23, 5, 2, sampleRate), sampleRate);
+            assert.ok(Math.abs(result.integrated + 23) < 0.1, `${sampleRate}: ${result.integrated}`);
+        }
+    });
+
+    test("a full-scale mono sine measures -3 LUFS with a peak of 1", () => {
+        const result = LoudnessAnalyzer.analyzeChannels(sine(0, 3, 1), 48000);
+
+        assert.ok(Math.abs(result.integrated + 3.01) < 0.1, String(result.integrated));
+        assert.equal(result.peak, 1);
+        assert.equal(result.duration, 3);
+    });
+
+    test("silence is gated out entirely", () => {
+        const result = LoudnessAnalyzer.analyzeChannels([new Float32Array(48000 * 2)], 48000);
+        assert.equal(result.integrated, null);
+    });
+
+    test("quiet passages below the relative gate do not drag the result down", () => {
+        const loud = sine(-20, 4, 1)[0];
+        const quiet = sine(-50, 4, 1)[0];
+        const joined = new Float32Array(loud.length + quiet.length);
+        joined.set(loud);
+        joined.set(quiet, loud.length);
+
+        const loudOnly = LoudnessAnalyzer.analyzeChannels([loud], 48000).integrated;
+        const withQuiet = LoudnessAnalyzer.analyzeChannels([joined], 48000).integrated;
+        assert.ok(Math.abs(withQuiet - loudOnly) < 0.5, `${loudOnly} vs ${withQuiet}`);
+    });
+});
+
+describe("LoudnessAnalyzer gain", () => {
+    test("track mode brings a song to the target level", () => {
+        const song = analyzed("a", -12, 0.1);
+        assert.equal(LoudnessAnalyzer.gainFor(song, "track"), LoudnessAnalyzer.TARGET_LUFS + 12);
+    });
+
+    test("the clipping guard limits the boost to the headroom above the peak", () => {
+        const song = analyzed("a", -30, 0.5);
+        assert.equal(LoudnessAnalyzer.gainFor(song, "track"), 6.02);
+    });
+
+    test("album mode gives every track of an album the same gain", () => {
+        const songs = [analyzed("a", -10, 0.1, "Album"), analyzed("b", -20, 0.1, "album "), analyzed("c", -30, 0.1, "Other")];
+        const gainA = LoudnessAnalyzer.gainFor(songs[0], "album", songs);
+        const gainB = LoudnessAnalyzer.gainFor(songs[1], "album", songs);
+
+        assert.equal(gainA, gainB);
+        assert.ok(gainA > LoudnessAnalyzer.TARGET_LUFS + 10 && gainA < LoudnessAnalyzer.TARGET_LUFS + 20);
+        assert.equal(LoudnessAnalyzer.gainFor(songs[2], "album", songs), LoudnessAnalyzer.TARGET_LUFS + 30);
+    });
+
+    test("album mode keeps same-named albums by different artists apart", () => {
+        const songs = [
+            analyzed("a", -10, 0.1, "Greatest Hits"),
+            Object.assign(analyzed("b", -30, 0.1, "greatest hits"), { artist: "Someone Else" })
+        ];
+
+        assert.equal(LoudnessAnalyzer.gainFor(songs[0], "album", songs), LoudnessAnalyzer.TARGET_LUFS + 10);
+        assert.equal(LoudnessAnalyzer.gainFor(songs[1], "album", songs), LoudnessAnalyzer.TARGET_LUFS + 30);
+    });
+
+    test("no gain when off or not analyzed yet", () => {
+        assert.equal(LoudnessAnalyzer.gainFor(analyzed("a", -5, 1), "off"), 0);
+        assert.equal(LoudnessAnalyzer.gainFor({ id: "b", url: "b.mp3" }, "track"), 0);
+    });
+});
@@ -0,0 +1,123 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { PlaybackSupervisor } = require("../services/PlaybackSupervisor.js");
+
+const song = { id: "1", title: "Song", artist: "Artist", url: "a.mp3" };
+
+const named = (name, message = "") => Object.assign(new Error(message), { name: name });
+
+function createSupervisor(options = {}) {
+    const calls = [];
+    const state = { playing: true, position: 0, blocked: false };
+
+    const supervisor = new PlaybackSupervisor(Object.assign({
+        getPosition: () => state.position,
+        isPlaying: () => state.playing,
+        isBlocked: () => state.blocked,
+        onRetry: (s, attempt) => calls.push(["retry", attempt]),
+        onGiveUp: (s, kind) => calls.push(["giveUp", kind]),
+        onBlocked: () => calls.push(["blocked"])
+    }, options));
+
+    supervisor.watch(song);
+    return { supervisor, calls, state };
+}
+
+describe("PlaybackSupervisor.classifyError", () => {
+    test("maps errors, media error codes and HTTP statuses to kinds", () => {
+        const classify = PlaybackSupervisor.classifyError;
+
+        assert.equal(classify(named("NotAllowedError")), "autoplay");
+        assert.equal(classify(named("EncodingError")), "decode");
+        assert.equal(classify(named("NotFoundError")), "missing");
+        assert.equal(classify(new TypeError("Failed to fetch")), "network");
+        assert.equal(classify(Object.assign(new Error("HTTP 404"), { status: 404 })), "missing");
+        assert.equal(classify(Object.assign(new Error("HTTP 503"), { status: 503 })), "network");
+        assert.equal(classify({ code: 4, message: "" }), "unsupported");
+        assert.equal(classify({ code: 2, message: "" }), "network");
+        assert.equal(classify(new Error("?")), "unknown");
+    });
+});
+
+describe("PlaybackSupervisor.handleError", () => {
+    test("retries network errors with exponential backoff, then gives up", () => {
+        const { supervisor, calls } = createSupervisor({ maxRetries: 2, baseDelay: 1000 });
+        const error = new TypeError("Failed to fetch");
+
+        assert.deepEqual(supervisor.handleError(song, error), { action: "retry", attempt: 1, delay: 1000 });
+        assert.deepEqual(supervisor.handleError(song, error), { action: "retry", attempt: 2, delay: 2000 });
+        assert.deepEqual(supervisor.handleError(song, error), { action: "skip" });
+
+        assert.ok(supervisor.isBroken(song.id));
+        assert.deepEqual(calls, [["giveUp", "network"]]);
+        supervisor.stop();
+    });
+
+    test("calls onRetry once the backoff delay has passed", async () => {
+        const { supervisor, calls } = createSupervisor({ baseDelay: 5 });
+
+        supervisor.handleError(song, named("StallError"));
+        await new Promise(resolve => setTimeout(resolve, 30));
+
+        assert.deepEqual(calls, [["retry", 1]]);
+        supervisor.stop();
+    });
+
+    test("gives up at once on missing files and unsupported formats", () => {
+        const { supervisor, calls } = createSupervisor();
+
+        assert.equal(supervisor.handleError(song, { code: 4 }).action, "skip");
+        assert.deepEqual(calls, [["giveUp", "unsupported"]]);
+
+        supervisor.clearBroken(song.id);
+        assert.equal(supervisor.isBroken(song.id), false);
+    });
+
+    test("blocked autoplay waits for the user without marking the song broken", () => {
+        const { supervisor, calls } = createSupervisor();
+
+        assert.equal(supervisor.handleError(song, named("NotAllowedError")).action, "wait");
+        assert.equal(supervisor.handleError(song, named("NotAllowedError")).action, "wait");
+        assert.equal(supervisor.isBroken(song.id), false);
+        assert.deepEqual(calls, [["blocked"]]);   // Only once per song
+    });
+
+    test("ignores errors of songs that are no longer being watched", () => {
+        const { supervisor, calls } = createSupervisor();
+        const other = { id: "2", title: "Other", artist: "Artist", url: "b.mp3" };
+
+        assert.equal(supervisor.handleError(other, new TypeError("x")).action, "ignore");
+        assert.deepEqual(calls, []);
+    });
+});
+
+describe("PlaybackSupervisor watchdog", () => {
+    test("reports a stall when the position stops moving while playing", () => {
+        const { supervisor, calls, state } = createSupervisor({ stallMs: 5000, maxRetries: 0 });
+
+        supervisor.check(0);
+        state.position = 1;
+        supervisor.check(1000);
+        supervisor.check(5000);
+        assert.deepEqual(calls, []);
+
+        supervisor.check(6000);
+        assert.deepEqual(calls, [["giveUp", "stall"]]);
+    });
+
+    test("does not count pauses or blocked autoplay as stalls", () => {
+        const { supervisor, calls, state } = createSupervisor({ stallMs: 5000, maxRetries: 0 });
+
+        state.playing = false;
+        supervisor.check(0);
+        supervisor.check(60000);
+
+        state.playing = true;
+        state.blocked = true;
+        supervisor.check(60000);
+        supervisor.check(120000);
+
+        assert.deepEqual(calls, [["blocked"]]);
+    });
+});
@@ -0,0 +1,164 @@
+/*
+    Property-based tests: random sequences of add / remove / move /
+    batch remove / undo / redo, checked after every step against a
+    plain array model of the playlist order and current song.
+*/
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { song, createController, assertListConsistent, quietConsole } = require("./helpers.js");
+
+const SEEDS = 40;
+const STEPS_PER_SEED = 250;
+
+/**
+ * Small seeded PRNG (mulberry32) so failures are reproducible
+ * @param {number} seed - Seed
+ * @returns {Function} () => number in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Where the list moves current when a song is removed:
+ * unchanged unless the current song itself goes, then its next
+ * neighbour, or its previous one at the tail
+ * @param {Array<string>} ids - Order before removal
+ * @param {string|null} currentId - Current before removal
+ * @param {string} removedId - Song being removed
+ * @returns {string|null} Expected current after removal
+ */
+function currentAfterRemove(ids, currentId, removedId) {
+    if (currentId !== removedId) return currentId;
+
+    const index = ids.indexOf(removedId);
+    if (index + 1 < ids.length) return ids[index + 1];
+    if (index > 0) return ids[index - 1];
+    return null;
+}
+
+function runSequence(seed) {
+    const random = createRandom(seed);
+    const pick = items => items[Math.floor(random() * items.length)];
+
+    const controller = createController(["Seed 1", "Seed 2", "Seed 3"]);
+    let model = { ids: controller.getSongIds(), currentId: controller.getCurrentId() };
+    const undoModel = [];
+    const redoModel = [];
+    let counter = 0;
+
+    // MOVE undo/redo leave current alone (it follows its node); others restore it
+    const record = (before, after, keepsCurrent = false) => {
+        undoModel.push({ before, after, keepsCurrent });
+        redoModel.length = 0;
+    };
+    const restore = (entry, state) => (entry.keepsCurrent
+        ? { ids: state.ids, currentId: model.currentId }
+        : state);
+
+    for (let step = 0; step < STEPS_PER_SEED; step++) {
+        const roll = random();
+        const before = { ids: model.ids.slice(), currentId: model.currentId };
+        let label;
+
+        if (roll < 0.3 || model.ids.length === 0) {
+            label = "add";
+            controller.addSong(song(`Song ${counter++}`));
+            const ids = controller.getSongIds();
+            const newId = ids[ids.length - 1];
+            model = {
+                ids: before.ids.concat(newId),
+                currentId: before.currentId === null ? newId : before.currentId
+            };
+            record(before, model);
+        } else if (roll < 0.45) {
+            label = "remove";
+            const id = pick(model.ids);
+            controller.removeSongById(id);
+            model = {
+                ids: before.ids.filter(entry => entry !== id),
+                currentId: currentAfterRemove(before.ids, before.currentId, id)
+            };
+            record(before, model);
+        } else if (roll < 0.55 && model.ids.length > 1) {
+            label = "move";
+            const from = Math.floor(random() * model.ids.length);
+            let to = Math.floor(random() * (model.ids.length - 1));
+            if (to >= from) to++;
+
+            controller.moveSong(from, to);
+            const ids = before.ids.slice();
+            ids.splice(to, 0, ids.splice(from, 1)[0]);
+            model = { ids: ids, currentId: before.currentId };
+            record(before, model, true);
+        } else if (roll < 0.62) {
+            label = "batch remove";
+            const chosen = model.ids.filter(() => random() < 0.3);
+            if (chosen.length === 0) chosen.push(pick(model.ids));
+
+            controller.removeSongs(chosen);
+            let ids = before.ids;
+            let currentId = before.currentId;
+            chosen.forEach(id => {
+                currentId = currentAfterRemove(ids, currentId, id);
+                ids = ids.filter(entry => entry !== id);
+            });
+            model = { ids: ids, currentId: currentId };
+            record(before, model);
+        } else if (roll < 0.66) {
+            label = "navigate";
+            const index = before.ids.indexOf(before.currentId);
+            const step = random() < 0.5 ? 1 : -1;
+            if (step > 0) {
+                controller.playNext();
+            } else {
+                controller.playPrevious();
+            }
+            // Navigation is not recorded; it stops at either end of the playlist
+            model = { ids: before.ids, currentId: before.ids[index + step] || before.currentId };
+        } else if (roll < 0.85) {
+            label = "undo";
+            controller.undo();
+            const entry = undoModel.pop();
+            if (entry) {
+                model = restore(entry, entry.before);
+                redoModel.push(entry);
+            }
+        } else {
+            label = "redo";
+            controller.redo();
+            const entry = redoModel.pop();
+            if (entry) {
+                model = restore(entry, entry.after);
+                undoModel.push(entry);
+            }
+        }
+
+        const context = `seed ${seed}, step ${step} (${label})`;
+        assertListConsistent(controller.playlist);
+        assert.deepEqual(controller.getSongIds(), model.ids, `order mismatch at ${context}`);
+        assert.equal(controller.getSize(), model.ids.length, `size mismatch at ${context}`);
+
+        assert.equal(controller.getCurrentId(), model.currentId, `current mismatch at ${context}`);
+
+        assert.equal(controller.canUndo(), undoModel.length > 0, `undo availability at ${context}`);
+        assert.equal(controller.canRedo(), redoModel.length > 0, `redo availability at ${context}`);
+    }
+}
+
+test("random add/remove/move/undo/redo sequences match the array model", (t) => {
+    quietConsole(t);
+
+    for (let seed = 1; seed <= SEEDS; seed++) {
+        runSequence(seed);
+    }
+});
@@ -0,0 +1,528 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { PlaylistController } = require("../controllers/PlaylistController.js");
+const { song, titles, createController, assertListConsistent, quietConsole } = require("./helpers.js");
+
+describe("PlaylistController undo/redo", () => {
+    test("initial songs are not undoable", (t) => {
+        quietConsole(t);
+        const controller = createController(["A", "B"]);
+
+        assert.equal(controller.canUndo(), false);
+        assert.equal(controller.undo(), null);
+    });
+
+    test("ADD round-trip restores order and current pointer", () => {
+        const controller = createController(["A", "B"]);
+        controller.playNext();
+        controller.addSong(song("C"));
+
+        controller.undo();
+        assert.deepEqual(titles(controller), ["A", "B"]);
+        assert.equal(controller.getCurrentSong().title, "B");
+
+        controller.redo();
+        assert.deepEqual(titles(controller), ["A", "B", "C"]);
+        assert.equal(controller.getCurrentSong().title, "B");
+        assertListConsistent(controller.playlist);
+    });
+
+    test("undoing the first add into an empty playlist leaves it empty", () => {
+        const controller = createController();
+        controller.addSong(song("A"));
+
+        controller.undo();
+        assert.equal(controller.isEmpty(), true);
+        assert.equal(controller.getCurrentSong(), null);
+
+        controller.redo();
+        assert.equal(controller.getCurrentSong().title, "A");
+    });
+
+    test("REMOVE round-trip reinserts the same song at the same index", () => {
+        const controller = createController(["A", "B", "C"]);
+        controller.playNext();
+        const id = controller.getCurrentId();
+
+        controller.removeSong("B");
+        assert.equal(controller.getCurrentSong().title, "C");
+
+        controller.undo();
+        assert.deepEqual(titles(controller), ["A", "B", "C"]);
+        assert.equal(controller.getCurrentId(), id, "the reinserted song keeps its ID and is current again");
+
+        controller.redo();
+        assert.deepEqual(titles(controller), ["A", "C"]);
+        assert.equal(controller.getCurrentSong().title, "C");
+        assertListConsistent(controller.playlist);
+    });
+
+    test("undo removes the exact song even when titles are duplicated", () => {
+        const controller = createController(["A"]);
+        controller.addSong(song("A"));
+        const [firstId, secondId] = controller.getSongIds();
+
+        controller.undo();
+        assert.deepEqual(controller.getSongIds(), [firstId]);
+        assert.notEqual(firstId, secondId);
+    });
+
+    test("MOVE round-trip follows the song, not the index", () => {
+        const controller = createController(["A", "B", "C", "D"]);
+        controller.moveSong(0, 3);
+        assert.deepEqual(titles(controller), ["B", "C", "D", "A"]);
+
+        controller.undo();
+        assert.deepEqual(titles(controller), ["A", "B", "C", "D"]);
+
+        controller.redo();
+        assert.deepEqual(titles(controller), ["B", "C", "D", "A"]);
+    });
+
+    test("a new action clears the redo stack", () => {
+        const controller = createController(["A"]);
+        controller.addSong(song("B"));
+        controller.undo();
+        assert.equal(controller.canRedo(), true);
+
+        controller.addSong(song("C"));
+        assert.equal(controller.canRedo(), false);
+    });
+
+    test("stored history does not share references with the playlist", () => {
+        const controller = createController();
+        controller.addSong(song("A"));
+
+        controller.undoStack.peek().song.title = "Mutated";
+        assert.deepEqual(titles(controller), ["A"]);
+    });
+
+    test("invalid songs are rejected without recording history", (t) => {
+        quietConsole(t);
+        const controller = createController();
+
+        controller.addSong({ title: "No URL", artist: "X" });
+        controller.addSong(null);
+
+        assert.equal(controller.isEmpty(), true);
+        assert.equal(controller.canUndo(), false);
+    });
+
+    test("caller-supplied IDs are ignored on add", () => {
+        const controller = createController(["A"]);
+        const existing = controller.getSongIds()[0];
+
+        controller.addSong(Object.assign(song("B"), { id: existing }));
+        const ids = controller.getSongIds();
+
+        assert.equal(ids.length, 2);
+        assert.notEqual(ids[1], existing);
+    });
+});
+
+describe("PlaylistController transactions", () => {
+    test("clearPlaylist is undone and redone as a single step", () => {
+        const controller = createController(["A", "B", "C"]);
+        controller.playNext();
+        const ids = controller.getSongIds();
+
+        assert.equal(controller.clearPlaylist(), 3);
+        assert.equal(controller.isEmpty(), true);
+
+        controller.undo();
+        assert.deepEqual(controller.getSongIds(), ids);
+        assert.equal(controller.getCurrentSong().title, "B");
+        assert.equal(controller.canUndo(), false);
+
+        controller.redo();
+        assert.equal(controller.isEmpty(), true);
+    });
+
+    test("removeSongs records one BATCH and restores current on undo", () => {
+        const controller = createController(["A", "B", "C", "D"]);
+        controller.playNext();
+        const ids = controller.getSongIds();
+
+        controller.removeSongs([ids[1], ids[3]]);
+        assert.deepEqual(titles(controller), ["A", "C"]);
+        assert.equal(controller.undoStack.size(), 1);
+        assert.equal(controller.undoStack.peek().type, "BATCH");
+
+        controller.undo();
+        assert.deepEqual(titles(controller), ["A", "B", "C", "D"]);
+        assert.equal(controller.getCurrentSong().title, "B");
+    });
+
+    test("rollback reverts every change made inside the transaction", () => {
+        const controller = createController(["A", "B", "C"]);
+
+        assert.throws(() => controller.runTransaction("Broken", () => {
+            controller.moveSong(0, 2);
+            controller.removeSong("B");
+            throw new Error("boom");
+        }), /boom/);
+
+        assert.deepEqual(titles(controller), ["A", "B", "C"]);
+        assert.equal(controller.canUndo(), false);
+        assert.equal(controller.isInTransaction(), false);
+    });
+
+    test("nested transactions record only the outermost batch", () => {
+        const controller = createController(["A", "B", "C"]);
+
+        controller.beginTransaction("Outer");
+        controller.addSong(song("D"));
+        controller.beginTransaction("Inner");
+        controller.addSong(song("E"));
+        assert.equal(controller.commitTransaction(), false);
+        assert.equal(controller.commitTransaction(), true);
+
+        assert.equal(controller.undoStack.size(), 1);
+        controller.undo();
+        assert.deepEqual(titles(controller), ["A", "B", "C"]);
+    });
+
+    test("an empty transaction records nothing", () => {
+        const controller = createController(["A"]);
+
+        controller.runTransaction("Nothing", () => {});
+        assert.equal(controller.canUndo(), false);
+    });
+});
+
+describe("PlaylistController snapshots", () => {
+    test("restoreSnapshot reproduces songs, current pointer and history", () => {
+        const controller = createController(["A", "B"]);
+        controller.addSong(song("C"));
+        controller.playNext();
+
+        const restored = createController();
+        assert.equal(restored.restoreSnapshot(JSON.parse(JSON.stringify(controller.getSnapshot()))), true);
+
+        assert.deepEqual(restored.getSongIds(), controller.getSongIds());
+        assert.equal(restored.getCurrentId(), controller.getCurrentId());
+
+        restored.undo();
+        assert.deepEqual(titles(restored), ["A", "B"]);
+    });
+});
+
+describe("PlaylistController peekNext", () => {
+    test("matches playNext without moving, through the queue and repeat modes", () => {
+        const controller = createController(["A", "B", "C"]);
+        const ids = controller.getSongIds();
+
+        assert.equal(controller.peekNext().title, "B");
+        assert.equal(controller.getCurrentSong().title, "A");
+
+        controller.enqueue(ids[2]);
+        assert.equal(controller.peekNext().title, "C");
+        assert.equal(controller.playNext().title, "C");
+
+        // Queue drained: normal order resumes after the anchor
+        assert.equal(controller.peekNext().title, "B");
+        controller.playNext();
+
+        controller.playNext();
+        assert.equal(controller.peekNext(), null);
+        controller.setRepeatMode("all");
+        assert.equal(controller.peekNext().title, "A");
+        controller.setRepeatMode("one");
+        assert.equal(controller.peekNext().title, "C");
+    });
+
+    test("plays queued songs before repeating one song", () => {
+        const controller = createController(["A", "B", "C"]);
+        const ids = controller.getSongIds();
+        controller.setRepeatMode("one");
+        controller.enqueue(ids[2]);
+        controller.enqueue(ids[1]);
+
+        assert.equal(controller.peekNext().title, "C");
+        assert.equal(controller.playNext({ auto: true }).title, "C");
+        assert.equal(controller.peekNext().title, "B");
+        assert.equal(controller.playNext({ auto: true }).title, "B");
+
+        // Queue drained: the song now playing repeats
+        assert.equal(controller.peekNext().title, "B");
+        assert.equal(controller.playNext({ auto: true }).title, "B");
+        assert.deepEqual(controller.getQueue(), []);
+    });
+
+    test("repeats one song only when it ends on its own", () => {
+        const controller = createController(["A", "B", "C"]);
+        controller.setRepeatMode("one");
+
+        assert.equal(controller.playNext({ auto: true }).title, "A");
+        assert.equal(controller.playNext().title, "B");
+        assert.equal(controller.playNext().title, "C");
+        assert.equal(controller.playNext().title, "A");   // Manual skips wrap
+        assert.equal(controller.playPrevious().title, "C");
+        assert.equal(controller.playPrevious().title, "B");
+        assert.equal(controller.hasNext(), true);
+    });
+
+    test("predicts every shuffled step, including a repeat-all wrap", () => {
+        const controller = createController(["A", "B", "C", "D", "E"]);
+        controller.enableShuffle(42);
+        controller.setRepeatMode("all");
+
+        for (let i = 0; i < 12; i++) {
+            const expected = controller.peekNext();
+            assert.equal(controller.playNext(), expected);
+        }
+    });
+
+    test("returns null for an empty playlist", () => {
+        assert.equal(createController().peekNext(), null);
+    });
+});
+
+describe("PlaylistController annotateSong", () => {
+    test("sets and removes fields without recording history", () => {
+        const controller = createController(["A", "B"]);
+        const [id] = controller.getSongIds();
+
+        controller.annotateSong(id, { eq: { preamp: -2 } });
+        assert.deepEqual(controller.getSongById(id).eq, { preamp: -2 });
+        assert.equal(controller.canUndo(), false);
+
+        controller.annotateSong(id, { eq: null });
+        assert.equal("eq" in controller.getSongById(id), false);
+    });
+
+    test("undoing a removal brings back the annotation", () => {
+        const controller = createController(["A", "B"]);
+        const [id] = controller.getSongIds();
+
+        controller.removeSongById(id);
+        controller.undo();
+        controller.annotateSong(id, { eq: { preamp: 1 } });
+        controller.redo();
+        controller.undo();
+
+        assert.deepEqual(controller.getSongById(id).eq, { preamp: 1 });
+    });
+
+    test("refuses core fields and unknown songs", (t) => {
+        quietConsole(t);
+        const controller = createController(["A"]);
+        const [id] = controller.getSongIds();
+
+        assert.equal(controller.annotateSong(id, { title: "B" }), null);
+        assert.equal(controller.annotateSong("missing", { eq: {} }), null);
+        assert.equal(controller.getSongById(id).title, "A");
+    });
+});
+
+describe("PlaylistController song details", () => {
+    test("ratings, favorites and tags are undoable EDIT actions", () => {
+        const controller = createController(["A", "B"]);
+        const [id] = controller.getSongIds();
+
+        controller.setRating(id, 4);
+        controller.setFavorite(id, true);
+        controller.setTags(id, "Chill, night ,chill,, Late  show");
+
+        const edited = controller.getSongById(id);
+        assert.equal(edited.rating, 4);
+        assert.equal(edited.favorite, true);
+        assert.deepEqual(edited.tags, ["Chill", "night", "Late show"]);
+
+        controller.undo();
+        assert.equal("tags" in controller.getSongById(id), false);
+        controller.undo();
+        controller.undo();
+        assert.deepEqual(Object.keys(controller.getSongById(id)).sort(), ["addedAt", "artist", "id", "title", "url"]);
+
+        controller.redo();
+        assert.equal(controller.getSongById(id).rating, 4);
+        assert.equal(controller.getSongById(id).favorite, undefined);
+    });
+
+    test("clearing removes the field and unchanged values record nothing", () => {
+        const controller = createController(["A"]);
+        const [id] = controller.getSongIds();
+
+        controller.setRating(id, 3);
+        controller.setRating(id, 3);
+        controller.setRating(id, 0);
+        assert.equal("rating" in controller.getSongById(id), false);
+
+        controller.undo();
+        assert.equal(controller.getSongById(id).rating, 3);
+        controller.undo();
+        assert.equal(controller.canUndo(), false);
+    });
+
+    test("an edited song keeps its details through remove and undo", () => {
+        const controller = createController(["A", "B"]);
+        const [id] = controller.getSongIds();
+
+        controller.setTags(id, ["Rock"]);
+        controller.removeSongById(id);
+        controller.undo();
+        assert.deepEqual(controller.getSongById(id).tags, ["Rock"]);
+
+        controller.undo();
+        assert.equal(controller.getSongById(id).tags, undefined);
+    });
+
+    test("updateSong edits metadata in place, keeping ID, position and current", () => {
+        const controller = createController(["A", "B", "C"]);
+        const [, b] = controller.getSongIds();
+        controller.playNext();
+
+        const updated = controller.updateSong(b, { title: " New B ", url: "https://example.com/new.mp3", album: "", year: 1999 });
+
+        assert.equal(updated, controller.getCurrentSong());
+        assert.deepEqual(titles(controller), ["A", "New B", "C"]);
+        assert.deepEqual(controller.getSongIds()[1], b);
+        assert.equal(updated.url, "https://example.com/new.mp3");
+        assert.equal(updated.year, 1999);
+        assert.equal("album" in updated, false);
+
+        controller.undo();
+        assert.deepEqual(titles(controller), ["A", "B", "C"]);
+        assert.equal(controller.getCurrentSong().url, song("B").url);
+        assert.equal("year" in controller.getCurrentSong(), false);
+
+        controller.redo();
+        assert.equal(controller.getCurrentSong().title, "New B");
+        assertListConsistent(controller.playlist);
+    });
+
+    test("updateSong validates the patch", (t) => {
+        quietConsole(t);
+        const controller = createController(["A"]);
+        const [id] = controller.getSongIds();
+
+        assert.equal(controller.updateSong(id, { title: "  " }), null);
+        assert.equal(controller.updateSong(id, { id: "x" }), null);
+        assert.equal(controller.updateSong(id, { rating: 5 }), null);
+        assert.equal(controller.updateSong(id, { trackNumber: 0 }), null);
+        assert.equal(controller.updateSong("missing", { title: "B" }), null);
+
+        assert.deepEqual(PlaylistController.validateSongPatch({ url: "", year: 2.5 }), [
+            "The URL cannot be empty",
+            "The year must be a whole number above 0"
+        ]);
+        assert.equal(controller.canUndo(), false);
+    });
+
+    test("refuses invalid ratings, core fields and read-only playlists", (t) => {
+        quietConsole(t);
+        const controller = createController(["A"]);
+        const [id] = controller.getSongIds();
+
+        assert.equal(controller.setRating(id, 6), null);
+        assert.equal(controller.setRating(id, 2.5), null);
+        assert.equal(controller.editSong(id, { title: "B" }), null);
+
+        controller.setReadOnly(true);
+        assert.equal(controller.setFavorite(id, true), null);
+        assert.equal(controller.canUndo(), false);
+    });
+});
+
+describe("PlaylistController sortBy", () => {
+    const withFields = (title, fields) => Object.assign(song(title), fields);
+
+    test("sorts as one undoable step, keeping the current song", () => {
+        const controller = createController(["C", "A", "D", "B"]);
+        controller.playNext();
+        const before = controller.getSongIds();
+
+        assert.equal(controller.sortBy("title"), true);
+        assert.deepEqual(titles(controller), ["A", "B", "C", "D"]);
+        assert.equal(controller.getCurrentSong().title, "A");
+
+        controller.undo();
+        assert.deepEqual(controller.getSongIds(), before);
+        assert.equal(controller.getCurrentSong().title, "A");
+
+        controller.redo();
+        assert.deepEqual(titles(controller), ["A", "B", "C", "D"]);
+        assertListConsistent(controller.playlist);
+    });
+
+    test("supports several keys, descending order and missing values last", () => {
+        const controller = createController();
+        controller.initializePlaylist([
+            withFields("Track 10", { artist: "Beta", duration: 200 }),
+            withFields("Track 2", { artist: "alpha" }),
+            withFields("Track 1", { artist: "Beta", duration: 100 }),
+            withFields("Track 3", { artist: "Alpha", duration: 300 })
+        ]);
+
+        controller.sortBy([{ field: "artist" }, { field: "title", order: "desc" }]);
+        assert.deepEqual(titles(controller), ["Track 3", "Track 2", "Track 10", "Track 1"]);
+
+        controller.sortBy({ field: "duration", order: "desc" });
+        assert.deepEqual(titles(controller), ["Track 3", "Track 10", "Track 1", "Track 2"]);
+
+        controller.sortBy("duration");
+        assert.deepEqual(titles(controller), ["Track 1", "Track 10", "Track 3", "Track 2"]);
+    });
+
+    test("records nothing when already sorted or the keys are invalid", (t) => {
+        quietConsole(t);
+        const controller = createController(["A", "B"]);
+
+        assert.equal(controller.sortBy("title"), false);
+        assert.equal(controller.sortBy("url"), false);
+        assert.equal(controller.sortBy({ field: "title", order: "up" }), false);
+        assert.equal(controller.sortBy([]), false);
+        assert.equal(controller.canUndo(), false);
+
+        controller.setReadOnly(true);
+        assert.equal(controller.sortBy({ field: "title", order: "desc" }), false);
+        assert.deepEqual(titles(controller), ["A", "B"]);
+    });
+});
+
+describe("PlaylistController read-only views", () => {
+    test("refuses song edits but still plays and queues", (t) => {
+        quietConsole(t);
+        const controller = createController(["A", "B", "C"]);
+        const [a, , c] = controller.getSongIds();
+        controller.setReadOnly(true);
+
+        controller.addSong(song("D"));
+        assert.equal(controller.removeSongById(a), null);
+        assert.equal(controller.moveSong(0, 2), null);
+        assert.equal(controller.clearPlaylist(), 0);
+        assert.deepEqual(titles(controller), ["A", "B", "C"]);
+        assert.equal(controller.canUndo(), false);
+
+        controller.enqueue(c);
+        assert.equal(controller.playNext().title, "C");
+    });
+
+    test("replaceSongs keeps IDs, the current song and play modes", () => {
+        const controller = createController(["A", "B", "C"]);
+        const songs = controller.getSnapshot().songs;
+        controller.playNext();
+        controller.setRepeatMode("all");
+        controller.setReadOnly(true);
+
+        assert.ok(controller.replaceSongs([songs[2], songs[1]]));
+
+        assert.deepEqual(titles(controller), ["C", "B"]);
+        assert.deepEqual(controller.getSongIds(), [songs[2].id, songs[1].id]);
+        assert.equal(controller.getCurrentSong().title, "B");
+        assert.equal(controller.getRepeatMode(), "all");
+        assertListConsistent(controller.playlist);
+    });
+
+    test("added songs are stamped with addedAt unless they carry one", () => {
+        const controller = createController();
+        controller.addSong(song("A"));
+        controller.addSong(Object.assign(song("B"), { addedAt: 1000 }));
+
+        const [first, second] = controller.getSnapshot().songs;
+        assert.equal(typeof first.addedAt, "number");
+        assert.equal(second.addedAt, 1000);
+    });
+});
@@ -0,0 +1,72 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { PlaylistFormats } = require("../services/PlaylistFormats.js");
+
+const songs = [
+    {
+        title: "Fish & Chips <Live>",
+        artist: "The \"Quoted\" Band",
+        url: "https://example.com/music/fish%20chips.mp3?x=1&y=2",
+        album: "Über Album",
+        cover: "https://example.com/covers/1.jpg",
+        trackNumber: 3,
+        duration: 215.437
+    },
+    {
+        title: "Second, with a comma",
+        artist: "Solo",
+        url: "songs/second.ogg"
+    }
+];
+
+// Fields each format can carry
+function pick(list, fields) {
+    return list.map(song => {
+        const result = {};
+        fields.forEach(field => {
+            if (song[field] !== undefined) result[field] = song[field];
+        });
+        return result;
+    });
+}
+
+describe("PlaylistFormats round trip", () => {
+    test("M3U keeps title, artist, url, album, cover and duration", () => {
+        const text = PlaylistFormats.generate(songs, "m3u8");
+        const fields = ["title", "artist", "url", "album", "cover", "duration"];
+
+        assert.equal(PlaylistFormats.detectFormat(text), "m3u8");
+        assert.deepEqual(PlaylistFormats.parse(text, "mix.m3u"), pick(songs, fields));
+    });
+
+    test("PLS keeps title, artist, url and duration", () => {
+        const text = PlaylistFormats.generate(songs, "pls");
+        const fields = ["title", "artist", "url", "duration"];
+
+        assert.equal(PlaylistFormats.detectFormat(text), "pls");
+        assert.deepEqual(PlaylistFormats.parse(text, "mix.pls"), pick(songs, fields));
+    });
+
+    test("XSPF keeps every field, with duration to the millisecond", () => {
+        const text = PlaylistFormats.generate(songs, "xspf");
+        const fields = ["title", "artist", "url", "album", "cover", "trackNumber", "duration"];
+
+        assert.equal(PlaylistFormats.detectFormat(text), "xspf");
+        assert.deepEqual(PlaylistFormats.parse(text, "mix.xspf"), pick(songs, fields));
+    });
+});
+
+describe("PlaylistFormats.unescapeXml", () => {
+    test("decodes named and numeric entities", () => {
+        assert.equal(PlaylistFormats.unescapeXml("&lt;a&gt; &amp; &#233;&#x1F3B5;"), "<a> & é🎵");
+    });
+
+    test("leaves numeric entities outside the Unicode range as written", () => {
+        assert.equal(PlaylistFormats.unescapeXml("&#99999999; &#x110000;"), "&#99999999; &#x110000;");
+
+        const xspf = "<playlist xmlns=\"http://xspf.org/ns/0/\"><trackList><track>" +
+            "<location>a.mp3</location><title>Bad &#99999999;</title></track></trackList></playlist>";
+        assert.equal(PlaylistFormats.parse(xspf)[0].title, "Bad &#99999999;");
+    });
+});
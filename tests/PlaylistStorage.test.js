@@ -0,0 +1,185 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { PlaylistStorage, LocalStorageBackend } = require("../services/PlaylistStorage.js");
+const { song, titles, createController, quietConsole } = require("./helpers.js");
+
+// In-memory Web Storage; setItem throws like a full localStorage past `quota` characters
+class MemoryStorage {
+    constructor(quota = Infinity) {
+        this.quota = quota;
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        if (value.length > this.quota) {
+            const error = new Error("The quota has been exceeded.");
+            error.name = "QuotaExceededError";
+            throw error;
+        }
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+// In-memory stand-in for IndexedDBBackend
+class MemoryBackend {
+    constructor() {
+        this.records = new Map();
+    }
+
+    isAvailable() {
+        return true;
+    }
+
+    load(key) {
+        return Promise.resolve(this.records.has(key) ? this.records.get(key) : null);
+    }
+
+    save(key, record) {
+        this.records.set(key, JSON.parse(JSON.stringify(record)));
+        return Promise.resolve();
+    }
+
+    remove(key) {
+        this.records.delete(key);
+        return Promise.resolve();
+    }
+}
+
+function createStorage(options = {}) {
+    const storage = new MemoryStorage(options.quota);
+    const largeBackend = new MemoryBackend();
+    const playlistStorage = new PlaylistStorage({
+        key: "test.library",
+        localBackend: new LocalStorageBackend(storage),
+        largeBackend: largeBackend,
+        largeThreshold: options.largeThreshold || 500
+    });
+
+    return { playlistStorage, storage, largeBackend };
+}
+
+const library = size => ({
+    playlists: [{ id: "p1", name: "Mix", state: { songs: [{ title: "x".repeat(size), artist: "A", url: "a.mp3" }] } }],
+    activeId: "p1",
+    playingId: "p1"
+});
+
+const pointer = storage => JSON.parse(storage.getItem("test.library"));
+
+describe("PlaylistStorage backends", () => {
+    test("keeps a small snapshot in localStorage", async () => {
+        const { playlistStorage, storage, largeBackend } = createStorage();
+
+        assert.equal(await playlistStorage.save(library(10)), "localStorage");
+        assert.equal(pointer(storage).backend, "localStorage");
+        assert.equal(largeBackend.records.size, 0);
+        assert.deepEqual(await playlistStorage.load(), library(10));
+    });
+
+    test("moves an oversized snapshot to IndexedDB behind a pointer", async () => {
+        const { playlistStorage, storage, largeBackend } = createStorage();
+
+        assert.equal(await playlistStorage.save(library(1000)), "indexedDB");
+        assert.equal(pointer(storage).backend, "indexedDB");
+        assert.equal(pointer(storage).data, undefined);
+        assert.deepEqual(largeBackend.records.get("test.library").data, library(1000));
+        assert.deepEqual(await playlistStorage.load(), library(1000));
+    });
+
+    test("falls back to IndexedDB when localStorage is full", async (t) => {
+        quietConsole(t);
+        const { playlistStorage, storage } = createStorage({ quota: 300, largeThreshold: 10000 });
+
+        assert.equal(await playlistStorage.save(library(400)), "indexedDB");
+        assert.equal(pointer(storage).backend, "indexedDB");
+        assert.deepEqual(await playlistStorage.load(), library(400));
+    });
+
+    test("drops the IndexedDB copy once a snapshot fits in localStorage again", async () => {
+        const { playlistStorage, storage, largeBackend } = createStorage();
+        await playlistStorage.save(library(1000));
+
+        assert.equal(await playlistStorage.save(library(10)), "localStorage");
+        assert.equal(largeBackend.records.size, 0);
+        assert.equal(pointer(storage).backend, "localStorage");
+        assert.deepEqual(await playlistStorage.load(), library(10));
+    });
+
+    test("ignores a snapshot saved by a newer schema", async (t) => {
+        quietConsole(t);
+        const { playlistStorage, storage } = createStorage();
+        storage.setItem("test.library", JSON.stringify({ version: 99, backend: "localStorage", data: library(1) }));
+
+        assert.equal(await playlistStorage.load(), null);
+    });
+
+    test("clear removes the snapshot from both backends", async () => {
+        const { playlistStorage, storage, largeBackend } = createStorage();
+        await playlistStorage.save(library(1000));
+
+        await playlistStorage.clear();
+        assert.equal(storage.getItem("test.library"), null);
+        assert.equal(largeBackend.records.size, 0);
+        assert.equal(await playlistStorage.load(), null);
+    });
+});
+
+describe("PlaylistStorage migrations", () => {
+    test("v2 wraps the single playlist in a library", async () => {
+        const { playlistStorage, storage } = createStorage();
+        const state = { songs: [Object.assign(song("A"), { id: "a" })], currentId: "a" };
+        storage.setItem("test.library", JSON.stringify({ version: 2, backend: "localStorage", data: state }));
+
+        assert.deepEqual(await playlistStorage.load(), {
+            playlists: [{ id: "playlist-1", name: "My Playlist", state: state }],
+            activeId: "playlist-1",
+            playingId: "playlist-1"
+        });
+    });
+
+    test("v1 history keeps one ID per removed song across both stacks", () => {
+        const [a, b, c] = [song("A"), song("B"), song("C")];
+
+        // v1: B was added, removed, added again and that last add undone
+        const v1 = {
+            songs: [a, c],
+            currentIndex: 1,
+            undoStack: [
+                { type: "ADD", song: b, index: 1, previousCurrentIndex: 0 },
+                { type: "REMOVE", song: b, index: 1, previousCurrentIndex: 0 }
+            ],
+            redoStack: [
+                { type: "ADD", song: b, index: 1, previousCurrentIndex: 0 }
+            ]
+        };
+
+        const library = new PlaylistStorage().migrate({ version: 1, data: v1 });
+        const state = library.playlists[0].state;
+        const ids = state.undoStack.concat(state.redoStack).map(action => action.songId);
+
+        assert.equal(new Set(ids).size, 1);
+        assert.ok(!state.songs.some(entry => entry.id === ids[0]));
+        assert.equal(state.currentId, state.songs[1].id);
+
+        const controller = createController();
+        assert.ok(controller.restoreSnapshot(state));
+
+        assert.ok(controller.undo());   // Undo the remove: B returns
+        assert.deepEqual(titles(controller), ["A", "B", "C"]);
+        assert.ok(controller.undo());   // Undo the add: the same B goes again
+        assert.deepEqual(titles(controller), ["A", "C"]);
+        assert.ok(controller.redo());
+        assert.ok(controller.redo());
+        assert.ok(controller.redo());
+        assert.deepEqual(titles(controller), ["A", "B", "C"]);
+    });
+});
@@ -0,0 +1,95 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { Queue } = require("../structures/Queue.js");
+
+function queueOf(...items) {
+    const queue = new Queue();
+    items.forEach(item => queue.enqueue(item));
+    return queue;
+}
+
+test("enqueue, peek and dequeue follow FIFO order", () => {
+    const queue = queueOf(1, 2, 3);
+
+    assert.equal(queue.size(), 3);
+    assert.equal(queue.peek(), 1);
+    assert.equal(queue.dequeue(), 1);
+    assert.equal(queue.dequeue(), 2);
+    assert.deepEqual(queue.toArray(), [3]);
+});
+
+test("dequeue and peek on an empty queue return null", () => {
+    const queue = new Queue();
+
+    assert.equal(queue.isEmpty(), true);
+    assert.equal(queue.dequeue(), null);
+    assert.equal(queue.peek(), null);
+});
+
+test("enqueueFront puts an item next, reusing a consumed slot", () => {
+    const queue = queueOf("a", "b");
+    queue.enqueueFront("x");
+    assert.deepEqual(queue.toArray(), ["x", "a", "b"]);
+
+    queue.dequeue();
+    queue.dequeue();
+    queue.enqueueFront("y");   // head > 0: fills the freed slot
+    assert.deepEqual(queue.toArray(), ["y", "b"]);
+    assert.equal(queue.dequeue(), "y");
+});
+
+test("removeAt and move count positions from the front, after dequeues", () => {
+    const queue = queueOf("gone", "a", "b", "c", "d");
+    queue.dequeue();
+
+    assert.equal(queue.removeAt(1), "b");
+    assert.deepEqual(queue.toArray(), ["a", "c", "d"]);
+
+    assert.equal(queue.move(0, 2), true);
+    assert.deepEqual(queue.toArray(), ["c", "d", "a"]);
+    assert.equal(queue.move(2, 0), true);
+    assert.deepEqual(queue.toArray(), ["a", "c", "d"]);
+});
+
+test("removeAt and move reject positions outside the queue", () => {
+    const queue = queueOf("gone", "a", "b");
+    queue.dequeue();
+
+    [-1, 2, 1.5, "0", undefined].forEach(index => {
+        assert.equal(queue.removeAt(index), null);
+        assert.equal(queue.move(index, 0), false);
+        assert.equal(queue.move(0, index), false);
+    });
+    assert.deepEqual(queue.toArray(), ["a", "b"]);
+});
+
+test("compacts the consumed prefix without losing order", () => {
+    const queue = new Queue();
+    for (let i = 0; i < 100; i++) queue.enqueue(i);
+
+    for (let i = 0; i < 60; i++) {
+        assert.equal(queue.dequeue(), i);
+    }
+
+    // Compaction dropped the consumed slots along the way
+    assert.ok(queue.items.length < 100);
+    assert.ok(queue.head < 60);
+    assert.equal(queue.size(), 40);
+    assert.equal(queue.peek(), 60);
+
+    queue.enqueueFront("front");
+    queue.enqueue("back");
+    assert.equal(queue.removeAt(1), 60);
+    assert.deepEqual(queue.toArray(), ["front"].concat(Array.from({ length: 39 }, (_, i) => i + 61), ["back"]));
+});
+
+test("clear empties the queue and resets the offset", () => {
+    const queue = queueOf("a", "b");
+    queue.dequeue();
+    queue.clear();
+
+    assert.equal(queue.isEmpty(), true);
+    queue.enqueue("c");
+    assert.deepEqual(queue.toArray(), ["c"]);
+});
@@ -0,0 +1,123 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { SmartPlaylist } = require("../services/SmartPlaylist.js");
+const { quietConsole } = require("./helpers.js");
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 5, 1);
+
+const library = [
+    { id: "1", title: "One More Time", artist: "Daft Punk", url: "a.mp3", duration: 320, addedAt: NOW - 2 * DAY, playCount: 12, rating: 5 },
+    { id: "2", title: "Digital Love", artist: "daft punk", url: "b.mp3", duration: 298, addedAt: NOW - 90 * DAY, playCount: 3 },
+    { id: "3", title: "Intro", artist: "The xx", url: "c.mp3", duration: 128, addedAt: NOW - 10 * DAY, rating: 4 },
+    { id: "4", title: "Untagged", artist: "Unknown", url: "d.mp3" }
+];
+
+const ids = songs => songs.map(song => song.id);
+const rule = (field, operator, value) => ({ field: field, operator: operator, value: value });
+
+describe("SmartPlaylist.evaluate", () => {
+    test("combines rules with AND, ignoring case in text", () => {
+        const query = {
+            match: "all",
+            rules: [rule("artist", "is", "DAFT PUNK"), rule("duration", "lt", 300)]
+        };
+
+        assert.deepEqual(ids(SmartPlaylist.evaluate(query, library, NOW)), ["2"]);
+    });
+
+    test("combines rules with OR and nests groups", () => {
+        const query = {
+            match: "any",
+            rules: [
+                rule("rating", "gte", 4),
+                { match: "all", rules: [rule("addedAt", "inLast", 30), rule("playCount", "gt", 10)] }
+            ]
+        };
+
+        assert.deepEqual(ids(SmartPlaylist.evaluate(query, library, NOW)), ["1", "3"]);
+    });
+
+    test("treats missing values as unknown, never added recently, or zero", () => {
+        const evaluate = rules => ids(SmartPlaylist.evaluate({ match: "all", rules: rules }, library, NOW));
+
+        assert.deepEqual(evaluate([rule("duration", "lt", 1000)]), ["1", "2", "3"]);
+        assert.deepEqual(evaluate([rule("addedAt", "notInLast", 30)]), ["2", "4"]);
+        assert.deepEqual(evaluate([rule("playCount", "eq", 0)]), ["3", "4"]);
+        assert.deepEqual(evaluate([]), ["1", "2", "3", "4"]);   // An empty group matches everything
+    });
+
+    test("sorts with missing values last, then applies the limit", () => {
+        const query = { match: "all", rules: [], sortBy: { field: "rating", order: "desc" }, limit: 3 };
+        assert.deepEqual(ids(SmartPlaylist.evaluate(query, library, NOW)), ["1", "3", "2"]);
+
+        const byTitle = { match: "all", rules: [], sortBy: { field: "title", order: "asc" } };
+        assert.deepEqual(ids(SmartPlaylist.evaluate(byTitle, library, NOW)), ["2", "3", "1", "4"]);
+    });
+
+    test("matches favorites and tags, ignoring case in tags", () => {
+        const tagged = [
+            { id: "1", title: "A", artist: "X", url: "a.mp3", favorite: true, tags: ["Chill", "Night"] },
+            { id: "2", title: "B", artist: "X", url: "b.mp3", tags: ["party"] },
+            { id: "3", title: "C", artist: "X", url: "c.mp3" }
+        ];
+        const evaluate = rules => ids(SmartPlaylist.evaluate({ match: "all", rules: rules }, tagged, NOW));
+
+        assert.deepEqual(evaluate([{ field: "favorite", operator: "isSet" }]), ["1"]);
+        assert.deepEqual(evaluate([{ field: "favorite", operator: "isNotSet" }]), ["2", "3"]);
+        assert.deepEqual(evaluate([rule("tags", "has", " chill ")]), ["1"]);
+        assert.deepEqual(evaluate([rule("tags", "hasNot", "PARTY")]), ["1", "3"]);
+
+        assert.deepEqual(SmartPlaylist.normalize({ match: "all", rules: [{ field: "favorite", operator: "isSet", value: 1 }] }),
+            { match: "all", rules: [{ field: "favorite", operator: "isSet" }] });
+    });
+});
+
+describe("SmartPlaylist validation and JSON", () => {
+    test("reports unknown fields, wrong operators and missing values", () => {
+        assert.deepEqual(SmartPlaylist.validate(SmartPlaylist.createDefault()), []);
+
+        const errors = SmartPlaylist.validate({
+            match: "some",
+            rules: [rule("mood", "is", "happy"), rule("artist", "gt", 3), rule("playCount", "gt", null), rule("title", "is", " ")],
+            limit: 0
+        });
+        assert.equal(errors.length, 6);
+    });
+
+    test("rejects groups nested deeper than MAX_DEPTH", () => {
+        let query = { match: "all", rules: [] };
+        for (let depth = 1; depth < SmartPlaylist.MAX_DEPTH; depth++) {
+            query = { match: "all", rules: [query] };
+        }
+        assert.deepEqual(SmartPlaylist.validate(query), []);
+        assert.equal(SmartPlaylist.validate({ match: "all", rules: [query] }).length, 1);
+    });
+
+    test("round-trips through JSON without unknown keys", (t) => {
+        quietConsole(t);
+        const query = {
+            match: "any",
+            rules: [Object.assign(rule("artist", "contains", "punk"), { note: "dropped" })],
+            sortBy: { field: "addedAt", order: "desc" },
+            limit: 10
+        };
+
+        const text = SmartPlaylist.toJSON("Punk", query);
+        assert.equal(JSON.parse(text).type, "smart-playlist");
+
+        const imported = SmartPlaylist.fromJSON(text);
+        assert.equal(imported.name, "Punk");
+        assert.deepEqual(imported.definition, {
+            match: "any",
+            rules: [rule("artist", "contains", "punk")],
+            sortBy: { field: "addedAt", order: "desc" },
+            limit: 10
+        });
+
+        assert.equal(SmartPlaylist.fromJSON("{"), null);
+        assert.equal(SmartPlaylist.fromJSON('{"type":"playlist","match":"all","rules":[]}'), null);
+        assert.equal(SmartPlaylist.fromJSON('{"version":2,"match":"all","rules":[]}'), null);
+    });
+});
@@ -0,0 +1,83 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { SongSearch } = require("../services/SongSearch.js");
+
+const song = (title, artist = "Artist", album = "") => ({ title, artist, album });
+
+describe("SongSearch accents and case", () => {
+    test("plain input finds accented text and the other way round", () => {
+        assert.ok(SongSearch.matchSong("beyonce", song("Halo", "Beyoncé")));
+        assert.ok(SongSearch.matchSong("BEYONCÉ", song("Halo", "Beyonce")));
+        assert.ok(SongSearch.matchSong("sigur ros", song("Hoppípolla", "Sigur Rós")));
+        assert.ok(SongSearch.matchSong("hoppipolla", song("Hoppípolla", "Sigur Rós")));
+    });
+
+    test("highlights accented characters at their original offsets", () => {
+        const match = SongSearch.matchSong("cafe", song("Le Café Noir"));
+        assert.deepEqual(match.ranges.title, [[3, 7]]);
+        assert.deepEqual(SongSearch.segments("Le Café Noir", match.ranges.title), [
+            { text: "Le ", match: false },
+            { text: "Café", match: true },
+            { text: " Noir", match: false }
+        ]);
+    });
+
+    test("maps ranges back when folding changes the length", () => {
+        // Each Hangul syllable decomposes into two or three letters
+        const title = "서울 Sky";
+        assert.equal(SongSearch.normalize(title).text.length, 9);
+
+        const match = SongSearch.matchSong("sky", song(title));
+        assert.deepEqual(match.ranges.title, [[3, 6]]);
+        assert.equal(title.slice(3, 6), "Sky");
+    });
+});
+
+describe("SongSearch ranking", () => {
+    test("word-start substring > mid-word substring > fuzzy subsequence", () => {
+        const score = title => SongSearch.matchSong("light", song(title)).score;
+
+        const wordStart = score("Blinding Lights");
+        const midWord = score("Starlight");
+        const fuzzy = score("Lonely Night");
+
+        assert.ok(wordStart > midWord, `${wordStart} > ${midWord}`);
+        assert.ok(midWord > fuzzy, `${midWord} > ${fuzzy}`);
+    });
+
+    test("fuzzy matches with fewer gaps score higher", () => {
+        const tight = SongSearch.matchSong("bldlts", song("Blinding Lights")).score;
+        const loose = SongSearch.matchSong("bldlts", song("Bright lands of distant lights")).score;
+        assert.ok(tight > loose, `${tight} > ${loose}`);
+    });
+
+    test("every term must match some field; a missing term rejects the song", () => {
+        const track = song("Blinding Lights", "The Weeknd", "After Hours");
+
+        const match = SongSearch.matchSong("weeknd lights", track);
+        assert.deepEqual(match.ranges, { title: [[9, 15]], artist: [[4, 10]] });
+        assert.equal(SongSearch.matchSong("weeknd zzz", track), null);
+        assert.deepEqual(SongSearch.matchSong("  ", track), { score: 0, ranges: { title: [], artist: [] } });
+    });
+});
+
+describe("SongSearch highlight ranges", () => {
+    test("matches only the fields a row shows, so every hit is highlighted", () => {
+        const track = song("Blinding Lights", "The Weeknd", "After Hours");
+
+        assert.equal(SongSearch.matchSong("after hours", track), null);
+        assert.deepEqual(Object.keys(SongSearch.matchSong("lights", track).ranges), ["title", "artist"]);
+    });
+
+    test("prefers an occurrence at a word start", () => {
+        const match = SongSearch.matchSong("on", song("Long Road On"));
+        assert.deepEqual(match.ranges.title, [[10, 12]]);
+    });
+
+    test("merges touching fuzzy ranges and terms in the same field", () => {
+        assert.deepEqual(SongSearch.matchSong("bldlts", song("Blinding Lights")).ranges.title,
+            [[0, 2], [4, 5], [9, 10], [13, 15]]);
+        assert.deepEqual(SongSearch.matchSong("blind ing", song("Blinding")).ranges.title, [[0, 8]]);
+    });
+});
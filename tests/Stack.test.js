@@ -0,0 +1,47 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { Stack } = require("../structures/Stack.js");
+
+test("push, peek and pop follow LIFO order", () => {
+    const stack = new Stack();
+    stack.push(1);
+    stack.push(2);
+    stack.push(3);
+
+    assert.equal(stack.size(), 3);
+    assert.equal(stack.peek(), 3);
+    assert.equal(stack.pop(), 3);
+    assert.equal(stack.pop(), 2);
+    assert.equal(stack.size(), 1);
+});
+
+test("pop and peek on an empty stack return null", () => {
+    const stack = new Stack();
+
+    assert.equal(stack.isEmpty(), true);
+    assert.equal(stack.pop(), null);
+    assert.equal(stack.peek(), null);
+});
+
+test("clear empties the stack", () => {
+    const stack = new Stack();
+    stack.push("a");
+    stack.push("b");
+    stack.clear();
+
+    assert.equal(stack.isEmpty(), true);
+    assert.equal(stack.size(), 0);
+});
+
+test("toArray returns a bottom-to-top copy", () => {
+    const stack = new Stack();
+    stack.push("a");
+    stack.push("b");
+
+    const items = stack.toArray();
+    assert.deepEqual(items, ["a", "b"]);
+
+    items.push("c");
+    assert.equal(stack.size(), 2, "mutating the copy must not change the stack");
+});
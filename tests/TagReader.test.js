@@ -0,0 +1,205 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { TagReader } = require("../services/TagReader.js");
+
+/* Byte builders for synthetic files */
+
+const bytes = (...parts) => Buffer.concat(parts.map(part =>
+    typeof part === "string" ? Buffer.from(part, "latin1") : Buffer.from(part)));
+
+const be32 = value => [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+const le32 = value => be32(value).reverse();
+const syncsafe = value => [(value >> 21) & 0x7F, (value >> 14) & 0x7F, (value >> 7) & 0x7F, value & 0x7F];
+
+const COVER = [0xFF, 0xD8, 0xFF, 0xE0, 1, 2, 3, 4];
+
+function id3Frame(id, body, version) {
+    return bytes(id, version === 4 ? syncsafe(body.length) : be32(body.length), [0, 0], body);
+}
+
+function id3Tag(version, frames) {
+    const body = Buffer.concat(frames);
+    return bytes("ID3", [version, 0, 0], syncsafe(body.length), body);
+}
+
+// One MPEG-1 Layer III frame header (128 kbps, 44.1 kHz, stereo) with a Xing frame count
+function mpegFrame(frameCount) {
+    const frame = Buffer.alloc(417);
+    frame.set([0xFF, 0xFB, 0x90, 0x00]);
+    frame.write("Xing", 36, "latin1");
+    frame.set(be32(1), 40);
+    frame.set(be32(frameCount), 44);
+    return frame;
+}
+
+function vorbisComment(entries) {
+    return bytes(le32(6), "vendor", le32(entries.length),
+        ...entries.map(entry => bytes(le32(Buffer.byteLength(entry)), Buffer.from(entry, "utf8"))));
+}
+
+function flacPicture(mime, data) {
+    return bytes(be32(3), be32(mime.length), mime, be32(0), be32(0), be32(0), be32(0), be32(0),
+        be32(data.length), data);
+}
+
+function atom(type, ...children) {
+    const body = bytes(...children);
+    return bytes(be32(body.length + 8), type, body);
+}
+
+function oggPage(granule, packets) {
+    const segments = [];
+    packets.forEach(packet => {
+        let length = packet.length;
+        while (length >= 255) { segments.push(255); length -= 255; }
+        segments.push(length);
+    });
+    return bytes("OggS", [0, 0], le32(granule), le32(0), le32(1), le32(0), le32(0),
+        [segments.length], segments, ...packets);
+}
+
+const read = file => TagReader.read(TagReader.fromBytes(new Uint8Array(file)));
+
+describe("TagReader MP3", () => {
+    test("reads ID3v2.3 text frames (Latin-1 and UTF-16), APIC and the Xing duration", async () => {
+        const utf16 = bytes([1, 0xFF, 0xFE], Buffer.from("Björk", "utf16le"));
+        const tag = id3Tag(3, [
+            id3Frame("TIT2", bytes([0], "Army of Me"), 3),
+            id3Frame("TPE1", utf16, 3),
+            id3Frame("TALB", bytes([0], "Post"), 3),
+            id3Frame("TRCK", bytes([0], "1/11"), 3),
+            id3Frame("TYER", bytes([0], "1995"), 3),
+            id3Frame("APIC", bytes([0], "image/jpeg", [0, 3], "front", [0], COVER), 3)
+        ]);
+
+        const tags = await read(bytes(tag, mpegFrame(1000)));
+
+        assert.equal(tags.format, "mp3");
+        assert.equal(tags.title, "Army of Me");
+        assert.equal(tags.artist, "Björk");
+        assert.equal(tags.album, "Post");
+        assert.equal(tags.trackNumber, 1);
+        assert.equal(tags.year, 1995);
+        assert.equal(tags.duration, 26.122);   // 1000 frames * 1152 samples / 44100 Hz
+        assert.equal(tags.cover.mime, "image/jpeg");
+        assert.deepEqual(Array.from(tags.cover.data), COVER);
+    });
+
+    test("reads ID3v2.4 UTF-8 frames with syncsafe sizes and TDRC dates", async () => {
+        const tag = id3Tag(4, [
+            id3Frame("TIT2", bytes([3], Buffer.from("Déjà Vu", "utf8")), 4),
+            id3Frame("TPE1", bytes([3], "A\0B"), 4),
+            id3Frame("TDRC", bytes([3], "2019-05-01"), 4),
+            id3Frame("TLEN", bytes([3], "215000"), 4)
+        ]);
+
+        const tags = await read(bytes(tag, mpegFrame(1000)));
+
+        assert.equal(tags.title, "Déjà Vu");
+        assert.equal(tags.artist, "A, B");
+        assert.equal(tags.year, 2019);
+        assert.equal(tags.duration, 215);   // TLEN wins over the frame count
+    });
+
+    test("falls back to ID3v1 and estimates CBR duration from the bitrate", async () => {
+        const frame = mpegFrame(0);
+        frame.fill(0, 36);   // No Xing header
+        const audio = Buffer.concat(Array.from({ length: 100 }, () => frame));
+
+        const v1 = Buffer.alloc(128);
+        v1.write("TAG", 0, "latin1");
+        v1.write("Old Song", 3, "latin1");
+        v1.write("Old Band", 33, "latin1");
+        v1.write("2001", 93, "latin1");
+        v1[126] = 7;
+
+        const tags = await read(bytes(audio, v1));
+
+        assert.equal(tags.title, "Old Song");
+        assert.equal(tags.artist, "Old Band");
+        assert.equal(tags.year, 2001);
+        assert.equal(tags.trackNumber, 7);
+        // (41700 + 128 bytes) * 8 / 128 kbps
+        assert.equal(tags.duration, 2.614);
+    });
+
+    test("returns format unknown for data that is not audio", async () => {
+        assert.deepEqual(await read(Buffer.from("just some text")), { format: "unknown" });
+    });
+});
+
+describe("TagReader FLAC and Ogg", () => {
+    test("reads STREAMINFO, Vorbis comments and the PICTURE block", async () => {
+        const streamInfo = Buffer.alloc(34);
+        // 44100 Hz (20 bits), stereo, 16 bits, 441000 samples (36 bits)
+        streamInfo.set([0x0A, 0xC4, 0x42, 0xF0, 0x00, 0x06, 0xBA, 0xA8], 10);
+        const comment = vorbisComment(["TITLE=Clair de Lune", "ARTIST=Debussy", "ALBUM=Suite",
+            "TRACKNUMBER=3", "DATE=1905"]);
+        const picture = flacPicture("image/png", COVER);
+
+        const file = bytes("fLaC",
+            [0, 0, 0, 34], streamInfo,
+            [4, 0, 0, comment.length], comment,
+            [0x86, 0, 0, picture.length], picture);
+
+        const tags = await read(file);
+
+        assert.equal(tags.format, "flac");
+        assert.equal(tags.title, "Clair de Lune");
+        assert.equal(tags.artist, "Debussy");
+        assert.equal(tags.album, "Suite");
+        assert.equal(tags.trackNumber, 3);
+        assert.equal(tags.year, 1905);
+        assert.equal(tags.duration, 10);
+        assert.equal(tags.cover.mime, "image/png");
+    });
+
+    test("reads Opus tags and the duration from the last page", async () => {
+        const head = bytes("OpusHead", [1, 2], [0x38, 0x01], le32(48000), [0, 0, 0]);   // Pre-skip 312
+        const comments = bytes("OpusTags", vorbisComment(["title=Ogg Song", "artist=Ogg Band"]));
+
+        const file = bytes(
+            oggPage(0, [head]),
+            oggPage(0, [comments]),
+            oggPage(312 + 48000 * 4, [Buffer.alloc(20)]));
+
+        const tags = await read(file);
+
+        assert.equal(tags.format, "ogg");
+        assert.equal(tags.title, "Ogg Song");
+        assert.equal(tags.artist, "Ogg Band");
+        assert.equal(tags.duration, 4);
+    });
+});
+
+describe("TagReader MP4", () => {
+    test("reads mvhd duration and iTunes ilst atoms", async () => {
+        const data = (type, value) => atom("data", be32(type), be32(0), value);
+        const mvhd = atom("mvhd", [0, 0, 0, 0], be32(0), be32(0), be32(1000), be32(183500));
+        const ilst = atom("ilst",
+            atom("©nam", data(1, Buffer.from("M4A Song", "utf8"))),
+            atom("©ART", data(1, Buffer.from("M4A Band", "utf8"))),
+            atom("©alb", data(1, Buffer.from("M4A Album", "utf8"))),
+            atom("©day", data(1, Buffer.from("2021-02-03", "utf8"))),
+            atom("trkn", data(0, [0, 0, 0, 5, 0, 12, 0, 0])),
+            atom("covr", data(13, COVER)));
+        const meta = atom("meta", [0, 0, 0, 0], atom("hdlr", Buffer.alloc(25)), ilst);
+
+        const file = bytes(
+            atom("ftyp", "M4A ", be32(0)),
+            atom("mdat", Buffer.alloc(64)),
+            atom("moov", mvhd, atom("udta", meta)));
+
+        const tags = await read(file);
+
+        assert.equal(tags.format, "mp4");
+        assert.equal(tags.title, "M4A Song");
+        assert.equal(tags.artist, "M4A Band");
+        assert.equal(tags.album, "M4A Album");
+        assert.equal(tags.year, 2021);
+        assert.equal(tags.trackNumber, 5);
+        assert.equal(tags.duration, 183.5);
+        assert.deepEqual(Array.from(tags.cover.data), COVER);
+    });
+});
@@ -0,0 +1,26 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { Visualizer } = require("../services/Visualizer.js");
+
+describe("Visualizer.groupBands", () => {
+    test("returns the requested number of levels between 0 and 1", () => {
+        const data = Uint8Array.from({ length: 1024 }, (_, i) => i % 256);
+        const bands = Visualizer.groupBands(data, Visualizer.BAR_COUNT);
+
+        assert.equal(bands.length, Visualizer.BAR_COUNT);
+        bands.forEach(level => assert.ok(level >= 0 && level <= 1, String(level)));
+    });
+
+    test("low bands cover few bins and high bands many (log spacing)", () => {
+        // Energy only in the top half of the spectrum
+        const data = new Uint8Array(1024);
+        data.fill(255, 512);
+        const bands = Visualizer.groupBands(data, 10);
+
+        assert.equal(bands[0], 0);
+        assert.ok(bands[9] > 0.99);
+        // One octave (512 of 1024 bins) spans only the last band or so
+        assert.ok(bands.filter(level => level > 0).length <= 2);
+    });
+});
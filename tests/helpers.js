@@ -0,0 +1,88 @@
+/*
+    Shared fixtures and assertions for the test suite.
+*/
+
+const assert = require("node:assert/strict");
+
+const { DoublyLinkedList } = require("../structures/DoublyLinkedList.js");
+const { Stack } = require("../structures/Stack.js");
+const { Queue } = require("../structures/Queue.js");
+const { PlaylistController } = require("../controllers/PlaylistController.js");
+
+/**
+ * Build a valid song object
+ * @param {string} title - Song title (also used to derive the URL)
+ * @returns {Object} Song { title, artist, url }
+ */
+function song(title) {
+    return { title: title, artist: "Artist", url: `https://example.com/${encodeURIComponent(title)}.mp3` };
+}
+
+/**
+ * Titles in playlist order
+ * @param {DoublyLinkedList|PlaylistController} target - List or controller
+ * @returns {Array<string>}
+ */
+function titles(target) {
+    const list = target.playlist || target;
+    const result = [];
+    list.traverseForward(entry => result.push(entry.title));
+    return result;
+}
+
+/**
+ * Controller wired with the real structures
+ * @param {Array<string>} initialTitles - Songs loaded without undo history
+ * @returns {PlaylistController}
+ */
+function createController(initialTitles = []) {
+    const controller = new PlaylistController(DoublyLinkedList, Stack, Queue);
+    controller.initializePlaylist(initialTitles.map(song));
+    return controller;
+}
+
+/**
+ * Assert the structural invariants of a DoublyLinkedList:
+ * prev/next links agree, head/tail/size/ID map match, current is a member
+ * @param {DoublyLinkedList} list - List to check
+ */
+function assertListConsistent(list) {
+    const forward = [];
+    let node = list.head;
+    let prev = null;
+
+    while (node) {
+        assert.equal(node.prev, prev, "prev link must point at the previous node");
+        assert.equal(list.nodesById.get(node.id), node, "ID map must point at the node");
+        assert.equal(node.id, node.song.id, "node ID must mirror the song ID");
+        forward.push(node);
+        prev = node;
+        node = node.next;
+    }
+
+    assert.equal(list.tail, prev, "tail must be the last node");
+    assert.equal(list.size, forward.length, "size must match the node count");
+    assert.equal(list.nodesById.size, forward.length, "ID map must hold every node");
+
+    const backward = [];
+    list.traverseBackward(entry => backward.push(entry));
+    assert.deepEqual(backward.reverse(), forward.map(entry => entry.song));
+
+    if (forward.length === 0) {
+        assert.equal(list.head, null);
+        assert.equal(list.current, null);
+    } else {
+        assert.ok(forward.includes(list.current), "current must be a node of the list");
+    }
+}
+
+/**
+ * Silence the console noise that invalid operations intentionally produce
+ * @param {Object} t - node:test context
+ */
+function quietConsole(t) {
+    t.mock.method(console, "warn", () => {});
+    t.mock.method(console, "log", () => {});
+}
+
+module.exports = { song, titles, createController, assertListConsistent, quietConsole };